@@ -0,0 +1,62 @@
+/**
+ * api/_lib/abacatepay.js
+ *
+ * Cliente HTTP do gateway AbacatePay. Antes create-charge, webhook e
+ * simulate-payment chamavam https://api.abacatepay.com/v1 direto.
+ *
+ * - ABACATEPAY_BASE_URL troca o gateway (padrão: API real). Em dev aponta para
+ *   o mock local (scripts/abacatepay-mock.js), que cria PIX, responde
+ *   pixQrCode/check e dispara o webhook assinado.
+ * - Em produção só aceita https — um base URL errado não pode vazar a chave
+ *   para um host em texto puro.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.abacatepay.com/v1';
+
+function getBaseUrl() {
+  const configured = (process.env.ABACATEPAY_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (!configured) return DEFAULT_BASE_URL;
+
+  if (process.env.NODE_ENV === 'production' && !configured.startsWith('https://')) {
+    console.error('[abacatepay] ABACATEPAY_BASE_URL sem https ignorada em produção');
+    return DEFAULT_BASE_URL;
+  }
+  return configured;
+}
+
+/**
+ * Gateway local (mock) — libera o simulate-payment sem chave Dev Mode
+ */
+function isLocalGateway() {
+  try {
+    const { hostname } = new URL(getBaseUrl());
+    return ['localhost', '127.0.0.1', '::1', '[::1]'].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * fetch autenticado no gateway
+ *
+ * @param {string} path — ex.: '/pixQrCode/create'
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+function abacateFetch(path, options = {}) {
+  return fetch(`${getBaseUrl()}${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${process.env.ABACATEPAY_API_KEY || ''}`,
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(options.headers || {}),
+    },
+  });
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  getBaseUrl,
+  isLocalGateway,
+  abacateFetch,
+};
@@ -0,0 +1,183 @@
+/**
+ * api/_lib/plans.js
+ *
+ * Planos e ciclos de cobrança centralizados.
+ * Antes: cada endpoint (create-charge, webhook, simulate-payment,
+ * subscription-status) tinha sua cópia de PLANS, todas mensais (30 dias).
+ *
+ * - Ciclos: mensal, trimestral e anual, com desconto sobre o preço mensal.
+ *   O ciclo escolhido vai na cobrança (billings.billingCycle) e define
+ *   quantos dias o pagamento adiciona à assinatura.
+ * - Renovação soma a partir do vencimento atual quando ele ainda está no
+ *   futuro (pagar antes de vencer não perde dias); vencida, soma a partir
+ *   de agora.
+ * - Os preços exibidos em js/pages/personal/billing.js seguem esta tabela.
+ *
+ * Mudança de plano (quotePlanChange):
+ * - upgrade: os dias restantes da assinatura viram crédito (valor diário do
+ *   plano/ciclo atual × dias), abatido da cobrança do plano novo. O plano
+ *   muda no pagamento e o vencimento recomeça de agora; crédito maior que o
+ *   preço vira dias extras.
+ * - downgrade: cobra o ciclo do plano novo e agenda a troca para o
+ *   vencimento atual (subscriptions.pendingChange) — o plano pago segue
+ *   valendo até lá.
+ * - renewal (mesmo plano) e new (sem assinatura ativa): comportamento
+ *   normal de calcExpiry.
+ */
+
+const PLANS = {
+  starter: { id: 'starter', name: 'Starter', priceInCents: 990,  maxStudents: 5  },
+  pro:     { id: 'pro',     name: 'Pro',     priceInCents: 1990, maxStudents: 15 },
+  elite:   { id: 'elite',   name: 'Elite',   priceInCents: 4940, maxStudents: 40 },
+};
+
+const BILLING_CYCLES = {
+  monthly:   { id: 'monthly',   label: 'Mensal',     months: 1,  durationDays: 30,  discountPercent: 0  },
+  quarterly: { id: 'quarterly', label: 'Trimestral', months: 3,  durationDays: 90,  discountPercent: 10 },
+  annual:    { id: 'annual',    label: 'Anual',      months: 12, durationDays: 365, discountPercent: 20 },
+};
+
+const DEFAULT_CYCLE = 'monthly';
+
+// Menor valor aceito numa cobrança PIX (upgrade com crédito quase cobrindo o preço)
+const MIN_CHARGE_IN_CENTS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidCycle(cycleId) {
+  return typeof cycleId === 'string' && Object.prototype.hasOwnProperty.call(BILLING_CYCLES, cycleId);
+}
+
+/**
+ * Ciclo válido ou o padrão (cobranças antigas não têm billingCycle)
+ */
+function getCycle(cycleId) {
+  return isValidCycle(cycleId) ? BILLING_CYCLES[cycleId] : BILLING_CYCLES[DEFAULT_CYCLE];
+}
+
+/**
+ * Valor total do ciclo em centavos: preço mensal × meses, com o desconto
+ * do ciclo (arredondado para o centavo). null para plano inválido.
+ */
+function getCyclePriceInCents(planId, cycleId) {
+  const plan = PLANS[planId];
+  if (!plan) return null;
+  const cycle = getCycle(cycleId);
+  return Math.round(plan.priceInCents * cycle.months * (100 - cycle.discountPercent) / 100);
+}
+
+/**
+ * Novo vencimento após um pagamento do ciclo.
+ *
+ * @param {string} cycleId
+ * @param {Date|null} currentExpiry — vencimento atual da assinatura (se houver)
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function calcExpiry(cycleId, currentExpiry = null, now = new Date()) {
+  const base = currentExpiry instanceof Date && currentExpiry > now ? currentExpiry : now;
+  const d    = new Date(base.getTime());
+  d.setDate(d.getDate() + getCycle(cycleId).durationDays);
+  return d;
+}
+
+/**
+ * Valor diário do plano no ciclo (centavos, fracionário)
+ */
+function getDailyRateInCents(planId, cycleId) {
+  const price = getCyclePriceInCents(planId, cycleId);
+  return price === null ? 0 : price / getCycle(cycleId).durationDays;
+}
+
+/**
+ * Tipo de mudança: 'new' (sem assinatura ativa), 'renewal' (mesmo plano),
+ * 'upgrade' ou 'downgrade' (pelo preço mensal).
+ *
+ * @param {{ planId: string, expiresAt: Date|null }|null} sub
+ * @param {string} planId
+ * @param {Date} [now]
+ */
+function getChangeType(sub, planId, now = new Date()) {
+  const current = sub && PLANS[sub.planId];
+  if (!current || !(sub.expiresAt instanceof Date) || sub.expiresAt <= now) return 'new';
+  if (sub.planId === planId) return 'renewal';
+  return PLANS[planId].priceInCents > current.priceInCents ? 'upgrade' : 'downgrade';
+}
+
+/**
+ * Crédito dos dias restantes (centavos). Com downgrade agendado, os dias
+ * depois da troca valem pelo plano agendado — foram pagos por ele.
+ *
+ * @param {{ planId: string, billingCycle?: string, expiresAt: Date|null,
+ *           pendingChange?: { planId: string, billingCycle?: string, effectiveAt: Date }|null }|null} sub
+ * @param {Date} [now]
+ * @returns {{ creditInCents: number, remainingDays: number }}
+ */
+function getRemainingCredit(sub, now = new Date()) {
+  if (!sub || !PLANS[sub.planId] || !(sub.expiresAt instanceof Date) || sub.expiresAt <= now) {
+    return { creditInCents: 0, remainingDays: 0 };
+  }
+
+  const pending = sub.pendingChange && PLANS[sub.pendingChange.planId] && sub.pendingChange.effectiveAt instanceof Date
+    ? sub.pendingChange
+    : null;
+  const switchAt = pending && pending.effectiveAt < sub.expiresAt ? pending.effectiveAt : sub.expiresAt;
+
+  const daysBefore = Math.max(0, Math.floor((switchAt - now) / DAY_MS));
+  const daysAfter  = pending ? Math.max(0, Math.floor((sub.expiresAt - Math.max(switchAt, now)) / DAY_MS)) : 0;
+
+  const credit = daysBefore * getDailyRateInCents(sub.planId, sub.billingCycle)
+    + (pending ? daysAfter * getDailyRateInCents(pending.planId, pending.billingCycle) : 0);
+
+  return { creditInCents: Math.floor(credit), remainingDays: daysBefore + daysAfter };
+}
+
+/**
+ * Orçamento de uma cobrança para o plano/ciclo escolhido, considerando a
+ * assinatura atual.
+ *
+ * @returns {{ changeType: string, fullPriceInCents: number, creditInCents: number,
+ *             remainingDays: number, amountInCents: number, bonusDays: number,
+ *             effectiveAt: Date|null }}
+ */
+function quotePlanChange(sub, planId, cycleId, now = new Date()) {
+  const changeType       = getChangeType(sub, planId, now);
+  const fullPriceInCents = getCyclePriceInCents(planId, cycleId);
+  const quote = {
+    changeType,
+    fullPriceInCents,
+    creditInCents: 0,
+    remainingDays: 0,
+    amountInCents: fullPriceInCents,
+    bonusDays:     0,
+    effectiveAt:   changeType === 'downgrade' ? sub.expiresAt : null,
+  };
+  if (changeType !== 'upgrade') return quote;
+
+  const { creditInCents, remainingDays } = getRemainingCredit(sub, now);
+  const amountInCents = Math.max(fullPriceInCents - creditInCents, MIN_CHARGE_IN_CENTS);
+  const leftover      = creditInCents - (fullPriceInCents - amountInCents);
+  const dailyRate     = getDailyRateInCents(planId, cycleId);
+
+  return {
+    ...quote,
+    creditInCents,
+    remainingDays,
+    amountInCents,
+    bonusDays: leftover > 0 && dailyRate > 0 ? Math.floor(leftover / dailyRate) : 0,
+  };
+}
+
+module.exports = {
+  PLANS,
+  BILLING_CYCLES,
+  DEFAULT_CYCLE,
+  isValidCycle,
+  getCycle,
+  getCyclePriceInCents,
+  calcExpiry,
+  MIN_CHARGE_IN_CENTS,
+  getChangeType,
+  getRemainingCredit,
+  quotePlanChange,
+};
@@ -0,0 +1,429 @@
+/**
+ * api/_lib/subscriptions.js
+ *
+ * Escrita em subscriptions/{personalId} após pagamento e troca agendada de
+ * plano. Antes o webhook e o simulate-payment tinham cada um sua cópia da
+ * ativação (sempre "plano novo, vencimento estendido").
+ *
+ * - applyPaidBilling: aplica a cobrança paga conforme o changeType gravado
+ *   pelo create-charge (_lib/plans.js → quotePlanChange):
+ *     upgrade   → plano novo agora; vencimento = agora + ciclo + bonusDays
+ *     downgrade → plano atual mantido; pendingChange com o plano novo a partir
+ *                 do vencimento atual, que é estendido pelo ciclo pago
+ *     new/renewal (ou cobrança antiga sem changeType) → calcExpiry
+ *   Se a assinatura mudou entre a cobrança e o pagamento (outro plano, outro
+ *   vencimento, já vencida), upgrade/downgrade viram pagamento normal — o
+ *   crédito não vale.
+ * - applyDueChange: troca agendada já vencida → aplica o plano do
+ *   pendingChange (cron e subscription-status).
+ * - syncStudentLimit: reconta os alunos que ocupam vaga (todo aluno que não
+ *   está 'inactive') e marca subscriptions.studentLimitExceeded quando
+ *   passam de maxStudents. As rules e o createStudentAccount bloqueiam novos
+ *   alunos/reativações com a flag; o personal escolhe quem fica ativo
+ *   (api/billing/apply-student-limit.js). Corrige users.studentCount se o
+ *   contador do cliente divergiu.
+ * - revertPaidBilling: estorno de uma cobrança paga (webhook refunded) —
+ *   desfaz o que o applyPaidBilling aplicou. O applyPaidBilling grava na
+ *   cobrança o estado anterior (planIdBefore, expiresAtBefore) e o vencimento
+ *   resultante (expiresAtAfter); o estorno tira do vencimento os dias que a
+ *   cobrança somou, volta o plano anterior num upgrade/plano novo e cancela o
+ *   downgrade agendado por ela.
+ * - isBillingApplied: a cobrança já mexeu na assinatura? Decide pelo estado
+ *   gravado pelo applyPaidBilling, não pelo status — uma cobrança contestada
+ *   ou estornada pode ter sido aplicada ou não.
+ */
+
+const { admin, db } = require('./firebase-admin');
+const { PLANS, getCycle, calcExpiry } = require('./plans');
+
+const ALREADY_EXISTS    = 6; // código gRPC do Firestore
+const GRACE_PERIOD_DAYS = 3;
+const DAY_MS            = 24 * 60 * 60 * 1000;
+
+/**
+ * Cobrança já aplicada à assinatura. Cobranças pagas antes de o
+ * applyPaidBilling gravar expiresAtAfter contam pelo status.
+ */
+function isBillingApplied(billingData) {
+  return !!billingData?.expiresAtAfter
+    || billingData?.status === 'paid'
+    || billingData?.statusBeforeDispute === 'paid';
+}
+
+// Documento do Firestore → formato de _lib/plans.js (datas como Date)
+function toPlanSub(data) {
+  if (!data) return null;
+  const pending = data.pendingChange;
+  return {
+    planId:        data.planId,
+    billingCycle:  data.billingCycle,
+    expiresAt:     data.expiresAt?.toDate?.() || null,
+    pendingChange: pending ? {
+      planId:       pending.planId,
+      billingCycle: pending.billingCycle,
+      effectiveAt:  pending.effectiveAt?.toDate?.() || null,
+    } : null,
+  };
+}
+
+/**
+ * Alunos do personal que ocupam vaga no plano
+ *
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function getSlotStudents(personalId) {
+  const snap = await db.collection('users').where('personalId', '==', personalId).get();
+  return snap.docs.filter(d => d.data().userType === 'student' && d.data().status !== 'inactive');
+}
+
+/**
+ * Recontagem de alunos × limite do plano; grava a flag e o contador só
+ * quando mudaram.
+ *
+ * @param {string} personalId
+ * @param {object|null} [subData] — subscriptions/{personalId} já lido
+ * @returns {Promise<{ studentCount: number, maxStudents: number, exceeded: boolean }>}
+ */
+async function syncStudentLimit(personalId, subData = null) {
+  const subRef = db.collection('subscriptions').doc(personalId);
+  if (!subData) {
+    const snap = await subRef.get();
+    subData = snap.exists ? snap.data() : null;
+  }
+
+  const studentCount = (await getSlotStudents(personalId)).length;
+  const maxStudents  = subData ? (PLANS[subData.planId]?.maxStudents || subData.maxStudents || 0) : 0;
+  const exceeded     = !!subData && studentCount > maxStudents;
+
+  if (subData && !!subData.studentLimitExceeded !== exceeded) {
+    await subRef.update({
+      studentLimitExceeded: exceeded,
+      updatedAt:            admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  const userRef  = db.collection('users').doc(personalId);
+  const userSnap = await userRef.get();
+  if (userSnap.exists && userSnap.data().studentCount !== studentCount) {
+    await userRef.update({ studentCount });
+  }
+
+  return { studentCount, maxStudents, exceeded };
+}
+
+/**
+ * Aplica uma cobrança paga à assinatura do personal.
+ *
+ * Transação com a cobrança: status 'paid' e o estado anterior (usado pelo
+ * revertPaidBilling) são gravados junto com a assinatura. Se a aplicação
+ * falhar, a cobrança continua pendente e o retry do webhook aplica de novo;
+ * cobrança já aplicada (isBillingApplied) nunca é aplicada duas vezes, e
+ * estornada não é aplicada. Contestada antes de ser aplicada é aplicada e
+ * segue 'disputed' — o pagamento existe até o desfecho.
+ *
+ * @param {string} billingId
+ * @param {object} [billingUpdate] — campos extras da cobrança (ex.: gatewayId)
+ * @param {Date} [now]
+ * @returns {Promise<{ changeType: string, planId: string, billingCycle: string, expiresAt: Date }|null>}
+ *          null se a cobrança já estava aplicada ou foi estornada
+ */
+async function applyPaidBilling(billingId, billingUpdate = {}, now = new Date()) {
+  const { FieldValue, Timestamp } = admin.firestore;
+  const billingRef = db.collection('billings').doc(billingId);
+
+  const applied = await db.runTransaction(async (t) => {
+    const billingSnap = await t.get(billingRef);
+    if (!billingSnap.exists) throw new Error(`Cobrança ${billingId} não encontrada`);
+
+    const billingData = billingSnap.data();
+    if (isBillingApplied(billingData) || billingData.status === 'refunded') return null;
+
+    const { personalId, planId } = billingData;
+    const billingCycle = getCycle(billingData.billingCycle).id;
+    const planConfig   = PLANS[planId] || PLANS.starter;
+
+    const subRef  = db.collection('subscriptions').doc(personalId);
+    const subSnap = await t.get(subRef);
+    const current = subSnap.exists ? toPlanSub(subSnap.data()) : null;
+    const currentExpiry = current?.expiresAt || null;
+
+    // Orçamento velho: outra cobrança (ex.: renovação) mudou o vencimento
+    // depois que esta foi criada — crédito/data de troca não valem mais
+    const quotedExpiryMs = billingData.previousExpiresAt?.toMillis?.() ?? null;
+
+    let changeType = billingData.changeType || 'renewal';
+    if ((changeType === 'upgrade' || changeType === 'downgrade') &&
+        (!current || current.planId !== billingData.previousPlanId || !currentExpiry || currentExpiry <= now ||
+         quotedExpiryMs !== currentExpiry.getTime())) {
+      console.warn(`[subscriptions] Assinatura mudou desde a cobrança ${billingId} — aplicando como renovação`);
+      changeType = 'renewal';
+    }
+
+    let newExpiry;
+    const subData = {
+      personalId,
+      status:        'active',
+      lastPaymentAt: FieldValue.serverTimestamp(),
+      updatedAt:     FieldValue.serverTimestamp(),
+    };
+
+    if (changeType === 'downgrade') {
+      newExpiry = calcExpiry(billingCycle, currentExpiry, now);
+      subData.pendingChange = {
+        planId,
+        billingCycle,
+        maxStudents: planConfig.maxStudents,
+        effectiveAt: Timestamp.fromDate(currentExpiry),
+        billingId,
+      };
+    } else {
+      if (changeType === 'upgrade') {
+        newExpiry = new Date(now.getTime());
+        newExpiry.setDate(newExpiry.getDate() + getCycle(billingCycle).durationDays + (billingData.bonusDays || 0));
+      } else {
+        newExpiry = calcExpiry(billingCycle, currentExpiry, now);
+      }
+      Object.assign(subData, { planId, billingCycle, maxStudents: planConfig.maxStudents });
+      if (subSnap.exists) subData.pendingChange = FieldValue.delete();
+    }
+    subData.expiresAt = Timestamp.fromDate(newExpiry);
+
+    if (subSnap.exists) {
+      t.update(subRef, subData);
+    } else {
+      t.set(subRef, { ...subData, createdAt: FieldValue.serverTimestamp() });
+    }
+
+    const userUpdate = {
+      subscriptionStatus:  'active',
+      subscriptionExpiry:  subData.expiresAt,
+      subscriptionUpdated: FieldValue.serverTimestamp(),
+    };
+    if (changeType !== 'downgrade') userUpdate.subscriptionPlan = planId;
+    t.update(db.collection('users').doc(personalId), userUpdate);
+
+    // Estado anterior para um eventual estorno (revertPaidBilling)
+    t.update(billingRef, {
+      ...billingUpdate,
+      status:             billingData.status === 'disputed' ? 'disputed' : 'paid',
+      paidAt:             FieldValue.serverTimestamp(),
+      appliedChangeType:  changeType,
+      planIdBefore:       current?.planId || null,
+      billingCycleBefore: current?.billingCycle || null,
+      expiresAtBefore:    currentExpiry ? Timestamp.fromDate(currentExpiry) : null,
+      expiresAtAfter:     subData.expiresAt,
+    });
+
+    return {
+      personalId,
+      changeType,
+      planId:       changeType === 'downgrade' ? current.planId : planId,
+      billingCycle: changeType === 'downgrade' ? getCycle(current.billingCycle).id : billingCycle,
+      expiresAt:    newExpiry,
+    };
+  });
+
+  if (!applied) return null;
+
+  // Renovação em plano menor depois de vencer: pode ter passado do limite
+  await syncStudentLimit(applied.personalId).catch(err =>
+    console.warn('[subscriptions] Recontagem de alunos falhou:', err.message));
+
+  const { changeType, planId, billingCycle, expiresAt } = applied;
+  return { changeType, planId, billingCycle, expiresAt };
+}
+
+/**
+ * Aplica o downgrade agendado se já chegou a data. Transação: cron e
+ * subscription-status podem tentar ao mesmo tempo.
+ *
+ * @param {FirebaseFirestore.DocumentReference} subRef
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} pendingChange aplicado, ou null
+ */
+async function applyDueChange(subRef, now = new Date()) {
+  const { FieldValue } = admin.firestore;
+
+  const applied = await db.runTransaction(async (t) => {
+    const snap = await t.get(subRef);
+    if (!snap.exists) return null;
+
+    const data    = snap.data();
+    const pending = data.pendingChange;
+    const due     = pending?.effectiveAt?.toDate?.();
+    if (!pending || !due || due > now || !PLANS[pending.planId]) return null;
+
+    t.update(subRef, {
+      planId:        pending.planId,
+      billingCycle:  getCycle(pending.billingCycle).id,
+      maxStudents:   PLANS[pending.planId].maxStudents,
+      pendingChange: FieldValue.delete(),
+      planChangedAt: FieldValue.serverTimestamp(),
+      updatedAt:     FieldValue.serverTimestamp(),
+    });
+    t.update(db.collection('users').doc(data.personalId || subRef.id), {
+      subscriptionPlan:    pending.planId,
+      subscriptionUpdated: FieldValue.serverTimestamp(),
+    });
+    return { ...pending, previousPlanId: data.planId };
+  });
+
+  if (!applied) return null;
+
+  const personalId = subRef.id;
+  const limit      = await syncStudentLimit(personalId).catch(err => {
+    console.warn('[subscriptions] Recontagem de alunos falhou:', err.message);
+    return null;
+  });
+
+  const plan       = PLANS[applied.planId];
+  try {
+    await db.collection('notifications').doc(`plan_change_${personalId}_${applied.billingId || applied.effectiveAt.toMillis()}`).create({
+      userId:      personalId,
+      type:        'plan_changed',
+      level:       limit?.exceeded ? 'warning' : 'info',
+      title:       '🔄 Plano alterado',
+      message:     limit?.exceeded
+        ? `Seu plano agora é ${plan.name} (até ${plan.maxStudents} alunos). Você tem ${limit.studentCount} — escolha quais continuam ativos.`
+        : `Seu plano agora é ${plan.name} (até ${plan.maxStudents} alunos), conforme agendado.`,
+      actionUrl:   limit?.exceeded ? '/#/personal/dashboard' : '/#/personal/billing',
+      actionLabel: limit?.exceeded ? 'Escolher alunos' : 'Ver assinatura',
+      read:        false,
+      createdAt:   FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    if (err.code !== ALREADY_EXISTS) console.warn('[subscriptions] Notificação de troca de plano falhou:', err.message);
+  }
+
+  return applied;
+}
+
+/**
+ * Estorno de uma cobrança: status 'refunded' e, se ela foi aplicada
+ * (isBillingApplied), desfaz o que aplicou.
+ *
+ * - Vencimento de upgrade (ou plano novo diferente do anterior): volta ao
+ *   expiresAtBefore — o upgrade recomeçou o vencimento de agora, então tirar
+ *   "dias somados" não desfaz nada. Dias pagos depois por outras cobranças
+ *   (além do expiresAtAfter) são mantidos.
+ * - Vencimento de renovação/downgrade: menos os dias que a cobrança somou
+ *   (expiresAtAfter menos o ponto de partida — vencimento anterior ou data
+ *   do pagamento). Cobrança antiga, sem o estado gravado: menos a duração do
+ *   ciclo.
+ * - Plano: se a cobrança trocou o plano (upgrade, plano novo depois de
+ *   vencer) e ele ainda é o plano da assinatura, volta ao anterior.
+ * - Downgrade agendado por esta cobrança é cancelado.
+ * - Status recalculado com a mesma carência do cron/subscription-status.
+ *
+ * Transação com a cobrança (revertedAt): um retry do webhook depois de falha
+ * reverte uma vez só, e nunca reverte o que não foi aplicado.
+ *
+ * @param {string} billingId
+ * @param {Date} [now]
+ * @returns {Promise<{ planId: string, expiresAt: Date, status: string }|null>}
+ *          null se não havia nada a reverter
+ */
+async function revertPaidBilling(billingId, now = new Date()) {
+  const { FieldValue, Timestamp } = admin.firestore;
+  const billingRef = db.collection('billings').doc(billingId);
+
+  const reverted = await db.runTransaction(async (t) => {
+    const billingSnap = await t.get(billingRef);
+    if (!billingSnap.exists) throw new Error(`Cobrança ${billingId} não encontrada`);
+
+    const billingData = billingSnap.data();
+    const { personalId } = billingData;
+    const refunded = billingData.status === 'refunded'
+      ? {}
+      : { status: 'refunded', refundedAt: FieldValue.serverTimestamp() };
+
+    const subRef  = db.collection('subscriptions').doc(personalId);
+    const subSnap = await t.get(subRef);
+
+    if (!isBillingApplied(billingData) || billingData.revertedAt || !subSnap.exists) {
+      if (Object.keys(refunded).length) t.update(billingRef, refunded);
+      return null;
+    }
+
+    const data    = subSnap.data();
+    const current = toPlanSub(data);
+    const before  = billingData.expiresAtBefore?.toDate?.() || null;
+    const after   = billingData.expiresAtAfter?.toDate?.() || null;
+    const paidAt  = billingData.paidAt?.toDate?.() || now;
+
+    const planBefore       = billingData.planIdBefore;
+    const restoresPrevious = after && (billingData.appliedChangeType === 'upgrade' ||
+      (billingData.appliedChangeType === 'new' && planBefore && planBefore !== billingData.planId));
+
+    let newExpiry;
+    if (restoresPrevious) {
+      const laterMs = Math.max(0, (current.expiresAt || after).getTime() - after.getTime());
+      newExpiry = new Date((before || paidAt).getTime() + laterMs);
+    } else {
+      const addedMs = after
+        ? Math.max(0, after.getTime() - Math.max(before?.getTime() || 0, paidAt.getTime()))
+        : getCycle(billingData.billingCycle).durationDays * DAY_MS;
+      newExpiry = new Date((current.expiresAt || now).getTime() - addedMs);
+    }
+
+    const graceCutoff = new Date(newExpiry);
+    graceCutoff.setDate(graceCutoff.getDate() + GRACE_PERIOD_DAYS);
+    let status;
+    if (now < newExpiry)        status = 'active';
+    else if (now < graceCutoff) status = 'grace_period';
+    else                        status = 'expired';
+
+    const update = {
+      status,
+      expiresAt:  Timestamp.fromDate(newExpiry),
+      refundedAt: FieldValue.serverTimestamp(),
+      updatedAt:  FieldValue.serverTimestamp(),
+    };
+
+    let planId = current.planId;
+    if (billingData.appliedChangeType !== 'downgrade' &&
+        current.planId === billingData.planId &&
+        planBefore && planBefore !== current.planId && PLANS[planBefore]) {
+      planId = planBefore;
+      Object.assign(update, {
+        planId,
+        billingCycle: getCycle(billingData.billingCycleBefore).id,
+        maxStudents:  PLANS[planId].maxStudents,
+      });
+    }
+
+    if (data.pendingChange?.billingId === billingId) {
+      update.pendingChange = FieldValue.delete();
+    }
+
+    t.update(subRef, update);
+    t.update(db.collection('users').doc(personalId), {
+      subscriptionStatus:  status,
+      subscriptionPlan:    planId,
+      subscriptionExpiry:  update.expiresAt,
+      subscriptionUpdated: FieldValue.serverTimestamp(),
+    });
+    t.update(billingRef, { ...refunded, revertedAt: FieldValue.serverTimestamp() });
+
+    return { personalId, planId, expiresAt: newExpiry, status };
+  });
+
+  if (!reverted) return null;
+
+  // Plano anterior menor: pode ter passado do limite de alunos
+  await syncStudentLimit(reverted.personalId).catch(err =>
+    console.warn('[subscriptions] Recontagem de alunos falhou:', err.message));
+
+  const { planId, expiresAt, status } = reverted;
+  return { planId, expiresAt, status };
+}
+
+module.exports = {
+  isBillingApplied,
+  toPlanSub,
+  getSlotStudents,
+  syncStudentLimit,
+  applyPaidBilling,
+  applyDueChange,
+  revertPaidBilling,
+};
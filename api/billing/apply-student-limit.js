@@ -0,0 +1,120 @@
+/**
+ * POST /api/billing/apply-student-limit
+ *
+ * Escolha de quais alunos continuam ativos quando o plano ficou menor que a
+ * quantidade de alunos (downgrade aplicado ou renovação em plano menor).
+ * Chamado pela tela guiada do subscriptionGuard.
+ *
+ * - Body: { keepStudentIds: string[] } — alunos que ficam; até maxStudents.
+ * - Os demais alunos que ocupam vaga (status diferente de 'inactive') são
+ *   desativados (status 'inactive', deactivatedReason 'plan_limit'), como o
+ *   deactivateStudent do cliente.
+ * - Recalcula users.studentCount e limpa subscriptions.studentLimitExceeded
+ *   (escrita só pelo backend — rules).
+ * - Ids que não são alunos do personal, ou que já estão inativos → 400.
+ */
+
+const { applyCors }           = require('../_lib/cors');
+const { checkRateLimitDual }  = require('../_lib/ratelimit');
+const { verifyToken }         = require('../_lib/auth');
+const { validateContentType } = require('../_lib/validateContentType');
+const { logger }              = require('../_lib/logger');
+const { admin, db }           = require('../_lib/firebase-admin');
+const { PLANS }               = require('../_lib/plans');
+const { getSlotStudents }     = require('../_lib/subscriptions');
+
+const MAX_BATCH_WRITES = 400;
+
+module.exports = async function handler(req, res) {
+  // ── CORS ──────────────────────────────────────────────────────────────────
+  try {
+    applyCors(req, res, 'POST, OPTIONS');
+  } catch (err) {
+    console.error('[apply-student-limit] CORS error:', err.message);
+    return res.status(403).json({ error: 'Origin não permitida' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Método não permitido' });
+
+  if (!validateContentType(req, res)) return;
+
+  // ── Auth ──────────────────────────────────────────────────────────────────
+  const decoded = await verifyToken(req);
+  if (!decoded) return res.status(401).json({ error: 'Não autenticado' });
+
+  const uid = decoded.uid;
+
+  // ── Rate limiting ─────────────────────────────────────────────────────────
+  try {
+    const { limited, reset } = await checkRateLimitDual(req, uid, 'api');
+    if (limited) {
+      const retryAfter = Math.ceil((reset - Date.now()) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: 'Muitas tentativas. Aguarde antes de tentar novamente.' });
+    }
+  } catch (err) {
+    console.error('[apply-student-limit] Rate limit error:', err.message);
+    return res.status(503).json({ error: 'Serviço temporariamente indisponível' });
+  }
+
+  const { keepStudentIds } = req.body || {};
+  if (!Array.isArray(keepStudentIds) || keepStudentIds.some(id => typeof id !== 'string' || !id || id.length > 128)) {
+    return res.status(400).json({ error: 'keepStudentIds inválido' });
+  }
+  const keep = new Set(keepStudentIds);
+  if (keep.size !== keepStudentIds.length) {
+    return res.status(400).json({ error: 'Alunos repetidos na seleção' });
+  }
+
+  try {
+    const subRef  = db.collection('subscriptions').doc(uid);
+    const subSnap = await subRef.get();
+    if (!subSnap.exists) return res.status(404).json({ error: 'Assinatura não encontrada' });
+
+    const sub         = subSnap.data();
+    const maxStudents = PLANS[sub.planId]?.maxStudents || sub.maxStudents || 0;
+    if (keep.size > maxStudents) {
+      return res.status(400).json({ error: `O plano atual permite até ${maxStudents} aluno(s) ativos.` });
+    }
+
+    const slotStudents = await getSlotStudents(uid);
+    const slotIds      = new Set(slotStudents.map(d => d.id));
+    if (keepStudentIds.some(id => !slotIds.has(id))) {
+      return res.status(400).json({ error: 'Seleção contém alunos inválidos ou já inativos' });
+    }
+
+    const toDeactivate = slotStudents.filter(d => !keep.has(d.id));
+    const { FieldValue } = admin.firestore;
+
+    for (let i = 0; i < toDeactivate.length; i += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      toDeactivate.slice(i, i + MAX_BATCH_WRITES).forEach(d => batch.update(d.ref, {
+        status:            'inactive',
+        deactivatedReason: 'plan_limit',
+        deactivatedAt:     FieldValue.serverTimestamp(),
+      }));
+      await batch.commit();
+    }
+
+    await Promise.all([
+      db.collection('users').doc(uid).update({ studentCount: keep.size }),
+      subRef.update({
+        studentLimitExceeded:  false,
+        studentLimitAppliedAt: FieldValue.serverTimestamp(),
+        updatedAt:             FieldValue.serverTimestamp(),
+      }),
+    ]);
+
+    logger.info('apply-student-limit', 'Limite de alunos aplicado', {
+      uid, maxStudents, kept: keep.size, deactivated: toDeactivate.length,
+    });
+
+    return res.status(200).json({ ok: true, kept: keep.size, deactivated: toDeactivate.length, maxStudents });
+  } catch (err) {
+    console.error('[apply-student-limit] Erro ao aplicar limite:', err.message);
+    return res.status(500).json({ error: 'Erro ao aplicar limite de alunos' });
+  }
+};
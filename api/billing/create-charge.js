@@ -7,6 +7,19 @@
  * CORREÇÃO 3.8  — Quota de billings pendentes por personal (máx 3)
  * CORREÇÃO 3.9  — verifyToken centralizado via _lib/auth.js
  * CORREÇÃO 3.10 — Firebase Admin centralizado via _lib/firebase-admin.js
+ *
+ * Ciclos de cobrança: body aceita `cycle` (monthly | quarterly | annual,
+ * padrão monthly). Valor com desconto vem de _lib/plans.js; a cobrança
+ * guarda billingCycle e o webhook usa o ciclo para estender o vencimento.
+ * `billingPeriod` continua sendo o mês da cobrança ("YYYY-MM").
+ *
+ * Mudança de plano: o valor sai de quotePlanChange (_lib/plans.js) sobre
+ * subscriptions/{uid}. Upgrade abate o crédito dos dias restantes; downgrade
+ * cobra o preço cheio e é agendado para o vencimento atual. A cobrança guarda
+ * changeType, creditInCents, bonusDays e previousPlanId para o webhook.
+ * Com downgrade já agendado, só é aceito upgrade acima do plano atual.
+ *
+ * Gateway via _lib/abacatepay.js (ABACATEPAY_BASE_URL — mock local em dev).
  */
 
 const { applyCors }            = require('../_lib/cors');
@@ -14,6 +27,9 @@ const { checkRateLimitDual }   = require('../_lib/ratelimit');
 const { verifyToken }          = require('../_lib/auth');
 const { validateContentType }  = require('../_lib/validateContentType');
 const { admin, db }            = require('../_lib/firebase-admin');
+const { PLANS, BILLING_CYCLES, DEFAULT_CYCLE, isValidCycle, quotePlanChange } = require('../_lib/plans');
+const { toPlanSub }            = require('../_lib/subscriptions');
+const { abacateFetch }         = require('../_lib/abacatepay');
 
 // ── Zod schema (CORREÇÃO 1.2) ─────────────────────────────────────────────
 let z;
@@ -23,12 +39,6 @@ try {
   z = null;
 }
 
-const PLANS = {
-  starter: { id: 'starter', name: 'Starter', priceInCents: 990,  maxStudents: 5  },
-  pro:     { id: 'pro',     name: 'Pro',     priceInCents: 1990, maxStudents: 15 },
-  elite:   { id: 'elite',   name: 'Elite',   priceInCents: 4940, maxStudents: 40 },
-};
-
 // ── Validação de CPF (dígitos verificadores) ──────────────────────────────
 function validateCPF(raw) {
   const digits = (raw || '').replace(/\D/g, '');
@@ -62,7 +72,7 @@ function formatPhone(raw) {
 }
 
 async function createPixQrCode({
-  amount, externalId, personalId, planId,
+  amount, externalId, personalId, planId, billingCycle,
   customerName, customerEmail, customerPhone, customerTaxId,
 }) {
   const apiKey = process.env.ABACATEPAY_API_KEY;
@@ -71,23 +81,19 @@ async function createPixQrCode({
   const body = {
     amount,
     expiresIn:   1800,
-    description: `Featym — Plano ${PLANS[planId]?.name}`,
+    description: `Featym — Plano ${PLANS[planId]?.name} (${BILLING_CYCLES[billingCycle]?.label})`,
     customer: {
       name:      customerName,
       email:     customerEmail,
       cellphone: formatPhone(customerPhone),
       taxId:     formatCPF(customerTaxId),
     },
-    metadata: { personalId, planId, externalId },
+    metadata: { personalId, planId, billingCycle, externalId },
   };
 
-  const fetchRes = await fetch('https://api.abacatepay.com/v1/pixQrCode/create', {
+  const fetchRes = await abacateFetch('/pixQrCode/create', {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type':  'application/json',
-    },
-    body: JSON.stringify(body),
+    body:   JSON.stringify(body),
   });
 
   const json = await fetchRes.json();
@@ -102,10 +108,7 @@ async function createPixQrCode({
 async function isPixStillValid(gatewayId) {
   if (!gatewayId) return false;
   try {
-    const checkRes = await fetch(
-      `https://api.abacatepay.com/v1/pixQrCode/check?id=${gatewayId}`,
-      { headers: { 'Authorization': `Bearer ${process.env.ABACATEPAY_API_KEY}` } }
-    );
+    const checkRes = await abacateFetch(`/pixQrCode/check?id=${encodeURIComponent(gatewayId)}`);
     const checkJson = await checkRes.json();
     return checkRes.ok && checkJson?.data?.status === 'PENDING';
   } catch {
@@ -154,17 +157,19 @@ module.exports = async function handler(req, res) {
   }
 
   // ── CORREÇÃO 1.2: Schema validation com Zod ───────────────────────────────
-  const { planId, cpf, phone } = req.body || {};
+  const { planId, cpf, phone, cycle = DEFAULT_CYCLE } = req.body || {};
 
   if (z) {
     const schema = z.object({
       planId: z.enum(['starter', 'pro', 'elite']),
+      cycle:  z.enum(['monthly', 'quarterly', 'annual']),
       cpf:    z.string().regex(/^\d{11}$/, 'CPF deve ter 11 dígitos'),
       phone:  z.string().regex(/^\d{10,11}$/, 'Telefone deve ter 10 ou 11 dígitos'),
     }).strict(); // .strict() rejeita campos extras
 
     const parsed = schema.safeParse({
       planId,
+      cycle,
       cpf:   (cpf   || '').replace(/\D/g, ''),
       phone: (phone || '').replace(/\D/g, ''),
     });
@@ -179,12 +184,16 @@ module.exports = async function handler(req, res) {
     // Fallback manual se Zod não estiver instalado
     const plan = PLANS[planId];
     if (!plan) return res.status(400).json({ error: 'Plano inválido' });
+    if (!isValidCycle(cycle)) return res.status(400).json({ error: 'Ciclo de cobrança inválido' });
     if (!cpf || !validateCPF(cpf)) return res.status(400).json({ error: 'CPF inválido.', field: 'cpf' });
     if (!phone || !validatePhone(phone)) return res.status(400).json({ error: 'Telefone inválido.', field: 'phone' });
   }
 
   const plan = PLANS[planId];
   if (!plan) return res.status(400).json({ error: 'Plano inválido' });
+  if (!isValidCycle(cycle)) return res.status(400).json({ error: 'Ciclo de cobrança inválido' });
+
+  const billingCycle = cycle;
 
   // Validações adicionais de CPF/telefone
   if (!validateCPF(cpf)) return res.status(400).json({ error: 'CPF inválido.', field: 'cpf' });
@@ -203,6 +212,40 @@ module.exports = async function handler(req, res) {
     return res.status(403).json({ error: 'Apenas personal trainers podem assinar' });
   }
 
+  // ── Mudança de plano: crédito dos dias restantes ──────────────────────────
+  let currentSub;
+  try {
+    const subSnap = await db.collection('subscriptions').doc(uid).get();
+    currentSub = subSnap.exists ? toPlanSub(subSnap.data()) : null;
+  } catch (err) {
+    console.error('[create-charge] Firestore error:', err.message);
+    return res.status(500).json({ error: 'Erro ao consultar banco de dados' });
+  }
+
+  const quote = quotePlanChange(currentSub, planId, billingCycle);
+  if (currentSub?.pendingChange && quote.changeType !== 'upgrade' && quote.changeType !== 'new') {
+    return res.status(409).json({
+      error: `Já existe uma mudança para o plano ${PLANS[currentSub.pendingChange.planId]?.name || ''} agendada. Aguarde ela entrar em vigor.`,
+    });
+  }
+
+  const amountInCents = quote.amountInCents;
+  const amountBRL     = (amountInCents / 100).toFixed(2).replace('.', ',');
+  const changeFields  = {
+    changeType:        quote.changeType,
+    fullPriceInCents:  quote.fullPriceInCents,
+    creditInCents:     quote.creditInCents,
+    bonusDays:         quote.bonusDays,
+    previousPlanId:    currentSub?.planId || null,
+    previousExpiresAt: currentSub?.expiresAt ? admin.firestore.Timestamp.fromDate(currentSub.expiresAt) : null,
+  };
+  const quoteResponse = {
+    changeType:    quote.changeType,
+    creditInCents: quote.creditInCents,
+    bonusDays:     quote.bonusDays,
+    effectiveAt:   quote.effectiveAt ? quote.effectiveAt.toISOString() : null,
+  };
+
   const userData      = userDoc.data();
   const customerName  = userData.name  || 'Cliente';
   const customerEmail = userData.email || '';
@@ -234,6 +277,8 @@ module.exports = async function handler(req, res) {
       .where('personalId', '==', uid)
       .where('billingPeriod', '==', billingPeriod)
       .where('planId', '==', planId)
+      .where('billingCycle', '==', billingCycle)
+      .where('changeType', '==', quote.changeType)
       .where('status', '==', 'pending')
       .limit(1)
       .get();
@@ -244,7 +289,8 @@ module.exports = async function handler(req, res) {
 
       const valid = await isPixStillValid(existingData.gatewayId);
 
-      if (valid) {
+      // Crédito muda com o passar dos dias: só reaproveita o PIX do mesmo valor
+      if (valid && existingData.amountInCents === amountInCents) {
         console.log('[create-charge] Reutilizando cobrança pendente válida:', existingDoc.id);
         return res.status(200).json({
           alreadyExists: true,
@@ -253,12 +299,14 @@ module.exports = async function handler(req, res) {
           pixCopyPaste: existingData.pixCopyPaste,
           pixBase64:    existingData.pixBase64,
           status:       existingData.status,
-          amountBRL:    (plan.priceInCents / 100).toFixed(2).replace('.', ','),
+          amountBRL,
           planName:     plan.name,
+          billingCycle,
+          ...quoteResponse,
         });
       }
 
-      console.log('[create-charge] QR Code expirado, criando novo para plano:', planId);
+      console.log('[create-charge] QR Code expirado ou valor desatualizado, criando novo para plano:', planId);
       await existingDoc.ref.update({ status: 'expired' });
     }
   } catch (err) {
@@ -266,15 +314,16 @@ module.exports = async function handler(req, res) {
   }
 
   // ── Criar nova cobrança ───────────────────────────────────────────────────
-  const externalId = `featym_${uid}_${billingPeriod}_${planId}_${Date.now()}`;
+  const externalId = `featym_${uid}_${billingPeriod}_${planId}_${billingCycle}_${Date.now()}`;
 
   let pixData;
   try {
     pixData = await createPixQrCode({
-      amount: plan.priceInCents,
+      amount: amountInCents,
       externalId,
       personalId:     uid,
       planId,
+      billingCycle,
       customerName,
       customerEmail,
       customerPhone,
@@ -293,9 +342,11 @@ module.exports = async function handler(req, res) {
       personalId:    uid,
       planId,
       planName:      plan.name,
-      amountInCents: plan.priceInCents,
+      amountInCents,
       status:        'pending',
       billingPeriod,
+      billingCycle,
+      ...changeFields,
       externalId,
       gatewayId:     pixData.id           || '',
       pixCopyPaste:  pixData.brCode       || '',
@@ -313,15 +364,17 @@ module.exports = async function handler(req, res) {
     return res.status(500).json({ error: 'Erro ao salvar cobrança' });
   }
 
-  console.log(`[create-charge] ✓ Cobrança criada: ${billingRef.id} plano=${planId} uid=${uid}`);
+  console.log(`[create-charge] ✓ Cobrança criada: ${billingRef.id} plano=${planId} ciclo=${billingCycle} mudança=${quote.changeType} uid=${uid}`);
 
   return res.status(201).json({
     billingId:    billingRef.id,
     gatewayPixId: pixData.id,
     pixCopyPaste: pixData.brCode       || '',
     pixBase64:    pixData.brCodeBase64 || '',
-    amountBRL:    (plan.priceInCents / 100).toFixed(2).replace('.', ','),
+    amountBRL,
     planName:     plan.name,
+    billingCycle,
     expiresAt:    pixData.expiresAt,
+    ...quoteResponse,
   });
 };
\ No newline at end of file
@@ -6,6 +6,14 @@
  * CORREÇÃO 3.10 — Firebase Admin via _lib/firebase-admin.js centralizado.
  *
  * Todas as correções v4 mantidas (bloqueio em produção, ownership check, etc.)
+ *
+ * Ciclos de cobrança: mesmo cálculo do webhook (_lib/plans.js) — dias do
+ * billingCycle da cobrança, somados ao vencimento atual se ainda não venceu.
+ * Upgrade/downgrade aplicados por _lib/subscriptions.js, como no webhook.
+ *
+ * Gateway local: com ABACATEPAY_BASE_URL em localhost (mock) a simulação é
+ * liberada sem chave Dev Mode; o mock marca o PIX como pago e dispara o
+ * webhook assinado, e o processamento local abaixo continua como fallback.
  */
 
 const { applyCors }           = require('../_lib/cors');
@@ -14,19 +22,8 @@ const { logger }              = require('../_lib/logger');
 const { verifyToken }         = require('../_lib/auth');
 const { validateContentType } = require('../_lib/validateContentType');
 const { admin, db }           = require('../_lib/firebase-admin');
-
-const PLANS = {
-  starter: { maxStudents: 5,  durationDays: 30 },
-  pro:     { maxStudents: 15, durationDays: 30 },
-  elite:   { maxStudents: 40, durationDays: 30 },
-};
-
-function calcExpiry(planId) {
-  const days = PLANS[planId]?.durationDays || 30;
-  const d = new Date();
-  d.setDate(d.getDate() + days);
-  return admin.firestore.Timestamp.fromDate(d);
-}
+const { applyPaidBilling } = require('../_lib/subscriptions');
+const { abacateFetch, isLocalGateway } = require('../_lib/abacatepay');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).end();
@@ -34,7 +31,7 @@ module.exports = async function handler(req, res) {
   // ── SECURITY: Bloquear em produção ────────────────────────────────────────
   const isProd   = process.env.NODE_ENV === 'production';
   const apiKey   = process.env.ABACATEPAY_API_KEY || '';
-  const isDevKey = apiKey.includes('_dev_');
+  const isDevKey = apiKey.includes('_dev_') || isLocalGateway();
 
   if (isProd) {
     logger.security('simulate-payment', 'Tentativa de simulação em produção bloqueada');
@@ -42,7 +39,7 @@ module.exports = async function handler(req, res) {
   }
 
   if (!isDevKey) {
-    return res.status(403).json({ error: 'Simulação disponível apenas com chave Dev Mode do AbacatePay' });
+    return res.status(403).json({ error: 'Simulação disponível apenas com chave Dev Mode do AbacatePay ou gateway local' });
   }
 
   // ── CORS ──────────────────────────────────────────────────────────────────
@@ -88,16 +85,9 @@ module.exports = async function handler(req, res) {
   // ── 1. Tentar simular na AbacatePay ───────────────────────────────────────
   let abacateOk = false;
   try {
-    const abacateRes = await fetch(
-      `https://api.abacatepay.com/v1/pixQrCode/simulate-payment?id=${encodeURIComponent(gatewayPixId)}`,
-      {
-        method:  'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type':  'application/json',
-        },
-        body: JSON.stringify({ metadata: {} }),
-      }
+    const abacateRes = await abacateFetch(
+      `/pixQrCode/simulate-payment?id=${encodeURIComponent(gatewayPixId)}`,
+      { method: 'POST', body: JSON.stringify({ metadata: {} }) }
     );
     const abacateJson = await abacateRes.json();
 
@@ -111,7 +101,8 @@ module.exports = async function handler(req, res) {
     console.warn('[simulate-payment] Erro ao chamar AbacatePay (continuando local):', e.message);
   }
 
-  // ── 2. Buscar billing pelo gatewayId ──────────────────────────────────────
+  // ── 2. Buscar billing pelo gatewayId (depois da simulação: o webhook do ──
+  //       gateway pode já ter ativado) ──────────────────────────────────────
   const billingSnap = await db.collection('billings')
     .where('gatewayId', '==', gatewayPixId)
     .limit(1)
@@ -134,47 +125,23 @@ module.exports = async function handler(req, res) {
     return res.status(403).json({ error: 'Acesso negado' });
   }
 
-  const { personalId, planId } = billingData;
+  const { personalId } = billingData;
+
+  if (billingData.status === 'paid') {
+    logger.info('simulate-payment', 'Cobrança já paga (webhook do gateway)', { personalId, billingId: billingDoc.id });
+    return res.status(200).json({ success: true, activated: true, abacateOk, alreadyPaid: true, personalId });
+  }
 
   // ── 4. Processar pagamento ────────────────────────────────────────────────
   const processedRef = db.collection('processedWebhooks').doc(`dev_${gatewayPixId}`);
 
-  await billingDoc.ref.update({
-    status: 'paid',
-    paidAt: admin.firestore.FieldValue.serverTimestamp(),
-  });
-
-  const planConfig = PLANS[planId] || PLANS.starter;
-  const newExpiry  = calcExpiry(planId);
-  const subRef     = db.collection('subscriptions').doc(personalId);
-  const subSnap    = await subRef.get();
-
-  const subData = {
-    personalId,
-    planId,
-    maxStudents:   planConfig.maxStudents,
-    status:        'active',
-    lastPaymentAt: admin.firestore.FieldValue.serverTimestamp(),
-    expiresAt:     newExpiry,
-    updatedAt:     admin.firestore.FieldValue.serverTimestamp(),
-  };
-
-  if (subSnap.exists) {
-    await subRef.update(subData);
-  } else {
-    await subRef.set({
-      ...subData,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+  // status 'paid' é gravado pelo applyPaidBilling, na mesma transação da assinatura
+  const applied = await applyPaidBilling(billingDoc.id);
+  if (!applied) {
+    logger.info('simulate-payment', 'Cobrança aplicada em paralelo (webhook do gateway)', { personalId, billingId: billingDoc.id });
+    return res.status(200).json({ success: true, activated: true, abacateOk, alreadyPaid: true, personalId });
   }
 
-  await db.collection('users').doc(personalId).update({
-    subscriptionStatus:  'active',
-    subscriptionPlan:    planId,
-    subscriptionExpiry:  newExpiry,
-    subscriptionUpdated: admin.firestore.FieldValue.serverTimestamp(),
-  });
-
   await processedRef.set({
     processedAt:  admin.firestore.FieldValue.serverTimestamp(),
     billingDocId: billingDoc.id,
@@ -183,13 +150,15 @@ module.exports = async function handler(req, res) {
     source:       'simulate-payment-dev',
   });
 
-  logger.info('simulate-payment', 'Ativado em dev', { personalId, planId });
+  logger.info('simulate-payment', 'Ativado em dev', { personalId, planId: applied.planId, changeType: applied.changeType });
 
   return res.status(200).json({
-    success:   true,
-    activated: true,
+    success:      true,
+    activated:    true,
     abacateOk,
-    planId,
+    planId:       applied.planId,
+    billingCycle: applied.billingCycle,
+    changeType:   applied.changeType,
     personalId,
   });
 };
\ No newline at end of file
@@ -3,17 +3,23 @@
  *
  * CORREÇÃO 3.9  — verifyToken migrado para _lib/auth.js centralizado.
  * CORREÇÃO 3.10 — Firebase Admin via _lib/firebase-admin.js centralizado.
+ *
+ * Planos de _lib/plans.js; a resposta inclui o billingCycle da assinatura.
+ *
+ * Mudança de plano: downgrade agendado que já venceu é aplicado aqui (além
+ * do cron). A resposta traz pendingChange e o crédito dos dias restantes
+ * (creditInCents) usado pela tela de planos para estimar o upgrade.
+ *
+ * Limite de alunos: reconta os alunos que ocupam vaga a cada consulta
+ * (syncStudentLimit) e devolve studentCount / studentLimitExceeded — o
+ * subscriptionGuard abre a escolha de alunos quando passou do limite.
  */
 
 const { applyCors }    = require('../_lib/cors');
 const { verifyToken }  = require('../_lib/auth');
 const { admin, db }    = require('../_lib/firebase-admin');
-
-const PLANS = {
-  starter: { name: 'Starter', priceInCents: 990,  maxStudents: 5  },
-  pro:     { name: 'Pro',     priceInCents: 1990, maxStudents: 15 },
-  elite:   { name: 'Elite',   priceInCents: 4940, maxStudents: 40 },
-};
+const { PLANS, getCycle, getRemainingCredit } = require('../_lib/plans');
+const { toPlanSub, applyDueChange, syncStudentLimit } = require('../_lib/subscriptions');
 
 const GRACE_PERIOD_DAYS = 3;
 
@@ -58,12 +64,23 @@ module.exports = async function handler(req, res) {
       showWarning:     false,
       warningMessage:  null,
       warningLevel:    null,
+      studentLimitExceeded: false,
     });
   }
 
-  const sub = subSnap.data();
+  let sub   = subSnap.data();
   const now = new Date();
 
+  if (sub.pendingChange?.effectiveAt?.toDate?.() <= now) {
+    try {
+      if (await applyDueChange(subSnap.ref, now)) {
+        sub = (await subSnap.ref.get()).data();
+      }
+    } catch (err) {
+      console.warn('[subscription-status] Falha ao aplicar mudança agendada (non-critical):', err.message);
+    }
+  }
+
   const expiresAt   = sub.expiresAt?.toDate?.() || new Date(0);
   const graceCutoff = new Date(expiresAt);
   graceCutoff.setDate(graceCutoff.getDate() + GRACE_PERIOD_DAYS);
@@ -114,16 +131,41 @@ module.exports = async function handler(req, res) {
     warningMessage = `Sua assinatura vence em ${daysUntilExpiry} dia(s). Renove para não interromper o acesso dos alunos.`;
   }
 
+  const planSub       = toPlanSub(sub);
+  const pendingChange = planSub.pendingChange && PLANS[planSub.pendingChange.planId]
+    ? {
+        planId:       planSub.pendingChange.planId,
+        planName:     PLANS[planSub.pendingChange.planId].name,
+        billingCycle: getCycle(planSub.pendingChange.billingCycle).id,
+        effectiveAt:  planSub.pendingChange.effectiveAt ? planSub.pendingChange.effectiveAt.toISOString() : null,
+      }
+    : null;
+  const { creditInCents, remainingDays } = getRemainingCredit(planSub, now);
+
+  let studentCount         = null;
+  let studentLimitExceeded = !!sub.studentLimitExceeded;
+  try {
+    ({ studentCount, exceeded: studentLimitExceeded } = await syncStudentLimit(uid, sub));
+  } catch (err) {
+    console.warn('[subscription-status] Recontagem de alunos falhou (non-critical):', err.message);
+  }
+
   return res.status(200).json({
     status:          computedStatus,
     isActive,
     planId:          sub.planId,
     planName:        planConfig.name || sub.planId,
+    billingCycle:    getCycle(sub.billingCycle).id,
     maxStudents:     planConfig.maxStudents || sub.maxStudents || 0,
     daysUntilExpiry,
     expiresAt:       expiresAt.toISOString(),
     showWarning,
     warningMessage,
     warningLevel,
+    pendingChange,
+    creditInCents,
+    remainingDays,
+    studentCount,
+    studentLimitExceeded,
   });
 };
\ No newline at end of file
@@ -4,9 +4,13 @@
  * CORREÇÃO 3.6 — Proteção contra execução dupla via Firestore lock.
  * Vercel pode executar duas instâncias do cron simultaneamente.
  * Um documento de lock garante que apenas uma instância processa por vez.
+ *
+ * Mudança de plano: aplica os downgrades agendados (pendingChange) cuja data
+ * já chegou — _lib/subscriptions.js → applyDueChange.
  */
 
 const { admin, db } = require('../_lib/firebase-admin');
+const { applyDueChange } = require('../_lib/subscriptions');
 
 const GRACE_DAYS    = 3;
 const LOCK_TIMEOUT  = 5 * 60 * 1000; // 5 minutos
@@ -53,9 +57,28 @@ module.exports = async function handler(req, res) {
   const now     = new Date();
   const in7Days = new Date(now); in7Days.setDate(in7Days.getDate() + 7);
 
-  const results = { warnings7d: 0, warnings3d: 0, expired: 0, errors: 0 };
+  const results = { warnings7d: 0, warnings3d: 0, expired: 0, planChanges: 0, errors: 0 };
 
   try {
+    // ── Mudanças de plano agendadas ─────────────────────────────────────────
+    try {
+      const dueSnap = await db.collection('subscriptions')
+        .where('pendingChange.effectiveAt', '<=', admin.firestore.Timestamp.fromDate(now))
+        .get();
+
+      for (const doc of dueSnap.docs) {
+        try {
+          if (await applyDueChange(doc.ref, now)) results.planChanges++;
+        } catch (e) {
+          console.error('[cron] Erro ao aplicar mudança de plano:', e.message);
+          results.errors++;
+        }
+      }
+    } catch (e) {
+      console.error('[cron] Erro ao buscar mudanças de plano:', e.message);
+      results.errors++;
+    }
+
     // ── Assinaturas vencendo em até 7 dias ──────────────────────────────────
     try {
       const soonSnap = await db.collection('subscriptions')
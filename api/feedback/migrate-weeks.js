@@ -0,0 +1,194 @@
+/**
+ * POST /api/feedback/migrate-weeks
+ *
+ * Migração dos feedbacks para a semana ISO-8601 ("YYYY-Www").
+ * O formato antigo ("2024-5") vinha de um cálculo próprio, em hora local e
+ * sem padding, e aparece também na chave do documento
+ * (studentId_workoutId_semana_dia).
+ *
+ * - Só roda com `Authorization: Bearer <MIGRATION_SECRET>`, chamada manual
+ *   (curl) ou por script de deploy. Sem a variável, o endpoint fica fechado.
+ * - A semana nova vem da data real do feedback (`date` ou `createdAt`) no fuso
+ *   do app, pela mesma implementação do cliente (js/domain/feedbacks/isoWeek.js).
+ * - Chave diferente: o doc é copiado para a chave nova (com migratedFrom e
+ *   legacyWeekIdentifier) e o antigo apagado, na mesma transação — junto com a
+ *   conversa (replies, no máximo 20, com feedbackId reescrito). Referências em
+ *   notifications.feedbackId e injuries.sourceFeedbackId são atualizadas; as
+ *   notificações de resposta mudam de id (reply_<novaChave>_<replyId>), para
+ *   o reply-notify continuar idempotente.
+ * - Idempotente: doc já no formato certo conta como `unchanged`; se a chave
+ *   nova já existe e veio deste doc (execução interrompida), só apaga o antigo.
+ * - Conflito (outro feedback já ocupa a chave nova): o doc fica na chave
+ *   antiga com o weekIdentifier ISO e `weekMigrationConflict` = chave nova.
+ * - Paginado por id: body { cursor?, limit? (1–400, padrão 200), dryRun? }.
+ *   Repita com o `nextCursor` da resposta até `done: true`.
+ */
+
+const crypto        = require('crypto');
+const { admin, db } = require('../_lib/firebase-admin');
+const { logger }    = require('../_lib/logger');
+const isoWeek       = require('../../js/domain/feedbacks/isoWeek');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT     = 400;
+const SAMPLE_SIZE   = 20;
+
+function isAuthorized(req) {
+  const secret = process.env.MIGRATION_SECRET || '';
+  const given  = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!secret || given.length !== secret.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(secret));
+}
+
+// `date` (ISO, envio original) tem precedência sobre createdAt (servidor)
+function feedbackDate(data) {
+  if (typeof data.date === 'string') {
+    const d = new Date(data.date);
+    if (!isNaN(d)) return d;
+  }
+  return data.createdAt?.toDate?.() || null;
+}
+
+function planFor(doc) {
+  const data = doc.data();
+  const date = feedbackDate(data);
+  if (!date || !data.studentId || !data.workoutId || !data.dayOfWeek) {
+    return { action: 'skip', id: doc.id };
+  }
+
+  const week   = isoWeek.getIsoWeekIdentifier(date);
+  const newKey = `${data.studentId}_${data.workoutId}_${week}_${data.dayOfWeek}`;
+
+  if (doc.id === newKey) {
+    return data.weekIdentifier === week && data.id === newKey
+      ? { action: 'unchanged', id: doc.id }
+      : { action: 'update', id: doc.id, week, newKey, from: data.weekIdentifier };
+  }
+  return { action: 'move', id: doc.id, week, newKey, from: data.weekIdentifier, data };
+}
+
+async function moveFeedback(plan) {
+  const oldRef = db.collection('feedbacks').doc(plan.id);
+  const newRef = db.collection('feedbacks').doc(plan.newKey);
+
+  const outcome = await db.runTransaction(async (t) => {
+    const [oldSnap, newSnap, replies] = await Promise.all([
+      t.get(oldRef), t.get(newRef), t.get(oldRef.collection('replies')),
+    ]);
+    if (!oldSnap.exists) return 'gone';
+
+    // Respostas vão com o feedback (a subcoleção não some com o doc pai)
+    const moveReplies = () => replies.docs.forEach(d => {
+      t.set(newRef.collection('replies').doc(d.id), { ...d.data(), feedbackId: plan.newKey });
+      t.delete(d.ref);
+    });
+
+    if (newSnap.exists) {
+      if (newSnap.data().migratedFrom === plan.id) {
+        moveReplies();
+        t.delete(oldRef);
+        return 'moved';
+      }
+      t.update(oldRef, { weekIdentifier: plan.week, weekMigrationConflict: plan.newKey });
+      return 'conflict';
+    }
+
+    t.set(newRef, {
+      ...oldSnap.data(),
+      id:                   plan.newKey,
+      weekIdentifier:       plan.week,
+      legacyWeekIdentifier: oldSnap.data().weekIdentifier || '',
+      migratedFrom:         plan.id,
+    });
+    moveReplies();
+    t.delete(oldRef);
+    return 'moved';
+  });
+
+  if (outcome === 'moved') {
+    const [notifs, injuries] = await Promise.all([
+      db.collection('notifications').where('feedbackId', '==', plan.id).get(),
+      db.collection('injuries').where('sourceFeedbackId', '==', plan.id).get(),
+    ]);
+    if (!notifs.empty || !injuries.empty) {
+      const batch       = db.batch();
+      const replyPrefix = `reply_${plan.id}_`;
+      notifs.docs.forEach(d => {
+        if (d.id.startsWith(replyPrefix)) {
+          const replyId = d.id.slice(replyPrefix.length);
+          batch.set(db.collection('notifications').doc(`reply_${plan.newKey}_${replyId}`),
+            { ...d.data(), feedbackId: plan.newKey });
+          batch.delete(d.ref);
+        } else {
+          batch.update(d.ref, { feedbackId: plan.newKey });
+        }
+      });
+      injuries.docs.forEach(d => batch.update(d.ref, { sourceFeedbackId: plan.newKey }));
+      await batch.commit();
+    }
+  }
+  return outcome;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!isAuthorized(req)) {
+    logger.security('migrate-weeks', 'Tentativa de migração sem autorização');
+    return res.status(401).json({ error: 'Não autorizado' });
+  }
+
+  const { cursor = null, limit = DEFAULT_LIMIT, dryRun = false } = req.body || {};
+  const pageSize = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), MAX_LIMIT) : DEFAULT_LIMIT;
+  if (cursor !== null && (typeof cursor !== 'string' || cursor.length > 300)) {
+    return res.status(400).json({ error: 'cursor inválido' });
+  }
+
+  const results = { processed: 0, unchanged: 0, updated: 0, moved: 0, conflicts: 0, skipped: 0, errors: 0 };
+  const sample  = [];
+
+  try {
+    let query = db.collection('feedbacks')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (cursor) query = query.startAfter(cursor);
+
+    const snap = await query.get();
+
+    for (const doc of snap.docs) {
+      results.processed++;
+      const plan = planFor(doc);
+
+      if (plan.action === 'skip')      { results.skipped++;   continue; }
+      if (plan.action === 'unchanged') { results.unchanged++; continue; }
+      if (sample.length < SAMPLE_SIZE) {
+        sample.push({ id: plan.id, action: plan.action, from: plan.from || null, to: plan.week, newKey: plan.newKey });
+      }
+      if (dryRun) { results[plan.action === 'update' ? 'updated' : 'moved']++; continue; }
+
+      try {
+        if (plan.action === 'update') {
+          await doc.ref.update({ weekIdentifier: plan.week, id: plan.newKey });
+          results.updated++;
+        } else {
+          const outcome = await moveFeedback(plan);
+          if (outcome === 'moved')    results.moved++;
+          if (outcome === 'conflict') results.conflicts++;
+        }
+      } catch (err) {
+        results.errors++;
+        console.error('[migrate-weeks] Erro no feedback', plan.id, err.message);
+      }
+    }
+
+    const nextCursor = snap.size === pageSize ? snap.docs[snap.size - 1].id : null;
+    logger.info('migrate-weeks', 'Página migrada', { ...results, dryRun: !!dryRun, cursor });
+
+    return res.status(200).json({ ok: true, dryRun: !!dryRun, ...results, sample, nextCursor, done: !nextCursor });
+  } catch (err) {
+    console.error('[migrate-weeks] Erro na migração:', err.message);
+    return res.status(500).json({ error: 'Erro na migração', ...results });
+  }
+};
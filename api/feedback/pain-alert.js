@@ -0,0 +1,124 @@
+/**
+ * POST /api/feedback/pain-alert
+ *
+ * Alerta de dor para o personal. Chamado pelo cliente (dbManager) logo após
+ * gravar um feedback com hasPain — inclusive no replay da fila offline.
+ *
+ * - Só o próprio aluno dispara, e só para um feedback dele que tenha dor:
+ *   os dados da notificação vêm do documento no Firestore, não do body.
+ * - O destinatário é o personalId do workout, nunca o do feedback (gravado
+ *   pelo cliente); workout de outro aluno → alerta descartado.
+ * - Idempotente: a notificação usa o id fixo pain_<feedbackId> (create()
+ *   falha se já existir → 200 com duplicate: true).
+ * - Notificações só são criadas pelo backend (rules bloqueiam escrita).
+ * - Sem texto de local, a mensagem cita quantas regiões do mapa corporal foram
+ *   marcadas; as regiões (painRegions) vão junto na notificação.
+ */
+
+const { applyCors }           = require('../_lib/cors');
+const { checkRateLimitDual }  = require('../_lib/ratelimit');
+const { verifyToken }         = require('../_lib/auth');
+const { validateContentType } = require('../_lib/validateContentType');
+const { admin, db }           = require('../_lib/firebase-admin');
+
+const FEEDBACK_ID_RE = /^[A-Za-z0-9_-]{1,300}$/;
+const ALREADY_EXISTS = 6; // código gRPC do Firestore
+
+module.exports = async function handler(req, res) {
+  // ── CORS ──────────────────────────────────────────────────────────────────
+  try {
+    applyCors(req, res, 'POST, OPTIONS');
+  } catch (err) {
+    console.error('[pain-alert] CORS error:', err.message);
+    return res.status(403).json({ error: 'Origin não permitida' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Método não permitido' });
+
+  if (!validateContentType(req, res)) return;
+
+  // ── Auth ──────────────────────────────────────────────────────────────────
+  const decoded = await verifyToken(req);
+  if (!decoded) return res.status(401).json({ error: 'Não autenticado' });
+
+  const uid = decoded.uid;
+
+  // ── Rate limiting ─────────────────────────────────────────────────────────
+  try {
+    const { limited, reset } = await checkRateLimitDual(req, uid, 'api');
+    if (limited) {
+      const retryAfter = Math.ceil((reset - Date.now()) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: 'Muitas tentativas. Aguarde antes de tentar novamente.' });
+    }
+  } catch (err) {
+    console.error('[pain-alert] Rate limit error:', err.message);
+    return res.status(503).json({ error: 'Serviço temporariamente indisponível' });
+  }
+
+  const { feedbackId } = req.body || {};
+  if (typeof feedbackId !== 'string' || !FEEDBACK_ID_RE.test(feedbackId)) {
+    return res.status(400).json({ error: 'feedbackId inválido' });
+  }
+
+  try {
+    const feedbackSnap = await db.collection('feedbacks').doc(feedbackId).get();
+    if (!feedbackSnap.exists) return res.status(404).json({ error: 'Feedback não encontrado' });
+
+    const feedback = feedbackSnap.data();
+    if (feedback.studentId !== uid) return res.status(403).json({ error: 'Acesso negado' });
+    if (feedback.hasPain !== true)  return res.status(400).json({ error: 'Feedback sem relato de dor' });
+
+    // Destinatário sempre do workout — o personalId desnormalizado no
+    // feedback vem do cliente
+    const workoutSnap = typeof feedback.workoutId === 'string' && feedback.workoutId
+      ? await db.collection('workouts').doc(feedback.workoutId).get()
+      : null;
+    if (!workoutSnap?.exists) return res.status(422).json({ error: 'Treino do feedback não encontrado' });
+
+    const workout = workoutSnap.data();
+    if (workout.studentId !== feedback.studentId) {
+      console.warn('[pain-alert] Feedback de aluno diferente do treino, alerta descartado:', feedbackId);
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const personalId  = workout.personalId || '';
+    const workoutName = feedback.workoutName || workout.name || '';
+    if (!personalId) return res.status(422).json({ error: 'Personal do treino não encontrado' });
+
+    const studentSnap = await db.collection('users').doc(uid).get();
+    const studentName = (studentSnap.exists && studentSnap.data().name) || 'Aluno';
+    const location    = String(feedback.painLocation || '').slice(0, 120);
+    const regionCount = Object.keys(feedback.painRegions || {}).length;
+    const where       = location || (regionCount ? `${regionCount} ${regionCount === 1 ? 'região' : 'regiões'} no mapa` : '');
+
+    try {
+      await db.collection('notifications').doc(`pain_${feedbackId}`).create({
+        userId:       personalId,
+        type:         'pain_report',
+        level:        'danger',
+        title:        '🩹 Relato de dor',
+        message:      `${studentName} relatou dor${where ? ` (${where})` : ''}${workoutName ? ` no treino ${workoutName}` : ''}.`,
+        actionUrl:    `/#/personal/student/${uid}`,
+        actionLabel:  'Ver aluno',
+        studentId:    uid,
+        feedbackId,
+        painLocation: location,
+        painRegions:  feedback.painRegions || {},
+        read:         false,
+        createdAt:    admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (err) {
+      if (err.code === ALREADY_EXISTS) return res.status(200).json({ ok: true, duplicate: true });
+      throw err;
+    }
+
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error('[pain-alert] Erro ao criar alerta:', err.message);
+    return res.status(500).json({ error: 'Erro ao criar alerta' });
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * POST /api/feedback/reply-notify
+ *
+ * Notificação de resposta a feedback (conversa personal ↔ aluno). Chamado
+ * pelo cliente (dbManager.addFeedbackReply) logo após gravar a resposta.
+ *
+ * - Só o autor da resposta dispara; destinatário e texto vêm dos documentos
+ *   no Firestore (feedbacks/{id}/replies/{replyId}), não do body.
+ * - Resposta do personal → notifica o aluno; do aluno → notifica o personal.
+ * - Idempotente: a notificação usa o id fixo reply_<feedbackId>_<replyId>
+ *   (create() falha se já existir → 200 com duplicate: true).
+ * - Notificações só são criadas pelo backend (rules bloqueiam escrita).
+ */
+
+const { applyCors }           = require('../_lib/cors');
+const { checkRateLimitDual }  = require('../_lib/ratelimit');
+const { verifyToken }         = require('../_lib/auth');
+const { validateContentType } = require('../_lib/validateContentType');
+const { admin, db }           = require('../_lib/firebase-admin');
+
+const FEEDBACK_ID_RE = /^[A-Za-z0-9_-]{1,300}$/;
+const REPLY_ID_RE    = /^r(0[1-9]|1[0-9]|20)$/;
+const PREVIEW_LENGTH = 120;
+const ALREADY_EXISTS = 6; // código gRPC do Firestore
+
+module.exports = async function handler(req, res) {
+  // ── CORS ──────────────────────────────────────────────────────────────────
+  try {
+    applyCors(req, res, 'POST, OPTIONS');
+  } catch (err) {
+    console.error('[reply-notify] CORS error:', err.message);
+    return res.status(403).json({ error: 'Origin não permitida' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Método não permitido' });
+
+  if (!validateContentType(req, res)) return;
+
+  // ── Auth ──────────────────────────────────────────────────────────────────
+  const decoded = await verifyToken(req);
+  if (!decoded) return res.status(401).json({ error: 'Não autenticado' });
+
+  const uid = decoded.uid;
+
+  // ── Rate limiting ─────────────────────────────────────────────────────────
+  try {
+    const { limited, reset } = await checkRateLimitDual(req, uid, 'api');
+    if (limited) {
+      const retryAfter = Math.ceil((reset - Date.now()) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: 'Muitas tentativas. Aguarde antes de tentar novamente.' });
+    }
+  } catch (err) {
+    console.error('[reply-notify] Rate limit error:', err.message);
+    return res.status(503).json({ error: 'Serviço temporariamente indisponível' });
+  }
+
+  const { feedbackId, replyId } = req.body || {};
+  if (typeof feedbackId !== 'string' || !FEEDBACK_ID_RE.test(feedbackId)) {
+    return res.status(400).json({ error: 'feedbackId inválido' });
+  }
+  if (typeof replyId !== 'string' || !REPLY_ID_RE.test(replyId)) {
+    return res.status(400).json({ error: 'replyId inválido' });
+  }
+
+  try {
+    const feedbackRef = db.collection('feedbacks').doc(feedbackId);
+    const [feedbackSnap, replySnap] = await Promise.all([
+      feedbackRef.get(),
+      feedbackRef.collection('replies').doc(replyId).get(),
+    ]);
+    if (!feedbackSnap.exists || !replySnap.exists) {
+      return res.status(404).json({ error: 'Resposta não encontrada' });
+    }
+
+    const feedback = feedbackSnap.data();
+    const reply    = replySnap.data();
+    if (reply.authorId !== uid) return res.status(403).json({ error: 'Acesso negado' });
+    if (reply.studentId !== feedback.studentId) return res.status(409).json({ error: 'Resposta inconsistente' });
+
+    const fromPersonal = reply.authorRole === 'personal';
+    const recipientId  = fromPersonal ? reply.studentId : reply.personalId;
+    if (!recipientId) return res.status(422).json({ error: 'Destinatário não encontrado' });
+
+    const authorSnap = await db.collection('users').doc(uid).get();
+    const authorName = (authorSnap.exists && authorSnap.data().name) || (fromPersonal ? 'Seu personal' : 'Aluno');
+    const text       = String(reply.text || '');
+    const preview    = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+
+    try {
+      await db.collection('notifications').doc(`reply_${feedbackId}_${replyId}`).create({
+        userId:      recipientId,
+        type:        'feedback_reply',
+        level:       'info',
+        title:       fromPersonal ? '💬 Seu personal respondeu' : '💬 Resposta de aluno',
+        message:     `${authorName} respondeu ao feedback: "${preview}"`,
+        actionUrl:   fromPersonal ? '/#/student/dashboard' : '/#/personal/feedbacks',
+        actionLabel: fromPersonal ? 'Ver histórico' : 'Ver feedbacks',
+        studentId:   reply.studentId,
+        feedbackId,
+        replyId,
+        read:        false,
+        createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (err) {
+      if (err.code === ALREADY_EXISTS) return res.status(200).json({ ok: true, duplicate: true });
+      throw err;
+    }
+
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error('[reply-notify] Erro ao notificar resposta:', err.message);
+    return res.status(500).json({ error: 'Erro ao notificar resposta' });
+  }
+};
@@ -8,10 +8,35 @@
  * reprocessamento.
  *
  * Todas as correções v4 mantidas.
+ *
+ * Ciclos de cobrança: o vencimento novo usa o billingCycle da cobrança
+ * (30/90/365 dias, _lib/plans.js) e soma a partir do vencimento atual quando
+ * a assinatura ainda não venceu — renovar antes não perde dias.
+ *
+ * Mudança de plano: a ativação é de _lib/subscriptions.js (applyPaidBilling),
+ * que segue o changeType da cobrança — upgrade troca o plano na hora com o
+ * crédito já abatido; downgrade fica agendado para o vencimento atual.
+ *
+ * A confirmação (pixQrCode/check) usa _lib/abacatepay.js — com
+ * ABACATEPAY_BASE_URL apontando para o mock, o fluxo inteiro roda local.
+ *
+ * Estorno, contestação e expiração: antes só *.completed era processado.
+ * - *.refunded  → cobrança 'refunded'; se foi aplicada, a assinatura perde os
+ *                 dias/plano que ela aplicou (_lib/subscriptions.js →
+ *                 revertPaidBilling).
+ * - *.disputed  → cobrança 'disputed' + securityLogs; a assinatura não muda
+ *                 até o desfecho (um estorno depois chega como refunded).
+ * - *.expired   → cobrança pendente vira 'expired'.
+ * O personal é notificado em cada caso. Mesma idempotência em
+ * processedWebhooks, com um documento por tipo de evento
+ * (`${pixId}_${tipo}`; pagamento segue com o pixId puro, como antes), e o
+ * status do evento é conferido no pixQrCode/check.
  */
 
 const crypto = require('crypto');
 const { admin, db } = require('../_lib/firebase-admin');
+const { applyPaidBilling, revertPaidBilling, isBillingApplied } = require('../_lib/subscriptions');
+const { abacateFetch }     = require('../_lib/abacatepay');
 
 module.exports.config = {
   api: { bodyParser: false },
@@ -19,10 +44,23 @@ module.exports.config = {
 
 const isProd = process.env.NODE_ENV === 'production';
 
-const PLANS = {
-  starter: { maxStudents: 5,  durationDays: 30 },
-  pro:     { maxStudents: 15, durationDays: 30 },
-  elite:   { maxStudents: 40, durationDays: 30 },
+const ALREADY_EXISTS = 6; // código gRPC do Firestore
+
+// Evento do AbacatePay → tipo tratado aqui
+const EVENT_KINDS = {
+  'transparent.completed': 'paid',     'checkout.completed': 'paid',
+  'transparent.refunded':  'refunded', 'checkout.refunded':  'refunded',
+  'transparent.disputed':  'disputed', 'checkout.disputed':  'disputed',
+  'transparent.expired':   'expired',  'checkout.expired':   'expired',
+};
+
+// Status aceitos no pixQrCode/check para cada tipo (contestação chega com o
+// PIX ainda pago ou já estornado)
+const CONFIRMED_STATUSES = {
+  paid:     ['PAID'],
+  refunded: ['REFUNDED'],
+  disputed: ['PAID', 'DISPUTED', 'REFUNDED'],
+  expired:  ['EXPIRED', 'CANCELLED'],
 };
 
 function getRawBody(req, maxBytes = 1_000_000) {
@@ -86,10 +124,7 @@ function isTimestampFresh(timestampHeader) {
 
 async function confirmPixViaAPI(pixId) {
   try {
-    const res = await fetch(
-      `https://api.abacatepay.com/v1/pixQrCode/check?id=${pixId}`,
-      { headers: { 'Authorization': `Bearer ${process.env.ABACATEPAY_API_KEY}` } }
-    );
+    const res = await abacateFetch(`/pixQrCode/check?id=${encodeURIComponent(pixId)}`);
     if (!res.ok) return null;
     const json = await res.json();
     return json?.data || null;
@@ -98,13 +133,6 @@ async function confirmPixViaAPI(pixId) {
   }
 }
 
-function calcExpiry(planId) {
-  const days = PLANS[planId]?.durationDays || 30;
-  const d    = new Date();
-  d.setDate(d.getDate() + days);
-  return admin.firestore.Timestamp.fromDate(d);
-}
-
 async function securityLog(type, data) {
   try {
     await db.collection('securityLogs').add({
@@ -113,6 +141,98 @@ async function securityLog(type, data) {
   } catch { /* não crítico */ }
 }
 
+async function notifyPersonal(notifId, personalId, data) {
+  try {
+    await db.collection('notifications').doc(notifId).create({
+      userId:      personalId,
+      actionUrl:   '/#/personal/billing',
+      actionLabel: 'Ver assinatura',
+      read:        false,
+      createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+      ...data,
+    });
+  } catch (err) {
+    if (err.code !== ALREADY_EXISTS) console.warn('[webhook] Notificação falhou:', err.message);
+  }
+}
+
+function formatBRL(cents) {
+  return 'R$ ' + ((cents || 0) / 100).toFixed(2).replace('.', ',');
+}
+
+/**
+ * Estorno, contestação ou expiração de uma cobrança já localizada.
+ *
+ * @returns {Promise<object>} resumo para a resposta do webhook
+ */
+async function processReversal(kind, billingDoc, billingData, { pixId, ip }) {
+  const { FieldValue } = admin.firestore;
+  const billingId  = billingDoc.id;
+  const personalId = billingData.personalId;
+  const planName   = billingData.planName || billingData.planId;
+  const amount     = formatBRL(billingData.amountInCents);
+  const prevStatus = billingData.status;
+
+  if (kind === 'expired') {
+    // Paga antes de expirar (ou já expirada pelo create-charge): nada a fazer
+    if (prevStatus !== 'pending') return { ignored: true };
+
+    await billingDoc.ref.update({ status: 'expired', expiredAt: FieldValue.serverTimestamp() });
+    await notifyPersonal(`billing_expired_${billingId}`, personalId, {
+      type:    'billing_expired',
+      level:   'info',
+      title:   '⏱ PIX expirado',
+      message: `O código PIX de ${amount} do plano ${planName} expirou sem pagamento. Gere um novo para assinar.`,
+    });
+    return { expired: true };
+  }
+
+  if (kind === 'disputed') {
+    await securityLog('WEBHOOK_PAYMENT_DISPUTED', {
+      pixId, ip, billingId, personalId,
+      planId:        billingData.planId,
+      amountInCents: billingData.amountInCents,
+      billingStatus: prevStatus,
+    });
+    if (prevStatus === 'refunded' || prevStatus === 'disputed') return { ignored: true };
+
+    await billingDoc.ref.update({
+      status:              'disputed',
+      statusBeforeDispute: prevStatus,
+      disputedAt:          FieldValue.serverTimestamp(),
+    });
+    await notifyPersonal(`billing_disputed_${billingId}`, personalId, {
+      type:    'billing_disputed',
+      level:   'warning',
+      title:   '⚠️ Pagamento contestado',
+      message: `O pagamento de ${amount} do plano ${planName} foi contestado junto ao banco. Se for estornado, os dias pagos por ele serão removidos da assinatura.`,
+    });
+    return { disputed: true };
+  }
+
+  // refunded — revertPaidBilling só desfaz o que foi aplicado, e uma vez só
+  // (retry depois de falha refaz o que faltou)
+  const reverted = await revertPaidBilling(billingId);
+
+  let message = `O pagamento de ${amount} do plano ${planName} foi estornado.`;
+  if (reverted?.status === 'active') {
+    message += ` Sua assinatura agora vai até ${reverted.expiresAt.toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' })}.`;
+  } else if (reverted) {
+    message += ' Sua assinatura não está mais ativa — renove para continuar usando o app.';
+  }
+  await notifyPersonal(`billing_refunded_${billingId}`, personalId, {
+    type:  'billing_refunded',
+    level: 'warning',
+    title: '↩️ Pagamento estornado',
+    message,
+  });
+
+  if (reverted) {
+    console.log(`[webhook] ✓ Estorno aplicado — personal=${personalId} plano=${reverted.planId} status=${reverted.status}`);
+  }
+  return { refunded: true, reverted: !!reverted };
+}
+
 async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).end();
 
@@ -169,8 +289,8 @@ async function handler(req, res) {
   const pixData   = event?.data?.transparent || event?.data?.checkout || {};
   const pixId     = pixData?.id || '';
 
-  const isPaid = eventType === 'transparent.completed' || eventType === 'checkout.completed';
-  if (!isPaid) {
+  const kind = EVENT_KINDS[eventType];
+  if (!kind) {
     console.log('[webhook] Evento ignorado:', eventType);
     return res.status(200).json({ received: true });
   }
@@ -181,7 +301,9 @@ async function handler(req, res) {
   }
 
   // ── Idempotência com CORREÇÃO 3.2: timeout para estado "processing" ────────
-  const processedRef = db.collection('processedWebhooks').doc(pixId);
+  // Um documento por tipo de evento — o estorno do mesmo PIX não pode cair
+  // no "já processado" do pagamento
+  const processedRef = db.collection('processedWebhooks').doc(kind === 'paid' ? pixId : `${pixId}_${kind}`);
 
   let alreadyProcessed = false;
   try {
@@ -223,6 +345,7 @@ async function handler(req, res) {
       t.set(processedRef, {
         reservedAt: admin.firestore.FieldValue.serverTimestamp(),
         pixId,
+        eventType,
         status:     'processing',
         ip,
       });
@@ -233,7 +356,7 @@ async function handler(req, res) {
   }
 
   if (alreadyProcessed) {
-    console.log('[webhook] Duplicado ignorado:', pixId);
+    console.log('[webhook] Duplicado ignorado:', pixId, eventType);
     return res.status(200).json({ received: true, duplicate: true });
   }
 
@@ -241,9 +364,9 @@ async function handler(req, res) {
   const confirmed       = await confirmPixViaAPI(pixId);
   const confirmedStatus = confirmed?.status || '';
 
-  if (!['PAID', 'paid'].includes(confirmedStatus)) {
+  if (!CONFIRMED_STATUSES[kind].includes(confirmedStatus.toUpperCase())) {
     await securityLog('WEBHOOK_UNCONFIRMED', { pixId, confirmedStatus, eventType });
-    console.warn('[webhook] Pagamento não confirmado via API:', confirmedStatus);
+    console.warn('[webhook] Evento não confirmado via API:', eventType, confirmedStatus);
     await processedRef.delete().catch(() => {});
     return res.status(200).json({ received: true });
   }
@@ -269,6 +392,26 @@ async function handler(req, res) {
     return res.status(200).json({ received: true });
   }
 
+  // ── Estorno / contestação / expiração ──────────────────────────────────────
+  if (kind !== 'paid') {
+    try {
+      await processedRef.update({
+        status:       'done',
+        processedAt:  admin.firestore.FieldValue.serverTimestamp(),
+        billingDocId: billingDoc.id,
+        personalId:   billingData.personalId,
+      });
+      const result = await processReversal(kind, billingDoc, billingData, { pixId, ip });
+      if (result.ignored) console.log(`[webhook] ${eventType} sem efeito — cobrança ${billingDoc.id} em '${billingData.status}'`);
+      return res.status(200).json({ received: true, ...result });
+    } catch (error) {
+      console.error(`[webhook] Erro ao processar ${eventType}:`, error.message);
+      await processedRef.update({ status: 'failed', error: error.message })
+        .catch(e => console.error('[webhook] Falha ao marcar como failed:', e.message));
+      return res.status(500).json({ error: 'Erro ao processar evento' });
+    }
+  }
+
   // ── Validação cruzada de valor ─────────────────────────────────────────────
   const confirmedAmount = confirmed?.amount;
   const expectedAmount  = billingData?.amountInCents;
@@ -286,7 +429,20 @@ async function handler(req, res) {
     return res.status(200).json({ received: true });
   }
 
-  const { personalId, planId } = billingData;
+  const { personalId } = billingData;
+
+  // Cobrança já aplicada por outro caminho (simulate-payment em dev, entrega
+  // repetida com outro pixId) — não estender a assinatura duas vezes. 'paid'
+  // só é gravado pelo applyPaidBilling junto com a assinatura: um retry depois
+  // de falha na aplicação encontra a cobrança ainda pendente. Estornada antes
+  // do pagamento ser aplicado: não ativar. Contestada e não aplicada segue
+  // para o applyPaidBilling.
+  if (isBillingApplied(billingData) || billingData.status === 'refunded') {
+    await processedRef.update({ status: 'done', processedAt: admin.firestore.FieldValue.serverTimestamp(), billingDocId: billingDoc.id })
+      .catch(() => {});
+    console.log(`[webhook] Cobrança em '${billingData.status}', ignorando:`, billingDoc.id);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
 
   // ── Processar pagamento ────────────────────────────────────────────────────
   try {
@@ -298,41 +454,13 @@ async function handler(req, res) {
       pixId,
     });
 
-    await billingDoc.ref.update({
-      status:    'paid',
-      gatewayId: pixId,
-      paidAt:    admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    const planConfig = PLANS[planId] || PLANS.starter;
-    const newExpiry  = calcExpiry(planId);
-    const subRef     = db.collection('subscriptions').doc(personalId);
-    const subSnap    = await subRef.get();
-
-    const subData = {
-      personalId,
-      planId,
-      maxStudents:   planConfig.maxStudents,
-      status:        'active',
-      lastPaymentAt: admin.firestore.FieldValue.serverTimestamp(),
-      expiresAt:     newExpiry,
-      updatedAt:     admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    if (subSnap.exists) {
-      await subRef.update(subData);
-    } else {
-      await subRef.set({ ...subData, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    const applied = await applyPaidBilling(billingDoc.id, { gatewayId: pixId });
+    if (!applied) {
+      console.log('[webhook] Cobrança aplicada em paralelo, ignorando:', billingDoc.id);
+      return res.status(200).json({ received: true, duplicate: true });
     }
 
-    await db.collection('users').doc(personalId).update({
-      subscriptionStatus:  'active',
-      subscriptionPlan:    planId,
-      subscriptionExpiry:  newExpiry,
-      subscriptionUpdated: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    console.log(`[webhook] ✓ Assinatura ativada — personal=${personalId} plano=${planId}`);
+    console.log(`[webhook] ✓ Assinatura ativada — personal=${personalId} plano=${applied.planId} ciclo=${applied.billingCycle} mudança=${applied.changeType}`);
     return res.status(200).json({ received: true, activated: true });
 
   } catch (error) {
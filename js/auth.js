@@ -15,6 +15,17 @@
  * ou regenerar os links de ativação pendentes.
  *
  * Todas as correções v7 mantidas.
+ *
+ * Offline: o userType é guardado no cache do offlineSync e usado quando a
+ * leitura de users/{uid} falha sem rede (rotas do aluno abrem offline).
+ *
+ * Limite de alunos: studentCount conta os alunos que ocupam vaga no plano
+ * (todo aluno que não está 'inactive'). deactivateStudent libera a vaga,
+ * reactivateStudent ocupa uma (mesma checagem de limite da criação) e
+ * deleteStudent só desconta alunos que ocupavam vaga. Com
+ * subscriptions.studentLimitExceeded (plano ficou menor), criar e reativar
+ * ficam bloqueados até o personal escolher quem fica ativo. As rules só
+ * aceitam studentCount ±1 no mesmo batch do aluno indicado em studentSlotRef.
  */
 
 class AuthManager {
@@ -40,8 +51,10 @@ class AuthManager {
           try {
             const doc = await db.collection('users').doc(user.uid).get();
             this.currentUserType = doc.exists ? doc.data().userType : null;
+            if (this.currentUserType) window.offlineSync?.cacheSet(`userType:${user.uid}`, this.currentUserType);
           } catch {
-            this.currentUserType = null;
+            // Sem rede: último tipo conhecido (modo offline do aluno)
+            this.currentUserType = (await window.offlineSync?.cacheGet(`userType:${user.uid}`)) || null;
           }
         } else {
           this.currentUser     = null;
@@ -189,6 +202,9 @@ class AuthManager {
         if (!['active', 'grace_period'].includes(status)) {
           throw new Error('Assinatura expirada. Renove para adicionar novos alunos.');
         }
+        if (subData.studentLimitExceeded) {
+          throw new Error('Você tem mais alunos do que o plano permite. Escolha quais continuam ativos antes de adicionar novos.');
+        }
 
         const personalData    = personalDoc.data();
         const currentStudents = typeof personalData.studentCount === 'number'
@@ -218,8 +234,9 @@ class AuthManager {
         });
 
         t.update(personalRef, {
-          students:     firebase.firestore.FieldValue.arrayUnion(studentRef.id),
-          studentCount: firebase.firestore.FieldValue.increment(1),
+          students:       firebase.firestore.FieldValue.arrayUnion(studentRef.id),
+          studentCount:   firebase.firestore.FieldValue.increment(1),
+          studentSlotRef: studentRef.id,
         });
       });
 
@@ -254,7 +271,20 @@ class AuthManager {
 
   async deactivateStudent(studentDocId) {
     try {
-      await db.collection('users').doc(studentDocId).update({ status: 'inactive' });
+      const personalUser = this.currentUser;
+      if (!personalUser) throw new Error('Não autenticado');
+
+      const studentRef  = db.collection('users').doc(studentDocId);
+      const personalRef = db.collection('users').doc(personalUser.uid);
+
+      await db.runTransaction(async (t) => {
+        const studentDoc = await t.get(studentRef);
+        if (!studentDoc.exists) throw new Error('Aluno não encontrado');
+        if (studentDoc.data().status === 'inactive') return;
+
+        t.update(studentRef, { status: 'inactive' });
+        t.update(personalRef, { studentCount: firebase.firestore.FieldValue.increment(-1), studentSlotRef: studentDocId });
+      });
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -263,7 +293,40 @@ class AuthManager {
 
   async reactivateStudent(studentDocId) {
     try {
-      await db.collection('users').doc(studentDocId).update({ status: 'active' });
+      const personalUser = this.currentUser;
+      if (!personalUser) throw new Error('Não autenticado');
+
+      const studentRef  = db.collection('users').doc(studentDocId);
+      const personalRef = db.collection('users').doc(personalUser.uid);
+      const subRef      = db.collection('subscriptions').doc(personalUser.uid);
+
+      await db.runTransaction(async (t) => {
+        const [studentDoc, personalDoc, subDoc] = await Promise.all([
+          t.get(studentRef),
+          t.get(personalRef),
+          t.get(subRef),
+        ]);
+
+        if (!studentDoc.exists) throw new Error('Aluno não encontrado');
+        if (studentDoc.data().status !== 'inactive') return;
+        if (!subDoc.exists || !['active', 'grace_period'].includes(subDoc.data().status)) {
+          throw new Error('Assinatura expirada. Renove para reativar alunos.');
+        }
+
+        const subData         = subDoc.data();
+        const maxStudents     = subData.maxStudents || 0;
+        const currentStudents = personalDoc.data()?.studentCount || 0;
+
+        if (subData.studentLimitExceeded || currentStudents >= maxStudents) {
+          throw new Error(
+            `Limite de ${maxStudents} aluno(s) ativo(s) atingido para o plano atual. ` +
+            'Desative outro aluno ou faça upgrade para reativar.'
+          );
+        }
+
+        t.update(studentRef, { status: 'active' });
+        t.update(personalRef, { studentCount: firebase.firestore.FieldValue.increment(1), studentSlotRef: studentDocId });
+      });
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -276,18 +339,21 @@ class AuthManager {
       if (!personalUser) throw new Error('Não autenticado');
 
       let studentEmail = null;
+      let usedSlot     = true;
       try {
         const studentDoc = await db.collection('users').doc(studentDocId).get();
         if (studentDoc.exists) {
           studentEmail = studentDoc.data().email;
+          usedSlot     = studentDoc.data().status !== 'inactive';
         }
       } catch { /* melhor esforço */ }
 
       const batch = db.batch();
 
+      // Aluno inativo já tinha liberado a vaga no deactivateStudent
       batch.update(db.collection('users').doc(personalUser.uid), {
-        students:     firebase.firestore.FieldValue.arrayRemove(studentDocId),
-        studentCount: firebase.firestore.FieldValue.increment(-1),
+        students: firebase.firestore.FieldValue.arrayRemove(studentDocId),
+        ...(usedSlot ? { studentCount: firebase.firestore.FieldValue.increment(-1), studentSlotRef: studentDocId } : {}),
       });
 
       batch.delete(db.collection('users').doc(studentDocId));
@@ -1,5 +1,5 @@
 /**
- * js/db.js — v6
+ * js/db.js — v7
  *
  * CORREÇÕES v6:
  *
@@ -17,6 +17,55 @@
  *   Fallback para chunk query por workoutId caso índice ainda não exista.
  *
  * Todas as correções v5 mantidas.
+ *
+ * v7:
+ * - Notificações: listenToNotifications (onSnapshot), listenToUnreadNotifications
+ *   (contagem de não lidas, sem o limite da lista), markNotificationRead,
+ *   markAllNotificationsRead. Só o campo `read` é alterado (exigido pelas rules).
+ * - Workout logs: getWorkoutLog, saveWorkoutLogEntry, getWorkoutLogs — séries
+ *   registradas pelo aluno (carga, reps, RPE), um doc por aluno/treino/data.
+ * - Sugestões de progressão: getWorkoutFeedbacks (feedbacks de um treino) e
+ *   addWorkoutHistory (decisões do personal em workouts/{id}.history).
+ * - Versões de treino: createWorkout grava a v1 e saveWorkoutVersion grava
+ *   cada edição em workouts/{id}/versions/{n} (imutável); getWorkoutVersions,
+ *   restoreWorkoutVersion. Feedbacks guardam `workoutVersion`.
+ * - Mesociclo: createWorkout/saveWorkoutVersion aceitam `cycle`
+ *   (ver js/domain/workouts/mesocycleModel.js), também guardado nas versões.
+ * - Modelos de rotina: getWorkoutTemplates, createWorkoutTemplate,
+ *   updateWorkoutTemplate, duplicateWorkoutTemplate, deleteWorkoutTemplate
+ *   (coleção workoutTemplates, por personal).
+ * - Rotina para vários alunos: createLinkedWorkouts cria uma cópia por aluno
+ *   com o mesmo `linkGroupId`; getLinkedWorkouts lista as cópias e
+ *   propagateLinkedWorkout grava o conteúdo de uma cópia nas outras (nova versão).
+ * - Grupos de alunos: getGroups, createGroup, updateGroup, deleteGroup,
+ *   addStudentToGroup, removeStudentFromGroup (coleção groups, por personal).
+ * - Modo offline do aluno (js/offlineSync.js): getStudentWorkouts, getWorkout
+ *   e getWorkoutLog caem para o cache local sem rede; saveWorkoutLogEntry,
+ *   saveFeedback enfileiram offline e retornam
+ *   { success: true, queued: true }. O replay passa { replay: true }.
+ *   feedbackExists checa conflito de chave antes do replay.
+ * - Sessões de treino: startWorkoutSession, finishWorkoutSession,
+ *   getActiveWorkoutSession, getWorkoutSessions (coleção workoutSessions;
+ *   ver js/domain/workoutSessions/workoutSessionModel.js). Também offline.
+ * - Adesão: getPersonalWorkoutSessions (sessões de todos os alunos do
+ *   personal desde uma data), usada com js/domain/adherence/adherenceModel.js.
+ * - Lesões e alertas de dor: getStudentInjuries, createInjury, updateInjury,
+ *   deleteInjury (coleção injuries) e getPainAlerts (notificações
+ *   "pain_report" não lidas). Feedback com dor chama api/feedback/pain-alert.
+ * - Semana ISO: weekIdentifier (e a chave do feedback) no formato "YYYY-Www",
+ *   calculado por js/domain/feedbacks/isoWeek.js no fuso do app; o dia da
+ *   semana dos feedbacks também. Dados antigos: api/feedback/migrate-weeks.
+ * - Mapa de dor: saveFeedback grava `painRegions`
+ *   ({ código: intensidade | null }, normalizado pelo feedbackModel) junto do
+ *   texto livre painLocation.
+ * - Escrita de feedback unificada: saveFeedback (um esquema, validado pelo
+ *   feedbackModel; duplicata → code 'duplicate'; `edit: true` atualiza as
+ *   respostas até 24h após o envio). getFeedbackForDay busca o feedback do
+ *   dia para edição.
+ * - Respostas a feedbacks: getFeedbackReplies, getMyFeedbackReplies
+ *   (collection group `replies`) e addFeedbackReply (ids sequenciais r01…r20,
+ *   ver js/domain/feedbacks/feedbackReplyModel.js); cada resposta chama
+ *   api/feedback/reply-notify para avisar o outro lado.
  */
 
 class DatabaseManager {
@@ -95,6 +144,101 @@ class DatabaseManager {
     return await this.getMyStudents();
   }
 
+  // ── Grupos de alunos ──────────────────────────────────────────────
+  // Turmas do personal (groups). Membros ficam em `studentIds`.
+
+  async getGroups() {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const snapshot = await db.collection('groups')
+        .where('personalId', '==', user.uid)
+        .limit(100)
+        .get();
+
+      const groups = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      groups.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'pt-BR'));
+      return groups;
+    } catch (error) {
+      console.error('[db] Erro ao obter grupos:', error);
+      return [];
+    }
+  }
+
+  async createGroup({ name, color, studentIds = [] }) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const ref = db.collection('groups').doc();
+      await ref.set({
+        id:         ref.id,
+        personalId: user.uid,
+        name:       (name || '').trim(),
+        color:      color || '#374151',
+        studentIds: [...new Set(studentIds)],
+        createdAt:  firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt:  firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      return { success: true, id: ref.id };
+    } catch (error) {
+      console.error('[db] Erro ao criar grupo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateGroup(groupId, updates) {
+    try {
+      const data = { updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+      if (updates.name !== undefined)       data.name       = (updates.name || '').trim();
+      if (updates.color !== undefined)      data.color      = updates.color;
+      if (updates.studentIds !== undefined) data.studentIds = [...new Set(updates.studentIds)];
+
+      await db.collection('groups').doc(groupId).update(data);
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao atualizar grupo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteGroup(groupId) {
+    try {
+      await db.collection('groups').doc(groupId).delete();
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao deletar grupo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async addStudentToGroup(groupId, studentId) {
+    try {
+      await db.collection('groups').doc(groupId).update({
+        studentIds: firebase.firestore.FieldValue.arrayUnion(studentId),
+        updatedAt:  firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao adicionar aluno ao grupo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeStudentFromGroup(groupId, studentId) {
+    try {
+      await db.collection('groups').doc(groupId).update({
+        studentIds: firebase.firestore.FieldValue.arrayRemove(studentId),
+        updatedAt:  firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao remover aluno do grupo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ── Exercises ─────────────────────────────────────────────────────
 
   async createExercise(nameOrObj, description, videoUrl) {
@@ -226,13 +370,15 @@ class DatabaseManager {
       const user = authManager.getCurrentUser();
       if (!user) throw new Error('Usuário não autenticado');
 
-      let name, desc, daysData, stdId;
+      let name, desc, daysData, stdId, cycle = null, linkGroupId = null;
 
       if (typeof nameOrObj === 'object') {
-        name     = nameOrObj.name || '';
-        desc     = nameOrObj.description || '';
-        daysData = nameOrObj.days || {};
-        stdId    = nameOrObj.studentId || null;
+        name        = nameOrObj.name || '';
+        desc        = nameOrObj.description || '';
+        daysData    = nameOrObj.days || {};
+        stdId       = nameOrObj.studentId || null;
+        cycle       = nameOrObj.cycle || null;
+        linkGroupId = nameOrObj.linkGroupId || null;
       } else {
         name     = nameOrObj || '';
         desc     = description || '';
@@ -241,16 +387,23 @@ class DatabaseManager {
       }
 
       const workoutRef = db.collection('workouts').doc();
+      const batch      = db.batch();
 
-      await workoutRef.set({
-        id:          workoutRef.id,
+      batch.set(workoutRef, {
+        id:             workoutRef.id,
         name,
-        description: desc,
-        personalId:  user.uid,
-        days:        daysData,
-        studentId:   stdId || '',
-        createdAt:   firebase.firestore.FieldValue.serverTimestamp(),
+        description:    desc,
+        personalId:     user.uid,
+        days:           daysData,
+        studentId:      stdId || '',
+        cycle,
+        linkGroupId,
+        currentVersion: 1,
+        createdAt:      firebase.firestore.FieldValue.serverTimestamp(),
       });
+      batch.set(workoutRef.collection('versions').doc('1'), this._versionSnapshot(1, name, daysData, user.uid, cycle));
+
+      await batch.commit();
 
       if (stdId) {
         try {
@@ -267,6 +420,88 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Mesma rotina para vários alunos: uma cópia independente por aluno,
+   * ligadas pelo `linkGroupId`. Cada cópia pode divergir depois.
+   * Retorna { success, linkGroupId, ids, failed: [studentId] }.
+   */
+  async createLinkedWorkouts(data, studentIds) {
+    try {
+      const ids = [...new Set(studentIds || [])].filter(Boolean);
+      if (ids.length === 0) throw new Error('Selecione pelo menos um aluno');
+      if (ids.length === 1) {
+        const single = await this.createWorkout({ ...data, studentId: ids[0] });
+        return { ...single, linkGroupId: null, ids: single.success ? [single.id] : [], failed: single.success ? [] : ids };
+      }
+
+      const linkGroupId = db.collection('workouts').doc().id;
+      const results = await Promise.all(ids.map(studentId =>
+        this.createWorkout({ ...data, studentId, linkGroupId })
+      ));
+
+      const failed = ids.filter((_, i) => !results[i].success);
+      if (failed.length === ids.length) throw new Error(results[0].error || 'Falha ao criar as cópias');
+
+      return {
+        success: true,
+        linkGroupId,
+        ids: results.filter(r => r.success).map(r => r.id),
+        failed,
+      };
+    } catch (error) {
+      console.error('[db] Erro ao criar rotinas vinculadas:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getLinkedWorkouts(linkGroupId) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+      if (!linkGroupId) return [];
+
+      const snapshot = await db.collection('workouts')
+        .where('personalId', '==', user.uid)
+        .where('linkGroupId', '==', linkGroupId)
+        .limit(100)
+        .get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('[db] Erro ao obter rotinas vinculadas:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Grava o conteúdo salvo de uma cópia (nome, dias, ciclo) nas cópias
+   * escolhidas do mesmo grupo — cada uma ganha uma nova versão e mantém
+   * o próprio aluno. Retorna { success, updated: [id], failed: [id] }.
+   */
+  async propagateLinkedWorkout(sourceWorkoutId, targetIds) {
+    try {
+      const source = await this.getWorkout(sourceWorkoutId);
+      if (!source) throw new Error('Treino não encontrado');
+      if (!source.linkGroupId) throw new Error('Rotina sem cópias vinculadas');
+
+      const linked  = await this.getLinkedWorkouts(source.linkGroupId);
+      const allowed = new Set(linked.map(w => w.id));
+      const targets = (targetIds || []).filter(id => id !== sourceWorkoutId && allowed.has(id));
+
+      const results = await Promise.all(targets.map(id =>
+        this.saveWorkoutVersion(id, { name: source.name, days: source.days || {}, cycle: source.cycle || null })
+      ));
+
+      return {
+        success: true,
+        updated: targets.filter((_, i) => results[i].success),
+        failed:  targets.filter((_, i) => !results[i].success),
+      };
+    } catch (error) {
+      console.error('[db] Erro ao propagar rotina:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getPersonalWorkouts({ limit = 100, startAfter = null } = {}) {
     try {
       const user = authManager.getCurrentUser();
@@ -301,6 +536,9 @@ class DatabaseManager {
       if (!user) throw new Error('Usuário não autenticado');
 
       const targetId = studentIdParam || user.uid;
+      const cacheKey = `workouts:${targetId}`;
+
+      if (this._isOffline()) return (await window.offlineSync.cacheGet(cacheKey)) || [];
 
       const userDoc          = await db.collection('users').doc(targetId).get();
       const assignedWorkouts = userDoc.exists ? (userDoc.data().assignedWorkouts || []) : [];
@@ -312,7 +550,7 @@ class DatabaseManager {
             .catch(() => null)
         );
         const workouts = (await Promise.all(workoutPromises)).filter(Boolean);
-        return this._sortWorkoutsByDate(workouts);
+        return this._cacheStudentWorkouts(cacheKey, this._sortWorkoutsByDate(workouts));
       }
 
       const snapshot = await db.collection('workouts')
@@ -321,21 +559,29 @@ class DatabaseManager {
         .get();
 
       const workouts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      return this._sortWorkoutsByDate(workouts);
+      return this._cacheStudentWorkouts(cacheKey, this._sortWorkoutsByDate(workouts));
 
     } catch (error) {
       console.error('[db] Erro ao obter treinos do aluno:', error);
-      return [];
+      return (await window.offlineSync?.cacheGet(`workouts:${studentIdParam || authManager.getCurrentUser()?.uid}`)) || [];
     }
   }
 
   async getWorkout(workoutId) {
     try {
+      if (this._isOffline()) return await window.offlineSync.cacheGet(`workout:${workoutId}`);
+
       const doc = await db.collection('workouts').doc(workoutId).get();
-      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+      if (!doc.exists) return null;
+
+      const workout = { id: doc.id, ...doc.data() };
+      if (workout.studentId === authManager.getCurrentUser()?.uid) {
+        window.offlineSync?.cacheSet(`workout:${workout.id}`, this._toCacheable(workout));
+      }
+      return workout;
     } catch (error) {
       console.error('[db] Erro ao obter treino:', error);
-      return null;
+      return (await window.offlineSync?.cacheGet(`workout:${workoutId}`)) || null;
     }
   }
 
@@ -370,6 +616,113 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Salva o treino editado gravando um snapshot imutável (versions/{n}).
+   * Transação: lê currentVersion, grava o treino com n+1 e a versão n+1.
+   * Treinos anteriores ao versionamento (sem currentVersion) ganham antes
+   * uma v1 com o conteúdo que estava salvo, para não perder a prescrição
+   * à qual os feedbacks antigos se referem.
+   */
+  async saveWorkoutVersion(workoutId, { name, studentId, days, cycle }, { restoredFrom = null } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const workoutRef = db.collection('workouts').doc(workoutId);
+      const version = await db.runTransaction(async tx => {
+        const doc = await tx.get(workoutRef);
+        if (!doc.exists) throw new Error('Treino não encontrado');
+        const current = doc.data();
+
+        let next = (current.currentVersion || 0) + 1;
+        if (!current.currentVersion) {
+          tx.set(workoutRef.collection('versions').doc('1'), {
+            ...this._versionSnapshot(1, current.name || '', current.days || {}, user.uid, current.cycle || null),
+            createdAt: current.createdAt || firebase.firestore.FieldValue.serverTimestamp(),
+            legacy:    true,
+          });
+          next = 2;
+        }
+
+        const updates = { days, currentVersion: next, updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+        if (name !== undefined)      updates.name      = name;
+        if (studentId !== undefined) updates.studentId = studentId;
+        if (cycle !== undefined)     updates.cycle     = cycle || null;
+        tx.update(workoutRef, updates);
+
+        tx.set(workoutRef.collection('versions').doc(String(next)), {
+          ...this._versionSnapshot(
+            next,
+            name !== undefined ? name : (current.name || ''),
+            days,
+            user.uid,
+            cycle !== undefined ? (cycle || null) : (current.cycle || null)
+          ),
+          restoredFrom,
+        });
+        return next;
+      });
+
+      return { success: true, id: workoutId, version };
+    } catch (error) {
+      console.error('[db] Erro ao salvar versão do treino:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getWorkoutVersions(workoutId, { limit = 50 } = {}) {
+    try {
+      const snapshot = await db.collection('workouts').doc(workoutId)
+        .collection('versions')
+        .orderBy('version', 'desc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('[db] Erro ao obter versões do treino:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Restaurar = novo save com o conteúdo da versão escolhida.
+   * O histórico nunca é reescrito; a restauração vira a versão mais recente.
+   */
+  async restoreWorkoutVersion(workoutId, version) {
+    try {
+      const doc = await db.collection('workouts').doc(workoutId)
+        .collection('versions').doc(String(version)).get();
+      if (!doc.exists) throw new Error('Versão não encontrada');
+      const snap = doc.data();
+      return await this.saveWorkoutVersion(
+        workoutId,
+        { name: snap.name, days: snap.days || {}, cycle: snap.cycle || null },
+        { restoredFrom: snap.version }
+      );
+    } catch (error) {
+      console.error('[db] Erro ao restaurar versão do treino:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Acrescenta entradas ao histórico do treino (workouts/{id}.history).
+   * arrayUnion não aceita serverTimestamp dentro dos itens — cada entrada
+   * traz sua própria data (ISO).
+   */
+  async addWorkoutHistory(workoutId, entries) {
+    try {
+      if (!entries || entries.length === 0) return { success: true };
+      await db.collection('workouts').doc(workoutId).update({
+        history: firebase.firestore.FieldValue.arrayUnion(...entries),
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao registrar histórico do treino:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * deleteWorkout — PERF FIX: usa batch para consistência atômica.
    * Antes: update + delete separados podiam deixar assignedWorkouts inconsistente.
@@ -386,6 +739,11 @@ class DatabaseManager {
         });
       }
 
+      // Versões vão junto com o treino
+      const versions = await db.collection('workouts').doc(workoutId)
+        .collection('versions').limit(400).get().catch(() => ({ docs: [] }));
+      versions.docs.forEach(doc => batch.delete(doc.ref));
+
       batch.delete(db.collection('workouts').doc(workoutId));
 
       await batch.commit();
@@ -396,112 +754,239 @@ class DatabaseManager {
     }
   }
 
+  // ── Modelos de rotina ─────────────────────────────────────────────
+  // Biblioteca do personal (workoutTemplates). Os presets de sistema ficam
+  // no montador e não passam pelo Firestore.
+
+  async getWorkoutTemplates() {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      // Sem orderBy: ordenação local evita índice composto
+      const snapshot = await db.collection('workoutTemplates')
+        .where('personalId', '==', user.uid)
+        .limit(200)
+        .get();
+
+      const templates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      templates.sort((a, b) => (b.updatedAt?.seconds || 0) - (a.updatedAt?.seconds || 0));
+      return templates;
+    } catch (error) {
+      console.error('[db] Erro ao obter modelos de rotina:', error);
+      return [];
+    }
+  }
+
+  async createWorkoutTemplate({ name, description = '', level, tags = [], days, cycle = null }) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const ref = db.collection('workoutTemplates').doc();
+      await ref.set({
+        id:          ref.id,
+        personalId:  user.uid,
+        name:        name || '',
+        description: description || '',
+        level:       level || 'intermediario',
+        tags:        tags || [],
+        days:        days || {},
+        cycle:       cycle || null,
+        createdAt:   firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt:   firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      return { success: true, id: ref.id };
+    } catch (error) {
+      console.error('[db] Erro ao criar modelo de rotina:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateWorkoutTemplate(templateId, updates) {
+    try {
+      const allowed = ['name', 'description', 'level', 'tags', 'days', 'cycle'];
+      const data    = {};
+      allowed.forEach(f => { if (updates[f] !== undefined) data[f] = updates[f]; });
+      data.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+
+      await db.collection('workoutTemplates').doc(templateId).update(data);
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao atualizar modelo de rotina:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cópia editável de um modelo — próprio ou de sistema
+   */
+  async duplicateWorkoutTemplate(template) {
+    if (!template) return { success: false, error: 'Modelo não encontrado' };
+    return await this.createWorkoutTemplate({
+      name:        `${template.name || 'Modelo'} (cópia)`.slice(0, 100),
+      description: template.description || '',
+      level:       template.level,
+      tags:        template.tags || [],
+      days:        template.days || {},
+      cycle:       template.cycle || null,
+    });
+  }
+
+  async deleteWorkoutTemplate(templateId) {
+    try {
+      await db.collection('workoutTemplates').doc(templateId).delete();
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao deletar modelo de rotina:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ── Feedbacks ─────────────────────────────────────────────────────
 
   /**
-   * createFeedback — PERF FIX: desnormaliza personalId.
-   * Adiciona campo `personalId` para permitir query direta sem chunk por workoutId.
+   * saveFeedback — caminho único de escrita de feedback (view-workout e
+   * dashboard do aluno). Normaliza e valida pelo feedbackModel, grava na
+   * chave aluno/treino/semana/dia e desnormaliza personalId, workoutVersion e
+   * workoutName do treino.
+   *
+   * - Chave já existente: erro `duplicate`, a não ser que `edit: true` e o
+   *   feedback ainda esteja na janela de edição (24h) — aí só as respostas
+   *   são atualizadas (updatedAt, editCount).
+   * - Offline: enfileira 'saveFeedback' com a semana do envio original.
    */
-  async createFeedback(feedbackData) {
+  async saveFeedback(data, { replay = false } = {}) {
+    let queueItem = null;
     try {
       const user = authManager.getCurrentUser();
       if (!user) throw new Error('Usuário não autenticado');
 
-      const weekIdentifier = feedbackData.weekIdentifier ||
-        (window.feedbackModel?.getCurrentWeekIdentifier?.() || this._getWeekId());
+      const fm = window.feedbackModel;
+      // Semana ISO do envio original; item antigo da fila offline pode trazer
+      // o formato anterior ("2024-5") — recalcula pela data do envio
+      const when     = data.queuedAt ? new Date(data.queuedAt) : new Date();
+      const feedback = fm.normalizeFeedbackInput({
+        ...data,
+        studentId:      user.uid,
+        weekIdentifier: window.isoWeek.isIsoWeekIdentifier(data.weekIdentifier)
+          ? data.weekIdentifier
+          : this._getWeekId(when),
+      });
+
+      const { isValid, errors } = fm.validateFeedbackData(feedback);
+      if (!isValid) return { success: false, error: errors[0], code: 'invalid' };
+
+      const key  = fm.getFeedbackKey(user.uid, feedback.workoutId, feedback.weekIdentifier, feedback.dayOfWeek);
+      const edit = data.edit === true;
 
-      const feedbackKey = window.feedbackModel?.getFeedbackKey?.(
-        user.uid, feedbackData.workoutId, weekIdentifier, feedbackData.dayOfWeek
-      ) || `${user.uid}_${feedbackData.workoutId}_${weekIdentifier}_${feedbackData.dayOfWeek}`;
+      queueItem = {
+        op: 'saveFeedback',
+        payload: { ...feedback, edit, queuedAt: when.toISOString() },
+        ...(edit ? { dedupeKey: `feedback-edit:${key}` } : { feedbackKey: key }),
+      };
+      if (!replay && this._isOffline()) return await window.offlineSync.enqueue(queueItem);
+
+      const ref      = db.collection('feedbacks').doc(key);
+      const existing = await ref.get();
 
-      const existing = await db.collection('feedbacks').doc(feedbackKey).get();
       if (existing.exists) {
-        return { success: false, error: 'Você já enviou feedback para este dia nesta semana' };
+        if (!edit) {
+          return { success: false, error: 'Você já enviou feedback para este dia nesta semana', code: 'duplicate' };
+        }
+        if (!fm.canEditFeedback(existing.data())) {
+          return { success: false, error: 'O feedback só pode ser editado até 24h após o envio', code: 'edit-expired' };
+        }
+
+        await ref.update({
+          effortLevel:  feedback.effortLevel,
+          sensation:    feedback.sensation,
+          hasPain:      feedback.hasPain,
+          painLocation: feedback.painLocation,
+          painRegions:  feedback.painRegions,
+          comment:      feedback.comment,
+          updatedAt:    firebase.firestore.FieldValue.serverTimestamp(),
+          editCount:    firebase.firestore.FieldValue.increment(1),
+        });
+
+        // Dor marcada só na edição também avisa o personal (endpoint idempotente)
+        if (feedback.hasPain) this._sendPainAlert(key);
+
+        return { success: true, id: key, edited: true };
       }
 
       // PERF: buscar personalId do workout para desnormalizar
-      let personalId = '';
+      let personalId     = '';
+      let workoutVersion = 1;
+      let workoutName    = data.workoutName || '';
       try {
-        const workoutDoc = await db.collection('workouts').doc(feedbackData.workoutId).get();
+        const workoutDoc = await db.collection('workouts').doc(feedback.workoutId).get();
         if (workoutDoc.exists) {
-          personalId = workoutDoc.data().personalId || '';
+          personalId     = workoutDoc.data().personalId || '';
+          workoutVersion = workoutDoc.data().currentVersion || 1;
+          workoutName    = workoutDoc.data().name || workoutName;
         }
       } catch { /* não crítico */ }
 
-      await db.collection('feedbacks').doc(feedbackKey).set({
-        id:             feedbackKey,
+      await ref.set({
+        id:             key,
         studentId:      user.uid,
-        workoutId:      feedbackData.workoutId     || '',
+        workoutId:      feedback.workoutId,
         personalId:     personalId,                        // campo desnormalizado
-        weekIdentifier: weekIdentifier             || '',
-        dayOfWeek:      feedbackData.dayOfWeek     || '',
-        effortLevel:    feedbackData.effortLevel   || 5,
-        sensation:      feedbackData.sensation     || 'ideal',
-        hasPain:        feedbackData.hasPain       || false,
-        painLocation:   feedbackData.hasPain ? (feedbackData.painLocation || '') : '',
-        comment:        feedbackData.comment       || '',
+        workoutVersion: workoutVersion,                    // versão ativa ao responder
+        workoutName:    workoutName,
+        weekIdentifier: feedback.weekIdentifier,
+        dayOfWeek:      feedback.dayOfWeek,
+        effortLevel:    feedback.effortLevel,
+        sensation:      feedback.sensation,
+        hasPain:        feedback.hasPain,
+        painLocation:   feedback.painLocation,
+        painRegions:    feedback.painRegions,
+        comment:        feedback.comment,
+        date:           when.toISOString(),                // envio original (fila offline)
         createdAt:      firebase.firestore.FieldValue.serverTimestamp(),
       });
 
-      return { success: true, id: feedbackKey };
+      if (feedback.hasPain) this._sendPainAlert(key);
+
+      return { success: true, id: key };
     } catch (error) {
-      console.error('[db] Erro ao criar feedback:', error);
-      return { success: false, error: error.message };
+      if (!replay && queueItem && this._isNetworkError(error)) return await this._enqueueAfterError(queueItem);
+      console.error('[db] Erro ao salvar feedback:', error);
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
-  async submitFeedback(data) {
+  /**
+   * Feedback do aluno logado para o treino/dia/semana (default: semana atual)
+   * ou null — usado para abrir o modal em modo de edição
+   */
+  async getFeedbackForDay(workoutId, dayOfWeek, weekIdentifier) {
     try {
       const user = authManager.getCurrentUser();
-      if (!user) throw new Error('Usuário não autenticado');
-
-      const weekId    = this._getWeekId();
-      const dayOfWeek = new Date().toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-      const key       = `${user.uid}_${data.workoutId}_${weekId}_${dayOfWeek}`;
-
-      // PERF: desnormalizar personalId
-      let personalId = '';
-      try {
-        const workoutDoc = await db.collection('workouts').doc(data.workoutId).get();
-        if (workoutDoc.exists) personalId = workoutDoc.data().personalId || '';
-      } catch { /* não crítico */ }
-
-      await db.collection('feedbacks').doc(key).set({
-        id:             key,
-        studentId:      user.uid,
-        workoutId:      data.workoutId    || '',
-        personalId:     personalId,
-        workoutName:    data.workoutName  || '',
-        weekIdentifier: weekId,
-        dayOfWeek,
-        effortLevel:    data.effort       || 5,
-        sensation:      data.sensation    || 'ideal',
-        hasPain:        data.hasPain      || false,
-        painLocation:   data.painLocation || '',
-        comment:        data.comment      || '',
-        date:           data.date         || new Date().toISOString(),
-        createdAt:      firebase.firestore.FieldValue.serverTimestamp(),
-      });
-
-      return { success: true };
-    } catch (error) {
-      console.error('[db] Erro ao submeter feedback:', error);
-      return { success: false, error: error.message };
+      if (!user) return null;
+      const weekId = weekIdentifier || this._getWeekId();
+      const key    = window.feedbackModel.getFeedbackKey(user.uid, workoutId, weekId, dayOfWeek);
+      const doc    = await db.collection('feedbacks').doc(key).get();
+      return doc.exists ? doc.data() : null;
+    } catch {
+      return null;
     }
   }
 
   async hasFeedbackForDay(workoutId, dayOfWeek, weekIdentifier) {
+    return !!(await this.getFeedbackForDay(workoutId, dayOfWeek, weekIdentifier));
+  }
+
+  /**
+   * true/false; null quando não foi possível consultar (ex.: sem rede)
+   */
+  async feedbackExists(feedbackKey) {
     try {
-      const user   = authManager.getCurrentUser();
-      if (!user) return false;
-      const weekId = weekIdentifier ||
-        (window.feedbackModel?.getCurrentWeekIdentifier?.() || this._getWeekId());
-      const key    = window.feedbackModel?.getFeedbackKey?.(user.uid, workoutId, weekId, dayOfWeek)
-        || `${user.uid}_${workoutId}_${weekId}_${dayOfWeek}`;
-      const doc = await db.collection('feedbacks').doc(key).get();
+      const doc = await db.collection('feedbacks').doc(feedbackKey).get();
       return doc.exists;
     } catch {
-      return false;
+      return null;
     }
   }
 
@@ -632,6 +1117,36 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Feedbacks de um treino do personal (base das sugestões de progressão).
+   * personalId primeiro (exigido pelas rules); fallback por workoutId para
+   * feedbacks antigos sem o campo desnormalizado. Só igualdades → sem índice composto.
+   */
+  async getWorkoutFeedbacks(workoutId, { limit = 100 } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      let snap = await db.collection('feedbacks')
+        .where('personalId', '==', user.uid)
+        .where('workoutId', '==', workoutId)
+        .limit(limit)
+        .get();
+
+      if (snap.empty) {
+        snap = await db.collection('feedbacks')
+          .where('workoutId', '==', workoutId)
+          .limit(limit)
+          .get();
+      }
+
+      return snap.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('[db] Erro ao obter feedbacks do treino:', error);
+      return [];
+    }
+  }
+
   async getFeedback(feedbackId) {
     try {
       const doc = await db.collection('feedbacks').doc(feedbackId).get();
@@ -641,14 +1156,732 @@ class DatabaseManager {
     }
   }
 
-  // ── Helpers internos ──────────────────────────────────────────────
+  // ── Respostas a feedbacks (feedbacks/{id}/replies) ────────────────
+
+  /**
+   * Conversa de um feedback, em ordem (r01, r02, …)
+   */
+  async getFeedbackReplies(feedbackId) {
+    try {
+      const snap = await db.collection('feedbacks').doc(feedbackId)
+        .collection('replies').orderBy(firebase.firestore.FieldPath.documentId()).get();
+      return snap.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('[db] Erro ao obter respostas do feedback:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Todas as respostas dos feedbacks do usuário logado (collection group por
+   * personalId ou studentId) — uma consulta para a lista inteira
+   */
+  async getMyFeedbackReplies({ limit = 500 } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return [];
+      const field = authManager.isPersonal() ? 'personalId' : 'studentId';
+      const snap  = await db.collectionGroup('replies')
+        .where(field, '==', user.uid)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+      return snap.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('[db] Erro ao obter respostas dos feedbacks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Responde a um feedback (personal do treino ou aluno dono). O id é o
+   * próximo da sequência (feedbackReplyModel.getNextReplyId); se outro
+   * envio ocupar o mesmo id, tenta o seguinte.
+   */
+  async addFeedbackReply(feedback, text) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const rm = window.feedbackReplyModel;
+      const { isValid, errors } = rm.validateReplyText(text);
+      if (!isValid) return { success: false, error: errors[0] };
+
+      const role = authManager.isPersonal() ? 'personal' : 'student';
+      let personalId = role === 'personal' ? user.uid : (feedback.personalId || '');
+      if (!personalId) {
+        const workoutDoc = await db.collection('workouts').doc(feedback.workoutId).get();
+        personalId = workoutDoc.exists ? (workoutDoc.data().personalId || '') : '';
+      }
+
+      const repliesRef = db.collection('feedbacks').doc(feedback.id).collection('replies');
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const replyId = rm.getNextReplyId(await this.getFeedbackReplies(feedback.id));
+        if (!replyId) {
+          return { success: false, error: `A conversa chegou ao limite de ${rm.MAX_PER_FEEDBACK} respostas` };
+        }
+
+        const reply = {
+          id:         replyId,
+          feedbackId: feedback.id,
+          studentId:  feedback.studentId,
+          personalId,
+          authorId:   user.uid,
+          authorRole: role,
+          text:       String(text).trim(),
+          createdAt:  firebase.firestore.FieldValue.serverTimestamp(),
+        };
+
+        const created = await db.runTransaction(async tx => {
+          const snap = await tx.get(repliesRef.doc(replyId));
+          if (snap.exists) return false;
+          tx.set(repliesRef.doc(replyId), reply);
+          return true;
+        });
+
+        if (created) {
+          this._sendReplyNotification(feedback.id, replyId);
+          return { success: true, reply: { ...reply, createdAt: new Date() } };
+        }
+      }
+      return { success: false, error: 'Não foi possível enviar. Tente novamente.' };
+    } catch (error) {
+      console.error('[db] Erro ao responder feedback:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ── Workout logs (séries registradas) ─────────────────────────────
+
+  /**
+   * Log do aluno logado para um treino numa data (default: hoje, data local).
+   */
+  async getWorkoutLog(workoutId, dateKey = null) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return null;
+
+      const date  = dateKey || window.workoutLogModel.getLogDateKey();
+      const logId = window.workoutLogModel.getWorkoutLogId(user.uid, workoutId, date);
+      if (this._isOffline()) return await window.offlineSync.cacheGet(`log:${logId}`);
+
+      const doc = await db.collection('workoutLogs').doc(logId).get();
+      if (!doc.exists) return null;
+
+      const log = { id: doc.id, ...doc.data() };
+      window.offlineSync?.cacheSet(`log:${logId}`, this._toCacheable(log));
+      return log;
+    } catch (error) {
+      console.error('[db] Erro ao obter log de treino:', error);
+      const user = authManager.getCurrentUser();
+      if (!user) return null;
+      const logId = window.workoutLogModel.getWorkoutLogId(user.uid, workoutId, dateKey || window.workoutLogModel.getLogDateKey());
+      return (await window.offlineSync?.cacheGet(`log:${logId}`)) || null;
+    }
+  }
+
+  /**
+   * Salva (merge) a entrada de um exercício no log do dia.
+   * data: { workoutId, personalId, entry, date? }
+   *
+   * set() com merge numa transação: duas primeiras séries do dia salvas ao
+   * mesmo tempo não se sobrescrevem (a perdedora refaz a transação e só mescla
+   * a sua entrada), e createdAt é gravado apenas quando o doc ainda não existe.
+   * A chave é a do nome do exercício (workoutLogModel.getLogEntryKey).
+   */
+  async saveWorkoutLogEntry(data, { replay = false } = {}) {
+    let queueItem = null;
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const model      = window.workoutLogModel;
+      const validation = model.validateWorkoutLogEntry(data.entry);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors.join(', ') };
+      }
+
+      const date     = data.date || model.getLogDateKey();
+      const logId    = model.getWorkoutLogId(user.uid, data.workoutId, date);
+      const entryKey = model.getLogEntryKey(data.entry.dayOfWeek, data.entry.exerciseName, data.entry.occurrence || 0);
+      const ref      = db.collection('workoutLogs').doc(logId);
+
+      // Mantém o cache do dia em dia para recarregar a página sem rede
+      await this._cacheLogEntry(logId, data, entryKey, date);
+
+      queueItem = { op: 'saveWorkoutLogEntry', payload: { ...data, date }, dedupeKey: `log:${logId}:${entryKey}` };
+      if (!replay && this._isOffline()) return await window.offlineSync.enqueue(queueItem);
+
+      await db.runTransaction(async tx => {
+        const snap = await tx.get(ref);
+        tx.set(ref, {
+          id:         logId,
+          studentId:  user.uid,
+          workoutId:  data.workoutId,
+          personalId: data.personalId || '',
+          date,
+          dayOfWeek:  data.entry.dayOfWeek,
+          exercises:  { [entryKey]: data.entry },
+          updatedAt:  firebase.firestore.FieldValue.serverTimestamp(),
+          ...(snap.exists ? {} : { createdAt: firebase.firestore.FieldValue.serverTimestamp() }),
+        }, { merge: true });
+      });
+
+      return { success: true, id: logId };
+    } catch (error) {
+      if (!replay && queueItem && this._isNetworkError(error)) return await this._enqueueAfterError(queueItem);
+      console.error('[db] Erro ao salvar série:', error);
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Logs de um aluno, mais recentes primeiro.
+   * - Aluno: seus próprios logs (studentId == uid)
+   * - Personal: logs do aluno informado (personalId == uid, exigido pelas rules)
+   */
+  async getWorkoutLogs(studentIdParam = null, { workoutId = null, limit = 120 } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return [];
+
+      const isOwn = !studentIdParam || studentIdParam === user.uid;
+      let query = isOwn
+        ? db.collection('workoutLogs').where('studentId', '==', user.uid)
+        : db.collection('workoutLogs')
+            .where('personalId', '==', user.uid)
+            .where('studentId', '==', studentIdParam);
+
+      if (workoutId) query = query.where('workoutId', '==', workoutId);
+
+      let docs = [];
+      try {
+        const snap = await query.orderBy('date', 'desc').limit(limit).get();
+        docs = snap.docs;
+      } catch (indexErr) {
+        if (indexErr.code === 'failed-precondition' || (indexErr.message || '').includes('index')) {
+          console.warn('[db] Índice de workoutLogs ausente, usando fallback sem orderBy.');
+          const snap = await query.limit(limit).get();
+          docs = snap.docs;
+        } else {
+          throw indexErr;
+        }
+      }
+
+      const logs = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      logs.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+      return logs;
+    } catch (error) {
+      console.error('[db] Erro ao obter logs de treino:', error);
+      return [];
+    }
+  }
+
+  // ── Sessões de treino ─────────────────────────────────────────────
+
+  /**
+   * Abre uma sessão. data: { workoutId, personalId, workoutName, dayOfWeek }
+   * O ID é gerado no cliente para funcionar offline (o replay reusa id e startedAtMs).
+   */
+  async startWorkoutSession(data, { replay = false } = {}) {
+    let queueItem = null;
+    let local     = null;
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const logModel    = window.workoutLogModel;
+      const startedAtMs = data.startedAtMs || Date.now();
+      const date        = data.date || logModel.getLogDateKey(new Date(startedAtMs));
+      const ref         = data.id
+        ? db.collection('workoutSessions').doc(data.id)
+        : db.collection('workoutSessions').doc();
+
+      const session = {
+        id:                 ref.id,
+        studentId:          user.uid,
+        workoutId:          data.workoutId,
+        personalId:         data.personalId  || '',
+        workoutName:        data.workoutName || '',
+        dayOfWeek:          data.dayOfWeek,
+        date,
+        logId:              logModel.getWorkoutLogId(user.uid, data.workoutId, date),
+        status:             window.workoutSessionModel.STATUS.ACTIVE,
+        finishedAt:         null,
+        durationSec:        null,
+        totalExercises:     0,
+        completedExercises: 0,
+        completionPct:      0,
+        setsDone:           0,
+        setsTotal:          0,
+        skippedExercises:   [],
+      };
+      local = { ...session, startedAt: startedAtMs };
+
+      await window.offlineSync?.cacheSet(`session:active:${data.workoutId}`, local);
+
+      queueItem = { op: 'startWorkoutSession', payload: { ...data, id: ref.id, startedAtMs, date } };
+      if (!replay && this._isOffline()) {
+        const queued = await window.offlineSync.enqueue(queueItem);
+        return { ...queued, id: ref.id, session: local };
+      }
+
+      await ref.set({
+        ...session,
+        startedAt: firebase.firestore.Timestamp.fromMillis(startedAtMs),
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { success: true, id: ref.id, session: local };
+    } catch (error) {
+      if (!replay && queueItem && this._isNetworkError(error)) {
+        const queued = await this._enqueueAfterError(queueItem);
+        return queued.success ? { ...queued, id: local.id, session: local } : queued;
+      }
+      console.error('[db] Erro ao iniciar sessão:', error);
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Finaliza a sessão com o resumo de summarizeWorkoutSession.
+   * data: { id, workoutId, finishedAtMs, durationSec, ...resumo }
+   */
+  async finishWorkoutSession(data, { replay = false } = {}) {
+    let queueItem = null;
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const validation = window.workoutSessionModel.validateWorkoutSessionSummary(data);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors.join(', ') };
+      }
+
+      await window.offlineSync?.cacheSet(`session:active:${data.workoutId}`, null);
+
+      queueItem = { op: 'finishWorkoutSession', payload: data };
+      if (!replay && this._isOffline()) return await window.offlineSync.enqueue(queueItem);
+
+      await db.collection('workoutSessions').doc(data.id).update({
+        status:             window.workoutSessionModel.STATUS.FINISHED,
+        finishedAt:         firebase.firestore.Timestamp.fromMillis(data.finishedAtMs),
+        durationSec:        data.durationSec,
+        totalExercises:     data.totalExercises,
+        completedExercises: data.completedExercises,
+        completionPct:      data.completionPct,
+        setsDone:           data.setsDone,
+        setsTotal:          data.setsTotal,
+        skippedExercises:   data.skippedExercises,
+        updatedAt:          firebase.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { success: true };
+    } catch (error) {
+      if (!replay && queueItem && this._isNetworkError(error)) return await this._enqueueAfterError(queueItem);
+      console.error('[db] Erro ao finalizar sessão:', error);
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Sessão em andamento do aluno logado para um treino (ou null)
+   */
+  async getActiveWorkoutSession(workoutId) {
+    const cacheKey = `session:active:${workoutId}`;
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return null;
+      if (this._isOffline()) return await window.offlineSync.cacheGet(cacheKey);
+
+      const snap = await db.collection('workoutSessions')
+        .where('studentId', '==', user.uid)
+        .where('status', '==', window.workoutSessionModel.STATUS.ACTIVE)
+        .limit(10)
+        .get();
+
+      const doc = snap.docs.find(d => d.data().workoutId === workoutId);
+      if (!doc) return (await window.offlineSync?.cacheGet(cacheKey)) || null;
+
+      const session = { id: doc.id, ...doc.data() };
+      const local   = this._toCacheable({ ...session, startedAt: window.workoutSessionModel.getSessionTimeMs(session.startedAt) });
+      window.offlineSync?.cacheSet(cacheKey, local);
+      return local;
+    } catch (error) {
+      console.error('[db] Erro ao obter sessão ativa:', error);
+      return (await window.offlineSync?.cacheGet(cacheKey)) || null;
+    }
+  }
+
+  /**
+   * Sessões de um aluno, mais recentes primeiro.
+   * - Aluno: suas próprias sessões (studentId == uid)
+   * - Personal: sessões do aluno informado (personalId == uid, exigido pelas rules)
+   */
+  async getWorkoutSessions(studentIdParam = null, { limit = 30 } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return [];
+
+      const isOwn = !studentIdParam || studentIdParam === user.uid;
+      const query = isOwn
+        ? db.collection('workoutSessions').where('studentId', '==', user.uid)
+        : db.collection('workoutSessions')
+            .where('personalId', '==', user.uid)
+            .where('studentId', '==', studentIdParam);
+
+      let docs = [];
+      try {
+        const snap = await query.orderBy('startedAt', 'desc').limit(limit).get();
+        docs = snap.docs;
+      } catch (indexErr) {
+        if (indexErr.code === 'failed-precondition' || (indexErr.message || '').includes('index')) {
+          console.warn('[db] Índice de workoutSessions ausente, usando fallback sem orderBy.');
+          const snap = await query.limit(limit).get();
+          docs = snap.docs;
+        } else {
+          throw indexErr;
+        }
+      }
+
+      const ms = window.workoutSessionModel.getSessionTimeMs;
+      return docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (ms(b.startedAt) || 0) - (ms(a.startedAt) || 0));
+    } catch (error) {
+      console.error('[db] Erro ao obter sessões de treino:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Sessões de todos os alunos do personal desde `since` (Date) — adesão
+   */
+  async getPersonalWorkoutSessions({ since = null, limit = 1000 } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return [];
+
+      const base = db.collection('workoutSessions').where('personalId', '==', user.uid);
+
+      let docs = [];
+      try {
+        let query = base;
+        if (since) query = query.where('startedAt', '>=', firebase.firestore.Timestamp.fromDate(since));
+        const snap = await query.orderBy('startedAt', 'desc').limit(limit).get();
+        docs = snap.docs;
+      } catch (indexErr) {
+        if (indexErr.code === 'failed-precondition' || (indexErr.message || '').includes('index')) {
+          console.warn('[db] Índice de workoutSessions ausente, usando fallback sem orderBy.');
+          const snap = await base.limit(limit).get();
+          docs = snap.docs;
+        } else {
+          throw indexErr;
+        }
+      }
+
+      const ms      = window.workoutSessionModel.getSessionTimeMs;
+      const sinceMs = since ? since.getTime() : 0;
+      return docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(s => (ms(s.startedAt) || 0) >= sinceMs);
+    } catch (error) {
+      console.error('[db] Erro ao obter sessões dos alunos:', error);
+      return [];
+    }
+  }
+
+  // ── Notificações ──────────────────────────────────────────────────
+  // Documentos criados pelo backend (cron, webhooks). O cliente só lê e
+  // altera o campo `read` — qualquer outro campo é bloqueado pelas rules.
+
+  /**
+   * Escuta as notificações do usuário logado em tempo real.
+   * Retorna a função de unsubscribe (ou null se não houver usuário).
+   */
+  listenToNotifications(callback, { limit = 30, onError = null } = {}) {
+    const user = authManager.getCurrentUser();
+    if (!user) return null;
+
+    return db.collection('notifications')
+      .where('userId', '==', user.uid)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .onSnapshot(
+        snapshot => {
+          const items = [];
+          snapshot.forEach(doc => items.push({ id: doc.id, ...doc.data() }));
+          callback(items);
+        },
+        error => {
+          console.error('[db] Erro ao escutar notificações:', error);
+          if (onError) onError(error);
+        }
+      );
+  }
+
+  /**
+   * Escuta quantas notificações do usuário logado estão não lidas — todas,
+   * não só as da lista (limitada). Retorna a função de unsubscribe.
+   */
+  listenToUnreadNotifications(callback, { onError = null } = {}) {
+    const user = authManager.getCurrentUser();
+    if (!user) return null;
+
+    return db.collection('notifications')
+      .where('userId', '==', user.uid)
+      .where('read', '==', false)
+      .onSnapshot(
+        snapshot => callback(snapshot.size),
+        error => {
+          console.error('[db] Erro ao escutar notificações não lidas:', error);
+          if (onError) onError(error);
+        }
+      );
+  }
+
+  async markNotificationRead(notificationId) {
+    try {
+      await db.collection('notifications').doc(notificationId).update({ read: true });
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao marcar notificação como lida:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async markAllNotificationsRead() {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const snapshot = await db.collection('notifications')
+        .where('userId', '==', user.uid)
+        .where('read', '==', false)
+        .get();
+
+      // Limite de 500 operações por batch
+      const docs = snapshot.docs;
+      for (let i = 0; i < docs.length; i += 500) {
+        const batch = db.batch();
+        docs.slice(i, i + 500).forEach(doc => batch.update(doc.ref, { read: true }));
+        await batch.commit();
+      }
+
+      return { success: true, count: docs.length };
+    } catch (error) {
+      console.error('[db] Erro ao marcar notificações como lidas:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ── Lesões e alertas de dor ───────────────────────────────────────
+  // Lesões: coleção injuries, por personal (js/domain/injuries/injuryModel.js).
+  // Alertas: notificações type "pain_report" ainda não lidas.
+
+  async getStudentInjuries(studentId) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const snapshot = await db.collection('injuries')
+        .where('personalId', '==', user.uid)
+        .where('studentId', '==', studentId)
+        .limit(100)
+        .get();
+
+      return window.injuryModel.sortInjuries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    } catch (error) {
+      console.error('[db] Erro ao obter lesões:', error);
+      return [];
+    }
+  }
+
+  async createInjury(data) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) throw new Error('Usuário não autenticado');
+
+      const check = window.injuryModel.validateInjury(data);
+      if (!check.isValid) throw new Error(check.errors[0]);
+
+      const ref      = db.collection('injuries').doc();
+      const resolved = data.status === window.injuryModel.STATUS.RESOLVED;
+      await ref.set({
+        id:               ref.id,
+        personalId:       user.uid,
+        studentId:        data.studentId,
+        location:         data.location.trim(),
+        status:           data.status,
+        notes:            (data.notes || '').trim(),
+        avoidExercises:   [...new Set(data.avoidExercises.map(n => n.trim()))],
+        sourceFeedbackId: data.sourceFeedbackId || '',
+        createdAt:        firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt:        firebase.firestore.FieldValue.serverTimestamp(),
+        resolvedAt:       resolved ? firebase.firestore.FieldValue.serverTimestamp() : null,
+      });
+      return { success: true, id: ref.id };
+    } catch (error) {
+      console.error('[db] Erro ao criar lesão:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateInjury(injuryId, data) {
+    try {
+      const check = window.injuryModel.validateInjury(data);
+      if (!check.isValid) throw new Error(check.errors[0]);
+
+      const resolved = data.status === window.injuryModel.STATUS.RESOLVED;
+      await db.collection('injuries').doc(injuryId).update({
+        location:       data.location.trim(),
+        status:         data.status,
+        notes:          (data.notes || '').trim(),
+        avoidExercises: [...new Set(data.avoidExercises.map(n => n.trim()))],
+        updatedAt:      firebase.firestore.FieldValue.serverTimestamp(),
+        resolvedAt:     resolved ? firebase.firestore.FieldValue.serverTimestamp() : null,
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao atualizar lesão:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteInjury(injuryId) {
+    try {
+      await db.collection('injuries').doc(injuryId).delete();
+      return { success: true };
+    } catch (error) {
+      console.error('[db] Erro ao deletar lesão:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Alertas de dor pendentes do personal (opcionalmente de um aluno)
+   */
+  async getPainAlerts({ studentId = null } = {}) {
+    try {
+      const user = authManager.getCurrentUser();
+      if (!user) return [];
+
+      let query = db.collection('notifications')
+        .where('userId', '==', user.uid)
+        .where('type', '==', 'pain_report')
+        .where('read', '==', false);
+      if (studentId) query = query.where('studentId', '==', studentId);
+
+      const snapshot = await query.limit(200).get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('[db] Erro ao obter alertas de dor:', error);
+      return [];
+    }
+  }
+
+  // ── Helpers internos ──────────────────────────────────────────────
+
+  /**
+   * Pede ao backend o alerta de dor do feedback (não crítico: o feedback já
+   * foi gravado; o endpoint é idempotente)
+   */
+  async _sendPainAlert(feedbackId) {
+    try {
+      const token = await authManager.getCurrentUser()?.getIdToken();
+      if (!token) return;
+      await fetch('/api/feedback/pain-alert', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body:    JSON.stringify({ feedbackId }),
+      });
+    } catch (error) {
+      console.warn('[db] Erro ao enviar alerta de dor:', error.message);
+    }
+  }
+
+  /**
+   * Pede ao backend a notificação da resposta para o outro lado da conversa
+   * (não crítico; o endpoint é idempotente)
+   */
+  async _sendReplyNotification(feedbackId, replyId) {
+    try {
+      const token = await authManager.getCurrentUser()?.getIdToken();
+      if (!token) return;
+      await fetch('/api/feedback/reply-notify', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body:    JSON.stringify({ feedbackId, replyId }),
+      });
+    } catch (error) {
+      console.warn('[db] Erro ao notificar resposta:', error.message);
+    }
+  }
+
+  // Regiões do mapa corporal no formato das rules (códigos conhecidos, 1–10 | null)
+  _painRegions(regions) {
+    return window.feedbackModel?.normalizePainRegions?.(regions) || {};
+  }
+
+  _versionSnapshot(version, name, days, uid, cycle = null) {
+    return {
+      version,
+      name:         name || '',
+      days:         days || {},
+      cycle:        cycle || null,
+      createdBy:    uid,
+      createdAt:    firebase.firestore.FieldValue.serverTimestamp(),
+      restoredFrom: null,
+      legacy:       false,
+    };
+  }
+
+  _isOffline() {
+    return !!window.offlineSync && !window.offlineSync.isOnline();
+  }
+
+  // Sinal fraco: navigator.onLine segue true, mas a escrita falha por rede.
+  // Vai para a mesma fila do modo offline (mesmo dedupeKey).
+  _isNetworkError(error) {
+    return !!window.offlineSync && window.offlineSync.isNetworkError(error);
+  }
+
+  async _enqueueAfterError(queueItem) {
+    try {
+      return await window.offlineSync.enqueue(queueItem);
+    } catch (error) {
+      console.error('[db] Erro ao enfileirar após falha de rede:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Timestamps do Firestore não passam pelo structured clone do IndexedDB
+  _toCacheable(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async _cacheStudentWorkouts(cacheKey, workouts) {
+    if (window.offlineSync && cacheKey === `workouts:${authManager.getCurrentUser()?.uid}`) {
+      const cacheable = this._toCacheable(workouts);
+      await window.offlineSync.cacheSet(cacheKey, cacheable);
+      await Promise.all(cacheable.map(w => window.offlineSync.cacheSet(`workout:${w.id}`, w)));
+    }
+    return workouts;
+  }
+
+  async _cacheLogEntry(logId, data, entryKey, date) {
+    if (!window.offlineSync) return;
+    const cached = (await window.offlineSync.cacheGet(`log:${logId}`)) || {
+      id: logId, workoutId: data.workoutId, date, exercises: {},
+    };
+    cached.exercises = { ...(cached.exercises || {}), [entryKey]: data.entry };
+    await window.offlineSync.cacheSet(`log:${logId}`, this._toCacheable(cached));
+  }
 
-  _getWeekId() {
-    const now         = new Date();
-    const startOfYear = new Date(now.getFullYear(), 0, 1);
-    const pastDays    = (now - startOfYear) / 86400000;
-    const weekNumber  = Math.ceil((pastDays + startOfYear.getDay() + 1) / 7);
-    return `${now.getFullYear()}-${weekNumber}`;
+  // Semana ISO-8601 ("2025-W03") no fuso do app — js/domain/feedbacks/isoWeek.js
+  _getWeekId(now = new Date()) {
+    return window.isoWeek.getIsoWeekIdentifier(now);
   }
 }
 
@@ -0,0 +1,233 @@
+/**
+ * Modelo de Adesão (dashboard do personal)
+ *
+ * Sem coleção própria: calculado no cliente a partir de dados existentes.
+ *
+ * - Dias planejados: dias da semana com exercícios nos treinos do aluno
+ *   (união de workouts/{id}.days). Semanas anteriores ao primeiro treino não
+ *   contam; na semana atual só contam os dias até hoje.
+ * - Atividade: cada feedback (dayOfWeek) e cada sessão de treino (dayOfWeek)
+ *   marca o dia "semana + dia do treino" como feito. A semana (segunda a
+ *   domingo) vem da data real — `date`/`createdAt` do feedback, `date` da
+ *   sessão — porque o weekIdentifier antigo não é alinhado à segunda-feira.
+ * - Adesão = dias feitos / dias planejados, com os feitos limitados ao
+ *   planejado de cada semana (treino extra não compensa semana perdida).
+ * - Sequência: semanas seguidas com o planejado cumprido. A semana atual só
+ *   entra quando já foi cumprida (ainda não acabou).
+ * - Inativo: nenhuma atividade nos últimos N dias.
+ */
+
+const ADHERENCE_WINDOWS        = [4, 8, 12];   // semanas
+const ADHERENCE_DEFAULT_WINDOW = 4;
+const ADHERENCE_INACTIVE_DAYS  = [7, 14, 21, 30];
+const ADHERENCE_DEFAULT_INACTIVE_DAYS = 7;
+const ADHERENCE_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DAY_MS = 86400000;
+
+/**
+ * Timestamp do Firestore, { seconds }, ms ou string ISO → Date
+ */
+function toAdherenceDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (value.toDate) return value.toDate();
+  if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value === 'string') {
+    // "YYYY-MM-DD" é data local (new Date() interpretaria como UTC)
+    const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date(value);
+    return isNaN(date) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Dias da semana planejados para um aluno (união dos treinos dele)
+ */
+function getPlannedDays(workouts) {
+  const planned = new Set();
+  (workouts || []).forEach(w => {
+    ADHERENCE_DAYS.forEach(day => {
+      if (Array.isArray(w?.days?.[day]) && w.days[day].length > 0) planned.add(day);
+    });
+  });
+  return ADHERENCE_DAYS.filter(day => planned.has(day));
+}
+
+/**
+ * Atividades de feedbacks e sessões → { studentId: [{ date, dayOfWeek }] }
+ */
+function collectActivity({ feedbacks = [], sessions = [] } = {}) {
+  const byStudent = {};
+  const push = (studentId, date, dayOfWeek) => {
+    if (!studentId || !date) return;
+    (byStudent[studentId] = byStudent[studentId] || []).push({ date, dayOfWeek: dayOfWeek || '' });
+  };
+
+  feedbacks.forEach(fb => push(fb.studentId, toAdherenceDate(fb.date) || toAdherenceDate(fb.createdAt), fb.dayOfWeek));
+  sessions.forEach(s  => push(s.studentId,  toAdherenceDate(s.date)  || toAdherenceDate(s.startedAt),  s.dayOfWeek));
+
+  return byStudent;
+}
+
+function _startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function _weekStart(date) {
+  const start = _startOfDay(date);
+  start.setDate(start.getDate() - (start.getDay() + 6) % 7); // segunda = 0
+  return start;
+}
+
+function _dayIndex(dayOfWeek, date) {
+  const idx = ADHERENCE_DAYS.indexOf(dayOfWeek);
+  return idx >= 0 ? idx : (date.getDay() + 6) % 7;
+}
+
+/**
+ * Adesão de um aluno.
+ * @param {string[]} plannedDays - getPlannedDays()
+ * @param {{date: Date, dayOfWeek: string}[]} activities - collectActivity()[studentId]
+ * @param {{weeks?: number, inactiveDays?: number, since?: Date|null, now?: Date}} options
+ *   since: início do planejamento (criação do primeiro treino)
+ */
+function computeAdherence(plannedDays, activities, {
+  weeks = ADHERENCE_DEFAULT_WINDOW,
+  inactiveDays = ADHERENCE_DEFAULT_INACTIVE_DAYS,
+  since = null,
+  now = new Date(),
+} = {}) {
+  const plannedIdx   = new Set((plannedDays || []).map(d => ADHERENCE_DAYS.indexOf(d)).filter(i => i >= 0));
+  const currentWeek  = _weekStart(now);
+  const todayIdx     = (now.getDay() + 6) % 7;
+  const sinceDay     = since ? _startOfDay(since) : null;
+
+  // "semana|dia" feitos, só dias planejados
+  const done = new Set();
+  let lastActivity = null;
+  (activities || []).forEach(({ date, dayOfWeek }) => {
+    if (!date || date > now) return;
+    if (!lastActivity || date > lastActivity) lastActivity = date;
+    const idx = _dayIndex(dayOfWeek, date);
+    if (plannedIdx.has(idx)) done.add(`${_weekStart(date).getTime()}|${idx}`);
+  });
+
+  const weekly = [];
+  for (let i = 0; i < weeks; i++) {
+    const start = new Date(currentWeek);
+    start.setDate(start.getDate() - i * 7);
+
+    let planned = 0;
+    let active  = 0;
+    plannedIdx.forEach(idx => {
+      const day = new Date(start);
+      day.setDate(day.getDate() + idx);
+      if (i === 0 && idx > todayIdx) return;
+      if (sinceDay && day < sinceDay) return;
+      planned++;
+      if (done.has(`${start.getTime()}|${idx}`)) active++;
+    });
+    weekly.push({ weekStart: start, planned, active });
+  }
+
+  const planned = weekly.reduce((sum, w) => sum + w.planned, 0);
+  const active  = weekly.reduce((sum, w) => sum + w.active, 0);
+
+  // Sequência: a partir da semana atual (se cumprida) ou da anterior
+  let streak = 0;
+  const fullPlan = plannedIdx.size;
+  for (let i = 0; i < weeks + 52 && fullPlan > 0; i++) {
+    const start = new Date(currentWeek);
+    start.setDate(start.getDate() - i * 7);
+    const count = [...plannedIdx].filter(idx => done.has(`${start.getTime()}|${idx}`)).length;
+    if (count >= fullPlan) { streak++; continue; }
+    if (i === 0) continue;
+    break;
+  }
+
+  const daysSinceActivity = lastActivity
+    ? Math.floor((_startOfDay(now) - _startOfDay(lastActivity)) / DAY_MS)
+    : null;
+  const referenceDay = lastActivity || sinceDay;
+  const inactive = fullPlan > 0 && !!referenceDay &&
+    Math.floor((_startOfDay(now) - _startOfDay(referenceDay)) / DAY_MS) >= inactiveDays;
+
+  return {
+    plannedDays: [...(plannedDays || [])],
+    planned,
+    active,
+    pct: planned > 0 ? Math.round((active / planned) * 100) : null,
+    streak,
+    lastActivity,
+    daysSinceActivity,
+    inactive,
+    weekly,
+  };
+}
+
+/**
+ * Faixa para cor do badge: high (≥ 80%), mid (≥ 50%), low, none (sem plano)
+ */
+function getAdherenceLevel(pct) {
+  if (pct === null || pct === undefined) return 'none';
+  if (pct >= 80) return 'high';
+  if (pct >= 50) return 'mid';
+  return 'low';
+}
+
+/**
+ * Ordena alunos. mode: 'name' | 'adherence-asc' | 'adherence-desc' | 'activity'
+ * adherenceByStudent: { uid: computeAdherence() }. Alunos sem dado vão para o fim.
+ */
+function sortStudentsByAdherence(students, adherenceByStudent, mode) {
+  const list = [...(students || [])];
+  const get  = st => adherenceByStudent?.[st.uid] || null;
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '', 'pt-BR');
+
+  if (mode === 'name') return list.sort(byName);
+
+  if (mode === 'adherence-asc' || mode === 'adherence-desc') {
+    const dir = mode === 'adherence-asc' ? 1 : -1;
+    return list.sort((a, b) => {
+      const pa = get(a)?.pct ?? null;
+      const pb = get(b)?.pct ?? null;
+      if (pa === null && pb === null) return byName(a, b);
+      if (pa === null) return 1;
+      if (pb === null) return -1;
+      return (pa - pb) * dir || byName(a, b);
+    });
+  }
+
+  if (mode === 'activity') {
+    // Mais tempo sem treinar primeiro
+    return list.sort((a, b) => {
+      const ta = get(a)?.lastActivity?.getTime() ?? null;
+      const tb = get(b)?.lastActivity?.getTime() ?? null;
+      if (ta === null && tb === null) return byName(a, b);
+      if (ta === null) return -1;
+      if (tb === null) return 1;
+      return ta - tb || byName(a, b);
+    });
+  }
+
+  return list;
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.adherenceModel = {
+    WINDOWS: ADHERENCE_WINDOWS,
+    DEFAULT_WINDOW: ADHERENCE_DEFAULT_WINDOW,
+    INACTIVE_DAYS: ADHERENCE_INACTIVE_DAYS,
+    DEFAULT_INACTIVE_DAYS: ADHERENCE_DEFAULT_INACTIVE_DAYS,
+    toAdherenceDate,
+    getPlannedDays,
+    collectActivity,
+    computeAdherence,
+    getAdherenceLevel,
+    sortStudentsByAdherence
+  };
+}
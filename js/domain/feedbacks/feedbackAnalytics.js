@@ -0,0 +1,197 @@
+/**
+ * Análises de Feedbacks (aba "Análises" de js/pages/personal/feedbacks.js)
+ *
+ * Sem coleção própria: tudo calculado no cliente a partir de
+ * dbManager.getPersonalFeedbacks().
+ *
+ * - Semana: semana ISO-8601 ("YYYY-Www"). Usa o weekIdentifier salvo quando
+ *   já está no formato ISO; feedbacks ainda não migrados (formato antigo
+ *   "YYYY-W") caem para a data real — `date` (envio original, inclusive
+ *   offline) ou `createdAt`.
+ * - Dia: o `dayOfWeek` informado no feedback (dia do treino).
+ * - Esforço: média do effortLevel (1–10) no recorte.
+ * - Dor por local: regiões do mapa corporal (painRegions) + texto livre
+ *   (painLocation) dos feedbacks antigos/sem mapa, agrupado sem acento/caixa.
+ */
+
+const ANALYTICS_DAYS       = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const ANALYTICS_SENSATIONS = ['leve', 'ideal', 'pesado'];
+const ANALYTICS_DEFAULT_WEEKS = 12;
+const ANALYTICS_MAX_WEEKS     = 52;
+
+/**
+ * Data real do feedback (Date) ou null
+ */
+function getFeedbackDate(feedback) {
+  const value = feedback?.date || feedback?.createdAt;
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Semana ISO do feedback ("2025-W03") ou null sem data
+ */
+function getFeedbackIsoWeek(feedback) {
+  if (isoWeek.isIsoWeekIdentifier(feedback?.weekIdentifier)) return feedback.weekIdentifier;
+  const date = getFeedbackDate(feedback);
+  return date ? feedbackModel.getIsoWeekIdentifier(date) : null;
+}
+
+/**
+ * Semanas ISO de `from` até `to` (inclusive), em ordem. Limitado a
+ * ANALYTICS_MAX_WEEKS; intervalo invertido é corrigido.
+ */
+function listIsoWeeks(from, to) {
+  if (!feedbackModel.getIsoWeekStart(from) || !feedbackModel.getIsoWeekStart(to)) return [];
+  if (from > to) [from, to] = [to, from];
+  const weeks = [];
+  for (let w = from; w && w <= to && weeks.length < ANALYTICS_MAX_WEEKS; w = feedbackModel.shiftIsoWeek(w, 1)) {
+    weeks.push(w);
+  }
+  return weeks;
+}
+
+/**
+ * Intervalo padrão: últimas N semanas até a atual
+ */
+function getDefaultWeekRange(weeks = ANALYTICS_DEFAULT_WEEKS, now = new Date()) {
+  const to = feedbackModel.getIsoWeekIdentifier(now);
+  return { from: feedbackModel.shiftIsoWeek(to, -(weeks - 1)), to };
+}
+
+/**
+ * Feedbacks cuja semana ISO está no intervalo (from/to opcionais)
+ */
+function filterByIsoWeeks(feedbacks, from, to) {
+  return (feedbacks || []).filter(f => {
+    const week = getFeedbackIsoWeek(f);
+    return !!week && (!from || week >= from) && (!to || week <= to);
+  });
+}
+
+function averageEffort(values) {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Esforço médio por semana, por aluno.
+ * → [{ studentId, count, points: { semana: média } }] (mais feedbacks primeiro)
+ */
+function effortByWeek(feedbacks, weeks) {
+  const inRange = new Set(weeks);
+  const acc     = {};
+  (feedbacks || []).forEach(f => {
+    const week   = getFeedbackIsoWeek(f);
+    const effort = Number(f.effortLevel);
+    if (!inRange.has(week) || !(effort >= 1 && effort <= 10)) return;
+    const item = acc[f.studentId] || (acc[f.studentId] = { studentId: f.studentId, count: 0, values: {} });
+    item.count++;
+    (item.values[week] || (item.values[week] = [])).push(effort);
+  });
+
+  return Object.values(acc)
+    .map(({ values, ...item }) => ({
+      ...item,
+      points: Object.fromEntries(Object.entries(values).map(([week, list]) => [week, averageEffort(list)])),
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Distribuição de sensação por semana
+ * → [{ week, leve, ideal, pesado, total }] na ordem de `weeks`
+ */
+function sensationByWeek(feedbacks, weeks) {
+  const rows = Object.fromEntries(weeks.map(w => [w, { week: w, leve: 0, ideal: 0, pesado: 0, total: 0 }]));
+  (feedbacks || []).forEach(f => {
+    const row = rows[getFeedbackIsoWeek(f)];
+    if (!row || !ANALYTICS_SENSATIONS.includes(f.sensation)) return;
+    row[f.sensation]++;
+    row.total++;
+  });
+  return weeks.map(w => rows[w]);
+}
+
+/**
+ * Frequência de dor por local
+ * → { painCount, total, locations: [{ key, label, count, avgIntensity }] }
+ * Regiões do mapa têm precedência; o texto livre só conta quando o feedback
+ * não marcou nenhuma região (evita contar a mesma dor duas vezes).
+ */
+function painByLocation(feedbacks) {
+  const list      = feedbacks || [];
+  const withPain  = list.filter(f => f.hasPain);
+  const regions   = feedbackModel.aggregatePainRegions(withPain)
+    .map(r => ({ key: r.code, label: r.label, count: r.count, avgIntensity: r.avgIntensity }));
+
+  const texts = {};
+  withPain
+    .filter(f => Object.keys(f.painRegions || {}).length === 0 && String(f.painLocation || '').trim())
+    .forEach(f => {
+      const label = String(f.painLocation).trim();
+      const key   = 'text:' + label.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ');
+      const item  = texts[key] || (texts[key] = { key, label, count: 0, avgIntensity: null });
+      item.count++;
+    });
+
+  const noLocation = withPain.filter(f =>
+    Object.keys(f.painRegions || {}).length === 0 && !String(f.painLocation || '').trim()).length;
+  const locations = regions.concat(Object.values(texts)).sort((a, b) => b.count - a.count);
+  if (noLocation) locations.push({ key: 'none', label: 'Sem local informado', count: noLocation, avgIntensity: null });
+
+  return { painCount: withPain.length, total: list.length, locations };
+}
+
+/**
+ * Mapa de calor semana × dia com o esforço médio
+ * → { semana: { dia: { avg, count } } }
+ */
+function effortHeatmap(feedbacks, weeks) {
+  const cells = Object.fromEntries(weeks.map(w => [w, {}]));
+  (feedbacks || []).forEach(f => {
+    const row    = cells[getFeedbackIsoWeek(f)];
+    const effort = Number(f.effortLevel);
+    if (!row || !ANALYTICS_DAYS.includes(f.dayOfWeek) || !(effort >= 1 && effort <= 10)) return;
+    (row[f.dayOfWeek] || (row[f.dayOfWeek] = [])).push(effort);
+  });
+  Object.values(cells).forEach(row => {
+    Object.keys(row).forEach(day => { row[day] = { avg: averageEffort(row[day]), count: row[day].length }; });
+  });
+  return cells;
+}
+
+/**
+ * Cor da escala de esforço (verde → âmbar → vermelho), como nos cards
+ */
+function getEffortColor(avg) {
+  if (!avg) return '#F4F4F4';
+  if (avg >= 8) return '#DC2626';
+  if (avg >= 6.5) return '#F97316';
+  if (avg >= 5) return '#F59E0B';
+  if (avg >= 3) return '#34D399';
+  return '#059669';
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.feedbackAnalytics = {
+    DAYS: ANALYTICS_DAYS,
+    SENSATIONS: ANALYTICS_SENSATIONS,
+    DEFAULT_WEEKS: ANALYTICS_DEFAULT_WEEKS,
+    MAX_WEEKS: ANALYTICS_MAX_WEEKS,
+    getFeedbackDate,
+    getFeedbackIsoWeek,
+    listIsoWeeks,
+    getDefaultWeekRange,
+    filterByIsoWeeks,
+    effortByWeek,
+    sensationByWeek,
+    painByLocation,
+    effortHeatmap,
+    getEffortColor
+  };
+}
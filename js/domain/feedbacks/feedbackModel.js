@@ -6,27 +6,78 @@
  *   id: string (ID do documento)
  *   studentId: string (UID do aluno)
  *   workoutId: string (ID do treino)
- *   weekIdentifier: string (identificador da semana, formato: "YYYY-WW")
+ *   weekIdentifier: string (semana ISO-8601, formato: "YYYY-Www" — ver isoWeek.js)
  *   dayOfWeek: string (monday, tuesday, wednesday, thursday, friday, saturday, sunday)
  *   effortLevel: number (1-10)
  *   sensation: string ("leve" | "ideal" | "pesado")
  *   hasPain: boolean
  *   painLocation: string (opcional, apenas se hasPain === true)
- *   comment: string (opcional)
+ *   painRegions: { [código]: number (1-10) | null } (regiões do mapa corporal;
+ *                vazio se hasPain === false — ver PAIN_REGIONS)
+ *   comment: string (opcional, até 1000)
+ *   personalId, workoutVersion, workoutName: do treino no momento do envio
+ *   date: string ISO (envio original — inclusive da fila offline)
  *   createdAt: timestamp
+ *   updatedAt: timestamp, editCount: number (só após edição)
  * }
+ *
+ * Escrita: um único caminho, dbManager.saveFeedback (normaliza, valida, trata
+ * duplicata e edição). Um feedback por aluno/treino/semana/dia; pode ser
+ * editado pelo aluno até FEEDBACK_EDIT_WINDOW_MS após o envio.
  */
 
+const FEEDBACK_EDIT_WINDOW_MS    = 24 * 60 * 60 * 1000;
+const FEEDBACK_MAX_COMMENT       = 1000;
+const FEEDBACK_MAX_PAIN_LOCATION = 200;
+const FEEDBACK_DAYS              = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Regiões do mapa corporal (js/painBodyMap.js). O código é o que vai para o
+ * Firestore — a mesma lista está em firestore.rules (validPainRegions).
+ */
+const PAIN_REGIONS = {
+  head:            'Cabeça',
+  neck:            'Pescoço',
+  chest:           'Peito',
+  abdomen:         'Abdômen',
+  upper_back:      'Costas (superior)',
+  lower_back:      'Lombar',
+  shoulder_left:   'Ombro esquerdo',
+  shoulder_right:  'Ombro direito',
+  arm_left:        'Braço esquerdo',
+  arm_right:       'Braço direito',
+  elbow_left:      'Cotovelo esquerdo',
+  elbow_right:     'Cotovelo direito',
+  forearm_left:    'Antebraço esquerdo',
+  forearm_right:   'Antebraço direito',
+  wrist_left:      'Punho esquerdo',
+  wrist_right:     'Punho direito',
+  hip_left:        'Quadril esquerdo',
+  hip_right:       'Quadril direito',
+  glute_left:      'Glúteo esquerdo',
+  glute_right:     'Glúteo direito',
+  thigh_left:      'Coxa esquerda',
+  thigh_right:     'Coxa direita',
+  hamstring_left:  'Posterior de coxa esquerdo',
+  hamstring_right: 'Posterior de coxa direito',
+  knee_left:       'Joelho esquerdo',
+  knee_right:      'Joelho direito',
+  shin_left:       'Canela esquerda',
+  shin_right:      'Canela direita',
+  calf_left:       'Panturrilha esquerda',
+  calf_right:      'Panturrilha direita',
+  ankle_left:      'Tornozelo esquerdo',
+  ankle_right:     'Tornozelo direito',
+};
+const PAIN_MAX_REGIONS = Object.keys(PAIN_REGIONS).length;
+
 /**
- * Obter identificador da semana atual (formato: YYYY-WW)
- * Exemplo: "2024-15" (ano 2024, semana 15)
+ * Obter identificador da semana atual (semana ISO-8601, formato: YYYY-Www)
+ * Exemplo: "2025-W03". Implementação em js/domain/feedbacks/isoWeek.js,
+ * no fuso do app (isoWeek.TIME_ZONE).
  */
 function getCurrentWeekIdentifier() {
-  const now = new Date();
-  const startOfYear = new Date(now.getFullYear(), 0, 1);
-  const pastDaysOfYear = (now - startOfYear) / 86400000;
-  const weekNumber = Math.ceil((pastDaysOfYear + startOfYear.getDay() + 1) / 7);
-  return `${now.getFullYear()}-${weekNumber}`;
+  return isoWeek.getIsoWeekIdentifier(new Date());
 }
 
 /**
@@ -51,15 +102,15 @@ function validateFeedbackData(data) {
     errors.push('workoutId é obrigatório');
   }
 
-  if (!data.weekIdentifier || typeof data.weekIdentifier !== 'string') {
-    errors.push('weekIdentifier é obrigatório');
+  if (!isoWeek.isIsoWeekIdentifier(data.weekIdentifier)) {
+    errors.push('weekIdentifier deve ser uma semana ISO (YYYY-Www)');
   }
 
-  if (!data.dayOfWeek || !['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].includes(data.dayOfWeek)) {
+  if (!data.dayOfWeek || !FEEDBACK_DAYS.includes(data.dayOfWeek)) {
     errors.push('dayOfWeek inválido');
   }
 
-  if (typeof data.effortLevel !== 'number' || data.effortLevel < 1 || data.effortLevel > 10) {
+  if (!Number.isInteger(data.effortLevel) || data.effortLevel < 1 || data.effortLevel > 10) {
     errors.push('effortLevel deve ser um número entre 1 e 10');
   }
 
@@ -71,8 +122,23 @@ function validateFeedbackData(data) {
     errors.push('hasPain deve ser boolean');
   }
 
-  if (data.hasPain && (!data.painLocation || data.painLocation.trim() === '')) {
-    errors.push('painLocation é obrigatório quando hasPain é true');
+  if (String(data.painLocation || '').length > FEEDBACK_MAX_PAIN_LOCATION) {
+    errors.push(`local da dor deve ter até ${FEEDBACK_MAX_PAIN_LOCATION} caracteres`);
+  }
+
+  if (String(data.comment || '').length > FEEDBACK_MAX_COMMENT) {
+    errors.push(`comentário deve ter até ${FEEDBACK_MAX_COMMENT} caracteres`);
+  }
+
+  const regions = validatePainRegions(data.painRegions);
+  errors.push(...regions.errors);
+
+  const regionCount = Object.keys(normalizePainRegions(data.painRegions)).length;
+  if (data.hasPain && regionCount === 0 && (!data.painLocation || data.painLocation.trim() === '')) {
+    errors.push('informe o local da dor (mapa ou texto) quando hasPain é true');
+  }
+  if (!data.hasPain && regionCount > 0) {
+    errors.push('painRegions só pode ser preenchido quando hasPain é true');
   }
 
   return {
@@ -81,12 +147,152 @@ function validateFeedbackData(data) {
   };
 }
 
+/**
+ * Dados do formulário no esquema salvo (antes de validar). Aceita `effort`
+ * como alias de effortLevel (formato antigo do dashboard do aluno).
+ * Sem dor, local e regiões ficam vazios.
+ */
+function normalizeFeedbackInput(data) {
+  const hasPain = data?.hasPain === true;
+  const effort  = data?.effortLevel ?? data?.effort;
+  return {
+    studentId:      data?.studentId || '',
+    workoutId:      data?.workoutId || '',
+    weekIdentifier: data?.weekIdentifier || '',
+    dayOfWeek:      data?.dayOfWeek || '',
+    effortLevel:    typeof effort === 'string' ? parseInt(effort, 10) : effort,
+    sensation:      data?.sensation,
+    hasPain,
+    painLocation:   hasPain ? String(data?.painLocation || '').trim() : '',
+    painRegions:    hasPain ? normalizePainRegions(data?.painRegions) : {},
+    comment:        String(data?.comment || '').trim(),
+  };
+}
+
+/**
+ * O aluno ainda pode editar? (até FEEDBACK_EDIT_WINDOW_MS após o envio;
+ * createdAt ainda pendente no servidor conta como recém-criado)
+ */
+function canEditFeedback(feedback, now = Date.now()) {
+  if (!feedback) return false;
+  const c  = feedback.createdAt;
+  const ms = c?.toMillis?.() ?? (typeof c?.seconds === 'number' ? c.seconds * 1000 : null);
+  return ms === null || now - ms < FEEDBACK_EDIT_WINDOW_MS;
+}
+
+/**
+ * Intensidade válida (inteiro 1–10) ou null
+ */
+function normalizePainIntensity(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= 10 ? n : null;
+}
+
+/**
+ * Regiões no formato salvo: { código: intensidade | null }, só códigos
+ * conhecidos, em ordem alfabética. Aceita o mapa ou uma lista de códigos /
+ * { code, intensity }.
+ */
+function normalizePainRegions(regions) {
+  const entries = Array.isArray(regions)
+    ? regions.map(r => typeof r === 'string' ? [r, null] : [r?.code, r?.intensity])
+    : Object.entries(regions && typeof regions === 'object' ? regions : {});
+
+  const out = {};
+  entries
+    .filter(([code]) => Object.prototype.hasOwnProperty.call(PAIN_REGIONS, code))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([code, intensity]) => { out[code] = normalizePainIntensity(intensity); });
+  return out;
+}
+
+/**
+ * Validar painRegions (campo opcional)
+ */
+function validatePainRegions(regions) {
+  const errors = [];
+  if (regions === undefined || regions === null) return { isValid: true, errors };
+
+  if (typeof regions !== 'object' || Array.isArray(regions)) {
+    errors.push('painRegions deve ser um mapa região → intensidade');
+  } else {
+    Object.entries(regions).forEach(([code, intensity]) => {
+      if (!Object.prototype.hasOwnProperty.call(PAIN_REGIONS, code)) {
+        errors.push(`região de dor desconhecida: ${code}`);
+      } else if (intensity !== null && normalizePainIntensity(intensity) !== intensity) {
+        errors.push(`intensidade de ${PAIN_REGIONS[code]} deve ser de 1 a 10`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+function getPainRegionLabel(code) {
+  return PAIN_REGIONS[code] || code;
+}
+
+/**
+ * Texto das regiões para exibição: "Joelho esquerdo (7), Lombar"
+ */
+function formatPainRegions(regions) {
+  return Object.entries(normalizePainRegions(regions))
+    .map(([code, intensity]) => intensity ? `${PAIN_REGIONS[code]} (${intensity})` : PAIN_REGIONS[code])
+    .join(', ');
+}
+
+/**
+ * Agregado por região para o personal: quantos feedbacks citaram a região,
+ * intensidade média (só dos que informaram) e o relato mais recente.
+ * Ordenado por contagem (desc).
+ */
+function aggregatePainRegions(feedbacks) {
+  const ms  = f => f.createdAt?.toMillis?.() ??
+    (typeof f.createdAt?.seconds === 'number' ? f.createdAt.seconds * 1000 : (Date.parse(f.date) || 0));
+  const acc = {};
+
+  (feedbacks || []).filter(f => f?.hasPain).forEach(f => {
+    Object.entries(normalizePainRegions(f.painRegions)).forEach(([code, intensity]) => {
+      const item = acc[code] || (acc[code] = { code, label: PAIN_REGIONS[code], count: 0, intensitySum: 0, intensityCount: 0, lastAt: 0 });
+      item.count++;
+      if (intensity) { item.intensitySum += intensity; item.intensityCount++; }
+      item.lastAt = Math.max(item.lastAt, ms(f));
+    });
+  });
+
+  return Object.values(acc)
+    .map(({ intensitySum, intensityCount, ...item }) => ({
+      ...item,
+      avgIntensity: intensityCount ? Math.round((intensitySum / intensityCount) * 10) / 10 : null,
+    }))
+    .sort((a, b) => b.count - a.count || b.lastAt - a.lastAt);
+}
+
 // Exportar funções
 if (typeof window !== 'undefined') {
   window.feedbackModel = {
     getCurrentWeekIdentifier,
+    EDIT_WINDOW_MS: FEEDBACK_EDIT_WINDOW_MS,
+    MAX_COMMENT: FEEDBACK_MAX_COMMENT,
+    MAX_PAIN_LOCATION: FEEDBACK_MAX_PAIN_LOCATION,
     getFeedbackKey,
-    validateFeedbackData
+    validateFeedbackData,
+    normalizeFeedbackInput,
+    canEditFeedback,
+    getIsoWeekIdentifier: isoWeek.getIsoWeekIdentifier,
+    getIsoWeekStart: isoWeek.getIsoWeekStart,
+    shiftIsoWeek: isoWeek.shiftIsoWeek,
+    PAIN_REGIONS,
+    PAIN_MAX_REGIONS,
+    normalizePainRegions,
+    validatePainRegions,
+    getPainRegionLabel,
+    formatPainRegions,
+    aggregatePainRegions
   };
 }
 
@@ -0,0 +1,85 @@
+/**
+ * Modelo de Resposta a Feedback (conversa personal ↔ aluno)
+ *
+ * Subcoleção feedbacks/{feedbackId}/replies/{replyId}:
+ * {
+ *   id: "r01" … "r20" (sequencial — o id limita o tamanho da conversa)
+ *   feedbackId: string
+ *   studentId: string   (dono do feedback)
+ *   personalId: string  (personal do treino)
+ *   authorId: string
+ *   authorRole: "personal" | "student"
+ *   text: string (1–1000)
+ *   createdAt: timestamp
+ * }
+ *
+ * Só o aluno do feedback e o personal do treino leem/escrevem; respostas não
+ * são editadas nem apagadas. Cada resposta notifica o outro lado
+ * (api/feedback/reply-notify.js).
+ */
+
+const REPLY_MAX_PER_FEEDBACK = 20;
+const REPLY_MAX_LENGTH       = 1000;
+const REPLY_ROLES            = ['personal', 'student'];
+
+/**
+ * Id da resposta de número n (1 → "r01"); null fora do limite
+ */
+function getReplyId(n) {
+  if (!Number.isInteger(n) || n < 1 || n > REPLY_MAX_PER_FEEDBACK) return null;
+  return `r${String(n).padStart(2, '0')}`;
+}
+
+/**
+ * Próximo id livre da conversa; null quando já chegou ao limite
+ */
+function getNextReplyId(replies) {
+  const used = (replies || [])
+    .map(r => parseInt(String(r.id || '').slice(1), 10))
+    .filter(n => Number.isInteger(n));
+  return getReplyId(used.length ? Math.max(...used) + 1 : 1);
+}
+
+/**
+ * Validar texto de resposta
+ */
+function validateReplyText(text) {
+  const errors  = [];
+  const trimmed = String(text || '').trim();
+
+  if (!trimmed) {
+    errors.push('Escreva uma resposta');
+  } else if (trimmed.length > REPLY_MAX_LENGTH) {
+    errors.push(`A resposta deve ter até ${REPLY_MAX_LENGTH} caracteres`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Respostas agrupadas por feedback, em ordem ({ feedbackId: [reply] })
+ */
+function groupRepliesByFeedback(replies) {
+  const groups = {};
+  (replies || []).forEach(r => {
+    (groups[r.feedbackId] || (groups[r.feedbackId] = [])).push(r);
+  });
+  Object.values(groups).forEach(list => list.sort((a, b) => String(a.id).localeCompare(String(b.id))));
+  return groups;
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.feedbackReplyModel = {
+    MAX_PER_FEEDBACK: REPLY_MAX_PER_FEEDBACK,
+    MAX_LENGTH: REPLY_MAX_LENGTH,
+    ROLES: REPLY_ROLES,
+    getReplyId,
+    getNextReplyId,
+    validateReplyText,
+    groupRepliesByFeedback
+  };
+}
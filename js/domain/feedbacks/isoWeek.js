@@ -0,0 +1,111 @@
+/**
+ * Semana ISO-8601 — implementação única usada pelo app e pelo backend
+ *
+ * Formato: "YYYY-Www" (ex.: "2025-W01"), semanas de segunda a domingo; a
+ * semana 1 é a que contém a primeira quinta-feira do ano, então 30/12/2024 é
+ * "2025-W01" e 03/01/2021 é "2020-W53".
+ *
+ * Fuso: o dia do calendário é o do fuso do app (ISO_WEEK_TIME_ZONE), não o
+ * do dispositivo nem o UTC do servidor — assim o aluno, o personal e a
+ * migração (api/feedback/migrate-weeks.js) chegam à mesma semana e ao mesmo
+ * dia para o mesmo instante.
+ *
+ * Carregado como <script> (window.isoWeek) e via require() no backend.
+ */
+
+const ISO_WEEK_TIME_ZONE = 'America/Sao_Paulo';
+const ISO_WEEK_RE        = /^(\d{4})-W(\d{2})$/;
+const ISO_WEEK_DAYS      = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isoWeekFormatters = {};
+
+/**
+ * Data do calendário { year, month (1–12), day } de um instante no fuso
+ */
+function getZonedDate(date = new Date(), timeZone = ISO_WEEK_TIME_ZONE) {
+  const instant = date instanceof Date ? date : new Date(date);
+  if (isNaN(instant)) return null;
+  const fmt = isoWeekFormatters[timeZone] || (isoWeekFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }));
+  const parts = Object.fromEntries(fmt.formatToParts(instant).map(p => [p.type, p.value]));
+  return { year: parseInt(parts.year, 10), month: parseInt(parts.month, 10), day: parseInt(parts.day, 10) };
+}
+
+/**
+ * Semana ISO da data do calendário (UTC à meia-noite — só aritmética de datas)
+ */
+function isoWeekOfUtcDate(utc) {
+  const d   = new Date(utc.getTime());
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);                 // quinta-feira da semana
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Semana ISO de um instante no fuso do app
+ */
+function getIsoWeekIdentifier(date = new Date(), timeZone = ISO_WEEK_TIME_ZONE) {
+  const z = getZonedDate(date, timeZone);
+  return z ? isoWeekOfUtcDate(new Date(Date.UTC(z.year, z.month - 1, z.day))) : null;
+}
+
+/**
+ * Dia da semana ("monday"…) de um instante no fuso do app
+ */
+function getIsoDayOfWeek(date = new Date(), timeZone = ISO_WEEK_TIME_ZONE) {
+  const z = getZonedDate(date, timeZone);
+  return z ? ISO_WEEK_DAYS[new Date(Date.UTC(z.year, z.month - 1, z.day)).getUTCDay()] : null;
+}
+
+function isIsoWeekIdentifier(weekId) {
+  return getIsoWeekMonday(weekId) !== null;
+}
+
+/**
+ * Segunda-feira da semana (Date UTC à meia-noite) ou null se inválida
+ */
+function getIsoWeekMonday(weekId) {
+  const m = ISO_WEEK_RE.exec(String(weekId || ''));
+  if (!m) return null;
+  const year = parseInt(m[1], 10);
+  const week = parseInt(m[2], 10);
+  if (week < 1 || week > 53) return null;
+  const jan4   = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(Date.UTC(year, 0, 4 - ((jan4.getUTCDay() || 7) - 1) + (week - 1) * 7));
+  return isoWeekOfUtcDate(monday) === weekId ? monday : null;   // "2021-W53" não existe
+}
+
+/**
+ * Segunda-feira da semana como data local (00:00), para exibição
+ */
+function getIsoWeekStart(weekId) {
+  const monday = getIsoWeekMonday(weekId);
+  return monday ? new Date(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate()) : null;
+}
+
+/**
+ * Semana deslocada em n semanas ("2025-W01", -1 → "2024-W52")
+ */
+function shiftIsoWeek(weekId, n) {
+  const monday = getIsoWeekMonday(weekId);
+  if (!monday) return null;
+  monday.setUTCDate(monday.getUTCDate() + n * 7);
+  return isoWeekOfUtcDate(monday);
+}
+
+const isoWeek = {
+  TIME_ZONE: ISO_WEEK_TIME_ZONE,
+  getZonedDate,
+  getIsoWeekIdentifier,
+  getIsoDayOfWeek,
+  isIsoWeekIdentifier,
+  getIsoWeekStart,
+  shiftIsoWeek
+};
+
+// Exportar funções
+if (typeof window !== 'undefined') window.isoWeek = isoWeek;
+if (typeof module !== 'undefined' && module.exports) module.exports = isoWeek;
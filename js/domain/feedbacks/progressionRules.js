@@ -0,0 +1,336 @@
+/**
+ * Regras de Progressão a partir dos Feedbacks
+ *
+ * Analisa os feedbacks das últimas N semanas de um dia do treino
+ * (effortLevel, sensation, hasPain/painLocation/painRegions) e propõe edições concretas
+ * para o personal aceitar ou rejeitar no montador de rotinas.
+ *
+ * Sugestão:
+ * {
+ *   id: string (`${ruleId}:${dayOfWeek}:${alvo}` — estável entre recargas)
+ *   ruleId: string ("too_easy_add_set" | "too_hard_reduce_reps" | "too_hard_remove_set" | "pain_swap")
+ *   type: string ("add_set" | "remove_set" | "reduce_reps" | "swap_exercise")
+ *   dayOfWeek: string
+ *   muscle: string (grupo muscular alvo, quando a regra é por grupo)
+ *   exerciseName: string (exercício que recebe a edição)
+ *   label: string (ex: "+1 série em Peito")
+ *   reason: string (ex: "3 de 4 feedbacks \"leve\" · esforço médio 4.5")
+ *   evidence: { feedbacks, avgEffort, leve, ideal, pesado, pain, lastAt }
+ * }
+ *
+ * Entrada do histórico do treino (workouts/{id}.history):
+ * { suggestionId, ruleId, type, dayOfWeek, exerciseName, label, reason,
+ *   status: "accepted" | "rejected", decidedAt: ISO string }
+ */
+
+const PROGRESSION_DEFAULT_WEEKS = 4;
+const PROGRESSION_MIN_FEEDBACKS = 2;
+const PROGRESSION_PAIN_THRESHOLD = 3;
+const PROGRESSION_MAX_SETS = 10;
+const PROGRESSION_MIN_REPS = 3;
+
+// Local da dor (texto livre) → grupos musculares cujos exercícios sobrecarregam a região
+const PAIN_REGION_MUSCLES = [
+  { keys: ['joelho', 'patela'],                 muscles: ['Pernas', 'Glúteos'] },
+  { keys: ['quadril', 'virilha', 'gluteo'],     muscles: ['Pernas', 'Glúteos'] },
+  { keys: ['coxa', 'posterior', 'canela'],      muscles: ['Pernas'] },
+  { keys: ['tornozelo', 'panturrilha'],         muscles: ['Pernas'] },
+  { keys: ['lombar', 'coluna', 'costas'],       muscles: ['Costas', 'Pernas'] },
+  { keys: ['ombro', 'manguito'],                muscles: ['Ombros', 'Peito'] },
+  { keys: ['cotovelo', 'braco'],                muscles: ['Bíceps', 'Tríceps'] },
+  { keys: ['punho', 'pulso', 'mao'],            muscles: ['Bíceps', 'Tríceps', 'Peito'] },
+  { keys: ['peito', 'peitoral'],                muscles: ['Peito'] },
+  { keys: ['pescoco', 'cervical', 'trapezio'],  muscles: ['Ombros', 'Costas'] },
+];
+
+function normalizeProgressionText(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Data do feedback em ms (Timestamp do Firestore, {seconds} ou ISO em `date`)
+ */
+function getFeedbackTime(feedback) {
+  const ts = feedback?.createdAt;
+  if (ts?.toDate) return ts.toDate().getTime();
+  if (ts?.seconds) return ts.seconds * 1000;
+  const parsed = Date.parse(feedback?.date || '');
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Exercício do quadro ({name, muscle, sets, reps}) ou salvo ({exerciseName, muscleGroup, ...})
+ */
+function readProgressionExercise(ex) {
+  return {
+    name:   ex?.name   || ex?.exerciseName || '',
+    muscle: ex?.muscle || ex?.muscleGroup  || '',
+    sets:   parseInt(ex?.sets, 10) || 0,
+    reps:   String(ex?.reps ?? ''),
+  };
+}
+
+/**
+ * Reps reduzidas em 2 ("10" → "8", "8-10" → "6-8"). null se não for numérico
+ * ou se já estiver no mínimo.
+ */
+function reduceRepsValue(reps) {
+  const str = String(reps || '').trim();
+  const range = str.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) {
+    const lo = parseInt(range[1], 10);
+    const hi = parseInt(range[2], 10);
+    if (lo - 2 < PROGRESSION_MIN_REPS) return null;
+    return `${lo - 2}-${hi - 2}`;
+  }
+  if (!/^\d+$/.test(str)) return null;
+  const n = parseInt(str, 10);
+  if (n - 2 < PROGRESSION_MIN_REPS) return null;
+  return String(n - 2);
+}
+
+/**
+ * Resumo dos feedbacks de um dia
+ */
+function summarizeDayFeedbacks(feedbacks) {
+  const summary = { feedbacks: feedbacks.length, avgEffort: 0, leve: 0, ideal: 0, pesado: 0, pain: 0, painLocations: [], lastAt: 0 };
+  if (feedbacks.length === 0) return summary;
+
+  const regionLabels = (typeof window !== 'undefined' && window.feedbackModel?.PAIN_REGIONS) || {};
+  let effortSum = 0;
+  feedbacks.forEach(f => {
+    effortSum += Number(f.effortLevel) || 0;
+    if (summary[f.sensation] !== undefined) summary[f.sensation]++;
+    if (f.hasPain) {
+      summary.pain++;
+      if (f.painLocation) summary.painLocations.push(f.painLocation);
+      // Regiões do mapa corporal entram pelo nome ("Joelho esquerdo")
+      Object.keys(f.painRegions || {}).forEach(code => {
+        if (regionLabels[code]) summary.painLocations.push(regionLabels[code]);
+      });
+    }
+    summary.lastAt = Math.max(summary.lastAt, getFeedbackTime(f));
+  });
+  summary.avgEffort = Math.round((effortSum / feedbacks.length) * 10) / 10;
+  return summary;
+}
+
+/**
+ * Grupo muscular com mais exercícios no dia (empate: o que aparece primeiro)
+ */
+function getMainMuscle(exercises, predicate = () => true) {
+  const counts = {};
+  exercises.forEach(ex => {
+    if (!ex.muscle || !predicate(ex)) return;
+    counts[ex.muscle] = (counts[ex.muscle] || 0) + 1;
+  });
+  let best = null;
+  Object.keys(counts).forEach(m => { if (!best || counts[m] > counts[best]) best = m; });
+  return best;
+}
+
+/**
+ * Exercícios do dia afetados pelos locais de dor relatados
+ */
+function findPainAffectedExercises(exercises, painLocations) {
+  const texts = painLocations.map(normalizeProgressionText);
+  const muscles = new Set();
+  PAIN_REGION_MUSCLES.forEach(region => {
+    if (texts.some(t => region.keys.some(k => t.includes(k)))) region.muscles.forEach(m => muscles.add(m));
+  });
+
+  return exercises.filter(ex => {
+    const name = normalizeProgressionText(ex.name);
+    // aluno citou o exercício pelo nome ("dor no agachamento")
+    if (name && texts.some(t => t.includes(name))) return true;
+    return muscles.has(ex.muscle);
+  });
+}
+
+const PROGRESSION_RULES = [
+  {
+    id: 'pain_swap',
+    evaluate({ day, exercises, summary }) {
+      if (summary.pain < PROGRESSION_PAIN_THRESHOLD) return [];
+      const where = Object.values(summary.painLocations.reduce((acc, l) => {
+        const key = normalizeProgressionText(l);
+        if (key && !acc[key]) acc[key] = l.trim();
+        return acc;
+      }, {})).join(', ');
+      return findPainAffectedExercises(exercises, summary.painLocations).slice(0, 2).map(ex => ({
+        type: 'swap_exercise',
+        dayOfWeek: day,
+        muscle: ex.muscle,
+        exerciseName: ex.name,
+        label: `Trocar ${ex.name} — dor relatada ${summary.pain}×`,
+        reason: where ? `Local: ${where}` : 'Dor relatada sem local informado',
+      }));
+    },
+  },
+  {
+    id: 'too_easy_add_set',
+    evaluate({ day, exercises, summary }) {
+      if (summary.pain > 0) return [];
+      if (summary.leve / summary.feedbacks < 0.6 || summary.avgEffort > 6) return [];
+      const muscle = getMainMuscle(exercises, ex => ex.sets < PROGRESSION_MAX_SETS);
+      if (!muscle) return [];
+      const target = exercises.find(ex => ex.muscle === muscle && ex.sets < PROGRESSION_MAX_SETS);
+      return [{
+        type: 'add_set',
+        dayOfWeek: day,
+        muscle,
+        exerciseName: target.name,
+        label: `+1 série em ${muscle}`,
+        reason: `${summary.leve} de ${summary.feedbacks} feedbacks "leve" · esforço médio ${summary.avgEffort} (em ${target.name})`,
+      }];
+    },
+  },
+  {
+    id: 'too_hard_reduce_reps',
+    evaluate({ day, exercises, summary }) {
+      if (summary.pesado / summary.feedbacks < 0.6 || summary.avgEffort < 8) return [];
+      const target = exercises.find(ex => reduceRepsValue(ex.reps) !== null);
+      if (!target) return [];
+      return [{
+        type: 'reduce_reps',
+        dayOfWeek: day,
+        muscle: target.muscle,
+        exerciseName: target.name,
+        label: `Reduzir reps em ${target.name} (${target.reps} → ${reduceRepsValue(target.reps)})`,
+        reason: `${summary.pesado} de ${summary.feedbacks} feedbacks "pesado" · esforço médio ${summary.avgEffort}`,
+      }];
+    },
+  },
+  {
+    id: 'too_hard_remove_set',
+    evaluate({ day, exercises, summary }) {
+      if (summary.pesado / summary.feedbacks < 0.75 || summary.avgEffort < 9) return [];
+      const muscle = getMainMuscle(exercises, ex => ex.sets > 2);
+      if (!muscle) return [];
+      const candidates = exercises.filter(ex => ex.muscle === muscle && ex.sets > 2);
+      const target = candidates.reduce((a, b) => (b.sets > a.sets ? b : a), candidates[0]);
+      return [{
+        type: 'remove_set',
+        dayOfWeek: day,
+        muscle,
+        exerciseName: target.name,
+        label: `−1 série em ${muscle}`,
+        reason: `Esforço médio ${summary.avgEffort} com ${summary.pesado} de ${summary.feedbacks} feedbacks "pesado" (em ${target.name})`,
+      }];
+    },
+  },
+];
+
+/**
+ * Sugestões para os dias do treino.
+ *
+ * @param {Object} params
+ * @param {Array}  params.feedbacks  feedbacks do treino (qualquer ordem)
+ * @param {Object} params.days       { monday: [exercícios], ... } — quadro ou workout.days
+ * @param {Array}  params.history    workout.history — decisões já tomadas
+ * @param {number} params.weeks      janela em semanas
+ * @param {Date}   params.now
+ */
+function buildProgressionSuggestions({ feedbacks = [], days = {}, history = [], weeks = PROGRESSION_DEFAULT_WEEKS, now = new Date() } = {}) {
+  const since = now.getTime() - weeks * 7 * 86400000;
+  const recent = feedbacks.filter(f => getFeedbackTime(f) >= since);
+
+  const decidedAt = {};
+  (history || []).forEach(h => {
+    const t = Date.parse(h?.decidedAt || '');
+    if (h?.suggestionId && !isNaN(t)) decidedAt[h.suggestionId] = Math.max(decidedAt[h.suggestionId] || 0, t);
+  });
+
+  const suggestions = [];
+  Object.keys(days).forEach(day => {
+    const exercises = (days[day] || []).map(readProgressionExercise).filter(ex => ex.name);
+    const dayFeedbacks = recent.filter(f => f.dayOfWeek === day);
+    if (exercises.length === 0 || dayFeedbacks.length < PROGRESSION_MIN_FEEDBACKS) return;
+
+    const summary = summarizeDayFeedbacks(dayFeedbacks);
+    const evidence = {
+      feedbacks: summary.feedbacks, avgEffort: summary.avgEffort,
+      leve: summary.leve, ideal: summary.ideal, pesado: summary.pesado,
+      pain: summary.pain, lastAt: summary.lastAt,
+    };
+
+    PROGRESSION_RULES.forEach(rule => {
+      rule.evaluate({ day, exercises, summary }).forEach(s => {
+        const id = `${rule.id}:${day}:${normalizeProgressionText(s.exerciseName)}`;
+        // já decidida depois do feedback mais recente → nada novo a propor
+        if (decidedAt[id] && decidedAt[id] >= summary.lastAt) return;
+        suggestions.push({ id, ruleId: rule.id, ...s, evidence });
+      });
+    });
+  });
+
+  return suggestions;
+}
+
+/**
+ * Aplica a sugestão aos exercícios do dia (formato do quadro).
+ * Retorna { exercises, applied }. Trocas de exercício exigem escolher o
+ * substituto — ficam com a UI (applied: false, requiresReplacement: true).
+ */
+function applyProgressionSuggestion(dayExercises, suggestion) {
+  const exercises = (dayExercises || []).map(ex => ({ ...ex }));
+  const target = normalizeProgressionText(suggestion?.exerciseName);
+  const idx = exercises.findIndex(ex => normalizeProgressionText(ex.name || ex.exerciseName) === target);
+  if (idx === -1) return { exercises, applied: false, index: -1 };
+
+  const ex = exercises[idx];
+  const sets = parseInt(ex.sets, 10) || 0;
+
+  switch (suggestion.type) {
+    case 'add_set':
+      if (sets >= PROGRESSION_MAX_SETS) return { exercises, applied: false, index: idx };
+      ex.sets = String(sets + 1);
+      break;
+    case 'remove_set':
+      if (sets <= 1) return { exercises, applied: false, index: idx };
+      ex.sets = String(sets - 1);
+      break;
+    case 'reduce_reps': {
+      const reps = reduceRepsValue(ex.reps);
+      if (reps === null) return { exercises, applied: false, index: idx };
+      ex.reps = reps;
+      break;
+    }
+    case 'swap_exercise':
+      return { exercises, applied: false, index: idx, requiresReplacement: true };
+    default:
+      return { exercises, applied: false, index: idx };
+  }
+
+  return { exercises, applied: true, index: idx };
+}
+
+/**
+ * Entrada de histórico para uma decisão do personal
+ */
+function createProgressionHistoryEntry(suggestion, status, extra = {}) {
+  return {
+    suggestionId: suggestion.id,
+    ruleId:       suggestion.ruleId,
+    type:         suggestion.type,
+    dayOfWeek:    suggestion.dayOfWeek,
+    exerciseName: suggestion.exerciseName || '',
+    label:        suggestion.label,
+    reason:       suggestion.reason || '',
+    status,
+    decidedAt:    new Date().toISOString(),
+    ...extra,
+  };
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.progressionRules = {
+    DEFAULT_WEEKS: PROGRESSION_DEFAULT_WEEKS,
+    buildProgressionSuggestions,
+    applyProgressionSuggestion,
+    createProgressionHistoryEntry
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Modelo de Grupos de Alunos (turmas)
+ *
+ * Coleção groups/{groupId}:
+ * {
+ *   id: string
+ *   personalId: string (UID do dono — regras restringem tudo a ele)
+ *   name: string (1–60) — ex.: "Turma manhã", "Corrida"
+ *   color: string (uma das GROUP_COLORS)
+ *   studentIds: string[] (UIDs dos alunos, até 200)
+ *   createdAt, updatedAt: timestamp
+ * }
+ *
+ * Um aluno pode estar em vários grupos. Filtros usam groupId vazio = todos.
+ */
+
+const GROUP_COLORS      = ['#2563EB', '#059669', '#D97706', '#7C3AED', '#DC2626', '#0891B2', '#BE185D', '#374151'];
+const GROUP_MAX_NAME    = 60;
+const GROUP_MAX_MEMBERS = 200;
+
+/**
+ * Validar grupo antes de salvar
+ */
+function validateGroup(group) {
+  const errors = [];
+
+  const name = String(group?.name || '').trim();
+  if (!name) errors.push('informe o nome do grupo');
+  else if (name.length > GROUP_MAX_NAME) errors.push(`nome deve ter até ${GROUP_MAX_NAME} caracteres`);
+
+  if (!GROUP_COLORS.includes(group?.color)) errors.push('cor inválida');
+
+  if (!Array.isArray(group?.studentIds) || group.studentIds.length > GROUP_MAX_MEMBERS) {
+    errors.push(`no máximo ${GROUP_MAX_MEMBERS} alunos por grupo`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Grupos dos quais o aluno faz parte
+ */
+function getStudentGroups(groups, studentId) {
+  return (groups || []).filter(g => (g.studentIds || []).includes(studentId));
+}
+
+/**
+ * Filtra uma lista pelo grupo (groupId vazio = sem filtro).
+ * `getStudentId` extrai o UID de cada item (aluno, feedback...).
+ */
+function filterByGroup(items, groups, groupId, getStudentId = item => item.uid) {
+  if (!groupId) return items || [];
+  const group = (groups || []).find(g => g.id === groupId);
+  if (!group) return [];
+  const members = new Set(group.studentIds || []);
+  return (items || []).filter(item => members.has(getStudentId(item)));
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.groupModel = {
+    COLORS: GROUP_COLORS,
+    MAX_MEMBERS: GROUP_MAX_MEMBERS,
+    validateGroup,
+    getStudentGroups,
+    filterByGroup
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Modelo de Lesões (registro do personal por aluno)
+ *
+ * Coleção injuries/{injuryId}:
+ * {
+ *   id: string
+ *   personalId: string (UID do dono — regras restringem tudo a ele)
+ *   studentId: string
+ *   location: string (1–80) — ex.: "Joelho direito", "Lombar"
+ *   status: "open" | "monitoring" | "resolved"
+ *   notes: string (até 2000)
+ *   avoidExercises: string[] (nomes de exercícios a evitar, até 50)
+ *   sourceFeedbackId: string (feedback com dor que originou o registro, opcional)
+ *   createdAt, updatedAt: timestamp
+ *   resolvedAt: timestamp | null
+ * }
+ *
+ * Alertas de dor: feedback com hasPain gera uma notificação type "pain_report"
+ * para o personal (api/feedback/pain-alert.js). O alerta fica pendente até o
+ * personal registrar a lesão ou dispensá-lo (notificação marcada como lida).
+ */
+
+const INJURY_STATUS = { OPEN: 'open', MONITORING: 'monitoring', RESOLVED: 'resolved' };
+const INJURY_STATUS_LABELS = { open: 'Aberta', monitoring: 'Em acompanhamento', resolved: 'Resolvida' };
+const INJURY_MAX_LOCATION = 80;
+const INJURY_MAX_NOTES    = 2000;
+const INJURY_MAX_AVOID    = 50;
+const PAIN_ALERT_TYPE     = 'pain_report';
+
+/**
+ * Validar lesão antes de salvar
+ */
+function validateInjury(injury) {
+  const errors = [];
+
+  const location = String(injury?.location || '').trim();
+  if (!location) errors.push('informe o local da lesão');
+  else if (location.length > INJURY_MAX_LOCATION) errors.push(`local deve ter até ${INJURY_MAX_LOCATION} caracteres`);
+
+  if (!Object.values(INJURY_STATUS).includes(injury?.status)) errors.push('status inválido');
+
+  if (String(injury?.notes || '').length > INJURY_MAX_NOTES) {
+    errors.push(`observações devem ter até ${INJURY_MAX_NOTES} caracteres`);
+  }
+
+  const avoid = injury?.avoidExercises;
+  if (!Array.isArray(avoid) || avoid.length > INJURY_MAX_AVOID || avoid.some(n => typeof n !== 'string' || !n.trim())) {
+    errors.push(`no máximo ${INJURY_MAX_AVOID} exercícios a evitar`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Aberta ou em acompanhamento
+ */
+function isInjuryActive(injury) {
+  return !!injury && injury.status !== INJURY_STATUS.RESOLVED;
+}
+
+/**
+ * Nome comparável (sem acento, minúsculo, espaços simples)
+ */
+function normalizeInjuryExercise(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lesões ativas que marcam o exercício como "evitar"
+ */
+function findAvoidConflicts(injuries, exerciseName) {
+  const target = normalizeInjuryExercise(exerciseName);
+  if (!target) return [];
+  return (injuries || []).filter(inj =>
+    isInjuryActive(inj) &&
+    (inj.avoidExercises || []).some(n => normalizeInjuryExercise(n) === target));
+}
+
+/**
+ * Ordem de exibição: ativas primeiro (abertas antes de acompanhamento), depois
+ * resolvidas; dentro de cada status, mais recentes primeiro.
+ */
+function sortInjuries(injuries) {
+  const rank = { open: 0, monitoring: 1, resolved: 2 };
+  const ms   = ts => ts?.toMillis?.() ?? (typeof ts?.seconds === 'number' ? ts.seconds * 1000 : 0);
+  return [...(injuries || [])].sort((a, b) =>
+    (rank[a.status] ?? 3) - (rank[b.status] ?? 3) || ms(b.updatedAt || b.createdAt) - ms(a.updatedAt || a.createdAt));
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.injuryModel = {
+    STATUS: INJURY_STATUS,
+    STATUS_LABELS: INJURY_STATUS_LABELS,
+    MAX_LOCATION: INJURY_MAX_LOCATION,
+    MAX_NOTES: INJURY_MAX_NOTES,
+    MAX_AVOID: INJURY_MAX_AVOID,
+    PAIN_ALERT_TYPE,
+    validateInjury,
+    isInjuryActive,
+    normalizeInjuryExercise,
+    findAvoidConflicts,
+    sortInjuries
+  };
+}
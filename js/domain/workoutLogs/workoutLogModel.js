@@ -0,0 +1,349 @@
+/**
+ * Modelo de Dados para Registro de Séries (workoutLogs)
+ *
+ * Um documento por aluno + treino + data (data local do aluno):
+ *   id: `${studentId}_${workoutId}_${YYYY-MM-DD}`
+ *
+ * Estrutura do documento:
+ * {
+ *   id: string
+ *   studentId: string (UID do aluno)
+ *   workoutId: string (ID do treino)
+ *   personalId: string (desnormalizado — permite query direta do personal)
+ *   date: string ("YYYY-MM-DD")
+ *   dayOfWeek: string (último dia do treino registrado nessa data)
+ *   exercises: {
+ *     [getLogEntryKey(dayOfWeek, exerciseName, occurrence)]: {
+ *       dayOfWeek: string
+ *       exerciseIndex: number (posição no dia quando foi registrado)
+ *       occurrence: number (0 = primeira vez do exercício no dia)
+ *       exerciseName: string
+ *       muscleGroup: string
+ *       prescribedSets: number
+ *       prescribedReps: string (texto livre: "12", "8-10", "até a falha")
+ *       sets: [{ weight: number|null, reps: number|null, rpe: number|null, done: boolean }]
+ *       done: boolean
+ *     }
+ *   }
+ *   createdAt: timestamp
+ *   updatedAt: timestamp
+ * }
+ *
+ * Chave da entrada pelo nome do exercício, não pela posição: o personal pode
+ * reordenar, inserir ou remover exercícios no meio do dia sem as cargas já
+ * registradas irem para outro exercício.
+ */
+
+const WORKOUT_LOG_MAX_SETS = 20;
+const WORKOUT_LOG_DAYS     = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Data local no formato YYYY-MM-DD (o treino pertence ao dia do aluno, não ao UTC)
+ */
+function getLogDateKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Identificador do documento de log
+ * Formato: studentId_workoutId_YYYY-MM-DD
+ */
+function getWorkoutLogId(studentId, workoutId, dateKey) {
+  return `${studentId}_${workoutId}_${dateKey}`;
+}
+
+/**
+ * Chave da entrada de um exercício dentro do documento: dia + nome
+ * normalizado, com sufixo quando o mesmo exercício se repete no dia
+ * ("monday_supino-reto", "monday_supino-reto_2")
+ */
+function getLogEntryKey(dayOfWeek, exerciseName, occurrence = 0) {
+  const slug = normalizeExerciseName(exerciseName).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'exercicio';
+  return `${dayOfWeek}_${slug}${occurrence > 0 ? `_${occurrence + 1}` : ''}`;
+}
+
+function getPrescribedName(exercise) {
+  return exercise?.exerciseName || exercise?.name || '';
+}
+
+/**
+ * Quantas vezes o exercício da posição idx já apareceu antes no dia
+ */
+function getExerciseOccurrence(dayExercises, idx) {
+  const list   = Array.isArray(dayExercises) ? dayExercises : [];
+  const target = normalizeExerciseName(getPrescribedName(list[idx]));
+  return list.slice(0, idx).filter(ex => normalizeExerciseName(getPrescribedName(ex)) === target).length;
+}
+
+/**
+ * Chave da entrada do exercício idx da lista prescrita do dia
+ */
+function getExerciseLogKey(dayOfWeek, dayExercises, idx) {
+  return getLogEntryKey(dayOfWeek, getPrescribedName(dayExercises?.[idx]), getExerciseOccurrence(dayExercises, idx));
+}
+
+/**
+ * Entrada do log para o exercício idx do dia (ou null)
+ */
+function findLogEntry(entries, dayOfWeek, dayExercises, idx) {
+  return entries?.[getExerciseLogKey(dayOfWeek, dayExercises, idx)] || null;
+}
+
+/**
+ * Entrada a editar para o exercício idx: a do log ou uma nova.
+ * exerciseIndex acompanha a posição atual. Retorna { key, entry }.
+ */
+function resolveLogEntry(entries, dayOfWeek, dayExercises, idx) {
+  const key        = getExerciseLogKey(dayOfWeek, dayExercises, idx);
+  const found      = findLogEntry(entries, dayOfWeek, dayExercises, idx);
+  const occurrence = getExerciseOccurrence(dayExercises, idx);
+
+  if (!found) return { key, entry: createLogEntry(dayExercises?.[idx], dayOfWeek, idx, occurrence) };
+
+  found.exerciseIndex = idx;
+  found.occurrence    = occurrence;
+  return { key, entry: found };
+}
+
+/**
+ * Número de séries prescritas ("4", 4, "3-4" → 3). Fallback: 3.
+ */
+function parsePrescribedSets(sets) {
+  const n = parseInt(sets, 10);
+  if (isNaN(n) || n < 1) return 3;
+  return Math.min(n, WORKOUT_LOG_MAX_SETS);
+}
+
+/**
+ * Cria uma entrada vazia a partir do exercício prescrito
+ */
+function createLogEntry(exercise, dayOfWeek, exerciseIndex, occurrence = 0) {
+  const prescribedSets = parsePrescribedSets(exercise?.sets);
+  return {
+    dayOfWeek,
+    exerciseIndex,
+    occurrence,
+    exerciseName:   getPrescribedName(exercise),
+    muscleGroup:    exercise?.muscleGroup  || exercise?.muscle || '',
+    prescribedSets,
+    prescribedReps: String(exercise?.reps ?? ''),
+    sets: Array.from({ length: prescribedSets }, () => ({ weight: null, reps: null, rpe: null, done: false })),
+    done: false,
+  };
+}
+
+/**
+ * Converte o valor digitado em número válido para o campo (ou null).
+ * weight: 0–1000 kg (aceita vírgula) · reps: inteiro 0–1000 · rpe: 1–10 em passos de 0.5
+ */
+function normalizeSetValue(field, raw) {
+  if (raw === null || raw === undefined) return null;
+  const str = String(raw).trim().replace(',', '.');
+  if (str === '') return null;
+
+  const num = Number(str);
+  if (!isFinite(num)) return null;
+
+  if (field === 'weight') {
+    if (num < 0 || num > 1000) return null;
+    return Math.round(num * 100) / 100;
+  }
+  if (field === 'reps') {
+    if (num < 0 || num > 1000) return null;
+    return Math.round(num);
+  }
+  if (field === 'rpe') {
+    if (num < 1 || num > 10) return null;
+    return Math.round(num * 2) / 2;
+  }
+  return null;
+}
+
+/**
+ * Exercício concluído quando todas as séries estão marcadas
+ */
+function isLogEntryComplete(entry) {
+  return !!entry && Array.isArray(entry.sets) && entry.sets.length > 0 && entry.sets.every(s => s.done);
+}
+
+/**
+ * Validar entrada antes de salvar
+ */
+function validateWorkoutLogEntry(entry) {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return { isValid: false, errors: ['entrada inválida'] };
+  }
+
+  if (!WORKOUT_LOG_DAYS.includes(entry.dayOfWeek)) {
+    errors.push('dayOfWeek inválido');
+  }
+
+  if (!Number.isInteger(entry.exerciseIndex) || entry.exerciseIndex < 0) {
+    errors.push('exerciseIndex inválido');
+  }
+
+  if (entry.occurrence !== undefined && (!Number.isInteger(entry.occurrence) || entry.occurrence < 0)) {
+    errors.push('occurrence inválido');
+  }
+
+  if (typeof entry.exerciseName !== 'string') {
+    errors.push('exerciseName inválido');
+  }
+
+  if (!Array.isArray(entry.sets) || entry.sets.length === 0 || entry.sets.length > WORKOUT_LOG_MAX_SETS) {
+    errors.push(`sets deve ter entre 1 e ${WORKOUT_LOG_MAX_SETS} séries`);
+  } else {
+    entry.sets.forEach((s, i) => {
+      if (s.weight !== null && normalizeSetValue('weight', s.weight) !== s.weight) errors.push(`série ${i + 1}: carga inválida`);
+      if (s.reps   !== null && normalizeSetValue('reps',   s.reps)   !== s.reps)   errors.push(`série ${i + 1}: repetições inválidas`);
+      if (s.rpe    !== null && normalizeSetValue('rpe',    s.rpe)    !== s.rpe)    errors.push(`série ${i + 1}: RPE deve estar entre 1 e 10`);
+      if (typeof s.done !== 'boolean') errors.push(`série ${i + 1}: done deve ser boolean`);
+    });
+  }
+
+  if (typeof entry.done !== 'boolean') {
+    errors.push('done deve ser boolean');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// ── Progressão ──────────────────────────────────────────────────────
+
+/**
+ * Nome normalizado para casar o mesmo exercício entre treinos/versões
+ * ("Supino Reto " e "supino reto" → "supino reto")
+ */
+function normalizeExerciseName(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 1RM estimado (Epley). Acima de 12 reps a estimativa perde precisão,
+ * mas é mantida para não esconder a tendência.
+ */
+function estimateOneRepMax(weight, reps) {
+  if (!(weight > 0) || !(reps > 0)) return 0;
+  if (reps === 1) return weight;
+  return Math.round(weight * (1 + reps / 30) * 10) / 10;
+}
+
+/**
+ * Segunda-feira (data local) da semana de uma data "YYYY-MM-DD"
+ */
+function getWeekStartKey(dateKey) {
+  const [y, m, d] = String(dateKey).split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  const diff = (date.getDay() + 6) % 7; // segunda = 0
+  date.setDate(date.getDate() - diff);
+  return getLogDateKey(date);
+}
+
+/**
+ * Métricas de uma sessão a partir das séries com carga e reps preenchidas.
+ * topSet = série com maior carga (desempate por reps).
+ */
+function summarizeSets(sets) {
+  const valid = (sets || []).filter(s => s && s.weight !== null && s.weight >= 0 && s.reps > 0);
+  if (valid.length === 0) return null;
+
+  let top = valid[0];
+  valid.forEach(s => {
+    if (s.weight > top.weight || (s.weight === top.weight && s.reps > top.reps)) top = s;
+  });
+
+  return {
+    topSetWeight: top.weight,
+    topSetReps:   top.reps,
+    e1rm:         Math.max(...valid.map(s => estimateOneRepMax(s.weight, s.reps))),
+    tonnage:      Math.round(valid.reduce((sum, s) => sum + s.weight * s.reps, 0)),
+    setsLogged:   valid.length,
+  };
+}
+
+/**
+ * Progressão de um exercício a partir dos logs do aluno.
+ * Retorna:
+ * {
+ *   sessions: [{ date, topSetWeight, topSetReps, e1rm, tonnage, setsLogged }] (ordem cronológica)
+ *   weeks:    [{ weekStart, topSetWeight, e1rm, tonnage, sessions }]
+ *   stall:    { stalled: boolean, sessions: number } — sessões seguidas sem superar o melhor 1RM
+ * }
+ */
+function buildExerciseProgression(logs, exerciseName, { stallThreshold = 3 } = {}) {
+  const target = normalizeExerciseName(exerciseName);
+  const byDate = {};
+
+  (logs || []).forEach(log => {
+    Object.values(log.exercises || {}).forEach(entry => {
+      if (normalizeExerciseName(entry.exerciseName) !== target) return;
+      // mesmo exercício em dois dias do treino na mesma data → uma sessão
+      if (!byDate[log.date]) byDate[log.date] = [];
+      byDate[log.date].push(...(entry.sets || []));
+    });
+  });
+
+  const sessions = Object.keys(byDate).sort()
+    .map(date => {
+      const summary = summarizeSets(byDate[date]);
+      return summary ? { date, ...summary } : null;
+    })
+    .filter(Boolean);
+
+  const weekMap = {};
+  sessions.forEach(s => {
+    const weekStart = getWeekStartKey(s.date);
+    const w = weekMap[weekStart] || (weekMap[weekStart] = { weekStart, topSetWeight: 0, e1rm: 0, tonnage: 0, sessions: 0 });
+    w.topSetWeight = Math.max(w.topSetWeight, s.topSetWeight);
+    w.e1rm         = Math.max(w.e1rm, s.e1rm);
+    w.tonnage     += s.tonnage;
+    w.sessions    += 1;
+  });
+  const weeks = Object.values(weekMap).sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+
+  let best = -Infinity;
+  let sinceImprovement = 0;
+  sessions.forEach(s => {
+    if (s.e1rm > best) { best = s.e1rm; sinceImprovement = 0; }
+    else sinceImprovement++;
+  });
+
+  return {
+    sessions,
+    weeks,
+    stall: { stalled: sinceImprovement >= stallThreshold, sessions: sinceImprovement },
+  };
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.workoutLogModel = {
+    MAX_SETS: WORKOUT_LOG_MAX_SETS,
+    getLogDateKey,
+    getWorkoutLogId,
+    getLogEntryKey,
+    getExerciseOccurrence,
+    getExerciseLogKey,
+    findLogEntry,
+    resolveLogEntry,
+    parsePrescribedSets,
+    createLogEntry,
+    normalizeSetValue,
+    isLogEntryComplete,
+    validateWorkoutLogEntry,
+    normalizeExerciseName,
+    estimateOneRepMax,
+    getWeekStartKey,
+    buildExerciseProgression
+  };
+}
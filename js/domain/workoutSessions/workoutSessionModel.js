@@ -0,0 +1,136 @@
+/**
+ * Modelo de Sessões de Treino
+ *
+ * Coleção workoutSessions/{sessionId}:
+ * {
+ *   id: string
+ *   studentId: string (UID do aluno)
+ *   workoutId: string
+ *   personalId: string (desnormalizado — query direta do personal)
+ *   workoutName: string
+ *   dayOfWeek: string (dia do treino executado)
+ *   date: string ("YYYY-MM-DD", data local do início)
+ *   logId: string (workoutLogs do dia — séries registradas na sessão)
+ *   status: "active" | "finished"
+ *   startedAt: timestamp (relógio do aluno — vale também para sessões offline)
+ *   finishedAt: timestamp | null
+ *   durationSec: number | null
+ *   totalExercises, completedExercises: number
+ *   completionPct: number (0–100)
+ *   setsDone, setsTotal: number
+ *   skippedExercises: [{ exerciseIndex, exerciseName }] (nenhuma série feita)
+ *   createdAt, updatedAt: timestamp
+ * }
+ *
+ * As entradas do log marcadas durante a sessão guardam `sessionId`.
+ */
+
+const WORKOUT_SESSION_STATUS   = { ACTIVE: 'active', FINISHED: 'finished' };
+const WORKOUT_SESSION_MAX_SEC  = 6 * 3600; // sessão esquecida aberta não vira "treino de 20h"
+
+/**
+ * Resumo do dia a partir dos exercícios prescritos e das entradas do log
+ * (logEntries do workoutLogs; entrada achada por workoutLogModel.findLogEntry).
+ */
+function summarizeWorkoutSession(exercises, logEntries, dayOfWeek) {
+  const logModel = window.workoutLogModel;
+  const list     = Array.isArray(exercises) ? exercises : [];
+
+  let completedExercises = 0;
+  let setsDone  = 0;
+  let setsTotal = 0;
+  const skippedExercises = [];
+
+  list.forEach((ex, idx) => {
+    const entry = logModel.findLogEntry(logEntries, dayOfWeek, list, idx);
+    const sets  = entry?.sets || [];
+    const done  = sets.filter(s => s.done).length;
+
+    setsTotal += sets.length || logModel.parsePrescribedSets(ex?.sets);
+    setsDone  += done;
+    if (logModel.isLogEntryComplete(entry)) completedExercises++;
+    if (done === 0) skippedExercises.push({ exerciseIndex: idx, exerciseName: ex?.exerciseName || ex?.name || '' });
+  });
+
+  return {
+    totalExercises: list.length,
+    completedExercises,
+    completionPct: setsTotal > 0 ? Math.round((setsDone / setsTotal) * 100) : 0,
+    setsDone,
+    setsTotal,
+    skippedExercises,
+  };
+}
+
+/**
+ * Duração em segundos entre início e fim (ms), limitada a WORKOUT_SESSION_MAX_SEC
+ */
+function getSessionDurationSec(startedAtMs, finishedAtMs = Date.now()) {
+  const sec = Math.round((finishedAtMs - startedAtMs) / 1000);
+  if (!isFinite(sec) || sec < 0) return 0;
+  return Math.min(sec, WORKOUT_SESSION_MAX_SEC);
+}
+
+/**
+ * "42 min" · "1h05" · "< 1 min"
+ */
+function formatSessionDuration(sec) {
+  const min = Math.floor((sec || 0) / 60);
+  if (min < 1) return '< 1 min';
+  if (min < 60) return `${min} min`;
+  return `${Math.floor(min / 60)}h${String(min % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Cronômetro "mm:ss" / "h:mm:ss" do tempo decorrido
+ */
+function formatSessionClock(sec) {
+  const s = Math.max(0, Math.floor(sec || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${r}` : `${m}:${r}`;
+}
+
+/**
+ * Timestamp do Firestore, { seconds } vindo do cache ou ms → ms
+ */
+function getSessionTimeMs(ts) {
+  if (!ts) return null;
+  if (typeof ts === 'number') return ts;
+  if (ts.toMillis) return ts.toMillis();
+  if (typeof ts.seconds === 'number') return ts.seconds * 1000;
+  return null;
+}
+
+/**
+ * Validar resumo antes de finalizar
+ */
+function validateWorkoutSessionSummary(summary) {
+  const errors = [];
+  const isCount = v => Number.isInteger(v) && v >= 0;
+
+  if (!isCount(summary?.durationSec) || summary.durationSec > WORKOUT_SESSION_MAX_SEC) errors.push('duração inválida');
+  if (!isCount(summary?.completionPct) || summary.completionPct > 100) errors.push('percentual de conclusão inválido');
+  if (!isCount(summary?.totalExercises) || !isCount(summary?.completedExercises)) errors.push('contagem de exercícios inválida');
+  if (!Array.isArray(summary?.skippedExercises) || summary.skippedExercises.length > 100) errors.push('exercícios pulados inválidos');
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.workoutSessionModel = {
+    STATUS: WORKOUT_SESSION_STATUS,
+    MAX_SEC: WORKOUT_SESSION_MAX_SEC,
+    summarizeWorkoutSession,
+    getSessionDurationSec,
+    formatSessionDuration,
+    formatSessionClock,
+    getSessionTimeMs,
+    validateWorkoutSessionSummary
+  };
+}
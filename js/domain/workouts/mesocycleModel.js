@@ -0,0 +1,161 @@
+/**
+ * Modelo de Mesociclo (periodização)
+ *
+ * Um treino continua tendo uma semana base (`days.monday..sunday`). O ciclo
+ * opcional aplica modificadores por semana sobre essa base:
+ *
+ * workout.cycle = {
+ *   weeks: number (4–12)
+ *   startDate: string ("YYYY-MM-DD", data local de início da semana 1)
+ *   scheme: [{ setsPct, repsPct, loadPct, deload }]  — uma entrada por semana
+ * }
+ *
+ * - setsPct / repsPct: % sobre séries e reps da base (arredondado, mínimo 1)
+ * - loadPct: % da carga de referência — exibido ao aluno como alvo
+ * - deload: semana de descarga (sinalizada na UI)
+ *
+ * Reps não numéricas ("45s", "até a falha") não são escaladas.
+ */
+
+const MESOCYCLE_MIN_WEEKS = 4;
+const MESOCYCLE_MAX_WEEKS = 12;
+const MESOCYCLE_MIN_PCT   = 30;
+const MESOCYCLE_MAX_PCT   = 200;
+
+function createWeekModifier(overrides = {}) {
+  return { setsPct: 100, repsPct: 100, loadPct: 100, deload: false, ...overrides };
+}
+
+/**
+ * Ciclo novo (ou redimensionado), preservando as semanas já configuradas
+ */
+function createMesocycle(weeks, startDate, previous = null) {
+  const n = Math.min(MESOCYCLE_MAX_WEEKS, Math.max(MESOCYCLE_MIN_WEEKS, parseInt(weeks, 10) || MESOCYCLE_MIN_WEEKS));
+  const scheme = Array.from({ length: n }, (_, i) => createWeekModifier(previous?.scheme?.[i] || {}));
+  return { weeks: n, startDate: startDate || previous?.startDate || '', scheme };
+}
+
+/**
+ * Esquema padrão: carga +2,5% por semana e a última semana como deload
+ */
+function buildLinearScheme(weeks) {
+  return Array.from({ length: weeks }, (_, i) => (i === weeks - 1
+    ? createWeekModifier({ setsPct: 60, loadPct: 60, deload: true })
+    : createWeekModifier({ loadPct: Math.round((100 + i * 2.5) * 10) / 10 })));
+}
+
+/**
+ * Validar ciclo antes de salvar
+ */
+function validateMesocycle(cycle) {
+  const errors = [];
+  if (!cycle) return { isValid: true, errors };
+
+  if (!Number.isInteger(cycle.weeks) || cycle.weeks < MESOCYCLE_MIN_WEEKS || cycle.weeks > MESOCYCLE_MAX_WEEKS) {
+    errors.push(`o ciclo deve ter entre ${MESOCYCLE_MIN_WEEKS} e ${MESOCYCLE_MAX_WEEKS} semanas`);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(cycle.startDate || '')) {
+    errors.push('informe a data de início do ciclo');
+  }
+  if (!Array.isArray(cycle.scheme) || cycle.scheme.length !== cycle.weeks) {
+    errors.push('esquema semanal incompleto');
+  } else {
+    cycle.scheme.forEach((m, i) => {
+      ['setsPct', 'repsPct', 'loadPct'].forEach(f => {
+        if (typeof m[f] !== 'number' || m[f] < MESOCYCLE_MIN_PCT || m[f] > MESOCYCLE_MAX_PCT) {
+          errors.push(`semana ${i + 1}: ${f} deve estar entre ${MESOCYCLE_MIN_PCT}% e ${MESOCYCLE_MAX_PCT}%`);
+        }
+      });
+      if (typeof m.deload !== 'boolean') errors.push(`semana ${i + 1}: deload deve ser boolean`);
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Semana do ciclo em uma data (comparação por data local, imune a horário de verão).
+ * Retorna { week (1..weeks), weeks, status: "upcoming" | "active" | "finished" }.
+ * Antes do início → semana 1; depois do fim → última semana.
+ */
+function getMesocycleWeek(cycle, date = new Date()) {
+  if (!cycle?.weeks || !cycle.startDate) return null;
+  const [y, m, d] = cycle.startDate.split('-').map(Number);
+  const start = Date.UTC(y, m - 1, d);
+  const today = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const index = Math.floor((today - start) / (7 * 86400000));
+
+  if (index < 0)            return { week: 1, weeks: cycle.weeks, status: 'upcoming' };
+  if (index >= cycle.weeks) return { week: cycle.weeks, weeks: cycle.weeks, status: 'finished' };
+  return { week: index + 1, weeks: cycle.weeks, status: 'active' };
+}
+
+function scaleReps(reps, pct) {
+  const str = String(reps ?? '').trim();
+  const scale = n => Math.max(1, Math.round(n * pct / 100));
+  const range = str.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) return `${scale(+range[1])}-${scale(+range[2])}`;
+  if (/^\d+$/.test(str)) return String(scale(+str));
+  return str;
+}
+
+/**
+ * Exercício com os modificadores da semana aplicados.
+ * Mantém o tipo de `sets` (número no Firestore, string no quadro do montador).
+ */
+function applyWeekModifiers(exercise, modifier) {
+  if (!modifier) return exercise;
+  const baseSets = parseInt(exercise.sets, 10) || 3;
+  const sets = Math.max(1, Math.round(baseSets * modifier.setsPct / 100));
+  return {
+    ...exercise,
+    sets:    typeof exercise.sets === 'number' ? sets : String(sets),
+    reps:    scaleReps(exercise.reps, modifier.repsPct),
+    loadPct: modifier.loadPct,
+    deload:  modifier.deload,
+  };
+}
+
+function resolveMesocycleDays(days, cycle, week) {
+  const modifier = cycle?.scheme?.[week - 1];
+  if (!modifier) return days;
+  const resolved = {};
+  Object.keys(days || {}).forEach(day => {
+    resolved[day] = (days[day] || []).map(ex => applyWeekModifiers(ex, modifier));
+  });
+  return resolved;
+}
+
+/**
+ * Treino com a prescrição da semana atual do ciclo.
+ * Sem ciclo, retorna o próprio treino. A base fica em `baseDays`.
+ */
+function resolveWorkoutForDate(workout, date = new Date()) {
+  const position = getMesocycleWeek(workout?.cycle, date);
+  if (!position) return workout;
+  return {
+    ...workout,
+    baseDays:   workout.days,
+    days:       resolveMesocycleDays(workout.days, workout.cycle, position.week),
+    cycleWeek:  { ...position, modifier: workout.cycle.scheme[position.week - 1] },
+  };
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.mesocycleModel = {
+    MIN_WEEKS: MESOCYCLE_MIN_WEEKS,
+    MAX_WEEKS: MESOCYCLE_MAX_WEEKS,
+    createWeekModifier,
+    createMesocycle,
+    buildLinearScheme,
+    validateMesocycle,
+    getMesocycleWeek,
+    applyWeekModifiers,
+    resolveMesocycleDays,
+    resolveWorkoutForDate
+  };
+}
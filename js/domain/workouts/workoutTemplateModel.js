@@ -0,0 +1,99 @@
+/**
+ * Modelo de Modelos de Rotina (biblioteca do personal)
+ *
+ * Coleção workoutTemplates/{templateId}:
+ * {
+ *   id: string
+ *   personalId: string (UID do dono)
+ *   name: string (1–100)
+ *   description: string (até 500)
+ *   level: "iniciante" | "intermediario" | "avancado"
+ *   tags: string[] (até 10, minúsculas, sem repetição)
+ *   days: { monday: [{ exerciseName, muscleGroup, sets, reps, rest, obs }], ... }
+ *   cycle: { weeks, scheme } | null (mesociclo sem data de início)
+ *   createdAt, updatedAt: timestamp
+ * }
+ *
+ * Os presets embutidos do montador entram no mesmo seletor como modelos de
+ * sistema (`system: true`), somente leitura — podem ser duplicados.
+ */
+
+const TEMPLATE_LEVELS = {
+  iniciante:     'Iniciante',
+  intermediario: 'Intermediário',
+  avancado:      'Avançado',
+};
+const TEMPLATE_MAX_TAGS        = 10;
+const TEMPLATE_MAX_TAG_LENGTH  = 30;
+const TEMPLATE_MAX_NAME        = 100;
+const TEMPLATE_MAX_DESCRIPTION = 500;
+
+/**
+ * Tags a partir de texto ("hipertrofia, 4 dias") ou array
+ */
+function normalizeTemplateTags(input) {
+  const raw  = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = [];
+  raw.forEach(t => {
+    const tag = String(t || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, TEMPLATE_MAX_TAG_LENGTH);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags.slice(0, TEMPLATE_MAX_TAGS);
+}
+
+function countTemplateExercises(days) {
+  return Object.values(days || {}).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+}
+
+/**
+ * Validar modelo antes de salvar
+ */
+function validateWorkoutTemplate(template) {
+  const errors = [];
+
+  const name = String(template?.name || '').trim();
+  if (!name) errors.push('informe o nome do modelo');
+  else if (name.length > TEMPLATE_MAX_NAME) errors.push(`nome deve ter até ${TEMPLATE_MAX_NAME} caracteres`);
+
+  if (String(template?.description || '').length > TEMPLATE_MAX_DESCRIPTION) {
+    errors.push(`descrição deve ter até ${TEMPLATE_MAX_DESCRIPTION} caracteres`);
+  }
+
+  if (!TEMPLATE_LEVELS[template?.level]) errors.push('nível inválido');
+
+  if (!Array.isArray(template?.tags) || template.tags.length > TEMPLATE_MAX_TAGS) {
+    errors.push(`no máximo ${TEMPLATE_MAX_TAGS} tags`);
+  }
+
+  if (countTemplateExercises(template?.days) === 0) errors.push('o modelo precisa de pelo menos um exercício');
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Filtro do seletor: texto (nome, descrição, tags) e nível
+ */
+function filterWorkoutTemplates(templates, { query = '', level = '' } = {}) {
+  const fold = s => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const q    = fold(query).trim();
+  return (templates || []).filter(t => {
+    if (level && t.level !== level) return false;
+    if (!q) return true;
+    return fold([t.name, t.description, ...(t.tags || [])].join(' ')).includes(q);
+  });
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.workoutTemplateModel = {
+    LEVELS: TEMPLATE_LEVELS,
+    MAX_TAGS: TEMPLATE_MAX_TAGS,
+    normalizeTemplateTags,
+    countTemplateExercises,
+    validateWorkoutTemplate,
+    filterWorkoutTemplates
+  };
+}
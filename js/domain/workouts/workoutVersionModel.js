@@ -0,0 +1,101 @@
+/**
+ * Modelo de Versões de Treino
+ *
+ * Cada save do montador grava um snapshot imutável em
+ * workouts/{workoutId}/versions/{version}:
+ * {
+ *   version: number (1, 2, 3...) — também é o ID do documento
+ *   name: string
+ *   days: { monday: [{ exerciseName, muscleGroup, sets, reps, rest, obs }], ... }
+ *   cycle: object | null (mesociclo — ver mesocycleModel.js)
+ *   createdBy: string (UID do personal)
+ *   createdAt: timestamp
+ *   restoredFrom: number | null (versão de origem quando é uma restauração)
+ *   legacy: boolean (snapshot do conteúdo anterior ao versionamento)
+ * }
+ *
+ * O treino guarda `currentVersion`; feedbacks guardam `workoutVersion`
+ * (versão ativa quando o aluno respondeu).
+ */
+
+const WORKOUT_VERSION_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const WORKOUT_VERSION_FIELDS = ['sets', 'reps', 'rest', 'obs'];
+
+function getVersionExerciseName(ex) {
+  return ex?.exerciseName || ex?.name || '';
+}
+
+function getVersionExerciseKey(ex) {
+  const name = getVersionExerciseName(ex);
+  return window.workoutLogModel?.normalizeExerciseName?.(name) ?? name.toLowerCase().trim();
+}
+
+/**
+ * Diferença entre dois treinos, dia a dia.
+ * Exercícios casados pelo nome normalizado (repetidos no mesmo dia casam
+ * na ordem em que aparecem).
+ *
+ * Retorna:
+ * {
+ *   days: { [day]: { added: [ex], removed: [ex], changed: [{ name, changes: [{ field, from, to }] }] } }
+ *   totals: { added, removed, changed }
+ *   hasChanges: boolean
+ * }
+ */
+function diffWorkoutDays(prevDays, nextDays) {
+  const days   = {};
+  const totals = { added: 0, removed: 0, changed: 0 };
+
+  WORKOUT_VERSION_DAYS.forEach(day => {
+    const prev = (prevDays?.[day] || []).slice();
+    const next = nextDays?.[day] || [];
+    const result = { added: [], removed: [], changed: [] };
+
+    next.forEach(ex => {
+      const key = getVersionExerciseKey(ex);
+      const idx = prev.findIndex(p => getVersionExerciseKey(p) === key);
+      if (idx === -1) { result.added.push(ex); return; }
+
+      const before = prev.splice(idx, 1)[0];
+      const changes = WORKOUT_VERSION_FIELDS
+        .filter(f => String(before[f] ?? '') !== String(ex[f] ?? ''))
+        .map(f => ({ field: f, from: before[f] ?? '', to: ex[f] ?? '' }));
+      if (changes.length > 0) result.changed.push({ name: getVersionExerciseName(ex), changes });
+    });
+    result.removed = prev;
+
+    if (result.added.length || result.removed.length || result.changed.length) {
+      days[day] = result;
+      totals.added   += result.added.length;
+      totals.removed += result.removed.length;
+      totals.changed += result.changed.length;
+    }
+  });
+
+  return {
+    days,
+    totals,
+    hasChanges: totals.added + totals.removed + totals.changed > 0,
+  };
+}
+
+/**
+ * Versões em ordem decrescente, cada uma com o diff para a anterior
+ * (a primeira versão é comparada com um treino vazio).
+ */
+function buildVersionTimeline(versions) {
+  const asc = (versions || []).slice().sort((a, b) => a.version - b.version);
+  return asc
+    .map((v, i) => ({ ...v, diff: diffWorkoutDays(i > 0 ? asc[i - 1].days : {}, v.days) }))
+    .reverse();
+}
+
+// Exportar funções
+if (typeof window !== 'undefined') {
+  window.workoutVersionModel = {
+    FIELDS: WORKOUT_VERSION_FIELDS,
+    getVersionExerciseName,
+    diffWorkoutDays,
+    buildVersionTimeline
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * js/notificationCenter.js
+ *
+ * Central de notificações (sino no header das páginas protegidas).
+ *
+ * - Lê a coleção `notifications` via dbManager.listenToNotifications (onSnapshot).
+ *   O contador vem de um listener à parte (listenToUnreadNotifications): a lista
+ *   traz só as 30 mais recentes, e não lidas mais antigas também contam — e
+ *   são marcadas pelo "Marcar todas como lidas".
+ * - O sino é montado pelo router em qualquer página que tenha o slot
+ *   #notifBellSlot no header — as páginas não precisam chamar nada.
+ * - O listener sobrevive à troca de página enquanto o usuário for o mesmo;
+ *   destroy() é chamado pelo router ao sair das rotas protegidas.
+ * - Sem onclick inline (CSP): listeners adicionados após innerHTML.
+ * - actionUrl só é seguido se for rota interna ("/#/..." ou "/...").
+ */
+
+class NotificationCenter {
+  constructor() {
+    this.items              = [];
+    this.unread             = 0;
+    this._unsubscribe       = null;
+    this._unsubscribeUnread = null;
+    this._uid               = null;
+    this._slot              = null;
+    this._open              = false;
+    this._onDocClick        = this._onDocClick.bind(this);
+    this._onKeyDown         = this._onKeyDown.bind(this);
+  }
+
+  get unreadCount() {
+    return this.unread;
+  }
+
+  mount(container = document) {
+    const slot = container.querySelector('#notifBellSlot');
+    if (!slot) return;
+
+    const user = authManager?.getCurrentUser?.();
+    if (!user) return;
+
+    // Troca de usuário → reinicia o listener
+    if (this._uid !== user.uid) {
+      this._stopListening();
+      this.items  = [];
+      this.unread = 0;
+      this._uid   = user.uid;
+    }
+
+    this._slot = slot;
+    this._open = false;
+
+    slot.className = 'fc-notif';
+    slot.innerHTML = `
+      <button type="button" class="fc-notif__bell" data-notif-action="toggle" aria-label="Notificações" aria-haspopup="true" aria-expanded="false">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/><path d="M13.73 21a2 2 0 0 1-3.46 0"/></svg>
+        <span class="fc-notif__count" hidden></span>
+      </button>
+      <div class="fc-notif__panel" role="menu" hidden>
+        <div class="fc-notif__head">
+          <span class="fc-notif__title">Notificações</span>
+          <button type="button" class="fc-notif__mark-all" data-notif-action="mark-all">Marcar todas como lidas</button>
+        </div>
+        <div class="fc-notif__list"></div>
+      </div>
+    `;
+
+    slot.addEventListener('click', e => this._onSlotClick(e));
+    document.removeEventListener('click', this._onDocClick);
+    document.addEventListener('click', this._onDocClick);
+    document.removeEventListener('keydown', this._onKeyDown);
+    document.addEventListener('keydown', this._onKeyDown);
+
+    if (!this._unsubscribe) {
+      this._unsubscribe = dbManager.listenToNotifications(
+        items => { this.items = items; this._render(); },
+        { onError: () => this._stopListening() }
+      );
+    }
+    if (!this._unsubscribeUnread) {
+      this._unsubscribeUnread = dbManager.listenToUnreadNotifications(
+        count => { this.unread = count; this._render(); },
+        { onError: () => this._stopListening() }
+      );
+    }
+
+    this._render();
+  }
+
+  destroy() {
+    this._stopListening();
+    this._close();
+    document.removeEventListener('click', this._onDocClick);
+    document.removeEventListener('keydown', this._onKeyDown);
+    this.items  = [];
+    this.unread = 0;
+    this._uid   = null;
+    this._slot  = null;
+  }
+
+  // ── Internos ───────────────────────────────────────────────────────
+
+  _stopListening() {
+    if (this._unsubscribe) {
+      try { this._unsubscribe(); } catch {}
+      this._unsubscribe = null;
+    }
+    if (this._unsubscribeUnread) {
+      try { this._unsubscribeUnread(); } catch {}
+      this._unsubscribeUnread = null;
+    }
+  }
+
+  _isMounted() {
+    return !!(this._slot && this._slot.isConnected);
+  }
+
+  _render() {
+    if (!this._isMounted()) return;
+
+    const count = this.unreadCount;
+    const badge = this._slot.querySelector('.fc-notif__count');
+    badge.hidden      = count === 0;
+    badge.textContent = count > 9 ? '9+' : String(count);
+
+    const bell = this._slot.querySelector('.fc-notif__bell');
+    bell.classList.toggle('fc-notif__bell--unread', count > 0);
+    bell.title = count ? `${count} não lida(s)` : 'Notificações';
+
+    const markAll = this._slot.querySelector('.fc-notif__mark-all');
+    markAll.disabled = count === 0;
+
+    const list = this._slot.querySelector('.fc-notif__list');
+    if (this.items.length === 0) {
+      list.innerHTML = '<p class="fc-notif__empty">Nenhuma notificação por aqui.</p>';
+      return;
+    }
+
+    list.innerHTML = this.items.map(n => {
+      const level = ['info', 'warning', 'danger'].includes(n.level) ? n.level : 'info';
+      const route = this._resolveRoute(n.actionUrl);
+      return `
+        <div class="fc-notif__item fc-notif__item--${level}${n.read ? '' : ' fc-notif__item--unread'}" data-notif-action="open" data-id="${esc(n.id)}" role="menuitem" tabindex="0">
+          <p class="fc-notif__item-title">${esc(n.title || 'Notificação')}</p>
+          ${n.message ? `<p class="fc-notif__item-msg">${esc(n.message)}</p>` : ''}
+          <div class="fc-notif__item-foot">
+            <span class="fc-notif__item-date">${esc(this._formatDate(n.createdAt))}</span>
+            ${route && n.actionLabel ? `<span class="fc-notif__item-cta">${esc(n.actionLabel)} →</span>` : ''}
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  _onSlotClick(e) {
+    const target = e.target.closest('[data-notif-action]');
+    if (!target) return;
+
+    const action = target.dataset.notifAction;
+    if (action === 'toggle')   { e.stopPropagation(); this._open ? this._close() : this._openPanel(); }
+    if (action === 'mark-all') { e.stopPropagation(); this._markAllRead(); }
+    if (action === 'open')     { e.stopPropagation(); this._openItem(target.dataset.id); }
+  }
+
+  _onDocClick(e) {
+    if (!this._open || !this._isMounted()) return;
+    if (!this._slot.contains(e.target)) this._close();
+  }
+
+  _onKeyDown(e) {
+    if (!this._open) return;
+    if (e.key === 'Escape') { this._close(); return; }
+    if (e.key === 'Enter') {
+      const item = document.activeElement?.closest?.('.fc-notif__item');
+      if (item && this._slot.contains(item)) this._openItem(item.dataset.id);
+    }
+  }
+
+  _openPanel() {
+    if (!this._isMounted()) return;
+    this._open = true;
+    this._slot.querySelector('.fc-notif__panel').hidden = false;
+    this._slot.querySelector('.fc-notif__bell').setAttribute('aria-expanded', 'true');
+  }
+
+  _close() {
+    this._open = false;
+    if (!this._isMounted()) return;
+    this._slot.querySelector('.fc-notif__panel').hidden = true;
+    this._slot.querySelector('.fc-notif__bell').setAttribute('aria-expanded', 'false');
+  }
+
+  async _markAllRead() {
+    if (this.unreadCount === 0) return;
+
+    // Otimista: os snapshots confirmam em seguida
+    const previous = { items: this.items, unread: this.unread };
+    this.items  = this.items.map(n => ({ ...n, read: true }));
+    this.unread = 0;
+    this._render();
+
+    const result = await dbManager.markAllNotificationsRead();
+    if (!result?.success) {
+      this.items  = previous.items;
+      this.unread = previous.unread;
+      this._render();
+    }
+  }
+
+  async _openItem(id) {
+    const item = this.items.find(n => n.id === id);
+    if (!item) return;
+
+    if (!item.read) {
+      item.read   = true;
+      this.unread = Math.max(0, this.unread - 1);
+      this._render();
+      dbManager.markNotificationRead(id);
+    }
+
+    const route = this._resolveRoute(item.actionUrl);
+    if (route) {
+      this._close();
+      router.navigate(route);
+    }
+  }
+
+  /** Converte "/#/personal/billing" | "#/x" | "/x" em rota do router. Links externos são ignorados. */
+  _resolveRoute(actionUrl) {
+    if (!actionUrl || typeof actionUrl !== 'string') return null;
+    const path = actionUrl.replace(/^\/?#/, '');
+    if (!path.startsWith('/') || path.startsWith('//')) return null;
+    return path;
+  }
+
+  _formatDate(ts) {
+    const date = ts?.toDate ? ts.toDate() : (ts ? new Date(ts) : null);
+    if (!date || isNaN(date)) return 'agora';
+
+    const diffMin = Math.floor((Date.now() - date.getTime()) / 60000);
+    if (diffMin < 1)  return 'agora';
+    if (diffMin < 60) return `há ${diffMin} min`;
+    const diffH = Math.floor(diffMin / 60);
+    if (diffH < 24)   return `há ${diffH} h`;
+    const diffD = Math.floor(diffH / 24);
+    if (diffD < 7)    return `há ${diffD} dia(s)`;
+    return date.toLocaleDateString('pt-BR');
+  }
+}
+
+const notificationCenter = new NotificationCenter();
+window.notificationCenter = notificationCenter;
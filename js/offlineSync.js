@@ -0,0 +1,308 @@
+/**
+ * js/offlineSync.js
+ *
+ * Modo offline do aluno (academias com sinal ruim).
+ *
+ * - Cache local (IndexedDB "featmy-offline", store `cache`): treinos do aluno,
+ *   logs do dia e o tipo do usuário. O dbManager grava a cada leitura bem
+ *   sucedida e lê daqui quando está offline.
+ * - Fila (store `queue`): check-offs (saveWorkoutLogEntry) e feedbacks
+ *   (saveFeedback) feitos offline. Cada item guarda o método do dbManager e
+ *   o payload já resolvido (data, semana e dia do feedback), então o replay
+ *   grava exatamente o que o aluno fez, mesmo dias depois.
+ * - Escrita que falha por rede (unavailable / deadline-exceeded) com
+ *   navigator.onLine ainda true — sinal fraco — também vai para a fila, e um
+ *   novo sync é agendado (OFFLINE_RETRY_MS).
+ * - Sync: ao reconectar (evento `online`), ao montar e manualmente. Itens são
+ *   reenviados em ordem com { replay: true } (não voltam para a fila). Falha
+ *   de rede no replay não conta como tentativa.
+ * - Conflitos: feedback cuja chave (getFeedbackKey) já existe no servidor é
+ *   descartado — vale a versão do servidor — e o aluno é avisado. Séries do
+ *   mesmo exercício são agrupadas na fila (vale a última alteração), assim
+ *   como edições do mesmo feedback (dedupeKey).
+ * - Indicador "offline / pendente" montado pelo router no slot #syncStatusSlot.
+ * - Recarregar ou navegar sem rede depende do shell em cache (sw.js).
+ * - Sem onclick inline (CSP): ações via data-sync-action.
+ */
+
+const OFFLINE_DB_NAME      = 'featmy-offline';
+const OFFLINE_DB_VERSION   = 1;
+const OFFLINE_MAX_ATTEMPTS = 3;
+const OFFLINE_RETRY_MS     = 30_000;
+const NETWORK_ERROR_CODES  = ['unavailable', 'deadline-exceeded'];
+
+class OfflineSync {
+  constructor() {
+    this.pending     = 0;
+    this.conflicts   = [];     // [{ message }] — exibidos até o aluno dispensar
+    this._db         = null;
+    this._dbPromise  = null;
+    this._slot       = null;
+    this._syncing    = false;
+    this._retryTimer = null;
+    this._onOnline   = this._onOnline.bind(this);
+    this._onOffline  = this._onOffline.bind(this);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online',  this._onOnline);
+      window.addEventListener('offline', this._onOffline);
+    }
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  // ── Cache ──────────────────────────────────────────────────────────
+
+  async cacheSet(key, value) {
+    try {
+      const uid = authManager?.getCurrentUser?.()?.uid || '';
+      await this._tx('cache', 'readwrite', store => store.put({ key, uid, value, savedAt: Date.now() }));
+    } catch (error) {
+      console.warn('[offline] Erro ao gravar cache:', error);
+    }
+  }
+
+  async cacheGet(key) {
+    try {
+      const uid = authManager?.getCurrentUser?.()?.uid || '';
+      const row = await this._tx('cache', 'readonly', store => store.get(key));
+      // Cache de outro usuário no mesmo aparelho não vaza
+      return row && row.uid === uid ? row.value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // ── Fila ───────────────────────────────────────────────────────────
+
+  /**
+   * Enfileira uma escrita. item: { op, payload, dedupeKey?, feedbackKey? }
+   * Itens com o mesmo dedupeKey substituem o anterior (última alteração vale).
+   */
+  async enqueue(item) {
+    const uid = authManager?.getCurrentUser?.()?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const items = await this._queueItems(uid);
+    if (item.feedbackKey && items.some(q => q.feedbackKey === item.feedbackKey)) {
+      return { success: false, error: 'Você já enviou feedback para este dia nesta semana' };
+    }
+
+    const previous = item.dedupeKey ? items.find(q => q.dedupeKey === item.dedupeKey) : null;
+    await this._tx('queue', 'readwrite', store => {
+      if (previous) store.delete(previous.id);
+      return store.add({ ...item, uid, attempts: 0, createdAt: Date.now() });
+    });
+
+    await this._refreshPending();
+    if (this.isOnline()) this._scheduleRetry();
+    return { success: true, queued: true };
+  }
+
+  /**
+   * Erro do Firestore causado pela rede (não por regras/validação)
+   */
+  isNetworkError(error) {
+    return NETWORK_ERROR_CODES.includes(error?.code);
+  }
+
+  // Online com sinal fraco não dispara o evento `online` — tenta de novo depois
+  _scheduleRetry() {
+    if (this._retryTimer) return;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.sync();
+    }, OFFLINE_RETRY_MS);
+  }
+
+  /**
+   * Reenvia a fila do usuário atual. Para no primeiro erro de rede.
+   */
+  async sync() {
+    const uid = authManager?.getCurrentUser?.()?.uid;
+    if (!uid || this._syncing || !this.isOnline()) return;
+
+    this._syncing = true;
+    this._render();
+    try {
+      const items = await this._queueItems(uid);
+      for (const item of items) {
+        if (!this.isOnline()) break;
+        const outcome = await this._replay(item);
+        if (outcome === 'retry') {
+          if (this.isOnline()) this._scheduleRetry();
+          break;
+        }
+        await this._tx('queue', 'readwrite', store => store.delete(item.id));
+      }
+    } catch (error) {
+      console.error('[offline] Erro ao sincronizar:', error);
+    } finally {
+      this._syncing = false;
+      await this._refreshPending();
+    }
+  }
+
+  // ── Indicador ──────────────────────────────────────────────────────
+
+  mount(container = document) {
+    const slot = container.querySelector('#syncStatusSlot');
+    if (!slot) return;
+
+    this._slot = slot;
+    slot.className = 'fc-sync';
+    slot.addEventListener('click', e => this._onSlotClick(e));
+    this._refreshPending().then(() => this.sync());
+  }
+
+  destroy() {
+    this.conflicts = [];
+    this._slot     = null;
+  }
+
+  // ── Internos ───────────────────────────────────────────────────────
+
+  _open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB indisponível')); return; }
+      const req = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        if (!idb.objectStoreNames.contains('cache')) idb.createObjectStore('cache', { keyPath: 'key' });
+        if (!idb.objectStoreNames.contains('queue')) {
+          idb.createObjectStore('queue', { keyPath: 'id', autoIncrement: true }).createIndex('uid', 'uid');
+        }
+      };
+      req.onsuccess = () => { this._db = req.result; resolve(req.result); };
+      req.onerror   = () => { this._dbPromise = null; reject(req.error); };
+    });
+    return this._dbPromise;
+  }
+
+  /** Executa fn(store) numa transação; resolve com o resultado do último request */
+  async _tx(storeName, mode, fn) {
+    const idb = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx  = idb.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error);
+    });
+  }
+
+  async _queueItems(uid) {
+    try {
+      const items = await this._tx('queue', 'readonly', store => store.index('uid').getAll(uid));
+      return (items || []).sort((a, b) => a.id - b.id);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Reenvia um item. Retorna 'done' (remover da fila) ou 'retry' (manter e parar).
+   */
+  async _replay(item) {
+    if (typeof dbManager?.[item.op] !== 'function') return 'done';
+
+    if (item.feedbackKey) {
+      const exists = await dbManager.feedbackExists(item.feedbackKey);
+      if (exists === null) return 'retry';
+      if (exists) {
+        this._addConflict(`Feedback de ${this._dayLabel(item.payload?.dayOfWeek)} já existia no servidor — mantida a versão enviada antes.`);
+        return 'done';
+      }
+    }
+
+    const result = await dbManager[item.op](item.payload, { replay: true });
+    if (result?.success) return 'done';
+    if (!this.isOnline() || this.isNetworkError(result)) return 'retry';
+
+    // Erro do servidor (regras, validação): tenta algumas vezes e desiste
+    const attempts = (item.attempts || 0) + 1;
+    if (attempts < OFFLINE_MAX_ATTEMPTS) {
+      await this._tx('queue', 'readwrite', store => store.put({ ...item, attempts, lastError: result?.error || '' }));
+      return 'retry';
+    }
+    this._addConflict(`Não foi possível sincronizar ${item.feedbackKey ? 'um feedback' : 'uma série'}: ${result?.error || 'erro desconhecido'}.`);
+    return 'done';
+  }
+
+  _addConflict(message) {
+    this.conflicts.push({ message });
+    console.warn('[offline] Conflito:', message);
+  }
+
+  _dayLabel(day) {
+    const labels = { monday: 'segunda', tuesday: 'terça', wednesday: 'quarta', thursday: 'quinta', friday: 'sexta', saturday: 'sábado', sunday: 'domingo' };
+    return labels[day] || 'treino';
+  }
+
+  async _refreshPending() {
+    const uid = authManager?.getCurrentUser?.()?.uid;
+    this.pending = uid ? (await this._queueItems(uid)).length : 0;
+    this._render();
+  }
+
+  _onOnline() {
+    this._render();
+    this.sync();
+  }
+
+  _onOffline() {
+    this._render();
+  }
+
+  _isMounted() {
+    return !!(this._slot && this._slot.isConnected);
+  }
+
+  _render() {
+    if (!this._isMounted()) return;
+
+    const online = this.isOnline();
+    let state = null;
+    let label = '';
+
+    if (!online) {
+      state = 'offline';
+      label = this.pending ? `Offline · ${this.pending} pendente(s)` : 'Offline';
+    } else if (this._syncing) {
+      state = 'syncing';
+      label = 'Sincronizando...';
+    } else if (this.pending) {
+      state = 'pending';
+      label = `${this.pending} pendente(s)`;
+    } else if (this.conflicts.length) {
+      state = 'conflict';
+      label = `⚠ ${this.conflicts.length} conflito(s)`;
+    }
+
+    this._slot.hidden = !state;
+    if (!state) { this._slot.innerHTML = ''; return; }
+
+    const title = state === 'conflict'
+      ? this.conflicts.map(c => c.message).join('\n') + '\n\nClique para dispensar.'
+      : (state === 'pending' ? 'Clique para sincronizar agora' : 'Alterações ficam salvas no aparelho e são enviadas ao reconectar');
+    const action = state === 'conflict' ? 'dismiss' : (state === 'pending' ? 'sync' : '');
+
+    this._slot.innerHTML = `
+      <button type="button" class="fc-sync__pill fc-sync__pill--${state}" ${action ? `data-sync-action="${action}"` : 'disabled'} title="${esc(title)}">
+        <span class="fc-sync__dot"></span>${esc(label)}
+      </button>`;
+  }
+
+  _onSlotClick(e) {
+    const btn = e.target.closest('[data-sync-action]');
+    if (!btn) return;
+    if (btn.dataset.syncAction === 'sync') this.sync();
+    if (btn.dataset.syncAction === 'dismiss') { this.conflicts = []; this._render(); }
+  }
+}
+
+const offlineSync = new OfflineSync();
+window.offlineSync = offlineSync;
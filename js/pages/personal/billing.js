@@ -1,6 +1,19 @@
 /**
  * js/pages/personal/billing.js
  * Corrigido: todos os event handlers via addEventListener (sem onclick inline / globals)
+ *
+ * Ciclos de cobrança: seletor mensal / trimestral / anual acima dos planos.
+ * Preços e descontos espelham api/_lib/plans.js (o valor cobrado vem sempre
+ * do backend); o ciclo vai no create-charge e aparece no histórico.
+ *
+ * Mudança de plano: com assinatura ativa, o botão de cada plano mostra se é
+ * renovação, upgrade (valor estimado com o crédito dos dias restantes —
+ * creditInCents do subscription-status) ou downgrade agendado para o
+ * vencimento. Com downgrade já agendado, só upgrade fica disponível.
+ * O polling confirma pela cobrança paga (billings/{id}), não pelo status da
+ * assinatura — quem já está ativo faria a tela "confirmar" na hora.
+ * Cobrança expirada pelo webhook encerra o polling; o histórico mostra
+ * também estornos e contestações.
  */
 window.__pageInit = async function() {
   await new Promise(r => document.readyState === 'loading'
@@ -8,18 +21,27 @@ window.__pageInit = async function() {
   await new Promise(r => setTimeout(r, 120));
 
   const PLANS = [
-    { id:'starter', name:'Starter', price:'R$ 9,90',  period:'/mês', maxStudents:5,
+    { id:'starter', name:'Starter', priceInCents:990,  maxStudents:5,
       features:['Até 5 alunos','Treinos ilimitados','Feedbacks dos alunos','Suporte por e-mail'], popular:false },
-    { id:'pro',     name:'Pro',     price:'R$ 19,90', period:'/mês', maxStudents:15,
+    { id:'pro',     name:'Pro',     priceInCents:1990, maxStudents:15,
       features:['Até 15 alunos','Treinos ilimitados','Feedbacks dos alunos','Análise de volume','Suporte prioritário'], popular:true },
-    { id:'elite',   name:'Elite',   price:'R$ 49,40', period:'/mês', maxStudents:40,
+    { id:'elite',   name:'Elite',   priceInCents:4940, maxStudents:40,
       features:['Até 40 alunos','Treinos ilimitados','Feedbacks dos alunos','Análise de volume','Relatórios avançados','Suporte VIP'], popular:false },
   ];
 
+  // Mesmos ciclos de api/_lib/plans.js (BILLING_CYCLES)
+  const CYCLES = [
+    { id:'monthly',   label:'Mensal',     months:1,  discountPercent:0  },
+    { id:'quarterly', label:'Trimestral', months:3,  discountPercent:10 },
+    { id:'annual',    label:'Anual',      months:12, discountPercent:20 },
+  ];
+
   let selectedPlan        = null;
+  let selectedCycle       = 'monthly';
   let currentSubscription = null;
   let pixPollingInterval  = null;
   let currentGatewayPixId = null;
+  let currentBillingId    = null;
   let pixCopyPaste        = '';
   let validatedCpf        = '';
   let validatedPhone      = '';
@@ -50,6 +72,27 @@ window.__pageInit = async function() {
     setTimeout(() => el.classList.remove('show'), ms);
   }
 
+  function fmtBRL(cents) { return `R$ ${(cents / 100).toFixed(2).replace('.', ',')}`; }
+  function getCycle(id)  { return CYCLES.find(c => c.id === id) || CYCLES[0]; }
+  function cyclePrice(plan, cycle) { return Math.round(plan.priceInCents * cycle.months * (100 - cycle.discountPercent) / 100); }
+  function fmtDate(iso)  { return new Date(iso).toLocaleDateString('pt-BR', { day:'2-digit', month:'long', year:'numeric' }); }
+
+  // Mesmo mínimo de api/_lib/plans.js (MIN_CHARGE_IN_CENTS)
+  const MIN_CHARGE_IN_CENTS = 100;
+
+  // Estimativa da mudança para o plano/ciclo (quotePlanChange no backend);
+  // o valor cobrado de fato vem do create-charge
+  function planChange(plan, cycle) {
+    const sub   = currentSubscription;
+    const cur   = PLANS.find(p => p.id === sub?.planId);
+    const total = cyclePrice(plan, cycle);
+    if (!cur || sub.status !== 'active') return { type:'new', amount: total };
+    if (cur.id === plan.id) return { type:'renewal', amount: total, blocked: !!sub.pendingChange };
+    if (plan.priceInCents < cur.priceInCents) return { type:'downgrade', amount: total, blocked: !!sub.pendingChange };
+    const amount = Math.max(total - (sub.creditInCents || 0), MIN_CHARGE_IN_CENTS);
+    return { type:'upgrade', amount, credit: total - amount };
+  }
+
   async function getToken() {
     const user = authManager.getCurrentUser();
     if (!user) return null;
@@ -139,7 +182,7 @@ window.__pageInit = async function() {
   function renderStatusCard(sub) {
     const names = { starter:'Starter', pro:'Pro', elite:'Elite' };
     const el = document.getElementById('planName');
-    if (el) el.textContent = sub.planId ? `Plano ${names[sub.planId]||sub.planId}` : 'Sem assinatura';
+    if (el) el.textContent = sub.planId ? `Plano ${names[sub.planId]||sub.planId} · ${getCycle(sub.billingCycle).label}` : 'Sem assinatura';
     const badge = document.getElementById('statusBadge');
     if (badge) {
       const map = { active:['s-active','● Ativo'], grace_period:['s-warning','⚠ Carência'], expired:['s-expired','✕ Expirado'], no_subscription:['s-none','— Sem plano'] };
@@ -147,11 +190,18 @@ window.__pageInit = async function() {
       badge.className = `status-badge ${cls}`; badge.textContent = label;
     }
     if (sub.expiresAt) {
-      const d = new Date(sub.expiresAt);
-      const fmt = d.toLocaleDateString('pt-BR', { day:'2-digit', month:'long', year:'numeric' });
+      const fmt = fmtDate(sub.expiresAt);
       const exp = document.getElementById('expiryText');
       if (exp) exp.textContent = sub.status === 'expired' ? `Expirou em ${fmt}` : `Válida até ${fmt}`;
     }
+    const pc = document.getElementById('pendingChangeText');
+    if (pc) {
+      const change = sub.pendingChange;
+      pc.style.display = change ? 'block' : 'none';
+      pc.textContent   = change
+        ? `↓ Muda para ${change.planName} · ${getCycle(change.billingCycle).label} em ${change.effectiveAt ? fmtDate(change.effectiveAt) : 'breve'}`
+        : '';
+    }
     const ms = document.getElementById('maxStudentsText');
     const su = document.getElementById('studentsUsedText');
     if (ms) ms.textContent = sub.maxStudents ? 'Limite do plano' : '';
@@ -170,21 +220,55 @@ window.__pageInit = async function() {
     document.getElementById('warningRenewBtn')?.addEventListener('click', () => showTab('plans'));
   }
 
+  function renderCycles() {
+    const el = document.getElementById('cycleSelector');
+    if (!el) return;
+    el.innerHTML = CYCLES.map(c => `<button type="button" class="cycle-btn${c.id === selectedCycle ? ' active' : ''}" data-cycle="${c.id}">${c.label}${c.discountPercent ? `<span class="cycle-off">-${c.discountPercent}%</span>` : ''}</button>`).join('');
+  }
+
+  document.getElementById('cycleSelector')?.addEventListener('click', e => {
+    const btn = e.target.closest('[data-cycle]');
+    if (!btn || btn.dataset.cycle === selectedCycle) return;
+    selectedCycle = getCycle(btn.dataset.cycle).id;
+    // Cobrança já aberta era de outro ciclo: volta para a escolha do plano
+    const cfs = document.getElementById('customerFormSection');
+    if (document.getElementById('pixSection')?.style.display === 'block') cancelPix();
+    else if (cfs?.style.display === 'block') cancelCustomerForm();
+    renderPlans();
+  });
+
   function renderPlans() {
     const grid    = document.getElementById('plansGrid');
     if (!grid) return;
-    const curPlan  = currentSubscription?.planId;
-    const isActive = currentSubscription?.status === 'active';
+    renderCycles();
+    const cycle    = getCycle(selectedCycle);
+    const curName  = PLANS.find(p => p.id === currentSubscription?.planId)?.name || '';
     grid.innerHTML = PLANS.map(p => {
-      const isCurrent = curPlan === p.id && isActive;
+      const change    = planChange(p, cycle);
       const isSel     = selectedPlan === p.id;
+      const total     = cyclePrice(p, cycle);
+      const billed    = cycle.months === 1
+        ? 'Cobrança mensal'
+        : `${fmtBRL(total)} a cada ${cycle.months} meses · economize ${fmtBRL(p.priceInCents * cycle.months - total)}`;
+      let note = '';
+      if (change.type === 'upgrade' && change.credit > 0) {
+        note = `<p class="change-note change-note--credit">Crédito de ${fmtBRL(change.credit)} pelos dias restantes do ${curName}. Você paga ${fmtBRL(change.amount)} e o plano muda na hora.</p>`;
+      } else if (change.type === 'downgrade' && !change.blocked) {
+        note = `<p class="change-note change-note--scheduled">Vale a partir de ${fmtDate(currentSubscription.expiresAt)}; até lá você segue no ${curName}.</p>`;
+      }
+      const label = change.blocked ? 'Mudança de plano já agendada'
+        : change.type === 'renewal'   ? '✓ Plano atual — Renovar'
+        : change.type === 'upgrade'   ? `Fazer upgrade · ${fmtBRL(change.amount)}`
+        : change.type === 'downgrade' ? 'Agendar downgrade'
+        : 'Assinar agora';
       return `<div class="plan-card${p.popular?' popular':''}${isSel?' selected':''}" data-plan="${p.id}" style="cursor:pointer;">
         ${p.popular ? '<div class="popular-badge">Mais escolhido</div>' : ''}
         <div style="margin-bottom:16px;"><h3 style="font-size:1.05rem;font-weight:800;color:#0A0A0A;margin:0 0 2px;">${p.name}</h3><p style="font-size:0.78rem;color:#6B7280;margin:0;">Até ${p.maxStudents} alunos</p></div>
-        <div style="margin-bottom:18px;"><span style="font-size:1.9rem;font-weight:800;color:#0A0A0A;letter-spacing:-0.04em;">${p.price}</span><span style="font-size:0.82rem;color:#9CA3AF;">${p.period}</span></div>
+        <div style="margin-bottom:18px;"><span style="font-size:1.9rem;font-weight:800;color:#0A0A0A;letter-spacing:-0.04em;">${fmtBRL(Math.round(total / cycle.months))}</span><span style="font-size:0.82rem;color:#9CA3AF;">/mês</span><p style="font-size:0.72rem;color:${cycle.months === 1 ? '#9CA3AF' : '#00C853'};font-weight:600;margin:4px 0 0;">${billed}</p></div>
+        ${note}
         <ul style="list-style:none;margin:0 0 18px;padding:0;display:flex;flex-direction:column;gap:7px;">${p.features.map(f=>`<li style="font-size:0.78rem;color:#374151;display:flex;align-items:center;gap:6px;"><span style="color:#00C853;">✓</span>${f}</li>`).join('')}</ul>
-        <button class="open-form-btn" data-plan="${p.id}" style="width:100%;padding:11px;border:2px solid ${isSel?'#00E676':'#E5E7EB'};background:${isSel?'#00E676':'#fff'};color:${isSel?'#0A0A0A':'#374151'};border-radius:10px;font-size:0.85rem;font-weight:700;cursor:pointer;transition:all 0.2s;font-family:inherit;">
-          ${isCurrent ? '✓ Plano atual — Renovar' : 'Assinar agora'}
+        <button class="open-form-btn" data-plan="${p.id}"${change.blocked ? ' disabled' : ''} style="width:100%;padding:11px;border:2px solid ${isSel?'#00E676':'#E5E7EB'};background:${isSel?'#00E676':'#fff'};color:${isSel?'#0A0A0A':'#374151'};border-radius:10px;font-size:0.85rem;font-weight:700;cursor:pointer;transition:all 0.2s;font-family:inherit;">
+          ${label}
         </button>
       </div>`;
     }).join('');
@@ -222,7 +306,8 @@ window.__pageInit = async function() {
   }
 
   async function generatePix() {
-    const plan = PLANS.find(p => p.id === selectedPlan);
+    const plan  = PLANS.find(p => p.id === selectedPlan);
+    const cycle = getCycle(selectedCycle);
     if (!plan) return;
     const pixSection  = document.getElementById('pixSection');
     const pixPlanLabel = document.getElementById('pixPlanLabel');
@@ -230,16 +315,24 @@ window.__pageInit = async function() {
     const pixCodeText = document.getElementById('pixCodeText');
     const simPayBtn   = document.getElementById('simPayBtn');
     if (pixSection)  pixSection.style.display  = 'block';
-    if (pixPlanLabel) pixPlanLabel.textContent  = `${plan.name} — ${plan.price}/mês`;
+    if (pixPlanLabel) pixPlanLabel.textContent  = `${plan.name} · ${cycle.label} — ${fmtBRL(planChange(plan, cycle).amount)}`;
     if (pixQRC)       pixQRC.innerHTML          = '<div class="spinner"></div>';
     if (pixCodeText)  pixCodeText.textContent   = 'Gerando código PIX...';
     if (simPayBtn)    simPayBtn.disabled        = true;
     pixSection?.scrollIntoView({ behavior:'smooth', block:'start' });
 
     try {
-      const res  = await apiFetch('/api/billing/create-charge', { method:'POST', body: JSON.stringify({ planId: selectedPlan, cpf: validatedCpf, phone: validatedPhone }) });
+      const res  = await apiFetch('/api/billing/create-charge', { method:'POST', body: JSON.stringify({ planId: selectedPlan, cycle: cycle.id, cpf: validatedCpf, phone: validatedPhone }) });
       const data = await res.json();
       if (!res.ok) { showPixError(data.error || 'Erro ao gerar cobrança'); return; }
+      if (pixPlanLabel && data.amountBRL) {
+        const suffix = data.changeType === 'upgrade' && data.creditInCents
+          ? ` (crédito de ${fmtBRL(data.creditInCents)}${data.bonusDays ? ` · +${data.bonusDays} dias` : ''})`
+          : data.changeType === 'downgrade' && data.effectiveAt ? ` · vale a partir de ${fmtDate(data.effectiveAt)}`
+          : '';
+        pixPlanLabel.textContent = `${plan.name} · ${cycle.label} — R$ ${data.amountBRL}${suffix}`;
+      }
+      currentBillingId    = data.billingId || null;
       currentGatewayPixId = data.gatewayPixId || '';
       pixCopyPaste        = data.pixCopyPaste  || '';
       if (data.expiresAt) {
@@ -279,9 +372,9 @@ window.__pageInit = async function() {
         btn.innerHTML = '✓ Pagamento ativado!';
         toast('✓ Assinatura ativada! Atualizando...', 3000);
         await new Promise(r => setTimeout(r, 800));
+        clearInterval(pixPollingInterval);
         const statusRes  = await apiFetch('/api/billing/subscription-status');
-        const statusData = await statusRes.json();
-        if (statusData.status === 'active') { clearInterval(pixPollingInterval); onPaymentConfirmed(statusData); }
+        onPaymentConfirmed(await statusRes.json());
       } else {
         btn.innerHTML = '🧪 Simular pagamento PIX (Dev Mode)'; btn.disabled = false;
         toast('Erro: ' + (json.error || 'tente novamente'));
@@ -299,26 +392,38 @@ window.__pageInit = async function() {
       attempts++;
       if (attempts > 72) { clearInterval(pixPollingInterval); return; }
       try {
-        const res  = await apiFetch('/api/billing/subscription-status');
-        const data = await res.json();
-        if (data.status === 'active') { clearInterval(pixPollingInterval); onPaymentConfirmed(data); }
+        if (!currentBillingId) return;
+        const billing = await db.collection('billings').doc(currentBillingId).get();
+        const billingStatus = billing.data()?.status;
+        if (billingStatus === 'expired') {
+          clearInterval(pixPollingInterval);
+          showPixError('Este código PIX expirou. Gere uma nova cobrança.');
+          return;
+        }
+        if (billingStatus !== 'paid') return;
+        clearInterval(pixPollingInterval);
+        const res = await apiFetch('/api/billing/subscription-status');
+        onPaymentConfirmed(await res.json());
       } catch { /* ignora */ }
     }, 5000);
   }
 
   function onPaymentConfirmed(sub) {
     currentSubscription = sub;
+    currentBillingId    = null;
     validatedCpf   = ''; validatedPhone = '';
     const ps  = document.getElementById('pixSection');
     const cfs = document.getElementById('customerFormSection');
     if (ps)  ps.style.display  = 'none';
     if (cfs) cfs.style.display = 'none';
+    selectedPlan = null;
     renderStatusCard(sub); renderWarningBanner(sub); renderPlans();
-    toast('🎉 Pagamento confirmado! Plano ativado.', 5000);
+    toast(sub.pendingChange ? '🎉 Pagamento confirmado! Mudança de plano agendada.' : '🎉 Pagamento confirmado! Plano ativado.', 5000);
   }
 
   function cancelPix() {
     clearInterval(pixPollingInterval);
+    currentBillingId = null;
     validatedCpf = ''; validatedPhone = '';
     const ps  = document.getElementById('pixSection');
     const cfs = document.getElementById('customerFormSection');
@@ -357,13 +462,13 @@ window.__pageInit = async function() {
       if (!user) return;
       const snap = await db.collection('billings').where('personalId','==',user.uid).orderBy('createdAt','desc').limit(20).get();
       if (snap.empty) { list.innerHTML = `<div style="text-align:center;padding:48px;color:#9CA3AF;">Nenhuma cobrança ainda.</div>`; return; }
-      const sLabel = { pending:'Aguardando', paid:'Pago', expired:'Expirado' };
-      const sColor = { pending:'#F59E0B',   paid:'#059669', expired:'#DC2626' };
+      const sLabel = { pending:'Aguardando', paid:'Pago', expired:'Expirado', refunded:'Estornado', disputed:'Contestado' };
+      const sColor = { pending:'#F59E0B',   paid:'#059669', expired:'#DC2626', refunded:'#6B7280',   disputed:'#DC2626' };
       list.innerHTML = `<div style="background:#fff;border:1px solid #EBEBEB;border-radius:16px;overflow:hidden;"><div style="padding:16px 20px;border-bottom:1px solid #F4F4F4;"><h3 style="font-size:0.95rem;font-weight:700;color:#0A0A0A;margin:0;">Histórico de cobranças</h3></div><div style="padding:0 20px;">${snap.docs.map(doc => {
         const b    = doc.data();
         const date = b.createdAt?.toDate ? b.createdAt.toDate().toLocaleDateString('pt-BR') : '—';
         const amt  = b.amountInCents ? `R$ ${(b.amountInCents/100).toFixed(2).replace('.',',')}` : '—';
-        return `<div style="display:flex;align-items:center;justify-content:space-between;padding:14px 0;border-bottom:1px solid #F4F4F4;"><div><p style="font-size:0.875rem;font-weight:600;color:#0A0A0A;margin:0 0 2px;">Plano ${b.planName||b.planId}</p><p style="font-size:0.75rem;color:#9CA3AF;margin:0;">${date} · ${b.billingPeriod}</p></div><div style="text-align:right;"><p style="font-size:0.875rem;font-weight:700;color:#0A0A0A;margin:0 0 3px;">${amt}</p><span style="font-size:0.7rem;font-weight:700;color:${sColor[b.status]||'#6B7280'};">● ${sLabel[b.status]||b.status}</span></div></div>`;
+        return `<div style="display:flex;align-items:center;justify-content:space-between;padding:14px 0;border-bottom:1px solid #F4F4F4;"><div><p style="font-size:0.875rem;font-weight:600;color:#0A0A0A;margin:0 0 2px;">Plano ${b.planName||b.planId}</p><p style="font-size:0.75rem;color:#9CA3AF;margin:0;">${date} · ${b.billingPeriod} · ${getCycle(b.billingCycle).label}</p></div><div style="text-align:right;"><p style="font-size:0.875rem;font-weight:700;color:#0A0A0A;margin:0 0 3px;">${amt}</p><span style="font-size:0.7rem;font-weight:700;color:${sColor[b.status]||'#6B7280'};">● ${sLabel[b.status]||b.status}</span></div></div>`;
       }).join('')}</div></div>`;
     } catch { if (list) list.innerHTML = `<p style="color:#DC2626;text-align:center;padding:32px;">Erro ao carregar histórico.</p>`; }
   }
@@ -14,6 +14,38 @@
  * - window.removeCard, window.openModal, window.ctxShow, window.copyDayHandler
  *   Mantidos como window.* para retrocompatibilidade com código legado, mas
  *   não são mais chamados via atributos inline.
+ *
+ * Sugestões de progressão:
+ * - Ao editar uma rotina, os feedbacks do treino passam pelas regras de
+ *   window.progressionRules e viram sugestões aceitáveis/rejeitáveis.
+ * - Aceitar aplica a edição no quadro (troca de exercício abre o modal em modo
+ *   substituição); a decisão fica pendente e vai para workouts/{id}.history
+ *   ao salvar.
+ *
+ * Versões: salvar uma rotina em edição usa dbManager.saveWorkoutVersion —
+ * o conteúdo anterior fica preservado em workouts/{id}/versions.
+ *
+ * Periodização: seletor de semanas acima do quadro. O quadro continua sendo a
+ * semana base; cada semana do mesociclo guarda % de séries/reps/carga e o
+ * flag de deload. Com uma semana selecionada os cards mostram a prescrição
+ * resolvida (window.mesocycleModel).
+ *
+ * Modelos: a biblioteca (workoutTemplates) substitui o select de presets. Os
+ * PRESETS viram modelos de sistema somente leitura no mesmo seletor; modelos
+ * próprios podem ser criados a partir do quadro, editados, duplicados e
+ * excluídos. Aplicar um modelo carrega o quadro para o aluno selecionado.
+ *
+ * Vários alunos: ao criar, o botão "Vários" permite marcar outros alunos além
+ * do selecionado — um save cria uma cópia por aluno (linkGroupId em comum).
+ * Ao editar uma cópia, "Propagar para todas as cópias" mostra quais alunos
+ * seriam afetados (diff de cada cópia contra o quadro) antes de gravar.
+ *
+ * Grupos: o select de grupo filtra o select de alunos e a lista "Vários";
+ * "Marcar todo o grupo" seleciona os membros de uma vez.
+ *
+ * Lesões: as lesões ativas do aluno selecionado (injuries) marcam com
+ * "⚠ Evitar" os cards dos exercícios tagueados para evitar; adicionar um deles
+ * pede confirmação (window.injuryModel).
  */
 window.__pageInit = async function() {
   await new Promise(r => document.readyState === 'loading'
@@ -55,6 +87,15 @@ window.__pageInit = async function() {
     ppl:{ monday:[E('Supino Reto','Peito',4,'8','120s'),E('Supino Inclinado','Peito',3,'10','90s'),E('Desenvolvimento','Ombros',3,'10','90s'),E('Elevação Lateral','Ombros',3,'15','60s'),E('Tríceps Pulley','Tríceps',3,'15','60s')], tuesday:[E('Puxada Frontal','Costas',4,'10','90s'),E('Remada Curvada','Costas',4,'10','90s'),E('Rosca Direta','Bíceps',3,'12','60s'),E('Rosca Martelo','Bíceps',3,'12','60s')], wednesday:[E('Agachamento','Pernas',4,'10','120s'),E('Leg Press','Pernas',3,'12','90s'),E('Cadeira Extensora','Pernas',3,'15','60s'),E('Panturrilha','Pernas',4,'20','45s')], thursday:[E('Supino Inclinado','Peito',4,'10','90s'),E('Crucifixo','Peito',3,'12','60s'),E('Elevação Frontal','Ombros',3,'15','60s'),E('Tríceps Testa','Tríceps',3,'12','60s')], friday:[E('Levantamento Terra','Costas',4,'6','180s'),E('Puxada Neutra','Costas',3,'12','90s'),E('Rosca Concentrada','Bíceps',3,'12','60s')], saturday:[E('Agachamento Búlgaro','Pernas',3,'10','90s'),E('Afundo','Pernas',3,'12','90s'),E('Prancha','Abdômen',3,'45s','30s')] },
   };
 
+  // Presets como modelos de sistema (somente leitura, id "system:<chave>")
+  const SYSTEM_TEMPLATES = [
+    { key:'abc',         name:'ABC – 3 dias',           level:'iniciante',     tags:['hipertrofia','3 dias'], description:'Divisão clássica: peito/tríceps, costas/bíceps e pernas.' },
+    { key:'abcd',        name:'ABCD – 4 dias',          level:'intermediario', tags:['hipertrofia','4 dias'], description:'Peito, costas, pernas e ombros em dias separados.' },
+    { key:'upper_lower', name:'Upper/Lower – 4 dias',   level:'intermediario', tags:['força','4 dias'],       description:'Superiores e inferiores alternados, duas vezes na semana.' },
+    { key:'fullbody',    name:'Full Body – 3 dias',     level:'iniciante',     tags:['full body','3 dias'],   description:'Corpo inteiro em cada sessão, dias alternados.' },
+    { key:'ppl',         name:'Push/Pull/Legs – 6 dias', level:'avancado',     tags:['hipertrofia','6 dias'], description:'Empurrar, puxar e pernas, duas rodadas por semana.' },
+  ].map(t => ({ ...t, id:`system:${t.key}`, system:true, days: toDaysData(PRESETS[t.key]), cycle:null }));
+
   let board        = {};
   let allExercises = [];
   let targetDay    = null;
@@ -65,6 +106,32 @@ window.__pageInit = async function() {
   let currentTab   = 'search';
   let editingId    = null;
 
+  // Sugestões de progressão (só ao editar uma rotina existente)
+  let workoutHistory   = [];
+  let workoutFeedbacks = [];
+  let suggestions      = [];
+  let pendingHistory   = [];
+  let replaceTarget    = null;
+
+  // Biblioteca de modelos
+  let myTemplates     = [];
+  let templatesLoaded = false;
+  let editingTemplate = null;   // modelo em edição no formulário (null = novo)
+
+  // Alunos / cópias vinculadas
+  let students      = [];
+  let groups        = [];
+  let extraStudents = new Set();   // além do studentSelect (só ao criar)
+  let linkGroupId   = null;
+  let linkedCopies  = [];
+
+  // Lesões ativas do aluno selecionado (exercícios a evitar)
+  let studentInjuries = [];
+
+  // Mesociclo (null = semana única)
+  let cycle        = null;
+  let selectedWeek = 0;   // 0 = base
+
   DAYS.forEach(d => board[d.key] = []);
 
   document.getElementById('logoutBtn').onclick = async () => { await authManager.logout(); router.goToLogin(); };
@@ -83,14 +150,19 @@ window.__pageInit = async function() {
   }
 
   try {
-    const students = await dbManager.getMyStudents();
-    const sel      = document.getElementById('studentSelect');
-    if (sel) {
-      students.forEach(s => {
+    [students, groups] = await Promise.all([dbManager.getMyStudents(), dbManager.getGroups()]);
+    const groupSel = document.getElementById('groupFilterSelect');
+    if (groupSel && groups.length > 0) {
+      groups.forEach(g => {
         const o = document.createElement('option');
-        o.value = s.uid; o.textContent = s.name;
-        sel.appendChild(o);
+        o.value = g.id; o.textContent = g.name;
+        groupSel.appendChild(o);
       });
+      groupSel.style.display = 'block';
+    }
+    fillStudentSelect();
+    const sel = document.getElementById('studentSelect');
+    if (sel) {
       const preSelected = sessionStorage.getItem('preSelectedStudent');
       if (preSelected) { sel.value = preSelected; sessionStorage.removeItem('preSelectedStudent'); }
     }
@@ -98,6 +170,8 @@ window.__pageInit = async function() {
     if (editId) { sessionStorage.removeItem('editWorkoutId'); await loadWorkout(editId); }
   } catch (e) { console.warn('Alunos:', e); }
 
+  loadStudentInjuries();
+
   try { allExercises = await dbManager.getPersonalExercises() || []; }
   catch { allExercises = []; }
 
@@ -110,16 +184,340 @@ window.__pageInit = async function() {
       const selEl  = document.getElementById('studentSelect');
       if (nameEl) nameEl.value = w.name || '';
       if (selEl)  selEl.value  = w.studentId || '';
-      DAYS.forEach(d => {
-        board[d.key] = (w.days?.[d.key] || []).map(e => ({
-          id: uid(), name: e.exerciseName || e.name || '', muscle: e.muscleGroup || e.muscle || '',
-          sets: String(e.sets||3), reps: String(e.reps||12), rest: String(e.rest||'60s'), obs: e.obs || '',
-        }));
-      });
+      loadDaysIntoBoard(w.days);
+      linkGroupId  = w.linkGroupId || null;
+      linkedCopies = linkGroupId ? await dbManager.getLinkedWorkouts(linkGroupId) : [];
+      extraStudents.clear();
+      renderMultiStudents(); renderLinkBar();
+      cycle        = w.cycle?.weeks ? mesocycleModel.createMesocycle(w.cycle.weeks, w.cycle.startDate, w.cycle) : null;
+      selectedWeek = 0;
+      renderCycle();
+      workoutHistory = Array.isArray(w.history) ? w.history : [];
+      pendingHistory = [];
       renderBoard(); toast('Rotina carregada ✓');
+      loadSuggestions(id);
     } catch (e) { console.warn(e); }
   }
 
+  /**
+   * Quadro (cards do montador) → formato gravado no Firestore
+   */
+  function toDaysData(src) {
+    const daysData = {};
+    DAYS.forEach(d => {
+      if (src?.[d.key]?.length > 0) {
+        daysData[d.key] = src[d.key].map(e => ({ exerciseName:e.name||'', muscleGroup:e.muscle||'', sets:parseInt(e.sets)||3, reps:e.reps||'12', rest:e.rest||'60s', obs:e.obs||'' }));
+      }
+    });
+    return daysData;
+  }
+
+  function loadDaysIntoBoard(days) {
+    DAYS.forEach(d => {
+      board[d.key] = (days?.[d.key] || []).map(e => ({
+        id: uid(), name: e.exerciseName || e.name || '', muscle: e.muscleGroup || e.muscle || '',
+        sets: String(e.sets||3), reps: String(e.reps||12), rest: String(e.rest||'60s'), obs: e.obs || '',
+      }));
+    });
+  }
+
+  function studentName(uid) {
+    return students.find(s => s.uid === uid)?.name || 'Aluno removido';
+  }
+
+  // ── Vários alunos ───────────────────────────────────────────────
+
+  function groupStudents() {
+    return groupModel.filterByGroup(students, groups, document.getElementById('groupFilterSelect')?.value);
+  }
+
+  // Opções do select de alunos conforme o grupo (mantém o aluno já escolhido)
+  function fillStudentSelect() {
+    const sel = document.getElementById('studentSelect');
+    if (!sel) return;
+    const current = sel.value;
+    const list    = groupStudents();
+    if (current && !list.some(s => s.uid === current)) {
+      const chosen = students.find(s => s.uid === current);
+      if (chosen) list.unshift(chosen);
+    }
+    sel.innerHTML = '<option value="">Selecione o aluno...</option>';
+    list.forEach(s => {
+      const o = document.createElement('option');
+      o.value = s.uid; o.textContent = s.name;
+      sel.appendChild(o);
+    });
+    sel.value = current;
+  }
+
+  function selectedStudentIds() {
+    const primary = document.getElementById('studentSelect')?.value;
+    return [...new Set([primary, ...extraStudents])].filter(Boolean);
+  }
+
+  function renderMultiStudents() {
+    const btn   = document.getElementById('multiStudentBtn');
+    const label = document.getElementById('multiStudentLabel');
+    const list  = document.getElementById('multiStudentList');
+    if (btn) btn.style.display = editingId ? 'none' : 'flex';
+    const count = selectedStudentIds().length;
+    if (label) label.textContent = count > 1 ? `${count} alunos` : 'Vários';
+    if (!list) return;
+
+    const primary = document.getElementById('studentSelect')?.value;
+    const q       = (document.getElementById('multiStudentSearch')?.value || '').toLowerCase().trim();
+    const items   = groupStudents().filter(s => !q || (s.name || '').toLowerCase().includes(q));
+    const groupBtn = document.getElementById('multiSelectGroupBtn');
+    if (groupBtn) groupBtn.style.display = document.getElementById('groupFilterSelect')?.value ? 'flex' : 'none';
+    list.innerHTML = items.length === 0
+      ? '<p class="ms-hint" style="text-align:center;">Nenhum aluno encontrado.</p>'
+      : items.map(s => {
+          const locked = s.uid === primary;
+          return `<label class="ms-item${locked ? ' locked' : ''}">
+            <input type="checkbox" data-ms-student="${esc(s.uid)}"${locked || extraStudents.has(s.uid) ? ' checked' : ''}${locked ? ' disabled' : ''}>
+            ${esc(s.name || 'Aluno')}
+            ${locked ? '<span class="ms-item-sub">selecionado acima</span>' : ''}
+          </label>`;
+        }).join('');
+  }
+
+  document.getElementById('multiStudentBtn')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const panel = document.getElementById('multiStudentPanel');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    if (panel.style.display === 'block') renderMultiStudents();
+  });
+  document.getElementById('multiStudentPanel')?.addEventListener('click', e => e.stopPropagation());
+  document.getElementById('multiStudentSearch')?.addEventListener('input', renderMultiStudents);
+  document.getElementById('multiStudentList')?.addEventListener('change', (e) => {
+    const uid = e.target.dataset.msStudent;
+    if (!uid) return;
+    if (e.target.checked) extraStudents.add(uid); else extraStudents.delete(uid);
+    renderMultiStudents();
+  });
+  document.getElementById('multiSelectGroupBtn')?.addEventListener('click', () => {
+    const primary = document.getElementById('studentSelect')?.value;
+    groupStudents().forEach(s => { if (s.uid !== primary) extraStudents.add(s.uid); });
+    renderMultiStudents();
+  });
+  document.getElementById('groupFilterSelect')?.addEventListener('change', () => {
+    fillStudentSelect();
+    renderMultiStudents();
+  });
+  document.getElementById('studentSelect')?.addEventListener('change', async (e) => {
+    extraStudents.delete(e.target.value);
+    renderMultiStudents();
+    await loadStudentInjuries();
+    warnAvoidConflicts();
+  });
+  document.addEventListener('click', () => {
+    const panel = document.getElementById('multiStudentPanel');
+    if (panel) panel.style.display = 'none';
+  });
+
+  // ── Lesões do aluno ─────────────────────────────────────────────
+
+  async function loadStudentInjuries() {
+    const id = document.getElementById('studentSelect')?.value;
+    const list = id ? await dbManager.getStudentInjuries(id) : [];
+    studentInjuries = list.filter(injuryModel.isInjuryActive);
+    renderBoard();
+  }
+
+  function avoidConflicts(name) {
+    return injuryModel.findAvoidConflicts(studentInjuries, name);
+  }
+
+  /** Avisa quantos exercícios do quadro estão marcados como "evitar" */
+  function warnAvoidConflicts() {
+    const count = DAYS.reduce((n, d) => n + board[d.key].filter(e => avoidConflicts(e.name).length > 0).length, 0);
+    if (count > 0) toast(`⚠ ${count} exercício(s) do quadro marcados como "evitar" para este aluno`, 3500);
+  }
+
+  // ── Cópias vinculadas ───────────────────────────────────────────
+
+  function otherCopies() { return linkedCopies.filter(c => c.id !== editingId); }
+
+  function renderLinkBar() {
+    const bar  = document.getElementById('linkBar');
+    const text = document.getElementById('linkBarText');
+    if (!bar) return;
+    const others = otherCopies();
+    bar.style.display = editingId && others.length > 0 ? 'flex' : 'none';
+    if (!text || others.length === 0) return;
+    const names = others.slice(0, 3).map(c => studentName(c.studentId)).join(', ');
+    text.textContent = `🔗 Cópia vinculada — também atribuída a ${names}${others.length > 3 ? ` e mais ${others.length - 3}` : ''}. Alterações aqui valem só para este aluno.`;
+  }
+
+  function copyDiffSummary(copy, daysData) {
+    const diff  = workoutVersionModel.diffWorkoutDays(copy.days || {}, daysData);
+    const parts = [];
+    if (diff.totals.added)   parts.push(`+${diff.totals.added}`);
+    if (diff.totals.removed) parts.push(`−${diff.totals.removed}`);
+    if (diff.totals.changed) parts.push(`~${diff.totals.changed}`);
+    const name  = document.getElementById('workoutName')?.value.trim();
+    if (name && name !== copy.name) parts.push('nome');
+    if (JSON.stringify(copy.cycle || null) !== JSON.stringify(cycle || null)) parts.push('periodização');
+    return parts;
+  }
+
+  function renderPropagateList() {
+    const list = document.getElementById('propagateList');
+    if (!list) return;
+    const daysData = toDaysData(board);
+    list.innerHTML = otherCopies().map(c => {
+      const parts = copyDiffSummary(c, daysData);
+      return `<label class="ms-item">
+        <input type="checkbox" data-propagate-id="${esc(c.id)}"${parts.length ? ' checked' : ''}>
+        ${esc(studentName(c.studentId))}
+        <span class="ms-item-sub">${parts.length ? esc(parts.join(' · ')) : 'sem diferenças'}</span>
+      </label>`;
+    }).join('');
+    updatePropagateSub();
+  }
+
+  function updatePropagateSub() {
+    const sub   = document.getElementById('propagateSub');
+    const count = document.querySelectorAll('#propagateList [data-propagate-id]:checked').length;
+    if (sub) sub.textContent = `Esta rotina será salva e o conteúdo gravado em ${count} cópia(s) — ${count} aluno(s) afetado(s). Ajustes individuais dessas cópias serão substituídos.`;
+    const btn = document.getElementById('confirmPropagate');
+    if (btn) btn.disabled = count === 0;
+  }
+
+  document.getElementById('propagateBtn')?.addEventListener('click', async () => {
+    if (!validateForm()) return;
+    linkedCopies = await dbManager.getLinkedWorkouts(linkGroupId);
+    renderPropagateList();
+    document.getElementById('propagateModal')?.classList.add('open');
+  });
+  document.getElementById('propagateList')?.addEventListener('change', updatePropagateSub);
+  document.getElementById('cancelPropagate')?.addEventListener('click', () => document.getElementById('propagateModal')?.classList.remove('open'));
+
+  document.getElementById('confirmPropagate')?.addEventListener('click', async () => {
+    const targets = [...document.querySelectorAll('#propagateList [data-propagate-id]:checked')].map(el => el.dataset.propagateId);
+    if (targets.length === 0) return;
+    const btn = document.getElementById('confirmPropagate');
+    if (btn) btn.disabled = true;
+
+    const saved = await persistWorkout();
+    if (!saved) { if (btn) btn.disabled = false; return; }
+
+    const result = await dbManager.propagateLinkedWorkout(editingId, targets);
+    if (btn) btn.disabled = false;
+    document.getElementById('propagateModal')?.classList.remove('open');
+    if (!result.success) return toast('Rotina salva, mas a propagação falhou: ' + result.error, 3500);
+
+    toast(result.failed.length
+      ? `✓ Propagado para ${result.updated.length} aluno(s) · ${result.failed.length} falha(s)`
+      : `✓ Rotina salva e propagada para ${result.updated.length} aluno(s)`, 3000);
+    setTimeout(() => router.goToPersonalDashboard(), 1800);
+  });
+
+  async function loadSuggestions(workoutId) {
+    if (!window.progressionRules) return;
+    workoutFeedbacks = await dbManager.getWorkoutFeedbacks(workoutId);
+    refreshSuggestions();
+  }
+
+  function refreshSuggestions() {
+    const panel = document.getElementById('suggestPanel');
+    if (!panel) return;
+    if (!editingId || !window.progressionRules || workoutFeedbacks.length === 0) {
+      panel.style.display = 'none';
+      return;
+    }
+
+    const weeks = parseInt(document.getElementById('suggestWeeks')?.value, 10) || progressionRules.DEFAULT_WEEKS;
+    suggestions = progressionRules.buildProgressionSuggestions({
+      feedbacks: workoutFeedbacks,
+      days:      board,
+      history:   [...workoutHistory, ...pendingHistory],
+      weeks,
+    });
+
+    const sub = document.getElementById('suggestSub');
+    if (sub) {
+      const pending = pendingHistory.length;
+      sub.textContent = `${workoutFeedbacks.length} feedback(s) nesta rotina · janela de ${weeks} semanas`
+        + (pending ? ` · ${pending} decisão(ões) serão registradas ao salvar` : '');
+    }
+
+    const list = document.getElementById('suggestList');
+    if (list) {
+      list.innerHTML = suggestions.length === 0
+        ? '<p class="sg-empty">Nenhuma sugestão — os feedbacks recentes estão dentro do esperado.</p>'
+        : suggestions.map(suggestionHtml).join('');
+    }
+    panel.style.display = 'block';
+  }
+
+  function suggestionHtml(sg) {
+    const kind = sg.type === 'swap_exercise' ? 'pain' : (sg.type === 'add_set' ? 'up' : 'down');
+    const day  = DAYS.find(d => d.key === sg.dayOfWeek);
+    return `<div class="sg-card sg-card--${kind}">
+      <span class="sg-day" title="${esc(day?.full || '')}">${esc(day?.short || '')}</span>
+      <div style="flex:1;min-width:0;">
+        <p class="sg-label">${esc(sg.label)}</p>
+        <p class="sg-reason">${esc(sg.reason)}</p>
+      </div>
+      <div style="display:flex;gap:6px;">
+        <button class="toolbar-btn toolbar-btn-primary" data-sg-action="accept" data-id="${esc(sg.id)}">Aceitar</button>
+        <button class="toolbar-btn toolbar-btn-secondary" data-sg-action="reject" data-id="${esc(sg.id)}">Rejeitar</button>
+      </div>
+    </div>`;
+  }
+
+  function acceptSuggestion(sg) {
+    const result = progressionRules.applyProgressionSuggestion(board[sg.dayOfWeek], sg);
+    if (result.index === -1) return toast('⚠ Exercício não está mais no quadro');
+
+    if (result.requiresReplacement) {
+      // Escolha do substituto no modal; histórico registrado ao confirmar
+      const old = board[sg.dayOfWeek][result.index];
+      openModal(sg.dayOfWeek);
+      replaceTarget = { day: sg.dayOfWeek, idx: result.index, suggestion: sg };
+      const title = document.getElementById('exModalTitle');
+      if (title) title.textContent = `Substituir ${old.name}`;
+      const sets = document.getElementById('exSets');
+      const reps = document.getElementById('exReps');
+      const rest = document.getElementById('exRest');
+      if (sets) sets.value = old.sets;
+      if (reps) reps.value = old.reps;
+      if (rest) rest.value = old.rest;
+      return;
+    }
+
+    if (!result.applied) return toast('⚠ Não foi possível aplicar a sugestão');
+    board[sg.dayOfWeek] = result.exercises;
+    pendingHistory.push(progressionRules.createProgressionHistoryEntry(sg, 'accepted'));
+    renderBoard(); toast(`✓ ${sg.label}`);
+  }
+
+  function rejectSuggestion(sg) {
+    pendingHistory.push(progressionRules.createProgressionHistoryEntry(sg, 'rejected'));
+    refreshSuggestions(); toast('Sugestão rejeitada');
+  }
+
+  document.getElementById('suggestList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-sg-action]');
+    if (!btn) return;
+    const sg = suggestions.find(x => x.id === btn.dataset.id);
+    if (!sg) return;
+    if (btn.dataset.sgAction === 'accept') acceptSuggestion(sg);
+    else rejectSuggestion(sg);
+  });
+
+  document.getElementById('suggestWeeks')?.addEventListener('change', refreshSuggestions);
+
+  document.getElementById('toggleSuggestBtn')?.addEventListener('click', (e) => {
+    const list = document.getElementById('suggestList');
+    if (!list) return;
+    const hide = list.style.display !== 'none';
+    list.style.display = hide ? 'none' : 'flex';
+    e.currentTarget.textContent = hide ? 'Mostrar' : 'Ocultar';
+  });
+
   function toast(msg, ms = 2200) {
     const el = document.getElementById('toast');
     if (!el) return;
@@ -127,18 +525,111 @@ window.__pageInit = async function() {
     setTimeout(() => el.classList.remove('show'), ms);
   }
 
+  // ── Periodização ────────────────────────────────────────────────
+
+  function defaultCycleStart() {
+    const logModel = window.workoutLogModel;
+    return logModel ? logModel.getWeekStartKey(logModel.getLogDateKey()) : '';
+  }
+
+  function selectedModifier() {
+    return cycle && selectedWeek > 0 ? cycle.scheme[selectedWeek - 1] : null;
+  }
+
+  function renderCycle() {
+    const weeksSel = document.getElementById('cycleWeeks');
+    const startFld = document.getElementById('cycleStartField');
+    const startInp = document.getElementById('cycleStart');
+    const linear   = document.getElementById('cycleLinearBtn');
+    const tabs     = document.getElementById('cycleWeekTabs');
+    const editor   = document.getElementById('cycleWeekEditor');
+    if (!weeksSel || !tabs || !editor) return;
+
+    weeksSel.value = cycle ? String(cycle.weeks) : '';
+    if (startFld) startFld.style.display = cycle ? 'flex' : 'none';
+    if (startInp) startInp.value = cycle?.startDate || '';
+    if (linear)   linear.style.display = cycle ? 'flex' : 'none';
+    tabs.style.display   = cycle ? 'flex' : 'none';
+    editor.style.display = selectedModifier() ? 'flex' : 'none';
+    if (!cycle) { tabs.innerHTML = ''; editor.innerHTML = ''; return; }
+
+    tabs.innerHTML = `<button class="cw-week-tab${selectedWeek === 0 ? ' active' : ''}" data-week="0">Base</button>` +
+      cycle.scheme.map((m, i) => `<button class="cw-week-tab${m.deload ? ' deload' : ''}${selectedWeek === i + 1 ? ' active' : ''}" data-week="${i + 1}">S${i + 1}${m.deload ? ' · deload' : ''}</button>`).join('');
+
+    const mod = selectedModifier();
+    editor.innerHTML = mod ? `
+      <div class="tl-field"><span class="tl-label">Séries %</span><input type="number" class="toolbar-input" data-cycle-field="setsPct" min="30" max="200" step="5" value="${esc(mod.setsPct)}"></div>
+      <div class="tl-field"><span class="tl-label">Reps %</span><input type="number" class="toolbar-input" data-cycle-field="repsPct" min="30" max="200" step="5" value="${esc(mod.repsPct)}"></div>
+      <div class="tl-field"><span class="tl-label">Carga %</span><input type="number" class="toolbar-input" data-cycle-field="loadPct" min="30" max="200" step="2.5" value="${esc(mod.loadPct)}"></div>
+      <label style="display:flex;align-items:center;gap:6px;font-size:0.8rem;font-weight:600;color:#374151;padding-bottom:8px;cursor:pointer;">
+        <input type="checkbox" data-cycle-field="deload"${mod.deload ? ' checked' : ''}> Semana de deload
+      </label>
+      <p class="cw-week-note">Visualizando a semana ${esc(selectedWeek)} — alterações nos exercícios são feitas na semana base.</p>` : '';
+  }
+
+  document.getElementById('cycleWeeks')?.addEventListener('change', (e) => {
+    const weeks = parseInt(e.target.value, 10);
+    if (!weeks) {
+      cycle = null;
+      selectedWeek = 0;
+    } else {
+      cycle = mesocycleModel.createMesocycle(weeks, cycle?.startDate || defaultCycleStart(), cycle);
+      if (selectedWeek > cycle.weeks) selectedWeek = cycle.weeks;
+    }
+    renderCycle(); renderBoard();
+  });
+
+  document.getElementById('cycleStart')?.addEventListener('change', (e) => {
+    if (cycle) cycle.startDate = e.target.value;
+  });
+
+  document.getElementById('cycleLinearBtn')?.addEventListener('click', () => {
+    if (!cycle) return;
+    cycle.scheme = mesocycleModel.buildLinearScheme(cycle.weeks);
+    renderCycle(); renderBoard();
+    toast(`✓ Carga +2,5%/semana, deload na semana ${cycle.weeks}`);
+  });
+
+  document.getElementById('cycleWeekTabs')?.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-week]');
+    if (!tab) return;
+    selectedWeek = parseInt(tab.dataset.week, 10) || 0;
+    renderCycle(); renderBoard();
+  });
+
+  document.getElementById('cycleWeekEditor')?.addEventListener('change', (e) => {
+    const mod   = selectedModifier();
+    const field = e.target.dataset.cycleField;
+    if (!mod || !field) return;
+
+    if (field === 'deload') {
+      mod.deload = e.target.checked;
+      // Ao marcar deload sem ajustes, sugere a redução usual
+      if (mod.deload && mod.setsPct === 100 && mod.loadPct === 100) { mod.setsPct = 60; mod.loadPct = 60; }
+    } else {
+      const val = parseFloat(e.target.value);
+      mod[field] = isNaN(val) ? 100 : Math.min(200, Math.max(30, val));
+    }
+    renderCycle(); renderBoard();
+  });
+
   /**
    * cardHtml — CORRIGIDO CSP:
    * Removidos onclick="removeCard(...)" e oncontextmenu="ctxShow(...)" inline.
    * Substituídos por data-action + data-day + data-idx para event delegation.
    */
   function cardHtml(e, day, idx) {
+    const mod   = selectedModifier();
+    const r     = mod ? mesocycleModel.applyWeekModifiers(e, mod) : e;
+    const avoid = avoidConflicts(e.name);
     return `<div class="ex-card" draggable="true" data-day="${day}" data-idx="${idx}" data-action="ctx-show">
       <div class="ex-card-name">${esc(e.name)}</div>
       <div class="ex-card-meta">
-        <span class="ex-badge" style="background:#111827;color:#fff;">${esc(e.sets)}×${esc(e.reps)}</span>
+        <span class="ex-badge" style="background:${mod ? '#374151' : '#111827'};color:#fff;"${mod ? ` title="Base: ${esc(e.sets)}×${esc(e.reps)}"` : ''}>${esc(r.sets)}×${esc(r.reps)}</span>
+        ${mod && mod.loadPct !== 100 ? `<span class="ex-badge" style="background:#FFFBEB;color:#92400E;">${esc(mod.loadPct)}% carga</span>` : ''}
         ${e.muscle ? `<span class="ex-badge" style="${mStyle(e.muscle)}">${esc(e.muscle)}</span>` : ''}
         ${e.rest ? `<span class="ex-badge" style="background:#F3F4F6;color:#6B7280;">⏱${esc(e.rest)}</span>` : ''}
+        ${avoid.length ? `<span class="ex-badge" style="background:#FEF2F2;color:#DC2626;" title="Lesão: ${esc(avoid.map(i => i.location).join(', '))}">⚠ Evitar</span>` : ''}
       </div>
       ${e.obs ? `<div style="font-size:0.62rem;color:#9CA3AF;margin-top:3px;font-style:italic;">${esc(e.obs)}</div>` : ''}
       <button class="ex-delete-btn" data-action="remove-card" data-day="${day}" data-idx="${idx}">
@@ -182,6 +673,7 @@ window.__pageInit = async function() {
     bindDrop();
     // Event delegation para todos os botões do board (substitui onclick inline)
     bindBoardEvents(b);
+    refreshSuggestions();
   }
 
   /**
@@ -276,7 +768,9 @@ window.__pageInit = async function() {
   window.removeCard = function(day, idx) { board[day].splice(idx, 1); renderBoard(); };
 
   window.openModal = function(day) {
-    targetDay  = day; selectedEx = null;
+    targetDay  = day; selectedEx = null; replaceTarget = null;
+    const title = document.getElementById('exModalTitle');
+    if (title) title.textContent = 'Adicionar Exercício';
     const si   = document.getElementById('exSearchInput');
     const sets = document.getElementById('exSets');
     const reps = document.getElementById('exReps');
@@ -337,30 +831,201 @@ window.__pageInit = async function() {
   document.getElementById('exModal')?.addEventListener('click', e => { if (e.target === document.getElementById('exModal')) document.getElementById('exModal').classList.remove('open'); });
 
   document.getElementById('confirmAddEx')?.addEventListener('click', () => {
+    let added;
     if (currentTab === 'search') {
       if (!selectedEx) return toast('⚠ Selecione um exercício');
-      board[targetDay].push({ id:uid(), name:selectedEx.name, muscle:selectedEx.muscle, sets:document.getElementById('exSets')?.value||'3', reps:document.getElementById('exReps')?.value||'12', rest:document.getElementById('exRest')?.value||'60s', obs:'' });
+      added = { id:uid(), name:selectedEx.name, muscle:selectedEx.muscle, sets:document.getElementById('exSets')?.value||'3', reps:document.getElementById('exReps')?.value||'12', rest:document.getElementById('exRest')?.value||'60s', obs:'' };
     } else {
       const name = document.getElementById('manualName')?.value.trim();
       if (!name) return toast('⚠ Insira o nome');
-      board[targetDay].push({ id:uid(), name, muscle:document.getElementById('manualMuscle')?.value||'', sets:document.getElementById('manualSets')?.value||'3', reps:document.getElementById('manualReps')?.value||'12', rest:document.getElementById('manualRest')?.value||'60s', obs:document.getElementById('manualObs')?.value||'' });
+      added = { id:uid(), name, muscle:document.getElementById('manualMuscle')?.value||'', sets:document.getElementById('manualSets')?.value||'3', reps:document.getElementById('manualReps')?.value||'12', rest:document.getElementById('manualRest')?.value||'60s', obs:document.getElementById('manualObs')?.value||'' };
       const mn = document.getElementById('manualName'); const mo = document.getElementById('manualObs');
       if (mn) mn.value = ''; if (mo) mo.value = '';
     }
+
+    const avoid = avoidConflicts(added.name);
+    if (avoid.length && !confirm(`⚠ "${added.name}" está marcado como "evitar" para a lesão: ${avoid.map(i => i.location).join(', ')}.\n\nAdicionar mesmo assim?`)) return;
+
     document.getElementById('exModal')?.classList.remove('open');
+
+    if (replaceTarget) {
+      const { day, idx, suggestion } = replaceTarget;
+      const replaced = board[day][idx]?.name;
+      board[day].splice(idx, 1, added);
+      pendingHistory.push(progressionRules.createProgressionHistoryEntry(suggestion, 'accepted', { replacedBy: added.name }));
+      replaceTarget = null;
+      renderBoard();
+      return toast(`✓ ${replaced} → ${added.name}`);
+    }
+
+    board[targetDay].push(added);
     renderBoard();
     toast(`✓ Adicionado em ${DAYS.find(d => d.key === targetDay)?.full}`);
   });
 
-  document.getElementById('loadPresetBtn')?.addEventListener('click', () => {
-    const v = document.getElementById('presetSelect')?.value;
-    if (!v) return toast('Selecione um preset');
-    DAYS.forEach(d => board[d.key] = []);
-    Object.entries(PRESETS[v]).forEach(([day, list]) => { board[day] = list.map(e => ({ ...e, id:uid() })); });
-    renderBoard(); toast('✓ Preset carregado!');
-    const ps = document.getElementById('presetSelect'); if (ps) ps.value = '';
+  // ── Biblioteca de modelos ───────────────────────────────────────
+
+  function allTemplates() { return [...myTemplates, ...SYSTEM_TEMPLATES]; }
+
+  async function openTemplates() {
+    document.getElementById('templatesModal')?.classList.add('open');
+    if (!templatesLoaded) {
+      myTemplates     = await dbManager.getWorkoutTemplates();
+      templatesLoaded = true;
+    }
+    renderTemplates();
+  }
+
+  function renderTemplates() {
+    const list = document.getElementById('tplList');
+    if (!list) return;
+    const filter = {
+      query: document.getElementById('tplSearch')?.value || '',
+      level: document.getElementById('tplLevelFilter')?.value || '',
+    };
+    const mine   = workoutTemplateModel.filterWorkoutTemplates(myTemplates, filter);
+    const system = workoutTemplateModel.filterWorkoutTemplates(SYSTEM_TEMPLATES, filter);
+
+    list.innerHTML = `
+      <p class="tpl-section">Meus modelos (${myTemplates.length})</p>
+      ${mine.length ? mine.map(templateHtml).join('') : `<p class="tpl-empty">${myTemplates.length ? 'Nenhum modelo encontrado.' : 'Você ainda não salvou modelos — use “Salvar como modelo” no quadro.'}</p>`}
+      <p class="tpl-section">Modelos do sistema</p>
+      ${system.length ? system.map(templateHtml).join('') : '<p class="tpl-empty">Nenhum modelo encontrado.</p>'}`;
+  }
+
+  function templateHtml(t) {
+    const activeDays = DAYS.filter(d => t.days?.[d.key]?.length > 0).length;
+    const exCount    = workoutTemplateModel.countTemplateExercises(t.days);
+    return `<div class="tpl-card">
+      <div class="tpl-card-head">
+        <div style="min-width:0;">
+          <p class="tpl-name">${esc(t.name)}${t.system ? ' <span style="font-size:0.65rem;color:#9CA3AF;font-weight:700;">· sistema</span>' : ''}</p>
+          <p class="tpl-meta">${esc(activeDays)} dia(s) · ${esc(exCount)} exercício(s)${t.cycle?.weeks ? ` · mesociclo de ${esc(t.cycle.weeks)} semanas` : ''}</p>
+        </div>
+        <span class="tpl-level">${esc(workoutTemplateModel.LEVELS[t.level] || t.level)}</span>
+      </div>
+      ${t.description ? `<p class="tpl-desc">${esc(t.description)}</p>` : ''}
+      ${t.tags?.length ? `<div class="tpl-tags">${t.tags.map(tag => `<span class="tpl-tag">#${esc(tag)}</span>`).join('')}</div>` : ''}
+      <div class="tpl-actions">
+        <button class="toolbar-btn toolbar-btn-primary" data-tpl-action="apply" data-id="${esc(t.id)}">Aplicar ao quadro</button>
+        <button class="toolbar-btn toolbar-btn-secondary" data-tpl-action="duplicate" data-id="${esc(t.id)}">Duplicar</button>
+        ${t.system ? '' : `
+        <button class="toolbar-btn toolbar-btn-secondary" data-tpl-action="edit" data-id="${esc(t.id)}">Editar</button>
+        <button class="toolbar-btn toolbar-btn-danger" data-tpl-action="delete" data-id="${esc(t.id)}">Excluir</button>`}
+      </div>
+    </div>`;
+  }
+
+  function applyTemplate(t) {
+    const current = DAYS.reduce((a, d) => a + board[d.key].length, 0);
+    if (current > 0 && !confirm(`Substituir os ${current} exercício(s) do quadro pelo modelo "${t.name}"?`)) return;
+
+    loadDaysIntoBoard(t.days);
+    clipboard = null;
+    if (t.cycle?.weeks) {
+      cycle = mesocycleModel.createMesocycle(t.cycle.weeks, cycle?.startDate || defaultCycleStart(), t.cycle);
+      selectedWeek = 0;
+    }
+    const nameEl = document.getElementById('workoutName');
+    if (nameEl && !nameEl.value.trim()) nameEl.value = t.name;
+
+    document.getElementById('templatesModal')?.classList.remove('open');
+    renderCycle(); renderBoard();
+    const student = document.getElementById('studentSelect');
+    toast(student?.value ? `✓ Modelo "${t.name}" aplicado` : `✓ Modelo "${t.name}" aplicado — selecione o aluno`);
+  }
+
+  async function duplicateTemplate(t) {
+    const result = await dbManager.duplicateWorkoutTemplate(t);
+    if (!result.success) return toast('Erro: ' + (result.error || 'Tente novamente'));
+    myTemplates = await dbManager.getWorkoutTemplates();
+    renderTemplates(); toast('✓ Modelo duplicado em "Meus modelos"');
+  }
+
+  async function deleteTemplate(t) {
+    if (!confirm(`Excluir o modelo "${t.name}"? Rotinas já criadas a partir dele não são alteradas.`)) return;
+    const result = await dbManager.deleteWorkoutTemplate(t.id);
+    if (!result.success) return toast('Erro: ' + (result.error || 'Tente novamente'));
+    myTemplates = myTemplates.filter(x => x.id !== t.id);
+    renderTemplates(); toast('Modelo excluído');
+  }
+
+  function openTemplateForm(t = null) {
+    editingTemplate = t;
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+    set('tplName',        t?.name || document.getElementById('workoutName')?.value.trim() || '');
+    set('tplDescription', t?.description || '');
+    set('tplLevel',       t?.level || 'intermediario');
+    set('tplTags',        (t?.tags || []).join(', '));
+    const title = document.getElementById('tplFormTitle');
+    const sub   = document.getElementById('tplFormSub');
+    const row   = document.getElementById('tplReplaceDaysRow');
+    const chk   = document.getElementById('tplReplaceDays');
+    if (title) title.textContent = t ? 'Editar modelo' : 'Salvar como modelo';
+    if (sub)   sub.textContent   = t
+      ? 'Altere os dados do modelo — os exercícios só mudam se marcar a opção abaixo'
+      : 'O quadro atual (e a periodização, sem a data de início) vira um modelo reutilizável';
+    if (row) row.style.display = t ? 'flex' : 'none';
+    if (chk) chk.checked = false;
+    document.getElementById('templateFormModal')?.classList.add('open');
+    setTimeout(() => document.getElementById('tplName')?.focus(), 80);
+  }
+
+  async function submitTemplateForm() {
+    const replaceDays = !editingTemplate || document.getElementById('tplReplaceDays')?.checked;
+    const data = {
+      name:        document.getElementById('tplName')?.value.trim() || '',
+      description: document.getElementById('tplDescription')?.value.trim() || '',
+      level:       document.getElementById('tplLevel')?.value || 'intermediario',
+      tags:        workoutTemplateModel.normalizeTemplateTags(document.getElementById('tplTags')?.value),
+      days:        replaceDays ? toDaysData(board) : editingTemplate.days,
+      cycle:       replaceDays ? (cycle ? { weeks: cycle.weeks, scheme: cycle.scheme } : null) : (editingTemplate.cycle || null),
+    };
+    const check = workoutTemplateModel.validateWorkoutTemplate(data);
+    if (!check.isValid) return toast('⚠ ' + check.errors[0]);
+
+    const btn = document.getElementById('confirmTplForm');
+    if (btn) btn.disabled = true;
+    const result = editingTemplate
+      ? await dbManager.updateWorkoutTemplate(editingTemplate.id, data)
+      : await dbManager.createWorkoutTemplate(data);
+    if (btn) btn.disabled = false;
+    if (!result.success) return toast('Erro: ' + (result.error || 'Tente novamente'));
+
+    document.getElementById('templateFormModal')?.classList.remove('open');
+    toast(editingTemplate ? '✓ Modelo atualizado' : `✓ Modelo "${data.name}" salvo na biblioteca`);
+    editingTemplate = null;
+    if (templatesLoaded) {
+      myTemplates = await dbManager.getWorkoutTemplates();
+      renderTemplates();
+    }
+  }
+
+  document.getElementById('openTemplatesBtn')?.addEventListener('click', openTemplates);
+  document.getElementById('saveTemplateBtn')?.addEventListener('click', () => {
+    if (DAYS.every(d => board[d.key].length === 0)) return toast('⚠ Adicione exercícios ao quadro antes de salvar um modelo');
+    openTemplateForm();
+  });
+  document.getElementById('closeTemplatesModal')?.addEventListener('click', () => document.getElementById('templatesModal')?.classList.remove('open'));
+  document.getElementById('templatesModal')?.addEventListener('click', e => { if (e.target === e.currentTarget) e.currentTarget.classList.remove('open'); });
+  document.getElementById('tplSearch')?.addEventListener('input', renderTemplates);
+  document.getElementById('tplLevelFilter')?.addEventListener('change', renderTemplates);
+
+  document.getElementById('tplList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-tpl-action]');
+    if (!btn) return;
+    const t = allTemplates().find(x => x.id === btn.dataset.id);
+    if (!t) return;
+    const action = btn.dataset.tplAction;
+    if (action === 'apply')     applyTemplate(t);
+    if (action === 'duplicate') duplicateTemplate(t);
+    if (action === 'edit')      openTemplateForm(t);
+    if (action === 'delete')    deleteTemplate(t);
   });
 
+  document.getElementById('cancelTplForm')?.addEventListener('click', () => document.getElementById('templateFormModal')?.classList.remove('open'));
+  document.getElementById('confirmTplForm')?.addEventListener('click', submitTemplateForm);
+
   document.getElementById('clearBoardBtn')?.addEventListener('click', () => document.getElementById('confirmClearModal')?.classList.add('open'));
   document.getElementById('cancelClear')?.addEventListener('click',   () => document.getElementById('confirmClearModal')?.classList.remove('open'));
   document.getElementById('confirmClear')?.addEventListener('click',  () => {
@@ -405,50 +1070,82 @@ window.__pageInit = async function() {
     if (ctxTarget) { removeCard(ctxTarget.day, ctxTarget.idx); toast('Exercício removido'); }
   });
 
-  document.getElementById('saveWorkoutBtn')?.addEventListener('click', async () => {
+  function validateForm() {
     const studentId = document.getElementById('studentSelect')?.value;
     const name      = document.getElementById('workoutName')?.value.trim();
-    if (!studentId) return toast('⚠ Selecione um aluno');
-    if (!name)      return toast('⚠ Insira o nome da rotina');
+    if (!studentId) { toast('⚠ Selecione um aluno'); return false; }
+    if (!name)      { toast('⚠ Insira o nome da rotina'); return false; }
     const total = DAYS.reduce((a, d) => a + board[d.key].length, 0);
-    if (total === 0) return toast('⚠ Adicione pelo menos um exercício');
+    if (total === 0) { toast('⚠ Adicione pelo menos um exercício'); return false; }
+    if (cycle) {
+      const check = mesocycleModel.validateMesocycle(cycle);
+      if (!check.isValid) { toast('⚠ Periodização: ' + check.errors[0]); return false; }
+    }
+    return true;
+  }
+
+  /**
+   * Grava o quadro: nova versão (edição), uma rotina ou cópias vinculadas
+   * (vários alunos). Retorna true quando salvou.
+   */
+  async function persistWorkout() {
+    if (!validateForm()) return false;
+    const studentId = document.getElementById('studentSelect')?.value;
+    const name      = document.getElementById('workoutName')?.value.trim();
+    const daysData  = toDaysData(board);
 
     const saveBtn = document.getElementById('saveWorkoutBtn');
     const origHtml = saveBtn.innerHTML;
     saveBtn.innerHTML = '<div class="spinner" style="border-top-color:#0A0A0A;"></div>';
     saveBtn.disabled  = true;
 
-    const daysData = {};
-    DAYS.forEach(d => {
-      if (board[d.key].length > 0) {
-        daysData[d.key] = board[d.key].map(e => ({ exerciseName:e.name||'', muscleGroup:e.muscle||'', sets:parseInt(e.sets)||3, reps:e.reps||'12', rest:e.rest||'60s', obs:e.obs||'' }));
-      }
-    });
-
     try {
       let result;
-      if (editingId) result = await dbManager.updateWorkout(editingId, { name, studentId, days: daysData });
-      else           result = await dbManager.createWorkout({ name, studentId, description:'', days: daysData });
+      const studentIds = selectedStudentIds();
+      // Edição grava nova versão imutável (workouts/{id}/versions/{n})
+      if (editingId)                   result = await dbManager.saveWorkoutVersion(editingId, { name, studentId, days: daysData, cycle });
+      else if (studentIds.length > 1)  result = await dbManager.createLinkedWorkouts({ name, description:'', days: daysData, cycle }, studentIds);
+      else                             result = await dbManager.createWorkout({ name, studentId, description:'', days: daysData, cycle });
       if (result && result.success !== false) {
-        toast(`✓ Rotina "${name}" salva!`, 3000);
-        setTimeout(() => router.goToPersonalDashboard(), 1800);
-      } else { toast('Erro: ' + (result?.error || 'Tente novamente')); }
+        if (editingId && pendingHistory.length > 0) {
+          const hist = await dbManager.addWorkoutHistory(editingId, pendingHistory);
+          if (hist.success) { workoutHistory = workoutHistory.concat(pendingHistory); pendingHistory = []; }
+        }
+        if (result.linkGroupId) {
+          const failed = result.failed.map(studentName);
+          toast(failed.length
+            ? `✓ Rotina criada para ${result.ids.length} aluno(s) · falhou para ${failed.join(', ')}`
+            : `✓ Rotina "${name}" criada para ${result.ids.length} alunos!`, 3500);
+        } else {
+          toast(`✓ Rotina "${name}" salva!`, 3000);
+        }
+        return true;
+      }
+      toast('Erro: ' + (result?.error || 'Tente novamente'));
     } catch { toast('Erro ao salvar. Veja o console.'); }
     finally {
       saveBtn.innerHTML = origHtml;
       saveBtn.disabled  = false;
     }
+    return false;
+  }
+
+  document.getElementById('saveWorkoutBtn')?.addEventListener('click', async () => {
+    if (await persistWorkout()) setTimeout(() => router.goToPersonalDashboard(), 1800);
   });
 
   document.addEventListener('keydown', e => {
     if (e.key === 'Escape') {
       document.getElementById('exModal')?.classList.remove('open');
       document.getElementById('confirmClearModal')?.classList.remove('open');
+      document.getElementById('templatesModal')?.classList.remove('open');
+      document.getElementById('templateFormModal')?.classList.remove('open');
+      document.getElementById('propagateModal')?.classList.remove('open');
       document.getElementById('ctxMenu')?.classList.remove('open');
     }
   });
 
-  renderBoard(); renderExList('');
+  renderCycle(); renderMultiStudents(); renderBoard(); renderExList('');
 };
 
 window.__pageCleanup = function() {
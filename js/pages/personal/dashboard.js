@@ -3,6 +3,20 @@
  *
  * CORREÇÃO 1.4 — regenerateActivationLink agora usa SHA-256 para gerar emailKey,
  * alinhado com a mudança em js/auth.js.
+ *
+ * Grupos: barra de grupos acima da lista filtra os alunos; cada card mostra
+ * os chips dos grupos do aluno. O modal de grupo cria/edita nome, cor e
+ * membros (coleção groups — js/domain/groups/groupModel.js).
+ *
+ * Adesão: depois da lista, carrega feedbacks, sessões e treinos de todos os
+ * alunos e calcula dias planejados x dias com atividade na janela escolhida
+ * (4/8/12 semanas), sequência de semanas cumpridas e alunos sem atividade há
+ * N dias (js/domain/adherence/adherenceModel.js). Cada card ganha o badge de
+ * adesão; a lista pode ser ordenada por adesão ou última atividade.
+ *
+ * Alertas de dor: feedbacks com dor viram notificações "pain_report". O badge
+ * ao lado do contador mostra os pendentes e filtra os alunos com alerta; cada
+ * card mostra "🩹 Dor" até o personal tratar o alerta na página do aluno.
  */
 
 window.__pageInit = async function() {
@@ -206,6 +220,257 @@ window.__pageInit = async function() {
   // ── Reload ────────────────────────────────────────────────────
   document.getElementById('reloadBtn').onclick = loadStudents;
 
+  // ── Grupos ────────────────────────────────────────────────────
+  let allStudents  = [];
+  let groups       = [];
+  let activeGroup  = '';
+  let editingGroup = null;
+  let groupColor   = groupModel.COLORS[0];
+  let groupMembers = new Set();
+
+  const groupOverlay = document.getElementById('groupOverlay');
+  const groupErr     = document.getElementById('groupError');
+
+  function groupChipHtml(g, attrs = '') {
+    return `<span class="group-chip" ${attrs} style="color:${esc(g.color)};background:${esc(g.color)}14;border-color:${esc(g.color)}40;">${esc(g.name)}</span>`;
+  }
+
+  function renderGroupBar() {
+    const bar = document.getElementById('groupBar');
+    if (!bar) return;
+    if (activeGroup && !groups.some(g => g.id === activeGroup)) activeGroup = '';
+    bar.innerHTML = `
+      <button class="group-filter${activeGroup ? '' : ' active'}" data-group-filter="">Todos <span>${allStudents.length}</span></button>
+      ${groups.map(g => `
+        <button class="group-filter${activeGroup === g.id ? ' active' : ''}" data-group-filter="${esc(g.id)}">
+          <i style="background:${esc(g.color)};"></i>${esc(g.name)} <span>${esc((g.studentIds || []).length)}</span>
+        </button>`).join('')}
+      ${activeGroup ? '<button class="group-filter group-filter--ghost" data-group-edit="">✎ Editar grupo</button>' : ''}
+      <button class="group-filter group-filter--ghost" data-group-new="">＋ Novo grupo</button>`;
+  }
+
+  document.getElementById('groupBar')?.addEventListener('click', (e) => {
+    const filter = e.target.closest('[data-group-filter]');
+    if (filter) { activeGroup = filter.dataset.groupFilter; renderGroupBar(); renderStudents(); return; }
+    if (e.target.closest('[data-group-new]'))  openGroupModal(null);
+    if (e.target.closest('[data-group-edit]')) openGroupModal(groups.find(g => g.id === activeGroup) || null);
+  });
+
+  function openGroupModal(group) {
+    editingGroup = group;
+    groupColor   = group?.color || groupModel.COLORS[groups.length % groupModel.COLORS.length];
+    groupMembers = new Set(group?.studentIds || []);
+    document.getElementById('groupName').value   = group?.name || '';
+    document.getElementById('groupSearch').value = '';
+    document.getElementById('groupModalTitle').textContent = group ? 'Editar grupo' : 'Novo grupo';
+    document.getElementById('deleteGroupBtn').style.display = group ? 'block' : 'none';
+    groupErr.style.display = 'none';
+    renderGroupForm();
+    groupOverlay.classList.add('open');
+    setTimeout(() => document.getElementById('groupName').focus(), 150);
+  }
+  const closeGroupModal = () => groupOverlay.classList.remove('open');
+
+  function renderGroupForm() {
+    const colors = document.getElementById('groupColors');
+    if (colors) {
+      colors.innerHTML = groupModel.COLORS.map(c =>
+        `<button class="group-swatch${c === groupColor ? ' active' : ''}" data-color="${esc(c)}" style="background:${esc(c)};" title="${esc(c)}"></button>`).join('');
+    }
+    const list = document.getElementById('groupMembersList');
+    if (list) {
+      const q     = document.getElementById('groupSearch').value.toLowerCase().trim();
+      const items = allStudents.filter(st => !q || (st.name || '').toLowerCase().includes(q));
+      list.innerHTML = items.length === 0
+        ? '<p style="font-size:0.8rem;color:#9CA3AF;text-align:center;margin:12px 0;">Nenhum aluno encontrado</p>'
+        : items.map(st => `
+          <label class="group-member">
+            <input type="checkbox" data-member="${esc(st.uid)}"${groupMembers.has(st.uid) ? ' checked' : ''}>
+            <span>${esc(st.name)}</span>
+            ${st.status && st.status !== 'active' ? `<em>${esc(st.status === 'pending' ? 'pendente' : 'inativo')}</em>` : ''}
+          </label>`).join('');
+    }
+    const count = document.getElementById('groupMembersCount');
+    if (count) count.textContent = `${groupMembers.size} aluno(s)`;
+  }
+
+  document.getElementById('groupColors')?.addEventListener('click', (e) => {
+    const sw = e.target.closest('[data-color]');
+    if (!sw) return;
+    groupColor = sw.dataset.color;
+    renderGroupForm();
+  });
+  document.getElementById('groupSearch')?.addEventListener('input', renderGroupForm);
+  document.getElementById('groupMembersList')?.addEventListener('change', (e) => {
+    const uid = e.target.dataset.member;
+    if (!uid) return;
+    if (e.target.checked) groupMembers.add(uid); else groupMembers.delete(uid);
+    document.getElementById('groupMembersCount').textContent = `${groupMembers.size} aluno(s)`;
+  });
+  document.getElementById('closeGroupModal').onclick = closeGroupModal;
+  groupOverlay.addEventListener('click', e => { if (e.target === groupOverlay) closeGroupModal(); });
+
+  document.getElementById('saveGroupBtn').onclick = async () => {
+    const data  = { name: document.getElementById('groupName').value.trim(), color: groupColor, studentIds: [...groupMembers] };
+    const check = groupModel.validateGroup(data);
+    groupErr.style.display = 'none';
+    if (!check.isValid) {
+      groupErr.textContent   = check.errors[0];
+      groupErr.style.display = 'block';
+      return;
+    }
+
+    const btn = document.getElementById('saveGroupBtn');
+    btn.disabled = true;
+    const result = editingGroup
+      ? await dbManager.updateGroup(editingGroup.id, data)
+      : await dbManager.createGroup(data);
+    btn.disabled = false;
+
+    if (!result.success) {
+      groupErr.textContent   = result.error || 'Erro ao salvar grupo.';
+      groupErr.style.display = 'block';
+      return;
+    }
+    if (!editingGroup) activeGroup = result.id;
+    closeGroupModal();
+    await loadStudents();
+  };
+
+  document.getElementById('deleteGroupBtn').onclick = async () => {
+    if (!editingGroup) return;
+    if (!confirm(`Excluir o grupo "${editingGroup.name}"? Os alunos não são afetados.`)) return;
+    const result = await dbManager.deleteGroup(editingGroup.id);
+    if (!result.success) { alert('Erro: ' + result.error); return; }
+    activeGroup = '';
+    closeGroupModal();
+    await loadStudents();
+  };
+
+  // ── Adesão ────────────────────────────────────────────────────
+  let adherenceData   = null;   // { activity, workouts } — janela máxima
+  let adherence       = {};     // uid → computeAdherence()
+  let adherenceWindow = adherenceModel.DEFAULT_WINDOW;
+  let inactiveDays    = adherenceModel.DEFAULT_INACTIVE_DAYS;
+  let studentSort     = '';
+
+  const windowSelect   = document.getElementById('adherenceWindow');
+  const inactiveSelect = document.getElementById('inactiveDays');
+  const sortSelect     = document.getElementById('studentSort');
+
+  windowSelect.innerHTML = adherenceModel.WINDOWS.map(w =>
+    `<option value="${w}"${w === adherenceWindow ? ' selected' : ''}>Últimas ${w} semanas</option>`).join('');
+  inactiveSelect.innerHTML = adherenceModel.INACTIVE_DAYS.map(d =>
+    `<option value="${d}"${d === inactiveDays ? ' selected' : ''}>Alerta: ${d}+ dias sem treinar</option>`).join('');
+
+  windowSelect.onchange   = () => { adherenceWindow = Number(windowSelect.value); refreshAdherence(); };
+  inactiveSelect.onchange = () => { inactiveDays = Number(inactiveSelect.value); refreshAdherence(); };
+  sortSelect.onchange     = () => { studentSort = sortSelect.value; renderStudents(); };
+
+  document.getElementById('adherenceSummary')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-adh-student]');
+    if (btn) router.goTo(`/personal/student/${btn.dataset.adhStudent}`);
+  });
+
+  async function loadAdherence() {
+    const since = new Date();
+    since.setDate(since.getDate() - (Math.max(...adherenceModel.WINDOWS) + 1) * 7);
+
+    const [feedbacks, sessions, workouts] = await Promise.all([
+      dbManager.getPersonalFeedbacks(),
+      dbManager.getPersonalWorkoutSessions({ since }),
+      dbManager.getPersonalWorkouts({ limit: 200 }),
+    ]);
+    adherenceData = { activity: adherenceModel.collectActivity({ feedbacks, sessions }), workouts };
+    refreshAdherence();
+  }
+
+  function refreshAdherence() {
+    if (!adherenceData) return;
+    adherence = {};
+    allStudents.forEach(st => {
+      const own   = adherenceData.workouts.filter(w => w.studentId === st.uid);
+      const dates = own.map(w => adherenceModel.toAdherenceDate(w.createdAt)).filter(Boolean);
+      adherence[st.uid] = adherenceModel.computeAdherence(
+        adherenceModel.getPlannedDays(own),
+        adherenceData.activity[st.uid],
+        {
+          weeks: adherenceWindow,
+          inactiveDays,
+          since: dates.length ? new Date(Math.min(...dates)) : null,
+        }
+      );
+    });
+    renderAdherenceSummary();
+    renderStudents();
+  }
+
+  function renderAdherenceSummary() {
+    const box = document.getElementById('adherenceSummary');
+    if (!box) return;
+
+    const active  = allStudents.filter(st => (st.status || 'active') === 'active');
+    const results = active.map(st => adherence[st.uid]).filter(a => a && a.pct !== null);
+    if (results.length === 0) { box.innerHTML = ''; return; }
+
+    const avg      = Math.round(results.reduce((sum, a) => sum + a.pct, 0) / results.length);
+    const inactive = active.filter(st => adherence[st.uid]?.inactive);
+
+    box.innerHTML = `
+      <span>Adesão média <strong>${esc(avg)}%</strong> em ${esc(adherenceWindow)} semanas</span>
+      ${inactive.length ? `
+        <span class="adh-alert">
+          ⚠ ${esc(inactive.length)} sem treinar há ${esc(inactiveDays)}+ dias:
+          ${inactive.map(st => `<button type="button" data-adh-student="${esc(st.uid)}">${esc(st.name)}</button>`).join('')}
+        </span>` : ''}`;
+  }
+
+  function adherenceHtml(st) {
+    const a = adherence[st.uid];
+    if (!a || (st.status || 'active') !== 'active') return '';
+
+    if (a.plannedDays.length === 0) {
+      return `<div class="adh-line"><span class="adh-badge adh-badge--none">Sem treino</span>Nenhum dia planejado</div>`;
+    }
+
+    const level  = adherenceModel.getAdherenceLevel(a.pct);
+    const color  = { high: '#00C853', mid: '#F59E0B', low: '#DC2626', none: '#D1D5DB' }[level];
+    const last   = a.daysSinceActivity === null ? 'nunca treinou'
+      : a.daysSinceActivity === 0 ? 'treinou hoje'
+      : `último treino há ${a.daysSinceActivity} dia(s)`;
+
+    return `
+      <div class="adh-line" title="${esc(`${a.active} de ${a.planned} dias planejados nas últimas ${adherenceWindow} semanas · ${last}`)}">
+        <span class="adh-badge adh-badge--${level}">${a.pct === null ? '—' : `${esc(a.pct)}%`}</span>
+        <span>${esc(a.active)}/${esc(a.planned)} dias</span>
+        <div class="adh-track"><div style="width:${a.pct || 0}%;background:${color};"></div></div>
+        ${a.streak > 0 ? `<span title="Semanas seguidas com o planejado cumprido">🔥 ${esc(a.streak)} sem.</span>` : ''}
+      </div>
+      ${a.inactive ? `<div style="margin-top:8px;"><span class="adh-flag">⚠ ${a.daysSinceActivity === null ? 'Sem atividade registrada' : `Sem treinar há ${esc(a.daysSinceActivity)} dias`}</span></div>` : ''}`;
+  }
+
+  // ── Alertas de dor ────────────────────────────────────────────
+  let painByStudent = {};   // uid → nº de alertas pendentes
+  let painOnly      = false;
+
+  const painBadge = document.getElementById('painAlertsBadge');
+  painBadge.onclick = () => {
+    painOnly = !painOnly;
+    painBadge.classList.toggle('active', painOnly);
+    renderStudents();
+  };
+
+  async function loadPainAlerts() {
+    const alerts = await dbManager.getPainAlerts();
+    painByStudent = {};
+    alerts.forEach(a => { if (a.studentId) painByStudent[a.studentId] = (painByStudent[a.studentId] || 0) + 1; });
+
+    painBadge.hidden = alerts.length === 0;
+    painBadge.textContent = `🩹 ${alerts.length} alerta(s) de dor`;
+    if (alerts.length === 0 && painOnly) { painOnly = false; painBadge.classList.remove('active'); }
+    renderStudents();
+  }
+
   // ── Renderizar lista de alunos ────────────────────────────────
   async function loadStudents() {
     const list = document.getElementById('studentsList');
@@ -215,8 +480,39 @@ window.__pageInit = async function() {
         <p style="color:#9CA3AF;font-size:0.875rem;margin:0;">Carregando...</p>
       </div>`;
 
-    const students = await dbManager.getMyStudents();
-    document.getElementById('studentsCount').textContent = students.length;
+    [allStudents, groups] = await Promise.all([
+      dbManager.getMyStudents(),
+      dbManager.getGroups(),
+    ]);
+    renderGroupBar();
+    if (adherenceData) refreshAdherence(); else renderStudents();
+    loadAdherence();
+    loadPainAlerts();
+  }
+
+  function renderStudents() {
+    const list     = document.getElementById('studentsList');
+    const filtered = groupModel.filterByGroup(allStudents, groups, activeGroup)
+      .filter(st => !painOnly || painByStudent[st.uid]);
+    const students = studentSort
+      ? adherenceModel.sortStudentsByAdherence(filtered, adherence, studentSort)
+      : filtered;
+    document.getElementById('studentsCount').textContent = activeGroup
+      ? `${students.length}/${allStudents.length}` : allStudents.length;
+
+    if (activeGroup && students.length === 0) {
+      list.innerHTML = `
+        <div style="grid-column:1/-1;padding:40px 32px;background:#FAFAFA;
+                    border-radius:16px;border:2px dashed #E5E7EB;text-align:center;">
+          <p style="font-size:0.95rem;font-weight:600;color:#374151;margin:0 0 6px;">
+            Nenhum aluno neste grupo
+          </p>
+          <p style="font-size:0.85rem;color:#9CA3AF;margin:0;">
+            Use “✎ Editar grupo” para adicionar alunos
+          </p>
+        </div>`;
+      return;
+    }
 
     if (students.length === 0) {
       list.innerHTML = `
@@ -264,6 +560,8 @@ window.__pageInit = async function() {
         inactive: 'Inativo',
       }[status] || status;
 
+      const studentGroups = groupModel.getStudentGroups(groups, st.uid);
+
       const card = document.createElement('div');
       card.className = `student-card${isActive ? ' clickable' : ''}`;
 
@@ -288,8 +586,14 @@ window.__pageInit = async function() {
                 ${esc(st.email)}
               </p>
             </div>
+            ${painByStudent[st.uid] ? `<span class="pain-pill" title="Alertas de dor pendentes">🩹 ${esc(painByStudent[st.uid])}</span>` : ''}
             <span class="badge ${badgeClass}">${esc(badgeLabel)}</span>
           </div>
+          ${studentGroups.length ? `
+            <div style="display:flex;gap:5px;flex-wrap:wrap;margin-top:10px;">
+              ${studentGroups.map(g => groupChipHtml(g, `data-chip-group="${esc(g.id)}" title="Filtrar por ${esc(g.name)}"`)).join('')}
+            </div>` : ''}
+          ${adherenceHtml(st)}
           ${status === 'pending' ? `
             <p style="font-size:0.74rem;color:#9CA3AF;margin:10px 0 0;
                        display:flex;align-items:center;gap:5px;">
@@ -328,6 +632,15 @@ window.__pageInit = async function() {
           </button>
         </div>`;
 
+      card.querySelectorAll('[data-chip-group]').forEach(chip => {
+        chip.onclick = (e) => {
+          e.stopPropagation();
+          activeGroup = chip.dataset.chipGroup;
+          renderGroupBar();
+          renderStudents();
+        };
+      });
+
       if (isActive) {
         card.querySelector('.card-body').onclick = () =>
           router.goTo(`/personal/student/${st.uid}`);
@@ -1,6 +1,29 @@
 /**
  * js/pages/personal/feedbacks.js
  * Corrigido: filterToggleBtn listener adicionado aqui (era onclick inline no HTML)
+ *
+ * Versão do treino: cada card mostra a `workoutVersion` ativa quando o aluno
+ * respondeu e sinaliza quando a rotina já foi editada depois disso.
+ *
+ * Filtro por grupo: restringe aos feedbacks dos alunos do grupo e limita o
+ * select de alunos aos membros.
+ *
+ * Dor por região: painel com as regiões do mapa corporal (painRegions) mais
+ * citadas nos feedbacks filtrados — contagem e intensidade média. Clicar numa
+ * região filtra os feedbacks por ela. Cards mostram as regiões marcadas.
+ *
+ * Semanas ISO: o filtro de semana (<input type="week">) e o selo dos cards
+ * usam a semana ISO-8601 do feedback (feedbackAnalytics.getFeedbackIsoWeek —
+ * o weekIdentifier salvo, ou a data para feedbacks ainda não migrados).
+ *
+ * Aba "Análises": esforço médio por semana por aluno, distribuição de
+ * sensação por semana, dor por local e mapa de calor semana × dia colorido
+ * pelo esforço — no intervalo de semanas ISO escolhido, com os mesmos
+ * filtros de grupo/aluno/dia/sensação da lista.
+ *
+ * Respostas: cada card mostra a conversa com o aluno (feedbacks/{id}/replies,
+ * carregada de uma vez por getMyFeedbackReplies) e o botão "Responder". O
+ * aluno é notificado e pode responder de volta pelo histórico dele.
  */
 window.__pageInit = async function() {
   const daysMap = {
@@ -16,7 +39,14 @@ window.__pageInit = async function() {
       .replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/\//g,'&#x2F;');
   };
 
-  let allFeedbacks = [], allStudents = [], allWorkouts = {};
+  let allFeedbacks = [], allStudents = [], allWorkouts = {}, allGroups = [];
+  let regionFilter = '';
+  let repliesByFeedback = {};          // feedbackId → [reply] em ordem
+  const openReplyForms  = new Set();   // feedbackIds com o formulário aberto
+  let activeTab    = 'list';
+
+  const fa = window.feedbackAnalytics;
+  let anRange = fa.getDefaultWeekRange();
 
   // ── Filter toggle mobile — event listener (não onclick inline) ──────
   let filtersOpen = false;
@@ -51,49 +81,86 @@ window.__pageInit = async function() {
   });
 
   async function loadInitialData() {
-    [allStudents, allFeedbacks] = await Promise.all([
+    let replies;
+    [allStudents, allFeedbacks, allGroups, replies] = await Promise.all([
       dbManager.getMyStudents(),
       dbManager.getPersonalFeedbacks(),
+      dbManager.getGroups(),
+      dbManager.getMyFeedbackReplies(),
     ]);
+    repliesByFeedback = feedbackReplyModel.groupRepliesByFeedback(replies);
     const uniqueWorkoutIds = [...new Set(allFeedbacks.map(f => f.workoutId).filter(Boolean))];
     allWorkouts = uniqueWorkoutIds.length > 0
       ? await dbManager.getWorkoutsMap(uniqueWorkoutIds) : {};
 
-    const filterStudent = document.getElementById('filterStudent');
-    if (filterStudent) {
-      allStudents.forEach(s => {
+    const filterGroup = document.getElementById('filterGroup');
+    if (filterGroup) {
+      allGroups.forEach(g => {
         const opt = document.createElement('option');
-        opt.value       = s.uid;
-        opt.textContent = s.name;
-        filterStudent.appendChild(opt);
+        opt.value       = g.id;
+        opt.textContent = g.name;
+        filterGroup.appendChild(opt);
       });
     }
-    renderFeedbacks();
+    fillStudentFilter();
+    renderCurrent();
+  }
+
+  // Select de alunos limitado aos membros do grupo selecionado
+  function fillStudentFilter() {
+    const filterStudent = document.getElementById('filterStudent');
+    if (!filterStudent) return;
+    const current  = filterStudent.value;
+    const students = groupModel.filterByGroup(allStudents, allGroups, document.getElementById('filterGroup')?.value);
+    filterStudent.innerHTML = '<option value="">Todos os alunos</option>';
+    students.forEach(s => {
+      const opt = document.createElement('option');
+      opt.value       = s.uid;
+      opt.textContent = s.name;
+      filterStudent.appendChild(opt);
+    });
+    filterStudent.value = students.some(s => s.uid === current) ? current : '';
   }
 
   function updateFilterDot() {
     const hasActive = !!(
+      document.getElementById('filterGroup')?.value ||
       document.getElementById('filterStudent')?.value ||
-      document.getElementById('filterWeek')?.value ||
+      (activeTab === 'list' && document.getElementById('filterWeek')?.value) ||
       document.getElementById('filterDay')?.value ||
-      document.getElementById('filterSensation')?.value
+      document.getElementById('filterSensation')?.value ||
+      (activeTab === 'list' && regionFilter)
     );
     document.getElementById('filterActiveDot')?.classList.toggle('visible', hasActive);
   }
 
-  function renderFeedbacks() {
-    const container = document.getElementById('feedbacksList');
-    if (!container) return;
-
-    let filtered = [...allFeedbacks];
+  // Filtros comuns às duas abas (a semana só vale para a lista)
+  function applyFilters() {
+    const fg  = document.getElementById('filterGroup')?.value;
+    let filtered = groupModel.filterByGroup(allFeedbacks, allGroups, fg, f => f.studentId);
     const fs  = document.getElementById('filterStudent')?.value;
-    const fw  = document.getElementById('filterWeek')?.value;
     const fd  = document.getElementById('filterDay')?.value;
     const fse = document.getElementById('filterSensation')?.value;
     if (fs)  filtered = filtered.filter(f => f.studentId  === fs);
-    if (fw)  filtered = filtered.filter(f => f.weekIdentifier === fw);
     if (fd)  filtered = filtered.filter(f => f.dayOfWeek  === fd);
     if (fse) filtered = filtered.filter(f => f.sensation  === fse);
+    return filtered;
+  }
+
+  function renderCurrent() {
+    if (activeTab === 'analytics') renderAnalytics();
+    else renderFeedbacks();
+  }
+
+  function renderFeedbacks() {
+    const container = document.getElementById('feedbacksList');
+    if (!container) return;
+
+    let filtered = applyFilters();
+    const fw = document.getElementById('filterWeek')?.value;
+    if (fw) filtered = filtered.filter(f => fa.getFeedbackIsoWeek(f) === fw);
+    renderPainRegions(filtered);
+    if (regionFilter) filtered = filtered.filter(f => f.hasPain && f.painRegions && regionFilter in f.painRegions);
     updateFilterDot();
 
     if (filtered.length === 0) {
@@ -121,6 +188,15 @@ window.__pageInit = async function() {
         pesado: { color:'#DC2626', bg:'#FEF2F2', border:'#FECACA', label:'🔥 Pesado' },
       }[feedback.sensation] || { color:'#6B7280', bg:'#F8F9FA', border:'#EBEBEB', label: esc(feedback.sensation) };
 
+      const version      = feedback.workoutVersion;
+      const outdated     = !!(version && workout?.currentVersion && workout.currentVersion !== version);
+      const versionBadge = version
+        ? `<span title="${outdated ? 'A rotina foi editada depois deste feedback' : 'Versão atual da rotina'}" style="padding:4px 10px;border-radius:20px;font-size:0.72rem;font-weight:700;background:${outdated ? '#FFFBEB' : '#F4F4F4'};color:${outdated ? '#92400E' : '#374151'};">🕘 v${esc(version)}${outdated ? ` · atual v${esc(workout.currentVersion)}` : ''}</span>`
+        : '';
+
+      const regionsText = feedback.hasPain ? (window.feedbackModel?.formatPainRegions(feedback.painRegions) || '') : '';
+      const hasPainInfo = !!(feedback.hasPain && (feedback.painLocation || regionsText));
+
       const effort      = feedback.effortLevel || 0;
       const effortColor = effort >= 8 ? '#DC2626' : effort >= 5 ? '#F59E0B' : '#059669';
 
@@ -136,11 +212,12 @@ window.__pageInit = async function() {
             </div>
           </div>
           <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
-            <span style="padding:4px 10px;border-radius:20px;font-size:0.72rem;font-weight:700;background:#F4F4F4;color:#374151;">📅 ${esc(feedback.weekIdentifier)}</span>
+            <span style="padding:4px 10px;border-radius:20px;font-size:0.72rem;font-weight:700;background:#F4F4F4;color:#374151;">📅 ${esc(fa.getFeedbackIsoWeek(feedback) || feedback.weekIdentifier)}</span>
             <span style="padding:4px 10px;border-radius:20px;font-size:0.72rem;font-weight:700;background:#F4F4F4;color:#374151;">${esc(daysMap[feedback.dayOfWeek] || feedback.dayOfWeek)}</span>
+            ${versionBadge}
           </div>
         </div>
-        <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(120px,1fr));gap:10px;margin-bottom:${(feedback.hasPain && feedback.painLocation) || feedback.comment ? '14px' : '0'};">
+        <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(120px,1fr));gap:10px;margin-bottom:${hasPainInfo || feedback.comment ? '14px' : '0'};">
           <div style="padding:14px 18px;background:#F8F9FA;border-radius:12px;">
             <p style="font-size:0.68rem;font-weight:700;color:#9CA3AF;text-transform:uppercase;letter-spacing:0.06em;margin:0 0 5px;">Esforço</p>
             <div style="display:flex;align-items:baseline;gap:4px;"><span style="font-size:1.8rem;font-weight:800;color:${effortColor};line-height:1;">${esc(effort)}</span><span style="font-size:0.75rem;color:#9CA3AF;">/10</span></div>
@@ -154,21 +231,294 @@ window.__pageInit = async function() {
             <p style="font-size:1rem;font-weight:700;color:${feedback.hasPain ? '#DC2626' : '#059669'};margin:0;">${feedback.hasPain ? '⚠️ Sim' : '✓ Não'}</p>
           </div>
         </div>
-        ${feedback.hasPain && feedback.painLocation ? `<div style="background:#FFF1F2;border:1px solid #FECDD3;border-radius:10px;padding:11px 13px;margin-bottom:10px;"><p style="font-size:0.82rem;color:#BE123C;margin:0;font-weight:500;"><strong>Local da dor:</strong> ${esc(feedback.painLocation)}</p></div>` : ''}
-        ${feedback.comment ? `<div style="background:#F8F9FA;border-radius:10px;padding:11px 13px;"><p style="font-size:0.85rem;color:#374151;margin:0;line-height:1.6;">${esc(feedback.comment)}</p></div>` : ''}`;
+        ${hasPainInfo ? `<div style="background:#FFF1F2;border:1px solid #FECDD3;border-radius:10px;padding:11px 13px;margin-bottom:10px;">${regionsText ? `<p style="font-size:0.82rem;color:#BE123C;margin:0;font-weight:500;"><strong>Regiões:</strong> ${esc(regionsText)}</p>` : ''}${feedback.painLocation ? `<p style="font-size:0.82rem;color:#BE123C;margin:${regionsText ? '4px' : '0'} 0 0;font-weight:500;"><strong>Local da dor:</strong> ${esc(feedback.painLocation)}</p>` : ''}</div>` : ''}
+        ${feedback.comment ? `<div style="background:#F8F9FA;border-radius:10px;padding:11px 13px;"><p style="font-size:0.85rem;color:#374151;margin:0;line-height:1.6;">${esc(feedback.comment)}</p></div>` : ''}
+        <div class="reply-thread" data-thread="${esc(feedback.id)}">${threadHtml(feedback)}</div>`;
       container.appendChild(card);
     });
   }
 
-  const filterIds = ['filterStudent','filterWeek','filterDay','filterSensation'];
+  // ── Respostas (conversa com o aluno) ──────────────────────────────
+  function showToast(msg) {
+    const t = document.createElement('div');
+    t.style.cssText = 'position:fixed;bottom:24px;left:50%;transform:translateX(-50%);background:#0A0A0A;color:#fff;padding:12px 22px;border-radius:12px;font-size:0.875rem;font-weight:600;z-index:9999;';
+    t.textContent = msg;
+    document.body.appendChild(t);
+    setTimeout(() => t.remove(), 3000);
+  }
+
+  function fmtReplyDate(ts) {
+    const d = ts?.toDate ? ts.toDate() : (ts?.seconds ? new Date(ts.seconds * 1000) : (ts ? new Date(ts) : null));
+    return d && !isNaN(d) ? d.toLocaleDateString('pt-BR', { day:'2-digit', month:'2-digit', hour:'2-digit', minute:'2-digit' }) : 'agora';
+  }
+
+  function threadHtml(feedback) {
+    const replies  = repliesByFeedback[feedback.id] || [];
+    const student  = allStudents.find(s => s.uid === feedback.studentId);
+    const full     = replies.length >= feedbackReplyModel.MAX_PER_FEEDBACK;
+    const items    = replies.map(r => `
+      <div class="reply reply--${r.authorRole === 'personal' ? 'mine' : 'theirs'}">
+        <p class="reply-meta">${r.authorRole === 'personal' ? 'Você' : esc(student?.name || 'Aluno')} · ${esc(fmtReplyDate(r.createdAt))}</p>
+        <p class="reply-text">${esc(r.text)}</p>
+      </div>`).join('');
+
+    const form = openReplyForms.has(feedback.id)
+      ? `<div class="reply-form">
+           <textarea class="reply-input" rows="2" maxlength="${feedbackReplyModel.MAX_LENGTH}" placeholder="Escreva sua resposta para ${esc(student?.name || 'o aluno')}..." data-reply-input></textarea>
+           <div class="reply-actions">
+             <button type="button" class="reply-btn" data-reply-action="cancel" data-feedback-id="${esc(feedback.id)}">Cancelar</button>
+             <button type="button" class="reply-btn reply-btn--send" data-reply-action="send" data-feedback-id="${esc(feedback.id)}">Enviar</button>
+           </div>
+         </div>`
+      : full
+        ? `<p class="reply-meta">Conversa encerrada (limite de ${feedbackReplyModel.MAX_PER_FEEDBACK} respostas)</p>`
+        : `<button type="button" class="reply-btn" data-reply-action="open" data-feedback-id="${esc(feedback.id)}">💬 Responder${replies.length ? ` · ${replies.length}` : ''}</button>`;
+
+    return items + form;
+  }
+
+  function renderThread(feedbackId) {
+    const feedback = allFeedbacks.find(f => f.id === feedbackId);
+    const el       = document.querySelector(`[data-thread="${CSS.escape(feedbackId)}"]`);
+    if (feedback && el) el.innerHTML = threadHtml(feedback);
+    return el;
+  }
+
+  document.getElementById('feedbacksList')?.addEventListener('click', async e => {
+    const btn = e.target.closest('[data-reply-action]');
+    if (!btn) return;
+    const feedbackId = btn.dataset.feedbackId;
+    const action     = btn.dataset.replyAction;
+
+    if (action === 'open' || action === 'cancel') {
+      if (action === 'open') openReplyForms.add(feedbackId);
+      else openReplyForms.delete(feedbackId);
+      renderThread(feedbackId)?.querySelector('[data-reply-input]')?.focus();
+      return;
+    }
+
+    if (action === 'send') {
+      const feedback = allFeedbacks.find(f => f.id === feedbackId);
+      const input    = btn.closest('.reply-thread')?.querySelector('[data-reply-input]');
+      if (!feedback || !input) return;
+      btn.disabled = true; btn.textContent = 'Enviando...';
+      const result = await dbManager.addFeedbackReply(feedback, input.value);
+      if (!result.success) {
+        btn.disabled = false; btn.textContent = 'Enviar';
+        showToast('⚠ ' + (result.error || 'Erro ao enviar resposta'));
+        return;
+      }
+      (repliesByFeedback[feedbackId] || (repliesByFeedback[feedbackId] = [])).push(result.reply);
+      openReplyForms.delete(feedbackId);
+      renderThread(feedbackId);
+      showToast('✓ Resposta enviada');
+    }
+  });
+
+  // Regiões mais citadas nos feedbacks filtrados (antes do filtro por região)
+  function renderPainRegions(feedbacks) {
+    const panel = document.getElementById('painRegionsPanel');
+    if (!panel || !window.feedbackModel) return;
+    const regions = feedbackModel.aggregatePainRegions(feedbacks);
+    if (regionFilter && !regions.some(r => r.code === regionFilter)) regionFilter = '';
+    if (regions.length === 0) { panel.style.display = 'none'; panel.innerHTML = ''; return; }
+
+    panel.style.display = 'block';
+    panel.innerHTML = `
+      <p class="pain-panel-title">🩹 Dor por região</p>
+      <div class="pain-chips">
+        ${regions.map(r => `<button type="button" class="pain-chip${r.code === regionFilter ? ' active' : ''}" data-region="${esc(r.code)}">
+          ${esc(r.label)}
+          <span class="pain-chip-meta">${esc(r.count)}×${r.avgIntensity ? ` · média ${esc(String(r.avgIntensity).replace('.', ','))}` : ''}</span>
+        </button>`).join('')}
+      </div>`;
+  }
+
+  document.getElementById('painRegionsPanel')?.addEventListener('click', e => {
+    const chip = e.target.closest('[data-region]');
+    if (!chip) return;
+    regionFilter = regionFilter === chip.dataset.region ? '' : chip.dataset.region;
+    renderFeedbacks();
+  });
+
+  // ── Análises ──────────────────────────────────────────────────────
+  const AN_COLORS = ['#00C853', '#2563EB', '#F59E0B', '#DC2626', '#7C3AED', '#0891B2', '#DB2777', '#65A30D'];
+  const AN_SENSATIONS = {
+    leve:   { color: '#059669', label: '😌 Leve' },
+    ideal:  { color: '#2563EB', label: '🎯 Ideal' },
+    pesado: { color: '#DC2626', label: '🔥 Pesado' },
+  };
+  const DAY_SHORT = { monday:'Seg', tuesday:'Ter', wednesday:'Qua', thursday:'Qui', friday:'Sex', saturday:'Sáb', sunday:'Dom' };
+  const fmtNum = n => String(n).replace('.', ',');
+
+  function showTab(tab) {
+    activeTab = tab === 'analytics' ? 'analytics' : 'list';
+    document.getElementById('contentList').style.display      = activeTab === 'list'      ? 'block' : 'none';
+    document.getElementById('contentAnalytics').style.display = activeTab === 'analytics' ? 'block' : 'none';
+    document.getElementById('tabList').className      = 'tab-btn' + (activeTab === 'list'      ? ' active' : '');
+    document.getElementById('tabAnalytics').className = 'tab-btn' + (activeTab === 'analytics' ? ' active' : '');
+    // A aba de análises usa o intervalo próprio (De/Até) no lugar da semana
+    document.getElementById('filterWeekWrap').style.display = activeTab === 'list' ? '' : 'none';
+    renderCurrent();
+  }
+
+  function syncRangeInputs() {
+    document.getElementById('anFrom').value = anRange.from;
+    document.getElementById('anTo').value   = anRange.to;
+    document.querySelectorAll('[data-an-weeks]').forEach(b => {
+      const preset = fa.getDefaultWeekRange(parseInt(b.dataset.anWeeks, 10));
+      b.classList.toggle('active', preset.from === anRange.from && preset.to === anRange.to);
+    });
+  }
+
+  function renderAnalytics() {
+    const box = document.getElementById('analyticsContent');
+    if (!box) return;
+    updateFilterDot();
+    syncRangeInputs();
+
+    const weeks     = fa.listIsoWeeks(anRange.from, anRange.to);
+    const feedbacks = fa.filterByIsoWeeks(applyFilters(), weeks[0], weeks[weeks.length - 1]);
+
+    if (weeks.length === 0 || feedbacks.length === 0) {
+      box.innerHTML = `<div style="text-align:center;padding:60px 20px;background:#FAFAFA;border-radius:16px;border:2px dashed #E5E7EB;"><p style="color:#374151;font-size:1rem;font-weight:700;margin:0 0 6px;">Sem feedbacks no período</p><p style="color:#9CA3AF;font-size:0.85rem;margin:0;">Ajuste o intervalo de semanas ou os filtros</p></div>`;
+      return;
+    }
+
+    const avgEffort = Math.round(feedbacks.reduce((s, f) => s + (Number(f.effortLevel) || 0), 0) / feedbacks.length * 10) / 10;
+    const pain      = fa.painByLocation(feedbacks);
+    const painPct   = Math.round((pain.painCount / feedbacks.length) * 100);
+
+    box.innerHTML = `
+      <div class="stat-grid" style="display:grid;grid-template-columns:repeat(4,1fr);gap:10px;margin-bottom:16px;">
+        ${[
+          ['Feedbacks', feedbacks.length, '#0A0A0A'],
+          ['Esforço médio', fmtNum(avgEffort), fa.getEffortColor(avgEffort)],
+          ['Com dor', `${painPct}%`, pain.painCount ? '#DC2626' : '#059669'],
+          ['Semanas', weeks.length, '#0A0A0A'],
+        ].map(([label, value, color]) => `<div class="stat-pill" style="background:#fff;border:1px solid #EBEBEB;">
+          <p style="font-size:0.68rem;font-weight:700;color:#9CA3AF;text-transform:uppercase;letter-spacing:0.06em;margin:0 0 5px;">${esc(label)}</p>
+          <p style="font-size:1.5rem;font-weight:800;color:${color};margin:0;line-height:1;">${esc(value)}</p>
+        </div>`).join('')}
+      </div>
+      <div class="an-grid">
+        <div class="an-card wide">
+          <p class="an-card-title">Esforço médio por semana</p>
+          <p class="an-card-sub">Média do esforço (1–10) por aluno em cada semana ISO</p>
+          ${effortChartHtml(feedbacks, weeks)}
+        </div>
+        <div class="an-card">
+          <p class="an-card-title">Sensação por semana</p>
+          <p class="an-card-sub">Distribuição leve / ideal / pesado</p>
+          ${sensationHtml(feedbacks, weeks)}
+        </div>
+        <div class="an-card">
+          <p class="an-card-title">Dor por local</p>
+          <p class="an-card-sub">${pain.painCount} de ${feedbacks.length} feedbacks com dor</p>
+          ${painHtml(pain)}
+        </div>
+        <div class="an-card wide">
+          <p class="an-card-title">Mapa de calor</p>
+          <p class="an-card-sub">Esforço médio por semana × dia do treino</p>
+          ${heatmapHtml(feedbacks, weeks)}
+        </div>
+      </div>`;
+  }
+
+  // Linhas por aluno (SVG); até AN_COLORS.length alunos com mais feedbacks
+  function effortChartHtml(feedbacks, weeks) {
+    const series = fa.effortByWeek(feedbacks, weeks);
+    const shown  = series.slice(0, AN_COLORS.length);
+    const W = 640, H = 220, L = 28, R = 12, T = 10, B = 26;
+    const x = i => weeks.length === 1 ? (L + W - R) / 2 : L + (i * (W - L - R)) / (weeks.length - 1);
+    const y = v => T + (H - T - B) * (1 - v / 10);
+    const labelEvery = Math.ceil(weeks.length / 12);
+
+    const grid = [0, 2, 4, 6, 8, 10].map(v =>
+      `<line x1="${L}" x2="${W - R}" y1="${y(v)}" y2="${y(v)}" stroke="#F4F4F4"/><text x="${L - 6}" y="${y(v) + 3}" text-anchor="end" font-size="9" fill="#9CA3AF">${v}</text>`).join('');
+    const xLabels = weeks.map((w, i) => i % labelEvery === 0 || i === weeks.length - 1
+      ? `<text x="${x(i)}" y="${H - 8}" text-anchor="middle" font-size="9" fill="#9CA3AF">${esc(w.slice(5))}</text>` : '').join('');
+    const lines = shown.map((s, si) => {
+      const color = AN_COLORS[si];
+      const name  = allStudents.find(st => st.uid === s.studentId)?.name || 'Aluno';
+      const pts   = weeks.map((w, i) => s.points[w] != null ? [x(i), y(s.points[w]), w, s.points[w]] : null).filter(Boolean);
+      return `<polyline fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" points="${pts.map(p => `${p[0]},${p[1]}`).join(' ')}"/>` +
+        pts.map(p => `<circle cx="${p[0]}" cy="${p[1]}" r="3" fill="${color}"><title>${esc(name)} · ${esc(p[2])}: ${esc(fmtNum(p[3]))}</title></circle>`).join('');
+    }).join('');
+
+    const legend = shown.map((s, si) =>
+      `<span class="an-legend-item"><span class="an-legend-dot" style="background:${AN_COLORS[si]};"></span>${esc(allStudents.find(st => st.uid === s.studentId)?.name || 'Aluno')}</span>`).join('');
+    const hidden = series.length - shown.length;
+
+    return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:auto;display:block;" role="img" aria-label="Esforço médio por semana">${grid}${xLabels}${lines}</svg>
+      <div class="an-legend">${legend}${hidden > 0 ? `<span class="an-legend-item" style="color:#9CA3AF;">+${hidden} aluno(s) — filtre por aluno para ver</span>` : ''}</div>`;
+  }
+
+  function sensationHtml(feedbacks, weeks) {
+    const rows = fa.sensationByWeek(feedbacks, weeks).filter(r => r.total > 0);
+    if (rows.length === 0) return '<p class="an-empty">Sem dados</p>';
+    const legend = fa.SENSATIONS.map(k =>
+      `<span class="an-legend-item"><span class="an-legend-dot" style="background:${AN_SENSATIONS[k].color};"></span>${AN_SENSATIONS[k].label}</span>`).join('');
+    return rows.map(r => `
+      <div class="an-stack-row">
+        <span class="an-week-label">${esc(r.week.slice(5))}</span>
+        <div class="an-stack">${fa.SENSATIONS.filter(k => r[k]).map(k =>
+          `<div style="width:${(r[k] / r.total) * 100}%;background:${AN_SENSATIONS[k].color};" title="${esc(AN_SENSATIONS[k].label)}: ${r[k]}"></div>`).join('')}</div>
+        <span class="an-stack-total">${r.total}</span>
+      </div>`).join('') + `<div class="an-legend">${legend}</div>`;
+  }
+
+  function painHtml(pain) {
+    if (pain.locations.length === 0) return '<p class="an-empty">Nenhuma dor relatada no período 🎉</p>';
+    const max = pain.locations[0].count;
+    return pain.locations.slice(0, 10).map(l => `
+      <div class="an-bar-row">
+        <span class="an-bar-label" title="${esc(l.label)}">${esc(l.label)}</span>
+        <div class="an-bar-track"><div class="an-bar-fill" style="width:${(l.count / max) * 100}%;${l.key === 'none' ? 'background:#9CA3AF;' : ''}"></div></div>
+        <span class="an-bar-val">${l.count}×${l.avgIntensity ? ` · ${esc(fmtNum(l.avgIntensity))}/10` : ''}</span>
+      </div>`).join('');
+  }
+
+  function heatmapHtml(feedbacks, weeks) {
+    const cells = fa.effortHeatmap(feedbacks, weeks);
+    const head  = '<span></span>' + fa.DAYS.map(d => `<span class="an-heat-head">${DAY_SHORT[d]}</span>`).join('');
+    const body  = weeks.map(w => `<span class="an-week-label" style="align-self:center;">${esc(w.slice(5))}</span>` + fa.DAYS.map(d => {
+      const c = cells[w][d];
+      return c
+        ? `<span class="an-heat-cell" style="background:${fa.getEffortColor(c.avg)};" title="${esc(w)} · ${esc(daysMap[d])}: esforço ${esc(fmtNum(c.avg))} (${c.count} feedback${c.count > 1 ? 's' : ''})">${esc(fmtNum(c.avg))}</span>`
+        : `<span class="an-heat-cell empty" title="${esc(w)} · ${esc(daysMap[d])}: sem feedback">·</span>`;
+    }).join('')).join('');
+    const scale = [[2, '< 3'], [4, '3–4,9'], [5.5, '5–6,4'], [7, '6,5–7,9'], [9, '8+']].map(([v, label]) =>
+      `<span class="an-legend-item"><span class="an-legend-dot" style="background:${fa.getEffortColor(v)};"></span>${label}</span>`).join('');
+    return `<div style="overflow-x:auto;"><div class="an-heat">${head}${body}</div></div><div class="an-legend">${scale}</div>`;
+  }
+
+  document.querySelectorAll('[data-tab]').forEach(btn => btn.addEventListener('click', () => showTab(btn.dataset.tab)));
+
+  ['anFrom', 'anTo'].forEach(id => document.getElementById(id)?.addEventListener('change', () => {
+    const from = document.getElementById('anFrom').value;
+    const to   = document.getElementById('anTo').value;
+    if (!from || !to) return;
+    anRange = from <= to ? { from, to } : { from: to, to: from };
+    renderAnalytics();
+  }));
+
+  document.querySelectorAll('[data-an-weeks]').forEach(btn => btn.addEventListener('click', () => {
+    anRange = fa.getDefaultWeekRange(parseInt(btn.dataset.anWeeks, 10));
+    renderAnalytics();
+  }));
+
+  const filterIds = ['filterGroup','filterStudent','filterWeek','filterDay','filterSensation'];
+  document.getElementById('filterGroup')?.addEventListener('change', fillStudentFilter);
   filterIds.forEach(id => {
-    document.getElementById(id)?.addEventListener('change', renderFeedbacks);
-    document.getElementById(id)?.addEventListener('input',  renderFeedbacks);
+    document.getElementById(id)?.addEventListener('change', renderCurrent);
+    document.getElementById(id)?.addEventListener('input',  renderCurrent);
   });
 
   function clearAll() {
     filterIds.forEach(id => { const el = document.getElementById(id); if (el) el.value = ''; });
-    renderFeedbacks(); updateFilterDot();
+    regionFilter = '';
+    fillStudentFilter(); renderCurrent(); updateFilterDot();
   }
   document.getElementById('clearFilters')?.addEventListener('click', clearAll);
   document.getElementById('clearFiltersMobile')?.addEventListener('click', clearAll);
@@ -13,6 +13,31 @@
  *
  * - window.editWorkout e window.deleteWorkout mantidos para compatibilidade,
  *   mas não são mais invocados via atributos inline.
+ *
+ * Progressão de carga:
+ * - Botão "📈 Progressão" em cada card (ao lado de "📊 Volume") abre a seção
+ *   #progressSection com, para cada exercício do treino, a evolução semanal de
+ *   top set, 1RM estimado e tonelagem a partir dos workoutLogs do aluno.
+ * - Exercícios sem superar o melhor 1RM há 3+ sessões são sinalizados.
+ * - bindListEvents agora registra a delegation uma única vez (antes cada
+ *   loadWorkouts() somava um listener novo ao #workoutsList).
+ *
+ * Versões:
+ * - Botão "🕘 Versões" abre #versionsSection com os snapshots de
+ *   workouts/{id}/versions, cada um com o diff por dia para a versão anterior.
+ * - "Restaurar" grava uma nova versão com o conteúdo escolhido (nada é apagado).
+ *
+ * Rotinas criadas para vários alunos mostram "🔗 vinculada" (linkGroupId).
+ *
+ * Sessões: #sessionsList lista as últimas sessões do aluno (workoutSessions)
+ * com duração, % de séries feitas e exercícios pulados.
+ *
+ * Lesões: #injuriesSection mostra os alertas de dor pendentes do aluno
+ * (notificações pain_report) e o registro de lesões (coleção injuries) com
+ * local, status, observações e exercícios a evitar — usados pelo
+ * create-workout para avisar ao montar o quadro (js/domain/injuries/injuryModel.js).
+ * Registrar a lesão a partir de um alerta (ou dispensá-lo) marca o alerta
+ * como lido.
  */
 window.__pageInit = async function(params) {
   const DAYS_PT    = { monday:'Segunda', tuesday:'Terça', wednesday:'Quarta', thursday:'Quinta', friday:'Sexta', saturday:'Sábado', sunday:'Domingo' };
@@ -36,6 +61,20 @@ window.__pageInit = async function(params) {
     await authManager.logout(); router.goToLogin();
   };
 
+  const logModel     = window.workoutLogModel;
+  const versionModel = window.workoutVersionModel;
+
+  const PG_METRICS = {
+    topSetWeight: { label: 'Top set',   color: '#0A0A0A' },
+    e1rm:         { label: '1RM est.',  color: '#00C853' },
+    tonnage:      { label: 'Tonelagem', color: '#2563EB' },
+  };
+
+  let workoutsById  = {};
+  let studentLogs   = null;   // carregados na primeira abertura da progressão
+  let progressCards = [];     // [{ name, progression, metric }]
+  let versionsWorkoutId = null;
+
   document.getElementById('createWorkoutBtn').onclick = () => {
     if (studentId) sessionStorage.setItem('preSelectedStudent', studentId);
     router.goTo('/personal/create-workout');
@@ -62,6 +101,7 @@ window.__pageInit = async function(params) {
 
     try {
       const workouts = await dbManager.getStudentWorkouts(studentId) || [];
+      workoutsById   = Object.fromEntries(workouts.map(w => [w.id, w]));
       document.getElementById('workoutsCount').textContent = workouts.length;
 
       if (workouts.length === 0) {
@@ -114,10 +154,14 @@ window.__pageInit = async function(params) {
                   <span style="font-size:0.75rem;color:#6B7280;">${esc(activeDays.length)} dia(s) ativo(s)</span>
                   <span style="color:#D1D5DB;font-size:0.7rem;">•</span>
                   <span style="font-size:0.75rem;color:#6B7280;">${esc(totalEx)} exercício(s)</span>
+                  ${w.currentVersion ? `<span style="color:#D1D5DB;font-size:0.7rem;">•</span><span style="font-size:0.75rem;color:#6B7280;">v${esc(w.currentVersion)}</span>` : ''}
+                  ${w.linkGroupId ? '<span style="color:#D1D5DB;font-size:0.7rem;">•</span><span title="Criada para vários alunos — edite para propagar às outras cópias" style="font-size:0.75rem;color:#6B7280;">🔗 vinculada</span>' : ''}
                 </div>
               </div>
               <div style="display:flex;gap:8px;flex-shrink:0;">
                 <button data-action="volume" data-workout-id="${esc(w.id)}" data-student-id="${esc(studentId)}" style="padding:7px 14px;background:rgba(0,230,118,0.12);border:1px solid rgba(0,230,118,0.3);border-radius:8px;font-size:0.78rem;font-weight:600;color:#00A843;cursor:pointer;font-family:inherit;">📊 Volume</button>
+                <button data-action="progress" data-workout-id="${esc(w.id)}" style="padding:7px 14px;background:#EFF6FF;border:1px solid #BFDBFE;border-radius:8px;font-size:0.78rem;font-weight:600;color:#2563EB;cursor:pointer;font-family:inherit;">📈 Progressão</button>
+                <button data-action="versions" data-workout-id="${esc(w.id)}" style="padding:7px 14px;background:#F4F4F4;border:none;border-radius:8px;font-size:0.78rem;font-weight:600;color:#374151;cursor:pointer;font-family:inherit;">🕘 Versões</button>
                 <button data-action="edit" data-workout-id="${esc(w.id)}" style="padding:7px 14px;background:#F4F4F4;border:none;border-radius:8px;font-size:0.78rem;font-weight:600;color:#374151;cursor:pointer;font-family:inherit;">✏️ Editar</button>
                 <button data-action="delete" data-workout-id="${esc(w.id)}" data-workout-name="${esc(w.name||'')}" style="padding:7px 14px;background:#FEF2F2;border:none;border-radius:8px;font-size:0.78rem;font-weight:600;color:#DC2626;cursor:pointer;font-family:inherit;">🗑️ Remover</button>
               </div>
@@ -142,12 +186,18 @@ window.__pageInit = async function(params) {
    * Substitui onclick inline nos botões de ação dos cards de treino.
    */
   function bindListEvents(listEl) {
+    if (listEl._listEventsBound) return;
+    listEl._listEventsBound = true;
     listEl.addEventListener('click', (e) => {
       const btn = e.target.closest('[data-action]');
       if (!btn) return;
       const action = btn.dataset.action;
       if (action === 'volume') {
         router.goToVolumeAnalysis(btn.dataset.studentId || studentId);
+      } else if (action === 'progress') {
+        openProgress(btn.dataset.workoutId);
+      } else if (action === 'versions') {
+        openVersions(btn.dataset.workoutId);
       } else if (action === 'edit') {
         editWorkout(btn.dataset.workoutId);
       } else if (action === 'delete') {
@@ -158,6 +208,243 @@ window.__pageInit = async function(params) {
     });
   }
 
+  // ── Progressão de carga ─────────────────────────────────────────
+
+  function fmtNum(n) {
+    return Number(n || 0).toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+  }
+
+  function fmtWeek(weekStart) {
+    const [, m, d] = String(weekStart).split('-');
+    return `${d}/${m}`;
+  }
+
+  /** Exercícios únicos do treino, na ordem dos dias */
+  function uniqueExercises(workout) {
+    const seen = new Set();
+    const list = [];
+    DAYS_ORDER.forEach(d => (workout.days?.[d] || []).forEach(ex => {
+      const name = ex.exerciseName || ex.name || '';
+      const key  = logModel.normalizeExerciseName(name);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      list.push({ name, muscleGroup: ex.muscleGroup || ex.muscle || '' });
+    }));
+    return list;
+  }
+
+  /** Gráfico de linha em SVG inline (sem libs externas) */
+  function progressChart(weeks, metric) {
+    if (weeks.length === 0) return '<p class="pg-empty">Sem registros de carga ainda.</p>';
+
+    const W = 320, H = 110, padL = 38, padR = 10, padT = 10, padB = 20;
+    const values = weeks.map(w => w[metric]);
+    let min = Math.min(...values), max = Math.max(...values);
+    if (min === max) { min = min * 0.9; max = max * 1.1 || 1; }
+    const span = max - min;
+
+    const x = i => weeks.length === 1 ? padL + (W - padL - padR) / 2 : padL + i * (W - padL - padR) / (weeks.length - 1);
+    const y = v => padT + (1 - (v - min) / span) * (H - padT - padB);
+    const color  = PG_METRICS[metric].color;
+    const points = weeks.map((w, i) => `${x(i).toFixed(1)},${y(w[metric]).toFixed(1)}`).join(' ');
+
+    return `
+      <svg class="pg-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="${esc(PG_METRICS[metric].label)} por semana">
+        <line x1="${padL}" y1="${padT}" x2="${W - padR}" y2="${padT}" stroke="#F4F4F4"/>
+        <line x1="${padL}" y1="${H - padB}" x2="${W - padR}" y2="${H - padB}" stroke="#EBEBEB"/>
+        <text x="${padL - 6}" y="${padT + 4}" text-anchor="end" font-size="9" fill="#9CA3AF">${esc(fmtNum(max))}</text>
+        <text x="${padL - 6}" y="${H - padB}" text-anchor="end" font-size="9" fill="#9CA3AF">${esc(fmtNum(min))}</text>
+        <polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>
+        ${weeks.map((w, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(w[metric]).toFixed(1)}" r="3" fill="${color}"><title>Semana de ${esc(fmtWeek(w.weekStart))}: ${esc(fmtNum(w[metric]))} kg</title></circle>`).join('')}
+        <text x="${padL}" y="${H - 5}" font-size="9" fill="#9CA3AF">${esc(fmtWeek(weeks[0].weekStart))}</text>
+        ${weeks.length > 1 ? `<text x="${W - padR}" y="${H - 5}" text-anchor="end" font-size="9" fill="#9CA3AF">${esc(fmtWeek(weeks[weeks.length - 1].weekStart))}</text>` : ''}
+      </svg>`;
+  }
+
+  function progressCardHtml(card, i) {
+    const { sessions, weeks, stall } = card.progression;
+    const last     = sessions[sessions.length - 1];
+    const bestE1rm = sessions.length ? Math.max(...sessions.map(s => s.e1rm)) : 0;
+    const lastWeek = weeks[weeks.length - 1];
+
+    return `
+      <div class="pg-card${stall.stalled ? ' stalled' : ''}" data-pg-card="${i}">
+        <div class="pg-head">
+          <div style="min-width:0;">
+            <p class="pg-name">${esc(card.name)}</p>
+            <p class="pg-sub">${esc(card.muscleGroup || '—')} · ${esc(sessions.length)} sessão(ões) registrada(s)</p>
+          </div>
+          ${stall.stalled ? `<span class="pg-stall" title="Sem superar o melhor 1RM estimado">⚠ Estagnado há ${esc(stall.sessions)} sessões</span>` : ''}
+        </div>
+        <div class="pg-stats">
+          <div class="pg-stat"><p class="pg-stat-label">Último top set</p><p class="pg-stat-value">${last ? `${esc(fmtNum(last.topSetWeight))} × ${esc(last.topSetReps)}` : '—'}</p></div>
+          <div class="pg-stat"><p class="pg-stat-label">Melhor 1RM est.</p><p class="pg-stat-value">${bestE1rm ? `${esc(fmtNum(bestE1rm))} kg` : '—'}</p></div>
+          <div class="pg-stat"><p class="pg-stat-label">Tonelagem sem.</p><p class="pg-stat-value">${lastWeek ? `${esc(fmtNum(lastWeek.tonnage))} kg` : '—'}</p></div>
+        </div>
+        ${weeks.length > 0 ? `
+          <div class="pg-tabs">
+            ${Object.entries(PG_METRICS).map(([key, m]) => `<button class="pg-tab${card.metric === key ? ' active' : ''}" data-pg-metric="${key}" data-pg-card="${i}">${esc(m.label)}</button>`).join('')}
+          </div>` : ''}
+        <div class="pg-chart-wrap">${progressChart(weeks, card.metric)}</div>
+      </div>`;
+  }
+
+  async function openProgress(workoutId) {
+    const workout = workoutsById[workoutId];
+    const section = document.getElementById('progressSection');
+    const body    = document.getElementById('progressBody');
+    if (!workout || !section || !body) return;
+
+    section.style.display = 'block';
+    document.getElementById('progressSubtitle').textContent = workout.name || '';
+    body.innerHTML = `<div style="text-align:center;padding:48px 20px;"><div class="spinner" style="margin:0 auto 16px;"></div><p style="color:#9CA3AF;font-size:0.875rem;margin:0;">Carregando registros...</p></div>`;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (!studentLogs) studentLogs = await dbManager.getWorkoutLogs(studentId, { limit: 200 });
+
+    const exercises = uniqueExercises(workout);
+    if (exercises.length === 0) {
+      body.innerHTML = '<p class="pg-empty">Este treino ainda não tem exercícios.</p>';
+      return;
+    }
+
+    progressCards = exercises.map(ex => ({
+      ...ex,
+      progression: logModel.buildExerciseProgression(studentLogs, ex.name),
+      metric: 'topSetWeight',
+    }));
+
+    // Estagnados primeiro, depois os com registros
+    progressCards.sort((a, b) =>
+      (b.progression.stall.stalled - a.progression.stall.stalled) ||
+      (b.progression.sessions.length > 0) - (a.progression.sessions.length > 0));
+
+    const stalledCount = progressCards.filter(c => c.progression.stall.stalled).length;
+    document.getElementById('progressSubtitle').textContent =
+      `${workout.name || ''} · ${exercises.length} exercício(s) · ${studentLogs.length} dia(s) registrados` +
+      (stalledCount ? ` · ${stalledCount} estagnado(s)` : '');
+
+    if (studentLogs.length === 0) {
+      body.innerHTML = `
+        <div style="padding:40px 32px;background:#FAFAFA;border-radius:16px;border:2px dashed #E5E7EB;text-align:center;">
+          <p style="font-size:1rem;font-weight:600;color:#374151;margin:0 0 6px;">Nenhuma série registrada</p>
+          <p style="font-size:0.85rem;color:#9CA3AF;margin:0;">Os gráficos aparecem quando o aluno registrar carga e repetições no treino.</p>
+        </div>`;
+      return;
+    }
+
+    body.innerHTML = `<div class="pg-grid">${progressCards.map(progressCardHtml).join('')}</div>`;
+  }
+
+  document.getElementById('progressBody')?.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-pg-metric]');
+    if (!tab) return;
+    const i    = parseInt(tab.dataset.pgCard, 10);
+    const card = progressCards[i];
+    if (!card) return;
+    card.metric = tab.dataset.pgMetric;
+    const el = document.querySelector(`.pg-card[data-pg-card="${i}"]`);
+    if (el) el.outerHTML = progressCardHtml(card, i);
+  });
+
+  document.getElementById('closeProgressBtn')?.addEventListener('click', () => {
+    document.getElementById('progressSection').style.display = 'none';
+  });
+
+  // ── Versões do treino ───────────────────────────────────────────
+
+  const FIELD_PT = { sets: 'séries', reps: 'reps', rest: 'descanso', obs: 'obs' };
+
+  function fmtTs(ts) {
+    const d = ts?.toDate ? ts.toDate() : (ts?.seconds ? new Date(ts.seconds * 1000) : null);
+    return d ? d.toLocaleDateString('pt-BR', { day:'2-digit', month:'2-digit', year:'numeric', hour:'2-digit', minute:'2-digit' }) : '—';
+  }
+
+  function versionDiffHtml(diff) {
+    if (!diff.hasChanges) return '<p class="vs-line" style="color:#9CA3AF;margin-top:10px;">Sem alterações nos exercícios.</p>';
+    const exName = versionModel.getVersionExerciseName;
+    return `<div class="vs-days">${DAYS_ORDER.filter(d => diff.days[d]).map(d => {
+      const day = diff.days[d];
+      return `<div class="vs-day">
+        <span class="day-tag">${esc(DAYS_PT[d])}</span>
+        ${day.added.map(ex => `<p class="vs-line added">+ ${esc(exName(ex))} <span style="opacity:0.7;">${esc(ex.sets)}×${esc(ex.reps)}</span></p>`).join('')}
+        ${day.removed.map(ex => `<p class="vs-line removed">− ${esc(exName(ex))}</p>`).join('')}
+        ${day.changed.map(c => `<p class="vs-line changed">~ ${esc(c.name)}: ${c.changes.map(ch => `${esc(FIELD_PT[ch.field] || ch.field)} ${esc(ch.from || '—')} → ${esc(ch.to || '—')}`).join(', ')}</p>`).join('')}
+      </div>`;
+    }).join('')}</div>`;
+  }
+
+  async function openVersions(workoutId) {
+    const workout = workoutsById[workoutId];
+    const section = document.getElementById('versionsSection');
+    const body    = document.getElementById('versionsBody');
+    if (!workout || !section || !body || !versionModel) return;
+
+    versionsWorkoutId = workoutId;
+    section.style.display = 'block';
+    document.getElementById('versionsSubtitle').textContent = workout.name || '';
+    body.innerHTML = `<div style="text-align:center;padding:48px 20px;"><div class="spinner" style="margin:0 auto 16px;"></div><p style="color:#9CA3AF;font-size:0.875rem;margin:0;">Carregando versões...</p></div>`;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    const versions = await dbManager.getWorkoutVersions(workoutId);
+    if (versionsWorkoutId !== workoutId) return;
+
+    if (versions.length === 0) {
+      body.innerHTML = `
+        <div style="padding:40px 32px;background:#FAFAFA;border-radius:16px;border:2px dashed #E5E7EB;text-align:center;">
+          <p style="font-size:1rem;font-weight:600;color:#374151;margin:0 0 6px;">Nenhuma versão registrada</p>
+          <p style="font-size:0.85rem;color:#9CA3AF;margin:0;">Este treino é anterior ao histórico. A próxima edição salva guarda a prescrição atual como v1.</p>
+        </div>`;
+      return;
+    }
+
+    const current  = workout.currentVersion || versions[0].version;
+    const timeline = versionModel.buildVersionTimeline(versions);
+    document.getElementById('versionsSubtitle').textContent =
+      `${workout.name || ''} · ${versions.length} versão(ões) · atual v${current}`;
+
+    body.innerHTML = `<div class="vs-list">${timeline.map(v => {
+      const isCurrent = v.version === current;
+      const t = v.diff.totals;
+      return `<div class="vs-card${isCurrent ? ' current' : ''}">
+        <div class="vs-head">
+          <div style="display:flex;align-items:center;gap:10px;flex-wrap:wrap;">
+            <span class="vs-num">v${esc(v.version)}</span>
+            <span class="vs-meta">${esc(fmtTs(v.createdAt))}${v.name ? ` · ${esc(v.name)}` : ''}</span>
+            ${isCurrent ? '<span class="vs-tag current">Atual</span>' : ''}
+            ${v.restoredFrom ? `<span class="vs-tag">Restaurada da v${esc(v.restoredFrom)}</span>` : ''}
+            ${v.legacy ? '<span class="vs-tag">Antes do histórico</span>' : ''}
+            ${v.diff.hasChanges ? `<span class="vs-meta">+${esc(t.added)} −${esc(t.removed)} ~${esc(t.changed)}</span>` : ''}
+          </div>
+          ${isCurrent ? '' : `<button class="vs-restore" data-vs-restore="${esc(v.version)}">↩ Restaurar esta versão</button>`}
+        </div>
+        ${versionDiffHtml(v.diff)}
+      </div>`;
+    }).join('')}</div>`;
+  }
+
+  document.getElementById('versionsBody')?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-vs-restore]');
+    if (!btn || !versionsWorkoutId) return;
+    const version = parseInt(btn.dataset.vsRestore, 10);
+    if (!confirm(`Restaurar a v${version}? O conteúdo atual continua salvo no histórico.`)) return;
+
+    btn.disabled = true;
+    const result = await dbManager.restoreWorkoutVersion(versionsWorkoutId, version);
+    if (!result.success) {
+      btn.disabled = false;
+      return alert('Erro ao restaurar: ' + (result.error || 'tente novamente'));
+    }
+    const workoutId = versionsWorkoutId;
+    await loadWorkouts();
+    await openVersions(workoutId);
+  });
+
+  document.getElementById('closeVersionsBtn')?.addEventListener('click', () => {
+    versionsWorkoutId = null;
+    document.getElementById('versionsSection').style.display = 'none';
+  });
+
   window.editWorkout = function(workoutId) {
     sessionStorage.setItem('editWorkoutId', workoutId);
     router.goTo('/personal/create-workout');
@@ -169,5 +456,250 @@ window.__pageInit = async function(params) {
     catch (e) { alert('Erro ao remover: ' + e.message); }
   };
 
-  await Promise.all([loadStudent(), loadWorkouts()]);
+  // ── Sessões de treino ───────────────────────────────────────────
+
+  async function loadSessions() {
+    const list = document.getElementById('sessionsList');
+    const sm   = window.workoutSessionModel;
+    if (!list || !sm) return;
+
+    const sessions = await dbManager.getWorkoutSessions(studentId, { limit: 20 });
+    if (sessions.length === 0) {
+      list.innerHTML = `
+        <div style="padding:32px;background:#FAFAFA;border-radius:16px;border:2px dashed #E5E7EB;text-align:center;">
+          <p style="font-size:0.9rem;font-weight:600;color:#374151;margin:0 0 4px;">Nenhuma sessão registrada</p>
+          <p style="font-size:0.8rem;color:#9CA3AF;margin:0;">As sessões aparecem quando o aluno usa "Iniciar treino".</p>
+        </div>`;
+      return;
+    }
+
+    const finished = sessions.filter(s => s.status === sm.STATUS.FINISHED);
+    if (finished.length > 0) {
+      const avgDur = Math.round(finished.reduce((sum, s) => sum + (s.durationSec || 0), 0) / finished.length);
+      const avgPct = Math.round(finished.reduce((sum, s) => sum + (s.completionPct || 0), 0) / finished.length);
+      document.getElementById('sessionsSummary').textContent =
+        `Média: ${sm.formatSessionDuration(avgDur)} · ${avgPct}% das séries`;
+    }
+
+    list.innerHTML = `<div class="ss-list">${sessions.map(s => {
+      const startMs = sm.getSessionTimeMs(s.startedAt);
+      const when    = startMs ? new Date(startMs).toLocaleDateString('pt-BR', { day:'2-digit', month:'2-digit', year:'numeric', hour:'2-digit', minute:'2-digit' }) : '—';
+      const skipped = (s.skippedExercises || []).map(x => x.exerciseName).filter(Boolean);
+      const done    = s.status === sm.STATUS.FINISHED;
+      return `<div class="ss-row">
+        <div>
+          <p class="ss-name">${esc(s.workoutName || 'Treino')} · ${esc(DAYS_PT[s.dayOfWeek] || '')}</p>
+          <p class="ss-sub">${esc(when)}${skipped.length ? ` · Pulados: ${esc(skipped.join(', '))}` : ''}</p>
+        </div>
+        <div class="ss-pills">${done ? `
+          <span class="ss-pill">⏱ ${esc(sm.formatSessionDuration(s.durationSec))}</span>
+          <span class="ss-pill">${esc(String(s.completionPct))}% séries</span>
+          <span class="ss-pill">${esc(String(s.completedExercises))}/${esc(String(s.totalExercises))} exercícios</span>
+          ${skipped.length ? `<span class="ss-pill skipped">${esc(String(skipped.length))} pulado(s)</span>` : ''}`
+          : '<span class="ss-pill active">● Em andamento</span>'}
+        </div>
+      </div>`;
+    }).join('')}</div>`;
+  }
+
+  // ── Lesões e alertas de dor ─────────────────────────────────────
+
+  const injModel = window.injuryModel;
+
+  let injuries      = [];
+  let painAlerts    = [];
+  let editingInjury = null;       // null = nova
+  let injurySource  = null;       // alerta que originou o formulário
+  let injuryAvoid   = new Set();
+  let exerciseNames = null;       // biblioteca + treinos do aluno (lazy)
+
+  const injuryForm = document.getElementById('injuryForm');
+  const injuryErr  = document.getElementById('injuryError');
+
+  document.getElementById('injStatus').innerHTML = Object.values(injModel.STATUS)
+    .map(st => `<option value="${esc(st)}">${esc(injModel.STATUS_LABELS[st])}</option>`).join('');
+
+  async function loadInjuries() {
+    if (!studentId) return;
+    [injuries, painAlerts] = await Promise.all([
+      dbManager.getStudentInjuries(studentId),
+      dbManager.getPainAlerts({ studentId }),
+    ]);
+    renderPainAlerts();
+    renderInjuries();
+  }
+
+  function renderPainAlerts() {
+    const box = document.getElementById('painAlertsList');
+    if (!box) return;
+    const ms = window.workoutSessionModel.getSessionTimeMs;
+    box.innerHTML = painAlerts.map(a => {
+      const when = ms(a.createdAt) ? new Date(ms(a.createdAt)).toLocaleDateString('pt-BR', { day:'2-digit', month:'2-digit' }) : '';
+      const where = [window.feedbackModel?.formatPainRegions(a.painRegions), a.painLocation].filter(Boolean).join(' · ');
+      return `<div class="inj-alert">
+        <div>
+          <p class="inj-alert-text">🩹 Dor relatada${where ? `: ${esc(where)}` : ''}</p>
+          <p class="inj-alert-sub">${esc(when)}${a.message ? ` · ${esc(a.message)}` : ''}</p>
+        </div>
+        <div style="display:flex;gap:6px;">
+          <button class="inj-btn primary" data-inj-action="from-alert" data-id="${esc(a.id)}">Registrar lesão</button>
+          <button class="inj-btn" data-inj-action="dismiss-alert" data-id="${esc(a.id)}">Dispensar</button>
+        </div>
+      </div>`;
+    }).join('');
+  }
+
+  function renderInjuries() {
+    const list   = document.getElementById('injuriesList');
+    const active = injuries.filter(injModel.isInjuryActive).length;
+    document.getElementById('injuriesSummary').textContent = injuries.length
+      ? `${active} ativa(s) · ${injuries.length - active} resolvida(s)` : '';
+    if (!list) return;
+
+    if (injuries.length === 0) {
+      list.innerHTML = painAlerts.length ? '' : `
+        <p style="font-size:0.82rem;color:#9CA3AF;margin:0;">Nenhuma lesão registrada.</p>`;
+      return;
+    }
+
+    list.innerHTML = `<div class="inj-list">${injuries.map(inj => `
+      <div class="inj-card${injModel.isInjuryActive(inj) ? '' : ' resolved'}">
+        <div class="inj-head">
+          <div style="display:flex;align-items:center;gap:8px;">
+            <p class="inj-loc">${esc(inj.location)}</p>
+            <span class="inj-status ${esc(inj.status)}">${esc(injModel.STATUS_LABELS[inj.status] || inj.status)}</span>
+          </div>
+          <div style="display:flex;align-items:center;gap:10px;">
+            <span class="vs-meta">${esc(fmtTs(inj.updatedAt || inj.createdAt))}</span>
+            <button class="inj-btn" data-inj-action="edit" data-id="${esc(inj.id)}">Editar</button>
+          </div>
+        </div>
+        ${inj.notes ? `<p class="inj-notes">${esc(inj.notes)}</p>` : ''}
+        ${(inj.avoidExercises || []).length ? `
+          <div class="inj-avoid"><span style="background:#FEF2F2;color:#DC2626;">Evitar</span>${inj.avoidExercises.map(n => `<span>${esc(n)}</span>`).join('')}</div>` : ''}
+      </div>`).join('')}</div>`;
+  }
+
+  async function loadExerciseNames() {
+    if (exerciseNames) return exerciseNames;
+    const library = await dbManager.getPersonalExercises();
+    const names   = new Map();
+    const add     = n => { const key = injModel.normalizeInjuryExercise(n); if (key && !names.has(key)) names.set(key, n.trim()); };
+    library.forEach(e => add(e.name));
+    Object.values(workoutsById).forEach(w => DAYS_ORDER.forEach(d => (w.days?.[d] || []).forEach(ex => add(ex.exerciseName || ex.name))));
+    exerciseNames = [...names.values()].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    return exerciseNames;
+  }
+
+  function renderAvoidList() {
+    const list = document.getElementById('injAvoidList');
+    const q    = injModel.normalizeInjuryExercise(document.getElementById('injAvoidSearch').value);
+    // Marcados fora da lista atual (ex.: exercício removido da biblioteca) continuam visíveis
+    const extra = [...injuryAvoid].filter(n => !(exerciseNames || []).includes(n));
+    const items = [...extra, ...(exerciseNames || [])]
+      .filter(n => !q || injModel.normalizeInjuryExercise(n).includes(q));
+
+    list.innerHTML = items.length === 0
+      ? '<p style="font-size:0.8rem;color:#9CA3AF;text-align:center;margin:10px 0;">Nenhum exercício encontrado</p>'
+      : items.map(n => `
+        <label class="inj-exitem">
+          <input type="checkbox" data-avoid="${esc(n)}"${injuryAvoid.has(n) ? ' checked' : ''}>
+          <span>${esc(n)}</span>
+        </label>`).join('');
+    document.getElementById('injAvoidCount').textContent = injuryAvoid.size ? `(${injuryAvoid.size})` : '';
+  }
+
+  async function openInjuryForm(injury = null, alert = null) {
+    editingInjury = injury;
+    injurySource  = alert;
+    injuryAvoid   = new Set(injury?.avoidExercises || []);
+    // Do alerta: regiões do mapa (só nomes) ou o texto livre do aluno
+    const alertRegions = Object.keys(alert?.painRegions || {}).map(c => window.feedbackModel?.getPainRegionLabel(c) || c).join(', ');
+    document.getElementById('injLocation').value    = injury?.location || (alertRegions || alert?.painLocation || '').slice(0, injModel.MAX_LOCATION);
+    document.getElementById('injStatus').value      = injury?.status || injModel.STATUS.OPEN;
+    document.getElementById('injNotes').value       = injury?.notes || '';
+    document.getElementById('injAvoidSearch').value = '';
+    document.getElementById('deleteInjuryBtn').style.display = injury ? 'block' : 'none';
+    injuryErr.style.display = 'none';
+    injuryForm.hidden = false;
+    await loadExerciseNames();
+    renderAvoidList();
+    document.getElementById('injLocation').focus();
+  }
+
+  function closeInjuryForm() {
+    injuryForm.hidden = true;
+    editingInjury = null;
+    injurySource  = null;
+  }
+
+  document.getElementById('newInjuryBtn').onclick    = () => openInjuryForm();
+  document.getElementById('cancelInjuryBtn').onclick = closeInjuryForm;
+  document.getElementById('injAvoidSearch').addEventListener('input', renderAvoidList);
+  document.getElementById('injAvoidList').addEventListener('change', (e) => {
+    const name = e.target.dataset.avoid;
+    if (!name) return;
+    if (e.target.checked) injuryAvoid.add(name); else injuryAvoid.delete(name);
+    document.getElementById('injAvoidCount').textContent = injuryAvoid.size ? `(${injuryAvoid.size})` : '';
+  });
+
+  document.getElementById('saveInjuryBtn').onclick = async () => {
+    const data = {
+      studentId,
+      location:         document.getElementById('injLocation').value.trim(),
+      status:           document.getElementById('injStatus').value,
+      notes:            document.getElementById('injNotes').value.trim(),
+      avoidExercises:   [...injuryAvoid],
+      sourceFeedbackId: injurySource?.feedbackId || '',
+    };
+    const check = injModel.validateInjury(data);
+    injuryErr.style.display = 'none';
+    if (!check.isValid) {
+      injuryErr.textContent   = check.errors[0];
+      injuryErr.style.display = 'block';
+      return;
+    }
+
+    const btn = document.getElementById('saveInjuryBtn');
+    btn.disabled = true;
+    const result = editingInjury
+      ? await dbManager.updateInjury(editingInjury.id, data)
+      : await dbManager.createInjury(data);
+    btn.disabled = false;
+
+    if (!result.success) {
+      injuryErr.textContent   = result.error || 'Erro ao salvar lesão.';
+      injuryErr.style.display = 'block';
+      return;
+    }
+    if (injurySource) await dbManager.markNotificationRead(injurySource.id);
+    closeInjuryForm();
+    await loadInjuries();
+  };
+
+  document.getElementById('deleteInjuryBtn').onclick = async () => {
+    if (!editingInjury) return;
+    if (!confirm(`Excluir o registro "${editingInjury.location}"?`)) return;
+    const result = await dbManager.deleteInjury(editingInjury.id);
+    if (!result.success) { alert('Erro: ' + result.error); return; }
+    closeInjuryForm();
+    await loadInjuries();
+  };
+
+  document.getElementById('injuriesSection').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-inj-action]');
+    if (!btn) return;
+    const { injAction, id } = btn.dataset;
+    if (injAction === 'edit') {
+      openInjuryForm(injuries.find(i => i.id === id) || null);
+    } else if (injAction === 'from-alert') {
+      openInjuryForm(null, painAlerts.find(a => a.id === id) || null);
+    } else if (injAction === 'dismiss-alert') {
+      btn.disabled = true;
+      await dbManager.markNotificationRead(id);
+      await loadInjuries();
+    }
+  });
+
+  await Promise.all([loadStudent(), loadWorkouts(), loadSessions(), loadInjuries()]);
 };
\ No newline at end of file
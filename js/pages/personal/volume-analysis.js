@@ -4,6 +4,9 @@
  * Análise de volume semanal por grupo muscular.
  * CORREÇÃO: Este arquivo era uma cópia de create-workout.js — completamente reescrito
  * com a lógica correta de análise de volume.
+ *
+ * Mesociclo: quando o treino tem ciclo, um gráfico extra mostra o total de
+ * séries de cada semana (base × modificador), com deload e % de carga.
  */
 window.__pageInit = async function() {
   await new Promise(r => document.readyState === 'loading'
@@ -184,6 +187,8 @@ window.__pageInit = async function() {
 
           <!-- Recomendações -->
           ${renderRecommendations(groups)}
+
+          ${renderCycleVolume()}
         </div>
 
         <!-- Manual adjustment panel -->
@@ -234,6 +239,42 @@ window.__pageInit = async function() {
     });
   }
 
+  function cycleWeekSets(week) {
+    const days = mesocycleModel.resolveMesocycleDays(workout.days, workout.cycle, week);
+    return DAYS.reduce((sum, day) =>
+      sum + (days[day] || []).reduce((s, ex) => s + (parseInt(ex.sets) || 3), 0), 0);
+  }
+
+  function renderCycleVolume() {
+    if (!workout.cycle?.weeks || !window.mesocycleModel) return '';
+    const weeks   = Array.from({ length: workout.cycle.weeks }, (_, i) => ({
+      week: i + 1,
+      sets: cycleWeekSets(i + 1),
+      mod:  workout.cycle.scheme?.[i] || mesocycleModel.createWeekModifier(),
+    }));
+    const maxSets = Math.max(...weeks.map(w => w.sets), 1);
+    const current = mesocycleModel.getMesocycleWeek(workout.cycle);
+
+    return `
+      <div class="vp-visual-card">
+        <p class="vp-visual-title">Volume por semana do ciclo</p>
+        <div style="display:flex;align-items:flex-end;gap:8px;height:160px;">
+          ${weeks.map(w => {
+            const color  = w.mod.deload ? '#F59E0B' : '#00C853';
+            const isNow  = current?.status === 'active' && current.week === w.week;
+            return `
+              <div style="flex:1;display:flex;flex-direction:column;align-items:center;justify-content:flex-end;height:100%;min-width:0;">
+                <span style="font-size:0.7rem;font-weight:800;color:#0A0A0A;margin-bottom:4px;">${esc(String(w.sets))}</span>
+                <div style="width:100%;max-width:36px;height:${Math.max(4, Math.round(w.sets / maxSets * 110))}px;background:${color};border-radius:6px 6px 2px 2px;${isNow ? 'outline:2px solid #0A0A0A;outline-offset:2px;' : ''}"></div>
+                <span style="font-size:0.68rem;font-weight:700;color:${isNow ? '#0A0A0A' : '#9CA3AF'};margin-top:6px;">S${esc(String(w.week))}</span>
+                <span style="font-size:0.62rem;color:#9CA3AF;">${esc(String(w.mod.loadPct))}%</span>
+              </div>`;
+          }).join('')}
+        </div>
+        <p style="font-size:0.72rem;color:#9CA3AF;margin:14px 0 0;">Séries totais por semana · % = carga de referência · <span style="color:#F59E0B;font-weight:700;">■</span> deload${current?.status === 'active' ? ` · semana atual: ${esc(String(current.week))}` : ''}</p>
+      </div>`;
+  }
+
   function renderManualInputs() {
     const rows = [];
     DAYS.forEach((day, dayIdx) => {
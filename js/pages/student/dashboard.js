@@ -6,6 +6,37 @@
  * - data-pain nos botões de dor
  * - effortSlider sem oninput inline
  * - toggleDone via event delegation no exercisesList
+ *
+ * Registro de séries (workoutLogs):
+ * - Cada card de exercício tem a tabela de séries (carga, reps feitas, RPE).
+ * - O check do card marca/desmarca todas as séries; marcar todas conclui o exercício.
+ * - O estado vem de workoutLogs (doc do dia) em vez do Set em memória.
+ * - Delegation do exercisesList registrada uma única vez (antes era adicionada
+ *   a cada renderExercises e o clique disparava toggleDone várias vezes).
+ *
+ * Mesociclo: rotinas com ciclo são resolvidas para a semana atual ao carregar.
+ *
+ * Histórico: sessões de treino (início, duração, % concluído, pulados) antes
+ * dos feedbacks.
+ *
+ * Offline: rotinas vêm do cache local sem rede; feedback e séries entram na
+ * fila do offlineSync (o toast avisa que serão enviados ao reconectar).
+ *
+ * Semana do feedback: feedbackModel.getCurrentWeekIdentifier (ISO "YYYY-Www")
+ * em vez do cálculo inline.
+ *
+ * Local da dor: mapa corporal (js/painBodyMap.js) no modal de feedback — as
+ * regiões vão em `painRegions`, o texto fica como detalhe opcional.
+ *
+ * Envio pelo dbManager.saveFeedback (mesmo caminho do view-workout). Abrir o
+ * modal num dia já respondido carrega o feedback para edição (até 24h após o
+ * envio, "Salvar alterações"); depois disso só avisa que já foi enviado.
+ * Sensação/dor selecionadas por selectSensation/selectPain (o toggle antigo
+ * passava classes com espaço para classList e lançava erro).
+ *
+ * Respostas do personal: o histórico mostra a conversa de cada feedback
+ * (getMyFeedbackReplies, uma consulta) e, depois que o personal respondeu,
+ * o aluno pode responder de volta (data-reply-action).
  */
 window.__pageInit = async function() {
   await new Promise(r => setTimeout(r, 100));
@@ -44,12 +75,20 @@ window.__pageInit = async function() {
 
   const todayKey = DAYS[new Date().getDay() === 0 ? 6 : new Date().getDay() - 1].key;
 
+  const logModel = window.workoutLogModel;
+  const logDate  = logModel.getLogDateKey();
+
   let allWorkouts    = [];
   let currentWorkout = null;
   let currentDay     = null;
-  let doneExercises  = new Set();
+  let logEntries     = {};   // entryKey → entrada do workoutLogs (treino selecionado)
+  let saveTimers     = {};   // `${workoutId}_${entryKey}` → timeout do debounce
   let sensation      = null;
   let hasPain        = false;
+  let feedbackEdit   = false;   // modal aberto sobre feedback já enviado (até 24h)
+  let historyFeedbacks  = [];
+  let repliesByFeedback = {};          // feedbackId → [reply] em ordem
+  const openReplyForms  = new Set();   // feedbackIds com o formulário aberto
 
   // ── Logout ───────────────────────────────────────────────
   document.getElementById('logoutBtn').addEventListener('click', async () => {
@@ -81,56 +120,169 @@ window.__pageInit = async function() {
   }
 
   // ── Botões de sensação (data-sensation, sem onclick inline) ─
+  function selectSensation(value) {
+    sensation = value;
+    document.querySelectorAll('[data-sensation]').forEach(b => {
+      b.className = b.dataset.sensation === sensation ? `sensation-opt selected-${sensation}` : 'sensation-opt';
+    });
+  }
+
   document.addEventListener('click', (e) => {
     const sensBtn = e.target.closest('[data-sensation]');
-    if (sensBtn) {
-      sensation = sensBtn.dataset.sensation;
-      document.querySelectorAll('[data-sensation]').forEach(b => {
-        b.className = 'sensation-opt';
-        if (b.dataset.sensation === sensation) {
-          b.className = `sensation-opt selected-${sensation}`;
-        }
-      });
-    }
+    if (sensBtn) selectSensation(sensBtn.dataset.sensation);
   });
 
   // ── Botões de dor (data-pain, sem onclick inline) ─────────
-  document.addEventListener('click', (e) => {
-    const painBtn = e.target.closest('[data-pain]');
-    if (!painBtn) return;
-    hasPain = painBtn.dataset.pain === 'true';
-    document.getElementById('painNo')?.classList.toggle('sensation-opt selected-ideal', !hasPain);
-    document.getElementById('painNo')?.classList.toggle('sensation-opt', hasPain);
-    document.getElementById('painYes')?.classList.toggle('sensation-opt selected-pesado', hasPain);
-    document.getElementById('painYes')?.classList.toggle('sensation-opt', !hasPain);
+  // value null → nenhum selecionado (modal recém-aberto)
+  function selectPain(value) {
+    hasPain = value === true;
+    const painNo  = document.getElementById('painNo');
+    const painYes = document.getElementById('painYes');
+    if (painNo)  painNo.className  = value === false ? 'sensation-opt selected-ideal'  : 'sensation-opt';
+    if (painYes) painYes.className = value === true  ? 'sensation-opt selected-pesado' : 'sensation-opt';
     const wrap = document.getElementById('painLocationWrap');
     if (wrap) wrap.style.display = hasPain ? 'block' : 'none';
+  }
+
+  document.addEventListener('click', (e) => {
+    const painBtn = e.target.closest('[data-pain]');
+    if (painBtn) selectPain(painBtn.dataset.pain === 'true');
   });
 
-  // ── Toggle exercício feito — event delegation ─────────────
-  // O exercisesList é recriado a cada renderização, então usamos delegation
-  // O JS expõe toggleDone para compatibilidade com o HTML gerado em renderExercises()
-  function toggleDone(idx) {
-    if (doneExercises.has(idx)) {
-      doneExercises.delete(idx);
-      document.getElementById(`ex-${idx}`)?.classList.remove('done');
-      document.getElementById(`check-${idx}`)?.classList.remove('checked');
-      const icon = document.getElementById(`check-icon-${idx}`);
-      if (icon) icon.style.display = 'none';
-    } else {
-      doneExercises.add(idx);
-      document.getElementById(`ex-${idx}`)?.classList.add('done');
-      document.getElementById(`check-${idx}`)?.classList.add('checked');
-      const icon = document.getElementById(`check-icon-${idx}`);
-      if (icon) icon.style.display = 'block';
-    }
+  // ── Registro de séries ────────────────────────────────────
+  // Entrada pelo nome do exercício — reordenar o treino não troca as cargas
+  function getEntry(idx) {
+    const { key, entry } = logModel.resolveLogEntry(logEntries, currentDay, currentWorkout.days?.[currentDay], idx);
+    logEntries[key] = entry;
+    return entry;
+  }
+
+  function isDone(idx) {
+    return !!logModel.findLogEntry(logEntries, currentDay, currentWorkout.days?.[currentDay], idx)?.done;
+  }
+
+  function renderSetLog(idx) {
+    const entry = getEntry(idx);
+    const val   = v => (v === null || v === undefined ? '' : esc(String(v)));
+    const rows  = entry.sets.map((s, i) => `
+      <div class="fc-setlog__row${s.done ? ' fc-setlog__row--done' : ''}">
+        <span class="fc-setlog__num">${i + 1}</span>
+        <input class="fc-setlog__input" type="text" inputmode="decimal" autocomplete="off" data-field="weight" data-idx="${idx}" data-set="${i}" value="${val(s.weight)}" placeholder="kg" aria-label="Carga da série ${i + 1}">
+        <input class="fc-setlog__input" type="text" inputmode="numeric" autocomplete="off" data-field="reps" data-idx="${idx}" data-set="${i}" value="${val(s.reps)}" placeholder="${esc(entry.prescribedReps || 'reps')}" aria-label="Repetições da série ${i + 1}">
+        <input class="fc-setlog__input" type="text" inputmode="decimal" autocomplete="off" data-field="rpe" data-idx="${idx}" data-set="${i}" value="${val(s.rpe)}" placeholder="—" aria-label="RPE da série ${i + 1}">
+        <button class="fc-setlog__check${s.done ? ' fc-setlog__check--done' : ''}" data-set-action="toggle" data-idx="${idx}" data-set="${i}" aria-label="Concluir série ${i + 1}">✓</button>
+      </div>`).join('');
+
+    return `
+      <div class="fc-setlog" id="setlog-${idx}" style="margin-top:12px;">
+        <div class="fc-setlog__row fc-setlog__row--head"><span style="text-align:center;">Série</span><span>Carga (kg)</span><span>Reps</span><span>RPE</span><span></span></div>
+        ${rows}
+        ${entry.sets.length < logModel.MAX_SETS ? `<button class="fc-setlog__add" data-set-action="add" data-idx="${idx}">+ Adicionar série</button>` : ''}
+      </div>`;
+  }
+
+  // Atualiza só o card afetado (preserva foco/scroll dos demais)
+  function refreshCard(idx) {
+    const done = isDone(idx);
+    document.getElementById(`ex-${idx}`)?.classList.toggle('done', done);
+    document.getElementById(`check-${idx}`)?.classList.toggle('checked', done);
+    const icon = document.getElementById(`check-icon-${idx}`);
+    if (icon) icon.style.display = done ? 'block' : 'none';
+    const setlog = document.getElementById(`setlog-${idx}`);
+    if (setlog) setlog.outerHTML = renderSetLog(idx);
     updateProgress();
   }
+
+  // Debounce por exercício: várias alterações seguidas viram uma escrita
+  function persistEntry(idx, delay = 600) {
+    const workout = currentWorkout;
+    const key     = `${workout.id}_${logModel.getExerciseLogKey(currentDay, workout.days?.[currentDay], idx)}`;
+    const entry   = getEntry(idx);   // mesmo objeto mutado pelas próximas alterações
+    clearTimeout(saveTimers[key]);
+    saveTimers[key] = setTimeout(async () => {
+      delete saveTimers[key];
+      const result = await dbManager.saveWorkoutLogEntry({
+        workoutId:  workout.id,
+        personalId: workout.personalId,
+        entry,
+        date:       logDate,
+      });
+      if (!result.success) toast('⚠ Não foi possível salvar a série');
+    }, delay);
+  }
+
+  // ── Toggle exercício feito — marca/desmarca todas as séries ─
+  function toggleDone(idx) {
+    const entry = getEntry(idx);
+    const done  = !entry.done;
+    entry.sets.forEach(s => { s.done = done; });
+    entry.done = done;
+    refreshCard(idx);
+    persistEntry(idx, 0);
+  }
   window.toggleDone = toggleDone;
 
+  function toggleSet(idx, setIdx) {
+    const entry = getEntry(idx);
+    const set   = entry.sets[setIdx];
+    if (!set) return;
+    set.done   = !set.done;
+    entry.done = logModel.isLogEntryComplete(entry);
+    refreshCard(idx);
+    persistEntry(idx, 0);
+  }
+
+  function addSet(idx) {
+    const entry = getEntry(idx);
+    if (entry.sets.length >= logModel.MAX_SETS) return;
+    const last = entry.sets[entry.sets.length - 1];
+    entry.sets.push({ weight: last?.weight ?? null, reps: null, rpe: null, done: false });
+    entry.done = false;
+    refreshCard(idx);
+    persistEntry(idx);
+  }
+
+  function updateSetField(input) {
+    const idx    = parseInt(input.dataset.idx, 10);
+    const setIdx = parseInt(input.dataset.set, 10);
+    const field  = input.dataset.field;
+    const set    = getEntry(idx).sets[setIdx];
+    if (!set) return;
+
+    const raw     = input.value.trim();
+    const value   = logModel.normalizeSetValue(field, raw);
+    const invalid = raw !== '' && value === null;
+    input.classList.toggle('fc-setlog__input--invalid', invalid);
+    if (invalid) return;
+
+    set[field]  = value;
+    input.value = value === null ? '' : String(value);
+    persistEntry(idx);
+  }
+
+  // Event delegation registrada uma única vez — o conteúdo do exercisesList
+  // é recriado a cada renderização
+  const exercisesListEl = document.getElementById('exercisesList');
+  exercisesListEl?.addEventListener('click', (e) => {
+    const checkBtn = e.target.closest('.check-btn[data-idx]');
+    if (checkBtn) { toggleDone(parseInt(checkBtn.dataset.idx, 10)); return; }
+
+    const setBtn = e.target.closest('[data-set-action]');
+    if (!setBtn) return;
+    const idx = parseInt(setBtn.dataset.idx, 10);
+    if (setBtn.dataset.setAction === 'toggle') toggleSet(idx, parseInt(setBtn.dataset.set, 10));
+    if (setBtn.dataset.setAction === 'add')    addSet(idx);
+  });
+  exercisesListEl?.addEventListener('change', (e) => {
+    const input = e.target.closest('.fc-setlog__input');
+    if (input) updateSetField(input);
+  });
+
   // ── Carregar treinos ──────────────────────────────────────
   try { allWorkouts = await dbManager.getStudentWorkouts() || []; }
   catch { allWorkouts = []; }
+  // Mesociclo: séries/reps da semana atual do ciclo
+  if (window.mesocycleModel) allWorkouts = allWorkouts.map(w => mesocycleModel.resolveWorkoutForDate(w));
 
   if (allWorkouts.length === 0) {
     document.getElementById('pageTitle').textContent = 'Sem rotina';
@@ -159,11 +311,13 @@ window.__pageInit = async function() {
     });
   }
 
-  selectWorkout(allWorkouts[0]);
+  await selectWorkout(allWorkouts[0]);
 
-  function selectWorkout(w) {
+  async function selectWorkout(w) {
     currentWorkout = w;
-    doneExercises.clear();
+    const log  = await dbManager.getWorkoutLog(w.id, logDate);
+    if (currentWorkout !== w) return; // outra rotina selecionada durante o carregamento
+    logEntries = { ...(log?.exercises || {}) };
     document.getElementById('pageTitle').textContent = w.name || 'Meu Treino';
     renderDayTabs();
     const todayHas = w.days?.[todayKey]?.length > 0;
@@ -189,7 +343,6 @@ window.__pageInit = async function() {
 
   function selectDay(dayKey) {
     currentDay = dayKey;
-    doneExercises.clear();
     renderDayTabs();
     renderExercises();
     updateProgress();
@@ -228,8 +381,9 @@ window.__pageInit = async function() {
     const grid = document.createElement('div');
     grid.style.cssText = 'display:flex;flex-direction:column;gap:10px;';
     exs.forEach((ex, idx) => {
+      const done = isDone(idx);
       const card = document.createElement('div');
-      card.className = 'ex-card';
+      card.className = 'ex-card' + (done ? ' done' : '');
       card.id = `ex-${idx}`;
       // check-btn usa data-idx em vez de onclick="toggleDone(N)" inline
       card.innerHTML = `
@@ -243,26 +397,21 @@ window.__pageInit = async function() {
             </div>
             ${ex.obs ? `<p style="font-size:0.78rem;color:#6B7280;margin:8px 0 0;font-style:italic;">${esc(ex.obs)}</p>` : ''}
           </div>
-          <button class="check-btn" id="check-${idx}" data-idx="${idx}">
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#fff" stroke-width="3" style="display:none;" id="check-icon-${idx}"><polyline points="20 6 9 17 4 12"/></svg>
+          <button class="check-btn${done ? ' checked' : ''}" id="check-${idx}" data-idx="${idx}" aria-label="Marcar todas as séries">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#fff" stroke-width="3" style="display:${done ? 'block' : 'none'};" id="check-icon-${idx}"><polyline points="20 6 9 17 4 12"/></svg>
           </button>
-        </div>`;
+        </div>
+        ${renderSetLog(idx)}`;
       grid.appendChild(card);
     });
     frag.appendChild(grid);
     list.appendChild(frag);
-
-    // Event delegation para os check-btns (sem onclick inline)
-    list.addEventListener('click', (e) => {
-      const btn = e.target.closest('.check-btn[data-idx]');
-      if (btn) toggleDone(parseInt(btn.dataset.idx, 10));
-    }, { once: false });
   }
 
   function updateProgress() {
     const exs   = currentWorkout.days?.[currentDay] || [];
     const total = exs.length;
-    const done  = doneExercises.size;
+    const done  = exs.filter((_, idx) => isDone(idx)).length;
     const pct   = total > 0 ? Math.round((done / total) * 100) : 0;
     const ptEl  = document.getElementById('progressText');
     const pfEl  = document.getElementById('progressFill');
@@ -271,16 +420,36 @@ window.__pageInit = async function() {
   }
 
   // ── Feedback modal ────────────────────────────────────────
-  document.getElementById('openFeedbackBtn')?.addEventListener('click', () => {
-    sensation = null; hasPain = false;
-    document.getElementById('feedbackComment').value = '';
-    document.getElementById('painLocation').value    = '';
-    document.getElementById('effortSlider').value    = 7;
-    document.getElementById('effortDisplay').textContent = '7';
-    document.getElementById('painLocationWrap').style.display = 'none';
-    document.querySelectorAll('[data-sensation]').forEach(b => b.className = 'sensation-opt');
-    document.getElementById('painNo')?.classList.add('sensation-opt');
-    document.getElementById('painYes')?.classList.add('sensation-opt');
+  if (window.painBodyMap) painBodyMap.mount(document.getElementById('painBodyMapSlot'));
+
+  function setFeedbackEditMode(on) {
+    feedbackEdit = on;
+    document.getElementById('submitFeedback').textContent = on ? 'Salvar alterações' : 'Enviar Feedback';
+    document.getElementById('feedbackEditHint').style.display = on ? 'block' : 'none';
+  }
+
+  // Feedback já enviado para o dia: edita dentro de 24h, senão só avisa
+  document.getElementById('openFeedbackBtn')?.addEventListener('click', async () => {
+    const btn      = document.getElementById('openFeedbackBtn');
+    btn.disabled   = true;
+    const existing = await dbManager.getFeedbackForDay(currentWorkout.id, currentDay);
+    btn.disabled   = false;
+    if (existing && !feedbackModel.canEditFeedback(existing)) {
+      return toast('✓ Você já enviou o feedback deste dia', 2800);
+    }
+
+    selectSensation(existing?.sensation || null);
+    selectPain(existing ? existing.hasPain === true : null);
+    const effort = existing?.effortLevel || 7;
+    document.getElementById('feedbackComment').value = existing?.comment || '';
+    document.getElementById('painLocation').value    = existing?.painLocation || '';
+    document.getElementById('effortSlider').value    = effort;
+    document.getElementById('effortDisplay').textContent = String(effort);
+    if (window.painBodyMap) {
+      if (existing) painBodyMap.setValue(existing.painRegions);
+      else painBodyMap.reset();
+    }
+    setFeedbackEditMode(!!existing);
     const dayName = DAYS.find(d => d.key === currentDay)?.full || '';
     document.getElementById('feedbackModalSub').textContent = `${currentWorkout.name} · ${dayName}`;
     document.getElementById('feedbackModal').classList.add('open');
@@ -297,30 +466,40 @@ window.__pageInit = async function() {
     const effort       = parseInt(document.getElementById('effortSlider').value);
     const comment      = document.getElementById('feedbackComment').value.trim();
     const painLocation = hasPain ? document.getElementById('painLocation').value.trim() : '';
-    const btn = document.getElementById('submitFeedback');
+    const painRegions  = hasPain ? (window.painBodyMap?.getValue() || {}) : {};
+    if (hasPain && !painLocation && Object.keys(painRegions).length === 0) return toast('⚠ Marque no mapa (ou descreva) onde sentiu dor');
+    const btn   = document.getElementById('submitFeedback');
+    const label = btn.textContent;
     btn.textContent = 'Enviando...'; btn.disabled = true;
     try {
-      const now        = new Date();
-      const weekNum    = Math.ceil((((now - new Date(now.getFullYear(),0,1))/86400000) + new Date(now.getFullYear(),0,1).getDay()+1)/7);
-      const weekId     = `${now.getFullYear()}-${weekNum.toString().padStart(2,'0')}`;
-      await dbManager.submitFeedback({ workoutId: currentWorkout.id, studentId: authManager.getCurrentUser()?.uid, dayOfWeek: currentDay, weekIdentifier: weekId, sensation, effortLevel: effort, hasPain, painLocation, comment });
+      const weekId     = feedbackModel.getCurrentWeekIdentifier();
+      const result     = await dbManager.saveFeedback({ workoutId: currentWorkout.id, workoutName: currentWorkout.name, dayOfWeek: currentDay, weekIdentifier: weekId, sensation, effortLevel: effort, hasPain, painLocation, painRegions, comment, edit: feedbackEdit });
+      if (result?.success === false) { toast('⚠ ' + (result.error || 'Erro ao enviar. Tente novamente.')); btn.textContent = label; btn.disabled = false; return; }
       document.getElementById('feedbackModal').classList.remove('open');
-      toast('✓ Feedback enviado!', 2800);
+      toast(result?.queued ? '✓ Feedback salvo — será enviado ao reconectar' : result?.edited ? '✓ Feedback atualizado!' : '✓ Feedback enviado!', 2800);
     } catch { toast('Erro ao enviar. Tente novamente.'); }
-    btn.textContent = 'Enviar Feedback'; btn.disabled = false;
+    btn.textContent = label; btn.disabled = false;
   });
 
   async function loadHistory() {
     const list = document.getElementById('historyList');
     list.innerHTML = `<div style="text-align:center;padding:48px;"><div class="spinner" style="margin:0 auto 16px;"></div><p style="color:#9CA3AF;">Carregando...</p></div>`;
     try {
-      const feedbacks = await dbManager.getStudentFeedbacks() || [];
-      if (feedbacks.length === 0) {
+      const [feedbacks, sessions, replies] = await Promise.all([
+        dbManager.getStudentFeedbacks().then(r => r || []),
+        dbManager.getWorkoutSessions(null, { limit: 20 }),
+        dbManager.getMyFeedbackReplies(),
+      ]);
+      historyFeedbacks  = feedbacks;
+      repliesByFeedback = feedbackReplyModel.groupRepliesByFeedback(replies);
+      if (feedbacks.length === 0 && sessions.length === 0) {
         list.innerHTML = `<div style="text-align:center;padding:48px;background:#fff;border-radius:16px;border:2px dashed #E5E7EB;"><p style="font-size:1rem;font-weight:700;color:#374151;margin:0 0 6px;">Sem histórico ainda</p></div>`;
         return;
       }
       const sensationLabels = { leve:'😌 Leve', ideal:'🎯 Ideal', pesado:'🔥 Pesado' };
       list.innerHTML = '';
+      renderSessionHistory(list, sessions);
+      if (sessions.length > 0 && feedbacks.length > 0) list.insertAdjacentHTML('beforeend', historyHeading('Feedbacks'));
       feedbacks.forEach(f => {
         let dateStr = '';
         if (f.createdAt) {
@@ -340,12 +519,114 @@ window.__pageInit = async function() {
             <span class="ex-meta-pill" style="background:#111827;color:#fff;">Esforço ${esc(f.effortLevel)}/10</span>
             ${f.hasPain ? `<span class="ex-meta-pill" style="background:#FEF2F2;color:#DC2626;">⚠ Dor</span>` : '<span class="ex-meta-pill" style="background:#ECFDF5;color:#059669;">✓ Sem dor</span>'}
           </div>
-          ${f.comment ? `<p style="font-size:0.82rem;color:#6B7280;margin:8px 0 0;line-height:1.5;font-style:italic;">"${esc(f.comment)}"</p>` : ''}`;
+          ${f.hasPain && (f.painLocation || window.feedbackModel?.formatPainRegions(f.painRegions)) ? `<p style="font-size:0.78rem;color:#DC2626;margin:8px 0 0;">${esc([window.feedbackModel?.formatPainRegions(f.painRegions), f.painLocation].filter(Boolean).join(' · '))}</p>` : ''}
+          ${f.comment ? `<p style="font-size:0.82rem;color:#6B7280;margin:8px 0 0;line-height:1.5;font-style:italic;">"${esc(f.comment)}"</p>` : ''}
+          <div class="reply-thread" data-thread="${esc(f.id)}"${repliesByFeedback[f.id]?.length ? '' : ' style="display:none;"'}>${threadHtml(f)}</div>`;
         list.appendChild(item);
       });
     } catch { list.innerHTML = `<p style="color:#DC2626;">Erro ao carregar histórico.</p>`; }
   }
 
+  // ── Respostas do personal ─────────────────────────────────
+  function fmtReplyDate(ts) {
+    const d = ts?.toDate ? ts.toDate() : (ts?.seconds ? new Date(ts.seconds * 1000) : (ts ? new Date(ts) : null));
+    return d && !isNaN(d) ? d.toLocaleDateString('pt-BR', { day:'2-digit', month:'2-digit', hour:'2-digit', minute:'2-digit' }) : 'agora';
+  }
+
+  // O aluno responde depois que o personal abriu a conversa
+  function threadHtml(feedback) {
+    const replies = repliesByFeedback[feedback.id] || [];
+    const items   = replies.map(r => `
+      <div class="reply reply--${r.authorRole === 'student' ? 'mine' : 'theirs'}">
+        <p class="reply-meta">${r.authorRole === 'student' ? 'Você' : 'Personal'} · ${esc(fmtReplyDate(r.createdAt))}</p>
+        <p class="reply-text">${esc(r.text)}</p>
+      </div>`).join('');
+    if (!replies.some(r => r.authorRole === 'personal')) return items;
+    if (replies.length >= feedbackReplyModel.MAX_PER_FEEDBACK) return items;
+
+    return items + (openReplyForms.has(feedback.id)
+      ? `<div class="reply-form">
+           <textarea class="modal-input reply-input" rows="2" maxlength="${feedbackReplyModel.MAX_LENGTH}" placeholder="Responder ao personal..." data-reply-input></textarea>
+           <div class="reply-actions">
+             <button type="button" class="reply-btn" data-reply-action="cancel" data-feedback-id="${esc(feedback.id)}">Cancelar</button>
+             <button type="button" class="reply-btn reply-btn--send" data-reply-action="send" data-feedback-id="${esc(feedback.id)}">Enviar</button>
+           </div>
+         </div>`
+      : `<button type="button" class="reply-btn" data-reply-action="open" data-feedback-id="${esc(feedback.id)}">💬 Responder</button>`);
+  }
+
+  function renderThread(feedbackId) {
+    const feedback = historyFeedbacks.find(f => f.id === feedbackId);
+    const el       = document.querySelector(`[data-thread="${CSS.escape(feedbackId)}"]`);
+    if (feedback && el) el.innerHTML = threadHtml(feedback);
+    return el;
+  }
+
+  document.getElementById('historyList')?.addEventListener('click', async e => {
+    const btn = e.target.closest('[data-reply-action]');
+    if (!btn) return;
+    const feedbackId = btn.dataset.feedbackId;
+    const action     = btn.dataset.replyAction;
+
+    if (action === 'open' || action === 'cancel') {
+      if (action === 'open') openReplyForms.add(feedbackId);
+      else openReplyForms.delete(feedbackId);
+      renderThread(feedbackId)?.querySelector('[data-reply-input]')?.focus();
+      return;
+    }
+
+    if (action === 'send') {
+      const feedback = historyFeedbacks.find(f => f.id === feedbackId);
+      const input    = btn.closest('.reply-thread')?.querySelector('[data-reply-input]');
+      if (!feedback || !input) return;
+      btn.disabled = true; btn.textContent = 'Enviando...';
+      const result = await dbManager.addFeedbackReply(feedback, input.value);
+      if (!result.success) {
+        btn.disabled = false; btn.textContent = 'Enviar';
+        toast('⚠ ' + (result.error || 'Erro ao enviar resposta'));
+        return;
+      }
+      (repliesByFeedback[feedbackId] || (repliesByFeedback[feedbackId] = [])).push(result.reply);
+      openReplyForms.delete(feedbackId);
+      renderThread(feedbackId);
+      toast('✓ Resposta enviada');
+    }
+  });
+
+  function historyHeading(title) {
+    return `<p style="color:#9CA3AF;font-size:0.72rem;font-weight:700;letter-spacing:0.08em;text-transform:uppercase;margin:18px 0 10px;">${esc(title)}</p>`;
+  }
+
+  function renderSessionHistory(list, sessions) {
+    const sm = window.workoutSessionModel;
+    if (!sm || sessions.length === 0) return;
+    list.insertAdjacentHTML('beforeend', historyHeading('Sessões de treino'));
+    sessions.forEach(s => {
+      const startMs  = sm.getSessionTimeMs(s.startedAt);
+      const started  = startMs ? new Date(startMs) : null;
+      const dateStr  = started ? started.toLocaleDateString('pt-BR', { day:'2-digit', month:'2-digit', year:'numeric' }) : '';
+      const timeStr  = started ? started.toLocaleTimeString('pt-BR', { hour:'2-digit', minute:'2-digit' }) : '';
+      const dayName  = DAYS.find(d => d.key === s.dayOfWeek)?.full || s.dayOfWeek;
+      const finished = s.status === sm.STATUS.FINISHED;
+      const skipped  = (s.skippedExercises || []).map(x => x.exerciseName).filter(Boolean);
+      const item     = document.createElement('div');
+      item.className = 'ex-card';
+      item.style.marginBottom = '10px';
+      item.innerHTML = `
+        <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:10px;gap:10px;">
+          <div><p style="font-size:0.9rem;font-weight:700;color:#0A0A0A;margin:0 0 3px;">${esc(s.workoutName || 'Treino')} · ${esc(dayName)}</p><p style="font-size:0.75rem;color:#9CA3AF;margin:0;">${esc(dateStr)}${timeStr ? ` às ${esc(timeStr)}` : ''}</p></div>
+          <span style="font-size:0.78rem;font-weight:700;background:${finished ? '#F4F4F4' : '#ECFDF5'};color:${finished ? '#0A0A0A' : '#059669'};padding:4px 10px;border-radius:8px;white-space:nowrap;">${finished ? `⏱ ${esc(sm.formatSessionDuration(s.durationSec))}` : '● Em andamento'}</span>
+        </div>
+        ${finished ? `<div style="display:flex;gap:8px;flex-wrap:wrap;">
+          <span class="ex-meta-pill" style="background:#111827;color:#fff;">${esc(String(s.completionPct))}% das séries</span>
+          <span class="ex-meta-pill" style="background:#ECFDF5;color:#059669;">${esc(String(s.completedExercises))}/${esc(String(s.totalExercises))} exercícios</span>
+          ${skipped.length ? `<span class="ex-meta-pill" style="background:#FFFBEB;color:#92400E;">${esc(String(skipped.length))} pulado(s)</span>` : ''}
+        </div>
+        ${skipped.length ? `<p style="font-size:0.78rem;color:#6B7280;margin:8px 0 0;">Pulados: ${esc(skipped.join(', '))}</p>` : ''}` : ''}`;
+      list.appendChild(item);
+    });
+  }
+
   document.addEventListener('keydown', e => {
     if (e.key === 'Escape') document.getElementById('feedbackModal')?.classList.remove('open');
   });
@@ -354,4 +635,5 @@ window.__pageInit = async function() {
 window.__pageCleanup = function() {
   delete window.showTab;
   delete window.toggleDone;
+  if (window.painBodyMap) window.painBodyMap.destroy();
 };
\ No newline at end of file
@@ -6,6 +6,43 @@
  * (incluindo páginas normais que não são embeds).
  *
  * Todas as correções CSP anteriores mantidas.
+ *
+ * Registro de séries (workoutLogs):
+ * - Cada exercício tem uma tabela de séries (carga, reps feitas, RPE) baseada
+ *   nas séries prescritas. Marcar todas as séries conclui o exercício.
+ * - "Marcar como feito" marca/desmarca todas as séries de uma vez.
+ * - Estado persistido em workoutLogs (um doc por aluno/treino/data) — antes
+ *   era um Set em memória, perdido ao recarregar a página.
+ *
+ * Periodização:
+ * - Treinos com mesociclo são resolvidos para a semana atual (a partir da data
+ *   de início do ciclo) antes de renderizar: séries/reps já vêm ajustadas e
+ *   cada exercício mostra o % de carga da semana. O log usa a prescrição resolvida.
+ *
+ * Descanso:
+ * - Concluir uma série inicia o cronômetro de descanso (js/restTimer.js) com o
+ *   tempo do campo `rest` do exercício. Texto sem tempo reconhecível não inicia.
+ *   Concluir o exercício inteiro (ou a última série) não inicia descanso.
+ *
+ * Sessão de treino (workoutSessions):
+ * - "Iniciar treino" abre uma sessão para o dia selecionado; o cronômetro do
+ *   topo mostra o tempo decorrido. Séries marcadas no dia da sessão guardam
+ *   `sessionId` na entrada do log.
+ *
+ * Local da dor:
+ * - Com dor, o modal de feedback mostra o mapa corporal (js/painBodyMap.js):
+ *   regiões + intensidade vão em `painRegions`; o campo de texto vira detalhe
+ *   opcional. É preciso marcar uma região ou escrever o local.
+ * - Envio pelo dbManager.saveFeedback (mesmo caminho do dashboard). Dia já
+ *   respondido abre o feedback salvo para edição até 24h após o envio
+ *   ("Editar Feedback"); depois disso o modal não abre e um toast avisa.
+ * - "Finalizar" grava duração, % de séries concluídas e exercícios pulados
+ *   (sem nenhuma série feita). Sessão aberta em outro dia é finalizada com o
+ *   log daquela data.
+ *
+ * Offline (js/offlineSync.js):
+ * - Treino e log do dia vêm do cache local quando não há rede; séries e
+ *   feedback ficam na fila e sincronizam ao reconectar (indicador no header).
  */
 window.__pageInit = async function() {
   const esc = window.esc || function(v) {
@@ -57,10 +94,16 @@ window.__pageInit = async function() {
   const jsToKey    = { 0:'sunday',1:'monday',2:'tuesday',3:'wednesday',4:'thursday',5:'friday',6:'saturday' };
   const todayKey   = jsToKey[new Date().getDay()];
 
-  let workout          = null;
-  let currentDay       = null;
-  let checkedExercises = {};
-  let currentFbDay     = null;
+  const logModel = window.workoutLogModel;
+  const logDate  = logModel.getLogDateKey();
+
+  let workout      = null;
+  let currentDay   = null;
+  let logEntries   = {};   // entryKey → entrada do workoutLogs
+  let saveTimers   = {};   // entryKey → timeout do debounce
+  let currentFbDay = null;
+  let fbEdit       = false; // modal aberto sobre feedback já enviado (até 24h)
+  let session      = null; // sessão em andamento (workoutSessions) ou null
 
   document.getElementById('logoutBtn').onclick = async () => { await authManager.logout(); router.goToLogin(); };
 
@@ -78,6 +121,14 @@ window.__pageInit = async function() {
     return DAYS_ORDER.find(d => days[d]?.length > 0) || DAYS_ORDER[0];
   }
 
+  function showToast(msg) {
+    const t = document.createElement('div');
+    t.style.cssText = 'position:fixed;bottom:24px;left:50%;transform:translateX(-50%);background:#0A0A0A;color:#fff;padding:12px 22px;border-radius:12px;font-size:0.875rem;font-weight:600;z-index:9999;';
+    t.textContent = msg;
+    document.body.appendChild(t);
+    setTimeout(() => t.remove(), 3000);
+  }
+
   function updateSliderGradient(input) {
     const pct = (input.value - input.min) / (input.max - input.min) * 100;
     input.style.background = `linear-gradient(to right, #00E676 ${pct}%, #EBEBEB ${pct}%)`;
@@ -87,14 +138,15 @@ window.__pageInit = async function() {
     const main      = document.getElementById('mainContent');
     const days      = workout.days || {};
     const activeDays = DAYS_ORDER.filter(d => days[d]?.length > 0);
-    DAYS_ORDER.forEach(d => { if (!checkedExercises[d]) checkedExercises[d] = new Set(); });
 
     main.innerHTML = `
       <div style="margin-bottom:28px;">
         <p style="color:#9CA3AF;font-size:0.72rem;font-weight:700;letter-spacing:0.08em;text-transform:uppercase;margin:0 0 5px;">SEU TREINO</p>
         <h1 style="font-size:1.7rem;font-weight:800;color:#0A0A0A;margin:0 0 6px;letter-spacing:-0.03em;">${esc(workout.name)}</h1>
         <p style="font-size:0.85rem;color:#6B7280;margin:0;">${esc(String(activeDays.length))} dias ativos na semana</p>
+        ${cycleBannerHtml()}
       </div>
+      <div id="sessionBar" style="margin-bottom:20px;"></div>
       <div class="day-tabs" style="margin-bottom:24px;" id="dayTabs"></div>
       <div id="dayProgress" style="margin-bottom:20px;"></div>
       <div id="dayExercises"></div>
@@ -106,14 +158,145 @@ window.__pageInit = async function() {
       const action  = btn.dataset.action;
       const dayKey  = btn.dataset.day;
       const idx     = btn.dataset.idx !== undefined ? parseInt(btn.dataset.idx, 10) : undefined;
+      const setIdx  = btn.dataset.set !== undefined ? parseInt(btn.dataset.set, 10) : undefined;
 
       if (action === 'switch-day' && dayKey)         switchDay(dayKey);
       else if (action === 'toggle-check' && dayKey)  toggleCheck(dayKey, idx);
+      else if (action === 'toggle-set' && dayKey)    toggleSet(dayKey, idx, setIdx);
+      else if (action === 'add-set' && dayKey)       addSet(dayKey, idx);
       else if (action === 'open-feedback' && dayKey) openFeedback(dayKey);
+      else if (action === 'start-session')           startSession(btn);
+      else if (action === 'finish-session')          finishSession(btn);
+    });
+
+    // Inputs de carga/reps/RPE — salvos no change (blur/enter), sem re-render
+    main.addEventListener('change', (e) => {
+      const input = e.target.closest('.fc-setlog__input');
+      if (input) updateSetField(input);
     });
 
     renderTabs(activeDays, days);
     renderDay(currentDay, days);
+    renderSessionBar();
+  }
+
+  // ── Sessão de treino ──────────────────────────────────────────
+
+  const sessionModel = window.workoutSessionModel;
+
+  function renderSessionBar(finished = null) {
+    const bar = document.getElementById('sessionBar');
+    if (!bar || !sessionModel) return;
+
+    if (finished) {
+      const skipped = finished.skippedExercises.length;
+      bar.innerHTML = `
+        <div style="display:flex;align-items:center;gap:12px;flex-wrap:wrap;background:#F0FDF4;border:2px solid #00E676;border-radius:14px;padding:14px 16px;">
+          <span style="font-size:0.9rem;font-weight:800;color:#065F46;">✓ Treino finalizado</span>
+          <span class="ex-chip" style="background:#fff;color:#0A0A0A;">⏱ ${esc(sessionModel.formatSessionDuration(finished.durationSec))}</span>
+          <span class="ex-chip" style="background:#fff;color:#0A0A0A;">${esc(String(finished.completionPct))}% das séries</span>
+          ${skipped ? `<span class="ex-chip" style="background:#FFFBEB;color:#92400E;">${esc(String(skipped))} pulado(s)</span>` : ''}
+        </div>`;
+      return;
+    }
+
+    if (!session) {
+      bar.innerHTML = `
+        <div style="display:flex;align-items:center;justify-content:space-between;gap:12px;flex-wrap:wrap;background:#fff;border:2px solid #E5E7EB;border-radius:14px;padding:14px 16px;">
+          <div>
+            <p style="font-size:0.9rem;font-weight:800;color:#0A0A0A;margin:0 0 2px;">Pronto para treinar?</p>
+            <p style="font-size:0.75rem;color:#9CA3AF;margin:0;">A sessão registra início, duração e o que foi feito.</p>
+          </div>
+          <button data-action="start-session" class="check-btn check-btn-todo" style="width:auto;padding:11px 18px;">▶ Iniciar treino</button>
+        </div>`;
+      return;
+    }
+
+    const otherDate = session.date !== logDate;
+    const label = otherDate
+      ? `Sessão aberta em ${esc(session.date.split('-').reverse().join('/'))}`
+      : `Treino de ${esc(DAYS_PT[session.dayOfWeek] || '')} em andamento`;
+    bar.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;gap:12px;flex-wrap:wrap;background:#0A0A0A;border-radius:14px;padding:14px 16px;">
+        <div style="display:flex;align-items:center;gap:12px;">
+          <span id="sessionClock" style="font-family:'DM Mono',monospace;font-size:1.4rem;color:#00E676;min-width:70px;">0:00</span>
+          <span style="font-size:0.8rem;font-weight:700;color:rgba(255,255,255,0.75);">${label}</span>
+        </div>
+        <button data-action="finish-session" class="check-btn" style="width:auto;padding:11px 18px;background:#00E676;color:#0A0A0A;">■ Finalizar</button>
+      </div>`;
+    startSessionClock();
+  }
+
+  // O intervalo para sozinho quando o relógio sai da tela (troca de página)
+  function startSessionClock() {
+    const clock = document.getElementById('sessionClock');
+    if (!clock || !session) return;
+    const update = () => {
+      clock.textContent = sessionModel.formatSessionClock((Date.now() - session.startedAt) / 1000);
+    };
+    update();
+    const timer = setInterval(() => {
+      if (!clock.isConnected || !session) { clearInterval(timer); return; }
+      update();
+    }, 1000);
+  }
+
+  async function startSession(btn) {
+    if (session) return;
+    btn.disabled = true;
+    const result = await dbManager.startWorkoutSession({
+      workoutId:   workout.id,
+      personalId:  workout.personalId,
+      workoutName: workout.name,
+      dayOfWeek:   currentDay,
+    });
+    if (!result.success) { btn.disabled = false; showToast('⚠ Não foi possível iniciar o treino'); return; }
+    session = result.session;
+    renderSessionBar();
+  }
+
+  async function finishSession(btn) {
+    if (!session) return;
+
+    const day       = session.dayOfWeek;
+    const entries   = session.date === logDate
+      ? logEntries
+      : ((await dbManager.getWorkoutLog(workout.id, session.date))?.exercises || {});
+    const summary   = sessionModel.summarizeWorkoutSession(workout.days?.[day], entries, day);
+    const skipped   = summary.skippedExercises.length;
+    if (summary.completionPct < 100 &&
+        !confirm(`Finalizar com ${summary.completionPct}% das séries feitas?${skipped ? ` ${skipped} exercício(s) ficam como pulados.` : ''}`)) return;
+
+    btn.disabled = true;
+    const finishedAtMs = Date.now();
+    const data = {
+      ...summary,
+      id:          session.id,
+      workoutId:   workout.id,
+      finishedAtMs,
+      durationSec: sessionModel.getSessionDurationSec(session.startedAt, finishedAtMs),
+    };
+    const result = await dbManager.finishWorkoutSession(data);
+    if (!result.success) { btn.disabled = false; showToast('⚠ Não foi possível finalizar o treino'); return; }
+
+    session = null;
+    renderSessionBar(data);
+    showToast(result.queued ? '✓ Treino finalizado — será enviado ao reconectar' : '✓ Treino finalizado!');
+  }
+
+  function cycleBannerHtml() {
+    const cw = workout.cycleWeek;
+    if (!cw) return '';
+    const m = cw.modifier;
+    const status = cw.status === 'upcoming' ? 'ciclo ainda não começou'
+      : cw.status === 'finished' ? 'ciclo encerrado, fale com seu personal' : '';
+    return `
+      <div style="margin-top:12px;display:flex;gap:8px;flex-wrap:wrap;align-items:center;background:${m.deload ? '#FFFBEB' : '#F4F4F4'};border:1px solid ${m.deload ? '#FDE68A' : '#EBEBEB'};border-radius:10px;padding:9px 12px;">
+        <span style="font-size:0.8rem;font-weight:800;color:#0A0A0A;">Semana ${esc(String(cw.week))} de ${esc(String(cw.weeks))}</span>
+        ${m.deload ? '<span style="font-size:0.72rem;font-weight:700;color:#92400E;">↓ Deload — reduza o esforço esta semana</span>' : ''}
+        ${m.loadPct !== 100 ? `<span style="font-size:0.72rem;font-weight:700;color:#374151;">Carga ${esc(String(m.loadPct))}% da referência</span>` : ''}
+        ${status ? `<span style="font-size:0.72rem;color:#6B7280;">${esc(status)}</span>` : ''}
+      </div>`;
   }
 
   function renderTabs(activeDays, days) {
@@ -140,9 +323,8 @@ window.__pageInit = async function() {
 
   function renderDay(dayKey, days) {
     const exercises = days?.[dayKey] || [];
-    const checked   = checkedExercises[dayKey] || new Set();
     const total     = exercises.length;
-    const done      = checked.size;
+    const done      = exercises.filter((_, idx) => isExerciseDone(dayKey, idx)).length;
     const pct       = total > 0 ? Math.round((done / total) * 100) : 0;
 
     const progressEl = document.getElementById('dayProgress');
@@ -174,7 +356,7 @@ window.__pageInit = async function() {
     const frag = document.createDocumentFragment();
 
     exercises.forEach((ex, idx) => {
-      const isDone   = checked.has(idx);
+      const isDone   = isExerciseDone(dayKey, idx);
       const exName   = esc(ex.exerciseName || ex.name || 'Exercício');
       const exMuscle = esc(ex.muscleGroup  || ex.muscle || '');
       const exSets   = esc(String(ex.sets  || '—'));
@@ -200,10 +382,12 @@ window.__pageInit = async function() {
           <div style="display:flex;gap:7px;flex-wrap:wrap;margin-bottom:${exVideo||exObs?'14px':'12px'};">
             <span style="display:inline-flex;align-items:center;padding:5px 12px;border-radius:8px;font-size:0.75rem;font-weight:700;background:#0A0A0A;color:#fff;">${exSets} séries × ${exReps}</span>
             ${exRest ? `<span style="display:inline-flex;align-items:center;padding:5px 12px;border-radius:8px;font-size:0.75rem;font-weight:700;background:#F4F4F4;color:#6B7280;">⏱ ${exRest}</span>` : ''}
+            ${ex.loadPct && ex.loadPct !== 100 ? `<span style="display:inline-flex;align-items:center;padding:5px 12px;border-radius:8px;font-size:0.75rem;font-weight:700;background:#FFFBEB;color:#92400E;">${esc(String(ex.loadPct))}% carga</span>` : ''}
           </div>
           ${exObs ? `<div style="background:#FFFBEB;border:1px solid #FDE68A;border-radius:8px;padding:9px 12px;margin-bottom:12px;display:flex;gap:7px;align-items:flex-start;"><span style="font-size:0.85rem;flex-shrink:0;">💡</span><p style="font-size:0.8rem;color:#92400E;margin:0;line-height:1.5;">${exObs}</p></div>` : ''}
           ${exVideo ? `<div style="position:relative;width:100%;padding-bottom:56.25%;border-radius:10px;overflow:hidden;background:#000;margin-top:14px;"><iframe src="${exVideo}" allow="accelerometer;autoplay;clipboard-write;encrypted-media;gyroscope;picture-in-picture" allowfullscreen loading="lazy" sandbox="allow-scripts allow-same-origin allow-presentation" style="position:absolute;inset:0;width:100%;height:100%;border:none;"></iframe></div>` : ''}
-          <div style="margin-top:14px;">
+          <div style="margin-top:14px;">${renderSetLog(dayKey, idx)}</div>
+          <div style="margin-top:10px;">
             <button class="${isDone ? 'check-btn check-btn-done' : 'check-btn check-btn-todo'}"
               data-action="toggle-check" data-day="${dayKey}" data-idx="${idx}"
               style="width:100%;padding:12px;border:none;border-radius:10px;font-size:0.875rem;font-weight:700;cursor:pointer;display:flex;align-items:center;justify-content:center;gap:8px;transition:all 0.25s;font-family:inherit;${isDone?'background:#D1FAE5;color:#065F46;':'background:#0A0A0A;color:#fff;'}">
@@ -239,30 +423,155 @@ window.__pageInit = async function() {
     renderDay(dayKey, workout.days);
   }
 
+  // ── Registro de séries ────────────────────────────────────────
+
+  // Entrada pelo nome do exercício — reordenar o treino não troca as cargas
+  function getEntry(dayKey, idx) {
+    const { key, entry } = logModel.resolveLogEntry(logEntries, dayKey, workout.days?.[dayKey], idx);
+    logEntries[key] = entry;
+    return entry;
+  }
+
+  function isExerciseDone(dayKey, idx) {
+    return !!logModel.findLogEntry(logEntries, dayKey, workout.days?.[dayKey], idx)?.done;
+  }
+
+  function renderSetLog(dayKey, idx) {
+    const entry = getEntry(dayKey, idx);
+    const attrs = `data-day="${dayKey}" data-idx="${idx}"`;
+    const val   = v => (v === null || v === undefined ? '' : esc(String(v)));
+
+    const rows = entry.sets.map((s, i) => `
+      <div class="fc-setlog__row${s.done ? ' fc-setlog__row--done' : ''}">
+        <span class="fc-setlog__num">${i + 1}</span>
+        <input class="fc-setlog__input" type="text" inputmode="decimal" autocomplete="off" data-field="weight" ${attrs} data-set="${i}" value="${val(s.weight)}" placeholder="kg" aria-label="Carga da série ${i + 1}">
+        <input class="fc-setlog__input" type="text" inputmode="numeric" autocomplete="off" data-field="reps" ${attrs} data-set="${i}" value="${val(s.reps)}" placeholder="${esc(entry.prescribedReps || 'reps')}" aria-label="Repetições da série ${i + 1}">
+        <input class="fc-setlog__input" type="text" inputmode="decimal" autocomplete="off" data-field="rpe" ${attrs} data-set="${i}" value="${val(s.rpe)}" placeholder="—" aria-label="RPE da série ${i + 1}">
+        <button class="fc-setlog__check${s.done ? ' fc-setlog__check--done' : ''}" data-action="toggle-set" ${attrs} data-set="${i}" aria-label="Concluir série ${i + 1}">✓</button>
+      </div>`).join('');
+
+    return `
+      <div class="fc-setlog">
+        <div class="fc-setlog__row fc-setlog__row--head"><span style="text-align:center;">Série</span><span>Carga (kg)</span><span>Reps</span><span>RPE</span><span></span></div>
+        ${rows}
+        ${entry.sets.length < logModel.MAX_SETS ? `<button class="fc-setlog__add" data-action="add-set" ${attrs}>+ Adicionar série</button>` : ''}
+      </div>`;
+  }
+
   function toggleCheck(dayKey, idx) {
-    if (!checkedExercises[dayKey]) checkedExercises[dayKey] = new Set();
-    const set = checkedExercises[dayKey];
-    if (set.has(idx)) set.delete(idx); else set.add(idx);
+    const entry = getEntry(dayKey, idx);
+    const done  = !entry.done;
+    entry.sets.forEach(s => { s.done = done; });
+    entry.done = done;
+    renderDay(dayKey, workout.days);
+    persistEntry(dayKey, idx, 0);
+  }
+
+  function toggleSet(dayKey, idx, setIdx) {
+    const entry = getEntry(dayKey, idx);
+    const set   = entry.sets[setIdx];
+    if (!set) return;
+    set.done   = !set.done;
+    entry.done = logModel.isLogEntryComplete(entry);
     renderDay(dayKey, workout.days);
+    persistEntry(dayKey, idx, 0);
+    if (set.done && !entry.done) startRest(workout.days?.[dayKey]?.[idx]);
+  }
+
+  function startRest(ex) {
+    if (!window.restTimer || !ex) return;
+    const seconds = restTimer.parseRestSeconds(ex.rest);
+    if (seconds) restTimer.start(seconds, { label: ex.exerciseName || ex.name || '' });
   }
 
-  function openFeedback(dayKey) {
+  function addSet(dayKey, idx) {
+    const entry = getEntry(dayKey, idx);
+    if (entry.sets.length >= logModel.MAX_SETS) return;
+    const last = entry.sets[entry.sets.length - 1];
+    entry.sets.push({ weight: last?.weight ?? null, reps: null, rpe: null, done: false });
+    entry.done = false;
+    renderDay(dayKey, workout.days);
+    persistEntry(dayKey, idx);
+  }
+
+  function updateSetField(input) {
+    const { field, day } = input.dataset;
+    const idx    = parseInt(input.dataset.idx, 10);
+    const setIdx = parseInt(input.dataset.set, 10);
+    const entry  = getEntry(day, idx);
+    const set    = entry.sets[setIdx];
+    if (!set) return;
+
+    const raw   = input.value.trim();
+    const value = logModel.normalizeSetValue(field, raw);
+    const invalid = raw !== '' && value === null;
+    input.classList.toggle('fc-setlog__input--invalid', invalid);
+    if (invalid) return;
+
+    set[field]  = value;
+    input.value = value === null ? '' : String(value);
+    persistEntry(day, idx);
+  }
+
+  // Debounce por exercício: várias alterações seguidas viram uma escrita
+  function persistEntry(dayKey, idx, delay = 600) {
+    const key = logModel.getExerciseLogKey(dayKey, workout.days?.[dayKey], idx);
+    clearTimeout(saveTimers[key]);
+    saveTimers[key] = setTimeout(async () => {
+      delete saveTimers[key];
+      const entry = getEntry(dayKey, idx);
+      if (session && session.dayOfWeek === dayKey && session.date === logDate) entry.sessionId = session.id;
+      const result = await dbManager.saveWorkoutLogEntry({
+        workoutId:  workout.id,
+        personalId: workout.personalId,
+        entry,
+        date:       logDate,
+      });
+      if (!result.success) showToast('⚠ Não foi possível salvar a série');
+    }, delay);
+  }
+
+  // Marca o radio (e o label) de um grupo do modal de feedback
+  function selectFbOption(name, labelClass, value) {
+    document.querySelectorAll(`.${labelClass}`).forEach(l => {
+      const input = l.querySelector(`input[name="${name}"]`);
+      const on    = input?.value === value;
+      if (input) input.checked = on;
+      l.classList.toggle('selected', on);
+    });
+  }
+
+  // Feedback já enviado para o dia: edita dentro de 24h, senão só avisa
+  async function openFeedback(dayKey) {
+    const existing = await dbManager.getFeedbackForDay(workout.id, dayKey);
+    if (existing && !feedbackModel.canEditFeedback(existing)) {
+      showToast('✓ Você já enviou o feedback deste dia');
+      return;
+    }
+
     currentFbDay = dayKey;
+    fbEdit       = !!existing;
+    const effort = existing?.effortLevel || 5;
     const slider = document.getElementById('effortRange');
-    if (slider) { slider.value = 5; updateSliderGradient(slider); }
-    document.getElementById('effortVal').textContent = '5';
-    document.querySelectorAll('.fb-sensation-label').forEach(l => l.classList.remove('selected'));
-    document.getElementById('sIdeal')?.classList.add('selected');
-    document.querySelectorAll('.fb-pain-label').forEach(l => l.classList.remove('selected'));
-    document.getElementById('hasPainNao')?.classList.add('selected');
+    if (slider) { slider.value = effort; updateSliderGradient(slider); }
+    document.getElementById('effortVal').textContent = String(effort);
+    selectFbOption('fbSensation', 'fb-sensation-label', existing?.sensation || 'ideal');
+    selectFbOption('fbHasPain', 'fb-pain-label', existing?.hasPain ? 'true' : 'false');
     const painLocGroup = document.getElementById('painLocGroup');
-    if (painLocGroup) painLocGroup.style.display = 'none';
+    if (painLocGroup) painLocGroup.style.display = existing?.hasPain ? 'block' : 'none';
     const loc     = document.getElementById('painLoc');
     const comment = document.getElementById('fbComment');
     const errDiv  = document.getElementById('fbError');
-    if (loc)     loc.value            = '';
-    if (comment) comment.value        = '';
+    if (loc)     loc.value            = existing?.painLocation || '';
+    if (comment) comment.value        = existing?.comment || '';
+    if (window.painBodyMap) {
+      if (existing) painBodyMap.setValue(existing.painRegions);
+      else painBodyMap.reset();
+    }
     if (errDiv)  errDiv.style.display = 'none';
+    document.getElementById('fbTitle').textContent     = fbEdit ? 'Editar Feedback' : 'Enviar Feedback';
+    document.getElementById('fbSubmit').textContent    = fbEdit ? 'Salvar alterações' : 'Enviar Feedback';
+    document.getElementById('fbEditHint').style.display = fbEdit ? 'block' : 'none';
     document.getElementById('fbOverlay')?.classList.add('open');
   }
 
@@ -301,34 +610,37 @@ window.__pageInit = async function() {
     if (errDiv) errDiv.style.display = 'none';
     const hasPainInput = document.querySelector('input[name="fbHasPain"]:checked');
     if (!hasPainInput) { if (errDiv) { errDiv.textContent = 'Informe se sentiu dor.'; errDiv.style.display = 'block'; } return; }
+    const hasPainVal  = hasPainInput.value === 'true';
+    const painRegions = hasPainVal ? (window.painBodyMap?.getValue() || {}) : {};
+    const painText    = hasPainVal ? document.getElementById('painLoc').value.trim() : '';
+    if (hasPainVal && !painText && Object.keys(painRegions).length === 0) {
+      if (errDiv) { errDiv.textContent = 'Marque no mapa (ou descreva) onde sentiu dor.'; errDiv.style.display = 'block'; }
+      return;
+    }
     const btn = document.getElementById('fbSubmit');
     btn.innerHTML = '<span style="display:inline-block;width:18px;height:18px;border:3px solid rgba(0,0,0,0.15);border-top-color:#0A0A0A;border-radius:50%;animation:spin 0.8s linear infinite;vertical-align:middle;"></span>';
     btn.disabled  = true;
     try {
-      const hasPainVal = hasPainInput.value === 'true';
       const sensation  = document.querySelector('input[name="fbSensation"]:checked')?.value || 'ideal';
-      const result     = await dbManager.createFeedback({
-        workoutId:   workout.id, dayOfWeek: currentFbDay,
+      const result     = await dbManager.saveFeedback({
+        workoutId:   workout.id, workoutName: workout.name, dayOfWeek: currentFbDay,
         effortLevel: parseInt(document.getElementById('effortRange').value),
         sensation, hasPain: hasPainVal,
-        painLocation: hasPainVal ? document.getElementById('painLoc').value.trim() : '',
+        painLocation: painText, painRegions,
         comment:      document.getElementById('fbComment').value.trim(),
-        weekIdentifier: window.feedbackModel?.getCurrentWeekIdentifier?.() || null,
+        weekIdentifier: feedbackModel.getCurrentWeekIdentifier(),
+        edit:         fbEdit,
       });
       if (result.success !== false) {
         closeFeedback();
-        const t = document.createElement('div');
-        t.style.cssText = 'position:fixed;bottom:24px;left:50%;transform:translateX(-50%);background:#0A0A0A;color:#fff;padding:12px 22px;border-radius:12px;font-size:0.875rem;font-weight:600;z-index:9999;';
-        t.innerHTML = '✓ Feedback enviado!';
-        document.body.appendChild(t);
-        setTimeout(() => t.remove(), 3000);
+        showToast(result.queued ? '✓ Feedback salvo — será enviado ao reconectar' : result.edited ? '✓ Feedback atualizado!' : '✓ Feedback enviado!');
       } else {
         if (errDiv) { errDiv.textContent = result.error || 'Erro ao enviar.'; errDiv.style.display = 'block'; }
       }
     } catch (e) {
       if (errDiv) { errDiv.textContent = 'Erro inesperado: ' + e.message; errDiv.style.display = 'block'; }
     }
-    btn.innerHTML = 'Enviar Feedback'; btn.disabled = false;
+    btn.textContent = fbEdit ? 'Salvar alterações' : 'Enviar Feedback'; btn.disabled = false;
   });
 
   // Init
@@ -340,10 +652,17 @@ window.__pageInit = async function() {
   try {
     workout = await dbManager.getWorkout(workoutId);
     if (!workout) { document.getElementById('mainContent').innerHTML = '<p style="text-align:center;color:#BE123C;padding:80px;">Treino não encontrado.</p>'; return; }
+    // Mesociclo: prescrição da semana atual (sem ciclo, retorna o próprio treino)
+    if (window.mesocycleModel) workout = mesocycleModel.resolveWorkoutForDate(workout);
     sessionStorage.removeItem('viewWorkoutId');
     sessionStorage.removeItem('viewWorkoutDay');
     currentDay = getInitialDay(workout.days || {});
+    const log  = await dbManager.getWorkoutLog(workout.id, logDate);
+    logEntries = { ...(log?.exercises || {}) };
+    session    = await dbManager.getActiveWorkoutSession(workout.id);
     renderPage();
+    if (window.restTimer) restTimer.mount(document.getElementById('restTimerSlot'));
+    if (window.painBodyMap) painBodyMap.mount(document.getElementById('painBodyMapSlot'));
     if (effortRangeEl) updateSliderGradient(effortRangeEl);
   } catch (e) {
     document.getElementById('mainContent').innerHTML = `<p style="text-align:center;color:#BE123C;padding:80px;">Erro: ${esc(e.message)}</p>`;
@@ -353,5 +672,7 @@ window.__pageInit = async function() {
 };
 
 window.__pageCleanup = function() {
-  // sem globals para limpar
+  // escritas pendentes do debounce completam sozinhas
+  if (window.restTimer) window.restTimer.destroy();
+  if (window.painBodyMap) window.painBodyMap.destroy();
 };
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * js/painBodyMap.js
+ *
+ * Mapa corporal para o aluno marcar onde sente dor (modal de feedback).
+ *
+ * - A página monta o mapa em um slot próprio (#painBodyMapSlot), chama reset()
+ *   ao abrir o modal e lê getValue() no envio: { código: intensidade | null },
+ *   com os códigos de feedbackModel.PAIN_REGIONS (ex.: knee_left, lower_back).
+ *   Na edição de um feedback já enviado, setValue() remarca as regiões.
+ * - Vista de frente e de costas. Na frente o lado esquerdo do aluno aparece à
+ *   direita de quem olha (como num espelho invertido) — as marcas E/D indicam.
+ * - Intensidade opcional (1–10) por região, escolhida na lista abaixo do mapa.
+ * - Sem onclick inline (CSP): ações via data-body-action / data-body-region.
+ */
+
+// Formas do lado esquerdo do desenho (viewBox 0 0 100 184); o outro lado é
+// espelhado em x. `side: true` → região com _left/_right.
+const PAIN_BODY_SHAPES = {
+  front: [
+    { region: 'head',     tag: 'ellipse', attrs: { cx: 50, cy: 16, rx: 10, ry: 12 } },
+    { region: 'neck',     tag: 'rect',    attrs: { x: 45, y: 28, width: 10, height: 7, rx: 2 } },
+    { region: 'chest',    tag: 'rect',    attrs: { x: 36, y: 36, width: 28, height: 22, rx: 4 } },
+    { region: 'abdomen',  tag: 'rect',    attrs: { x: 38, y: 59, width: 24, height: 22, rx: 4 } },
+    { region: 'shoulder', side: true, tag: 'ellipse', attrs: { cx: 30, cy: 40, rx: 6, ry: 5 } },
+    { region: 'arm',      side: true, tag: 'rect',    attrs: { x: 23, y: 45, width: 8, height: 20, rx: 3 } },
+    { region: 'elbow',    side: true, tag: 'ellipse', attrs: { cx: 26, cy: 69, rx: 4, ry: 4 } },
+    { region: 'forearm',  side: true, tag: 'rect',    attrs: { x: 20, y: 73, width: 8, height: 18, rx: 3 } },
+    { region: 'wrist',    side: true, tag: 'rect',    attrs: { x: 18, y: 92, width: 8, height: 6, rx: 2 } },
+    { region: 'hip',      side: true, tag: 'rect',    attrs: { x: 37, y: 82, width: 12, height: 10, rx: 3 } },
+    { region: 'thigh',    side: true, tag: 'rect',    attrs: { x: 37, y: 93, width: 12, height: 32, rx: 4 } },
+    { region: 'knee',     side: true, tag: 'ellipse', attrs: { cx: 43, cy: 130, rx: 6, ry: 5 } },
+    { region: 'shin',     side: true, tag: 'rect',    attrs: { x: 38, y: 136, width: 10, height: 34, rx: 3 } },
+    { region: 'ankle',    side: true, tag: 'rect',    attrs: { x: 38, y: 172, width: 10, height: 7, rx: 2 } },
+  ],
+  back: [
+    { region: 'head',       tag: 'ellipse', attrs: { cx: 50, cy: 16, rx: 10, ry: 12 } },
+    { region: 'neck',       tag: 'rect',    attrs: { x: 45, y: 28, width: 10, height: 7, rx: 2 } },
+    { region: 'upper_back', tag: 'rect',    attrs: { x: 36, y: 36, width: 28, height: 26, rx: 4 } },
+    { region: 'lower_back', tag: 'rect',    attrs: { x: 38, y: 63, width: 24, height: 18, rx: 4 } },
+    { region: 'shoulder',  side: true, tag: 'ellipse', attrs: { cx: 30, cy: 40, rx: 6, ry: 5 } },
+    { region: 'arm',       side: true, tag: 'rect',    attrs: { x: 23, y: 45, width: 8, height: 20, rx: 3 } },
+    { region: 'elbow',     side: true, tag: 'ellipse', attrs: { cx: 26, cy: 69, rx: 4, ry: 4 } },
+    { region: 'forearm',   side: true, tag: 'rect',    attrs: { x: 20, y: 73, width: 8, height: 18, rx: 3 } },
+    { region: 'wrist',     side: true, tag: 'rect',    attrs: { x: 18, y: 92, width: 8, height: 6, rx: 2 } },
+    { region: 'glute',     side: true, tag: 'rect',    attrs: { x: 37, y: 82, width: 12, height: 16, rx: 4 } },
+    { region: 'hamstring', side: true, tag: 'rect',    attrs: { x: 37, y: 99, width: 12, height: 26, rx: 4 } },
+    { region: 'knee',      side: true, tag: 'ellipse', attrs: { cx: 43, cy: 130, rx: 6, ry: 5 } },
+    { region: 'calf',      side: true, tag: 'rect',    attrs: { x: 38, y: 136, width: 10, height: 34, rx: 3 } },
+    { region: 'ankle',     side: true, tag: 'rect',    attrs: { x: 38, y: 172, width: 10, height: 7, rx: 2 } },
+  ],
+};
+
+class PainBodyMap {
+  constructor() {
+    this._slot    = null;
+    this._view    = 'front';
+    this._regions = {};       // { código: intensidade | null }
+    this._onClick  = this._onClick.bind(this);
+    this._onChange = this._onChange.bind(this);
+  }
+
+  mount(slot) {
+    if (!slot) return;
+    this.destroy();
+    this._slot = slot;
+    slot.className = 'fc-body';
+    slot.addEventListener('click', this._onClick);
+    slot.addEventListener('change', this._onChange);
+    this.reset();
+  }
+
+  /**
+   * Limpa a seleção e volta para a vista de frente
+   */
+  reset() {
+    this._view    = 'front';
+    this._regions = {};
+    this._render();
+  }
+
+  /**
+   * Regiões marcadas no formato salvo no feedback
+   */
+  getValue() {
+    return this._model()?.normalizePainRegions(this._regions) || {};
+  }
+
+  /**
+   * Marca as regiões de um feedback salvo (edição)
+   */
+  setValue(regions) {
+    this._view    = 'front';
+    this._regions = { ...(this._model()?.normalizePainRegions(regions) || {}) };
+    this._render();
+  }
+
+  destroy() {
+    if (this._slot) {
+      this._slot.removeEventListener('click', this._onClick);
+      this._slot.removeEventListener('change', this._onChange);
+      this._slot.innerHTML = '';
+    }
+    this._slot    = null;
+    this._regions = {};
+  }
+
+  // ── Internos ───────────────────────────────────────────────────────
+
+  _isMounted() {
+    return !!(this._slot && this._slot.isConnected);
+  }
+
+  _model() {
+    return window.feedbackModel || null;
+  }
+
+  _label(code) {
+    return this._model()?.getPainRegionLabel(code) || code;
+  }
+
+  // Código da forma: na frente o lado esquerdo do desenho é o direito do aluno
+  _code(shape, mirrored) {
+    if (!shape.side) return shape.region;
+    const drawnLeft = !mirrored;
+    const isRight   = this._view === 'front' ? drawnLeft : !drawnLeft;
+    return `${shape.region}_${isRight ? 'right' : 'left'}`;
+  }
+
+  _shapeSvg(shape, mirrored) {
+    const code  = this._code(shape, mirrored);
+    const attrs = { ...shape.attrs };
+    if (mirrored) {
+      if (shape.tag === 'ellipse') attrs.cx = 100 - attrs.cx;
+      else attrs.x = 100 - attrs.x - attrs.width;
+    }
+    const on   = Object.prototype.hasOwnProperty.call(this._regions, code);
+    const attr = Object.entries(attrs).map(([k, v]) => `${k}="${v}"`).join(' ');
+    return `<${shape.tag} ${attr} class="fc-body__part${on ? ' fc-body__part--on' : ''}" data-body-region="${code}"><title>${this._label(code)}</title></${shape.tag}>`;
+  }
+
+  _render() {
+    if (!this._isMounted()) return;
+
+    const shapes = PAIN_BODY_SHAPES[this._view]
+      .flatMap(shape => shape.side ? [this._shapeSvg(shape, false), this._shapeSvg(shape, true)] : [this._shapeSvg(shape, false)])
+      .join('');
+    const [leftMark, rightMark] = this._view === 'front' ? ['D', 'E'] : ['E', 'D'];
+
+    const selected = Object.keys(this.getValue());
+    const options  = n => ['<option value="">Intensidade</option>']
+      .concat(Array.from({ length: 10 }, (_, i) => `<option value="${i + 1}"${n === i + 1 ? ' selected' : ''}>${i + 1}</option>`))
+      .join('');
+
+    this._slot.innerHTML = `
+      <div class="fc-body__tabs">
+        <button type="button" class="fc-body__tab${this._view === 'front' ? ' fc-body__tab--on' : ''}" data-body-action="view" data-view="front">Frente</button>
+        <button type="button" class="fc-body__tab${this._view === 'back' ? ' fc-body__tab--on' : ''}" data-body-action="view" data-view="back">Costas</button>
+      </div>
+      <svg class="fc-body__svg" viewBox="0 0 100 184" role="group" aria-label="Mapa corporal — ${this._view === 'front' ? 'frente' : 'costas'}">
+        <text x="6" y="12" class="fc-body__mark">${leftMark}</text>
+        <text x="94" y="12" class="fc-body__mark" text-anchor="end">${rightMark}</text>
+        ${shapes}
+      </svg>
+      <p class="fc-body__hint">${selected.length ? 'Toque de novo para desmarcar' : 'Toque nas regiões onde sente dor'}</p>
+      ${selected.length ? `<ul class="fc-body__list">${selected.map(code => `
+        <li class="fc-body__item">
+          <span class="fc-body__name">${this._label(code)}</span>
+          <select class="fc-body__select" data-body-intensity="${code}" aria-label="Intensidade — ${this._label(code)}">${options(this._regions[code])}</select>
+          <button type="button" class="fc-body__remove" data-body-action="remove" data-region="${code}" aria-label="Remover ${this._label(code)}">✕</button>
+        </li>`).join('')}</ul>` : ''}`;
+  }
+
+  _toggle(code) {
+    if (Object.prototype.hasOwnProperty.call(this._regions, code)) delete this._regions[code];
+    else this._regions[code] = null;
+    this._render();
+  }
+
+  _onClick(e) {
+    const part = e.target.closest('[data-body-region]');
+    if (part) { this._toggle(part.dataset.bodyRegion); return; }
+
+    const btn = e.target.closest('[data-body-action]');
+    if (!btn) return;
+    if (btn.dataset.bodyAction === 'view')   { this._view = btn.dataset.view === 'back' ? 'back' : 'front'; this._render(); }
+    if (btn.dataset.bodyAction === 'remove') { delete this._regions[btn.dataset.region]; this._render(); }
+  }
+
+  _onChange(e) {
+    const select = e.target.closest('[data-body-intensity]');
+    if (!select) return;
+    const code = select.dataset.bodyIntensity;
+    if (Object.prototype.hasOwnProperty.call(this._regions, code)) {
+      this._regions[code] = select.value ? parseInt(select.value, 10) : null;
+    }
+  }
+}
+
+const painBodyMap = new PainBodyMap();
+window.painBodyMap = painBodyMap;
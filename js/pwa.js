@@ -0,0 +1,77 @@
+/**
+ * js/pwa.js
+ *
+ * Registro do service worker (sw.js) e aviso de nova versão.
+ *
+ * - Só registra em HTTPS fora de localhost: em desenvolvimento o cache
+ *   cache-first do sw.js esconderia as alterações nos arquivos.
+ * - Quando uma versão nova termina de instalar (fica "waiting"), mostra o
+ *   aviso "Nova versão disponível". "Atualizar" manda SKIP_WAITING e a página
+ *   recarrega ao trocar o controller; "Depois" só fecha o aviso (a versão
+ *   nova assume quando todas as abas forem fechadas).
+ * - Procura atualização ao voltar para a aba (visibilitychange).
+ * - Sem onclick inline (CSP): listeners adicionados após criar o aviso.
+ */
+
+(function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  const isLocal = ['localhost', '127.0.0.1'].includes(location.hostname);
+  if (location.protocol !== 'https:' || isLocal) return;
+
+  let refreshing = false;
+
+  function showUpdateBanner(worker) {
+    if (document.getElementById('fcUpdateBanner')) return;
+
+    const banner = document.createElement('div');
+    banner.id        = 'fcUpdateBanner';
+    banner.className = 'fc-update';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `
+      <span class="fc-update__text">Nova versão do Featym disponível.</span>
+      <button type="button" class="fc-update__btn fc-update__btn--primary" data-update-action="apply">Atualizar</button>
+      <button type="button" class="fc-update__btn" data-update-action="dismiss">Depois</button>
+    `;
+
+    banner.addEventListener('click', e => {
+      const action = e.target.closest('[data-update-action]')?.dataset.updateAction;
+      if (action === 'apply') {
+        refreshing = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      }
+      if (action) banner.remove();
+    });
+
+    document.body.appendChild(banner);
+  }
+
+  function trackInstalling(worker) {
+    worker.addEventListener('statechange', () => {
+      // Com controller = atualização (na primeira instalação não há o que avisar)
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+    });
+  }
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!refreshing) return;
+    refreshing = false;
+    window.location.reload();
+  });
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+
+      if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+      if (registration.installing) trackInstalling(registration.installing);
+      registration.addEventListener('updatefound', () => trackInstalling(registration.installing));
+
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+      });
+    } catch (err) {
+      console.warn('[pwa] Falha ao registrar service worker:', err.message);
+    }
+  });
+})();
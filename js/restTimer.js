@@ -0,0 +1,270 @@
+/**
+ * js/restTimer.js
+ *
+ * Cronômetro de descanso entre séries (páginas do aluno).
+ *
+ * - A página monta o timer em um slot próprio (#restTimerSlot) e chama
+ *   start(segundos) quando uma série é concluída. O tempo vem do campo livre
+ *   `rest` do exercício ("90s", "2min", "1:30") via parseRestSeconds().
+ * - Baseado em timestamp (fim = Date.now() + duração): o intervalo só
+ *   redesenha, então o tempo continua certo com a aba em segundo plano
+ *   (navegadores atrasam timers de abas ocultas). Ao voltar para a aba o
+ *   estado é recalculado na hora (visibilitychange).
+ * - Ao terminar: bipe pela Web Audio API e vibração onde houver suporte.
+ *   O AudioContext é criado/retomado no start() — sempre disparado por um
+ *   clique — para não ser bloqueado pela política de autoplay.
+ * - Sem onclick inline (CSP): ações via data-rest-action.
+ */
+
+const REST_TIMER_MAX_SECONDS = 1800;
+const REST_TIMER_STEP        = 15;
+
+/**
+ * Segundos a partir do texto de descanso.
+ * "90s" → 90 · "90" → 90 · "2min" → 120 · "1m30s" → 90 · "1:30" → 90 · "1,5 min" → 90
+ * Retorna null quando não há tempo reconhecível.
+ */
+function parseRestSeconds(text) {
+  const str = String(text ?? '').toLowerCase().replace(',', '.').trim();
+  if (!str) return null;
+
+  let seconds = null;
+  const clock = str.match(/^(\d+):(\d{1,2})$/);
+  const parts = str.match(/^(?:(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutos?|'))?\s*(?:(\d+)\s*(?:s|seg|segundos?|"))?$/);
+
+  if (clock) {
+    seconds = parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+  } else if (/^\d+(\.\d+)?$/.test(str)) {
+    seconds = Math.round(parseFloat(str));
+  } else if (parts && (parts[1] || parts[2])) {
+    seconds = Math.round(parseFloat(parts[1] || 0) * 60) + parseInt(parts[2] || 0, 10);
+  }
+
+  if (!seconds || seconds <= 0) return null;
+  return Math.min(seconds, REST_TIMER_MAX_SECONDS);
+}
+
+class RestTimer {
+  constructor() {
+    this._slot      = null;
+    this._endAt     = 0;      // timestamp (ms) do fim — só quando rodando
+    this._remaining = 0;      // ms restantes — quando pausado
+    this._total     = 0;      // ms da contagem atual (barra de progresso)
+    this._paused    = false;
+    this._running   = false;
+    this._label     = '';
+    this._interval  = null;
+    this._endTimer  = null;
+    this._hideTimer = null;
+    this._audio     = null;
+    this._onVisibility = this._onVisibility.bind(this);
+  }
+
+  mount(slot) {
+    if (!slot) return;
+    this.stop();
+    this._slot = slot;
+    slot.className = 'fc-rest';
+    slot.hidden    = true;
+    slot.addEventListener('click', e => this._onSlotClick(e));
+    document.removeEventListener('visibilitychange', this._onVisibility);
+    document.addEventListener('visibilitychange', this._onVisibility);
+  }
+
+  /**
+   * Inicia (ou reinicia) a contagem
+   */
+  start(seconds, { label = '' } = {}) {
+    if (!this._isMounted() || !(seconds > 0)) return;
+    this._unlockAudio();
+    clearTimeout(this._hideTimer);
+
+    this._total     = seconds * 1000;
+    this._endAt     = Date.now() + this._total;
+    this._remaining = this._total;
+    this._paused    = false;
+    this._running   = true;
+    this._label     = label;
+    this._schedule();
+    this._render();
+  }
+
+  togglePause() {
+    if (!this._running) return;
+    if (this._paused) {
+      this._endAt  = Date.now() + this._remaining;
+      this._paused = false;
+      this._schedule();
+    } else {
+      this._remaining = this._timeLeft();
+      this._paused    = true;
+      this._clearTimers();
+    }
+    this._render();
+  }
+
+  addTime(seconds = REST_TIMER_STEP) {
+    if (!this._running) return;
+    const ms = seconds * 1000;
+    this._total += ms;
+    if (this._paused) this._remaining += ms;
+    else { this._endAt += ms; this._schedule(); }
+    this._render();
+  }
+
+  skip() {
+    this.stop();
+  }
+
+  /**
+   * Para a contagem e esconde o timer (sem bipe)
+   */
+  stop() {
+    this._running = false;
+    this._paused  = false;
+    this._clearTimers();
+    clearTimeout(this._hideTimer);
+    if (this._isMounted()) this._slot.hidden = true;
+  }
+
+  destroy() {
+    this.stop();
+    document.removeEventListener('visibilitychange', this._onVisibility);
+    if (this._audio) {
+      try { this._audio.close(); } catch {}
+      this._audio = null;
+    }
+    this._slot = null;
+  }
+
+  // ── Internos ───────────────────────────────────────────────────────
+
+  _isMounted() {
+    return !!(this._slot && this._slot.isConnected);
+  }
+
+  _timeLeft() {
+    return this._paused ? this._remaining : Math.max(0, this._endAt - Date.now());
+  }
+
+  _schedule() {
+    this._clearTimers();
+    this._interval = setInterval(() => this._tick(), 250);
+    // Dispara o fim no horário exato mesmo se o intervalo atrasar
+    this._endTimer = setTimeout(() => this._tick(), this._timeLeft() + 20);
+  }
+
+  _clearTimers() {
+    clearInterval(this._interval);
+    clearTimeout(this._endTimer);
+    this._interval = null;
+    this._endTimer = null;
+  }
+
+  _tick() {
+    if (!this._running || this._paused) return;
+    if (!this._isMounted()) { this.stop(); return; }
+    if (this._timeLeft() <= 0) { this._finish(); return; }
+    this._render();
+  }
+
+  _onVisibility() {
+    if (document.visibilityState === 'visible') this._tick();
+  }
+
+  _finish() {
+    this._running = false;
+    this._clearTimers();
+    this._beep();
+    if (navigator.vibrate) {
+      try { navigator.vibrate([250, 120, 250, 120, 400]); } catch {}
+    }
+    this._render(true);
+    this._hideTimer = setTimeout(() => { if (this._isMounted()) this._slot.hidden = true; }, 4000);
+  }
+
+  _unlockAudio() {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    try {
+      if (!this._audio) this._audio = new Ctx();
+      if (this._audio.state === 'suspended') this._audio.resume();
+    } catch { this._audio = null; }
+  }
+
+  // Três bipes curtos (880 Hz)
+  _beep() {
+    const ctx = this._audio;
+    if (!ctx) return;
+    try {
+      const now = ctx.currentTime;
+      [0, 0.25, 0.5].forEach(offset => {
+        const osc  = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'sine';
+        osc.frequency.value = 880;
+        gain.gain.setValueAtTime(0.0001, now + offset);
+        gain.gain.exponentialRampToValueAtTime(0.4, now + offset + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + offset + 0.18);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(now + offset);
+        osc.stop(now + offset + 0.2);
+      });
+    } catch {}
+  }
+
+  _format(ms) {
+    const total = Math.ceil(ms / 1000);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+  }
+
+  _render(finished = false) {
+    if (!this._isMounted()) return;
+    this._slot.hidden = false;
+
+    if (finished) {
+      this._slot.innerHTML = `
+        <div class="fc-rest__box fc-rest__box--done">
+          <span class="fc-rest__time">0:00</span>
+          <div class="fc-rest__info">
+            <p class="fc-rest__title">Descanso encerrado 💪</p>
+            <p class="fc-rest__label">Próxima série!</p>
+          </div>
+          <button type="button" class="fc-rest__btn" data-rest-action="skip">OK</button>
+        </div>`;
+      return;
+    }
+
+    const left = this._timeLeft();
+    const pct  = this._total > 0 ? Math.min(100, Math.round((1 - left / this._total) * 100)) : 0;
+    this._slot.innerHTML = `
+      <div class="fc-rest__box${this._paused ? ' fc-rest__box--paused' : ''}" role="timer" aria-live="off">
+        <span class="fc-rest__time">${this._format(left)}</span>
+        <div class="fc-rest__info">
+          <p class="fc-rest__title">${this._paused ? 'Descanso pausado' : 'Descanso'}</p>
+          ${this._label ? `<p class="fc-rest__label">${esc(this._label)}</p>` : ''}
+        </div>
+        <div class="fc-rest__actions">
+          <button type="button" class="fc-rest__btn" data-rest-action="pause">${this._paused ? '▶' : '❚❚'}</button>
+          <button type="button" class="fc-rest__btn" data-rest-action="add">+${REST_TIMER_STEP}s</button>
+          <button type="button" class="fc-rest__btn fc-rest__btn--skip" data-rest-action="skip">Pular</button>
+        </div>
+        <div class="fc-rest__bar"><div style="width:${pct}%;"></div></div>
+      </div>`;
+  }
+
+  _onSlotClick(e) {
+    const btn = e.target.closest('[data-rest-action]');
+    if (!btn) return;
+    const action = btn.dataset.restAction;
+    if (action === 'pause') this.togglePause();
+    if (action === 'add')   this.addTime();
+    if (action === 'skip')  this.skip();
+  }
+}
+
+const restTimer = new RestTimer();
+restTimer.parseRestSeconds = parseRestSeconds;
+window.restTimer = restTimer;
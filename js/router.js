@@ -13,6 +13,14 @@
  * CORREÇÃO v5:
  * - Adicionada entrada '/' em pageScripts para que __pageInit do login
  *   seja executado ao acessar /#/ diretamente.
+ *
+ * v6:
+ * - loadPage monta o notificationCenter nas rotas protegidas e o destrói
+ *   nas públicas (encerra o onSnapshot após logout).
+ *
+ * v7:
+ * - loadPage monta o indicador offline / sincronização pendente
+ *   (js/offlineSync.js, slot #syncStatusSlot) nas rotas protegidas.
  */
 
 class Router {
@@ -284,6 +292,14 @@ class Router {
 
       this._bindDeclarativeActions(container);
 
+      // Sino de notificações: só nas rotas protegidas (slot #notifBellSlot no header)
+      if (this.getRequiredType(path)) window.notificationCenter?.mount(container);
+      else window.notificationCenter?.destroy();
+
+      // Indicador offline / sincronização pendente (slot #syncStatusSlot)
+      if (this.getRequiredType(path)) window.offlineSync?.mount(container);
+      else window.offlineSync?.destroy();
+
       await this._loadPageScript(path, matchResult);
 
     } catch (err) {
@@ -9,6 +9,12 @@
  *   Agora usa addEventListener após appendChild do modal.
  *   O atributo onclick inline no âncora "Ver planos" também foi removido.
  *
+ * Limite de alunos: quando o subscription-status volta com
+ * studentLimitExceeded (downgrade aplicado ou renovação em plano menor), abre
+ * a tela de escolha (_showStudentLimitScreen). Os desmarcados são
+ * desativados pelo backend (api/billing/apply-student-limit) — rules e
+ * createStudentAccount bloqueiam novos alunos até a escolha.
+ *
  * Todas as correções v3 mantidas:
  * - getIdToken() sem forceRefresh
  * - destroy() remove banner do DOM
@@ -24,6 +30,7 @@ class SubscriptionGuard {
     this._lastCheckAt  = 0;
     this._cacheTTL     = 5 * 60 * 1000; // 5 minutos
     this._bannerId     = 'sub-warning-banner';
+    this._limitId      = 'student-limit-modal';
   }
 
   _isCacheValid() {
@@ -70,6 +77,7 @@ class SubscriptionGuard {
     if (this._initialized && this._isCacheValid()) {
       if (this.status?.showWarning) this._showWarningBanner(this.status);
       if (!this.status?.isActive)   this._applyReadOnlyMode();
+      if (this.status?.isActive && this.status?.studentLimitExceeded) this._showStudentLimitScreen(this.status);
       window._subscriptionMaxStudents = this.status?.maxStudents || 0;
       window._subscriptionPlanId      = this.status?.planId      || null;
       window._subscriptionIsActive    = this.status?.isActive    || false;
@@ -87,6 +95,8 @@ class SubscriptionGuard {
 
     if (!status.isActive) {
       this._applyReadOnlyMode();
+    } else if (status.studentLimitExceeded) {
+      this._showStudentLimitScreen(status);
     }
 
     window._subscriptionMaxStudents = status.maxStudents || 0;
@@ -257,9 +267,124 @@ class SubscriptionGuard {
     });
   }
 
+  async _showStudentLimitScreen(status) {
+    if (document.getElementById(this._limitId)) return;
+
+    const esc = window.esc || (v => String(v ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`));
+    const max = status.maxStudents || 0;
+
+    // Só quem ocupa vaga entra na escolha; ativos antes de pendentes
+    const students = (await dbManager.getMyStudents({ limit: 500 }))
+      .filter(st => st.status !== 'inactive')
+      .sort((a, b) => (a.status === 'pending') - (b.status === 'pending') ||
+        String(a.name || '').localeCompare(String(b.name || ''), 'pt-BR'));
+    if (document.getElementById(this._limitId) || !students.length) return;
+
+    const keep = new Set(students.slice(0, max).map(st => st.uid));
+
+    const modal = document.createElement('div');
+    modal.id = this._limitId;
+    modal.style.cssText = `
+      position:fixed; inset:0; background:rgba(0,0,0,0.6);
+      backdrop-filter:blur(4px); z-index:10000;
+      display:flex; align-items:center; justify-content:center; padding:20px;
+      font-family:'DM Sans',system-ui,sans-serif;
+    `;
+
+    // Sem onclick inline — delegação por data-limit-student após appendChild
+    modal.innerHTML = `
+      <div style="background:#fff;border-radius:20px;padding:28px;max-width:440px;width:100%;max-height:90vh;display:flex;flex-direction:column;">
+        <div style="width:48px;height:48px;background:#FFFBEB;border-radius:12px;margin:0 0 14px;display:flex;align-items:center;justify-content:center;font-size:1.4rem;">👥</div>
+        <h3 style="font-size:1.15rem;font-weight:800;color:#0A0A0A;margin:0 0 8px;">Escolha quem continua ativo</h3>
+        <p style="font-size:0.85rem;color:#6B7280;margin:0 0 6px;line-height:1.55;">
+          O plano ${esc(status.planName || '')} permite até <strong>${esc(max)}</strong> aluno(s) ativo(s) e você tem <strong>${esc(students.length)}</strong>.
+          Os alunos desmarcados serão desativados e não conseguirão entrar no app.
+        </p>
+        <p style="font-size:0.78rem;color:#9CA3AF;margin:0 0 14px;">Os dados ficam preservados — dá para reativar depois, dentro do limite.</p>
+        <div id="${this._limitId}-list" style="overflow-y:auto;border:1px solid #EBEBEB;border-radius:12px;margin:0 0 12px;">
+          ${students.map(st => `
+            <label style="display:flex;align-items:center;gap:10px;padding:10px 14px;border-bottom:1px solid #F4F4F4;cursor:pointer;">
+              <input type="checkbox" data-limit-student="${esc(st.uid)}"${keep.has(st.uid) ? ' checked' : ''} style="width:16px;height:16px;accent-color:#00C853;flex-shrink:0;">
+              <span style="flex:1;min-width:0;">
+                <span style="display:block;font-size:0.85rem;font-weight:600;color:#0A0A0A;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${esc(st.name || 'Aluno')}</span>
+                <span style="display:block;font-size:0.72rem;color:#9CA3AF;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${esc(st.email || '')}</span>
+              </span>
+              ${st.status === 'pending' ? '<span style="font-size:0.68rem;font-weight:700;color:#92400E;background:#FFFBEB;border-radius:6px;padding:2px 7px;">Pendente</span>' : ''}
+            </label>`).join('')}
+        </div>
+        <p id="${this._limitId}-count" style="font-size:0.8rem;font-weight:700;margin:0 0 8px;"></p>
+        <p id="${this._limitId}-error" style="display:none;font-size:0.78rem;color:#DC2626;margin:0 0 8px;"></p>
+        <div style="display:flex;flex-direction:column;gap:8px;">
+          <button id="${this._limitId}-confirm"
+            style="padding:13px;background:#00E676;color:#0A0A0A;border:none;border-radius:12px;font-size:0.9rem;font-weight:800;cursor:pointer;font-family:inherit;">
+            Confirmar alunos ativos
+          </button>
+          <a id="${this._limitId}-plans-link" href="#/personal/billing"
+            style="display:block;text-align:center;padding:11px;background:#F4F4F4;border-radius:12px;font-size:0.85rem;font-weight:600;color:#374151;text-decoration:none;">
+            Prefiro fazer upgrade do plano
+          </a>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const countEl   = document.getElementById(`${this._limitId}-count`);
+    const errorEl   = document.getElementById(`${this._limitId}-error`);
+    const confirmEl = document.getElementById(`${this._limitId}-confirm`);
+
+    const update = () => {
+      const over = keep.size > max;
+      countEl.textContent   = `${keep.size} de ${max} selecionado(s)${over ? ` — desmarque ${keep.size - max}` : ''}`;
+      countEl.style.color   = over ? '#DC2626' : '#047857';
+      confirmEl.disabled    = over;
+      confirmEl.style.opacity = over ? '0.5' : '1';
+    };
+    update();
+
+    document.getElementById(`${this._limitId}-list`)?.addEventListener('change', e => {
+      const box = e.target.closest('[data-limit-student]');
+      if (!box) return;
+      if (box.checked) keep.add(box.dataset.limitStudent);
+      else keep.delete(box.dataset.limitStudent);
+      update();
+    });
+
+    document.getElementById(`${this._limitId}-plans-link`)?.addEventListener('click', () => {
+      modal.remove();
+    });
+
+    confirmEl.addEventListener('click', async () => {
+      const removed = students.length - keep.size;
+      if (!confirm(`Desativar ${removed} aluno(s)? Eles não conseguirão mais fazer login até serem reativados.`)) return;
+
+      errorEl.style.display = 'none';
+      confirmEl.disabled    = true;
+      confirmEl.textContent = 'Aplicando...';
+      try {
+        const token = await authManager.getCurrentUser()?.getIdToken();
+        const res   = await fetch('/api/billing/apply-student-limit', {
+          method:  'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+          body:    JSON.stringify({ keepStudentIds: [...keep] }),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(json.error || 'Erro ao aplicar a escolha');
+
+        this.invalidateCache();
+        window.location.reload();
+      } catch (e) {
+        errorEl.textContent   = e.message;
+        errorEl.style.display = 'block';
+        confirmEl.textContent = 'Confirmar alunos ativos';
+        update();
+      }
+    });
+  }
+
   canAddStudent(currentCount) {
     if (!this.status) return true;
-    if (!this.status.isActive) return false;
+    if (!this.status.isActive || this.status.studentLimitExceeded) return false;
     return currentCount < (this.status.maxStudents || 0);
   }
 
@@ -273,6 +398,7 @@ class SubscriptionGuard {
     // Remover banner do DOM ao destruir (evita banner órfão ao trocar de página)
     const banner = document.getElementById(this._bannerId);
     if (banner) banner.remove();
+    document.getElementById(this._limitId)?.remove();
   }
 }
 
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * scripts/abacatepay-mock.js
+ *
+ * AbacatePay local para desenvolvimento: cria PIX, responde pixQrCode/check e
+ * dispara o webhook `transparent.completed` assinado contra o nosso handler
+ * (api/webhook/abacatepay.js). Cobre o fluxo cobrança → webhook → assinatura
+ * sem internet e sem chave Dev Mode.
+ *
+ * Uso:
+ *   ABACATEPAY_WEBHOOK_SECRET=dev-secret node scripts/abacatepay-mock.js
+ *   # no backend: ABACATEPAY_BASE_URL=http://localhost:4010/v1
+ *   #             ABACATEPAY_WEBHOOK_SECRET=dev-secret (o mesmo)
+ *
+ * Variáveis:
+ *   MOCK_ABACATEPAY_PORT  porta (padrão 4010)
+ *   MOCK_WEBHOOK_URL      destino do webhook (padrão
+ *                         http://localhost:3000/api/webhook/abacatepay)
+ *   MOCK_MODE             modo padrão dos pagamentos (abaixo)
+ *   MOCK_DELAY_MS         atraso do modo `delay` (padrão 10000)
+ *   ABACATEPAY_API_KEY    se definida, o mock exige o mesmo Bearer
+ *
+ * Rotas do gateway (mesmo formato da API real, prefixo /v1):
+ *   POST /v1/pixQrCode/create
+ *   GET  /v1/pixQrCode/check?id=
+ *   POST /v1/pixQrCode/simulate-payment?id=[&mode=]  (usado pelo simulate-payment)
+ * Rotas de controle:
+ *   GET  /_mock/charges                 cobranças em memória
+ *   POST /_mock/charges/:id/pay?mode=   paga e dispara o webhook (teste do polling)
+ *   POST /_mock/charges/:id/expire      marca como EXPIRED e dispara transparent.expired
+ *   POST /_mock/charges/:id/refund      estorna (REFUNDED) e dispara transparent.refunded
+ *   POST /_mock/charges/:id/dispute     contesta (DISPUTED) e dispara transparent.disputed
+ *
+ * Modos de falha (?mode= ou MOCK_MODE):
+ *   ok               pagamento normal
+ *   amount-mismatch  valor pago diferente do cobrado (webhook e check)
+ *   replay           reenvia a mesma entrega (mesma assinatura) — idempotência
+ *   stale            timestamp de 10 min atrás — deve cair no anti-replay
+ *   bad-signature    assinatura inválida
+ *   unconfirmed      webhook chega, mas o check continua PENDING
+ *   delay            entrega depois de MOCK_DELAY_MS (a resposta não espera)
+ */
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const PORT        = parseInt(process.env.MOCK_ABACATEPAY_PORT || '4010', 10);
+const WEBHOOK_URL = process.env.MOCK_WEBHOOK_URL || 'http://localhost:3000/api/webhook/abacatepay';
+const SECRET      = process.env.ABACATEPAY_WEBHOOK_SECRET || '';
+const API_KEY     = process.env.ABACATEPAY_API_KEY || '';
+const DEFAULT_MODE = process.env.MOCK_MODE || 'ok';
+const DELAY_MS    = parseInt(process.env.MOCK_DELAY_MS || '10000', 10);
+const PIX_TTL_S   = 1800;
+
+const MODES = ['ok', 'amount-mismatch', 'replay', 'stale', 'bad-signature', 'unconfirmed', 'delay'];
+
+const charges = new Map(); // id → cobrança
+
+// ── Helpers ───────────────────────────────────────────────────────────────
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function ok(res, data)            { send(res, 200, { data, error: null, success: true }); }
+function fail(res, status, error) { send(res, status, { data: null, error, success: false }); }
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch { reject(new Error('JSON inválido')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function isAuthorized(req) {
+  const given = (req.headers.authorization || '').replace(/^Bearer /, '');
+  return API_KEY ? given === API_KEY : !!given;
+}
+
+function log(...args) {
+  console.log(`[abacatepay-mock ${new Date().toISOString().slice(11, 19)}]`, ...args);
+}
+
+// Imagem do "QR Code" (data URI — o CSP libera img-src data:)
+function qrPlaceholder(id) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="160" height="160"><rect width="160" height="160" fill="#F4F4F4"/><text x="80" y="74" font-family="sans-serif" font-size="14" text-anchor="middle" fill="#0A0A0A">PIX MOCK</text><text x="80" y="96" font-family="monospace" font-size="9" text-anchor="middle" fill="#6B7280">${id.slice(-12)}</text></svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+// Formato público (o que a API real devolve em data)
+function publicCharge(c) {
+  return {
+    id:           c.id,
+    amount:       c.amount,
+    status:       c.status,
+    devMode:      true,
+    brCode:       c.brCode,
+    brCodeBase64: c.brCodeBase64,
+    platformFee:  0,
+    description:  c.description,
+    metadata:     c.metadata,
+    createdAt:    c.createdAt,
+    updatedAt:    c.updatedAt,
+    expiresAt:    c.expiresAt,
+  };
+}
+
+function refreshExpiry(c) {
+  if (c.status === 'PENDING' && new Date(c.expiresAt) < new Date()) {
+    c.status    = 'EXPIRED';
+    c.updatedAt = new Date().toISOString();
+  }
+}
+
+// ── Webhook ───────────────────────────────────────────────────────────────
+
+function sign(timestamp, rawBody, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('base64');
+}
+
+function buildDelivery(c, mode, event = 'completed') {
+  const paidAmount = c.paidAmount ?? c.amount;
+  const rawBody = JSON.stringify({
+    event:   `transparent.${event}`,
+    devMode: true,
+    data: {
+      transparent: {
+        id:         c.id,
+        amount:     paidAmount,
+        status:     c.status,
+        externalId: c.metadata?.externalId || '',
+        metadata:   c.metadata,
+      },
+      metadata: c.metadata,
+    },
+  });
+
+  const now       = Math.floor(Date.now() / 1000);
+  const timestamp = mode === 'stale' ? now - 600 : now;
+  const signature = mode === 'bad-signature'
+    ? sign(timestamp, rawBody, `${SECRET}-invalid`)
+    : sign(timestamp, rawBody);
+
+  return { rawBody, timestamp, signature };
+}
+
+async function deliver(delivery, label) {
+  const url = new URL(WEBHOOK_URL);
+  if (SECRET && !url.searchParams.has('webhookSecret')) url.searchParams.set('webhookSecret', SECRET);
+
+  try {
+    const res  = await fetch(url, {
+      method:  'POST',
+      headers: {
+        'Content-Type':        'application/json',
+        'x-webhook-signature': delivery.signature,
+        'x-webhook-timestamp': String(delivery.timestamp),
+      },
+      body: delivery.rawBody,
+    });
+    const text = await res.text();
+    log(`webhook ${label} → ${res.status} ${text.slice(0, 200)}`);
+    return { status: res.status, body: text };
+  } catch (err) {
+    log(`webhook ${label} falhou:`, err.message);
+    return { status: 0, error: err.message };
+  }
+}
+
+/**
+ * Marca como pago e entrega o webhook conforme o modo.
+ * Modo `delay` não espera a entrega.
+ */
+async function pay(c, mode) {
+  c.status     = 'PAID';
+  c.updatedAt  = new Date().toISOString();
+  c.mode       = mode;
+  c.paidAmount = mode === 'amount-mismatch' ? c.amount + 1 : c.amount;
+
+  const delivery = buildDelivery(c, mode);
+  log(`pagamento ${c.id} (${c.amount} centavos) modo=${mode}`);
+
+  if (mode === 'delay') {
+    setTimeout(() => deliver(delivery, `${c.id} (atrasado ${DELAY_MS}ms)`), DELAY_MS);
+    return { delivered: false, scheduledInMs: DELAY_MS, mode };
+  }
+
+  const first = await deliver(delivery, c.id);
+  if (mode === 'replay') {
+    const second = await deliver(delivery, `${c.id} (replay)`);
+    return { delivered: true, mode, responses: [first, second] };
+  }
+  return { delivered: true, mode, responses: [first] };
+}
+
+// Estado do PIX para cada rota de controle de pós-pagamento
+const TRANSITIONS = {
+  expire:  { from: ['PENDING'],          status: 'EXPIRED',  event: 'expired'  },
+  refund:  { from: ['PAID', 'DISPUTED'], status: 'REFUNDED', event: 'refunded' },
+  dispute: { from: ['PAID'],             status: 'DISPUTED', event: 'disputed' },
+};
+
+async function transition(c, action) {
+  const { status, event } = TRANSITIONS[action];
+  c.status    = status;
+  c.updatedAt = new Date().toISOString();
+  log(`${action} ${c.id} → ${status}`);
+  return deliver(buildDelivery(c, 'ok', event), `${c.id} (${event})`);
+}
+
+function resolveMode(searchParams) {
+  const mode = searchParams.get('mode') || DEFAULT_MODE;
+  return MODES.includes(mode) ? mode : null;
+}
+
+// ── Rotas ─────────────────────────────────────────────────────────────────
+
+async function handle(req, res) {
+  const url  = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/\/+$/, '');
+
+  // Controle
+  if (path === '/_mock/charges' && req.method === 'GET') {
+    return ok(res, [...charges.values()].map(c => ({ ...publicCharge(c), paidAmount: c.paidAmount ?? null, mode: c.mode ?? null })));
+  }
+
+  const control = path.match(/^\/_mock\/charges\/([^/]+)\/(pay|expire|refund|dispute)$/);
+  if (control && req.method === 'POST') {
+    const c = charges.get(decodeURIComponent(control[1]));
+    if (!c) return fail(res, 404, 'Cobrança não encontrada');
+    const rule = TRANSITIONS[control[2]];
+    if (rule) {
+      if (!rule.from.includes(c.status)) return fail(res, 409, `Cobrança ${c.status}`);
+      const webhook = await transition(c, control[2]);
+      return ok(res, { ...publicCharge(c), webhook });
+    }
+    const mode = resolveMode(url.searchParams);
+    if (!mode) return fail(res, 400, `Modo inválido. Use: ${MODES.join(', ')}`);
+    if (c.status !== 'PENDING') return fail(res, 409, `Cobrança ${c.status}`);
+    const webhook = await pay(c, mode);
+    return ok(res, { ...publicCharge(c), webhook });
+  }
+
+  // Gateway
+  if (!path.startsWith('/v1/')) return fail(res, 404, 'Rota não encontrada');
+  if (!isAuthorized(req))       return fail(res, 401, 'Unauthorized');
+
+  if (path === '/v1/pixQrCode/create' && req.method === 'POST') {
+    let body;
+    try { body = await readJson(req); } catch (err) { return fail(res, 400, err.message); }
+    if (!Number.isInteger(body.amount) || body.amount < 100) return fail(res, 400, 'amount deve ser inteiro em centavos (mín. 100)');
+
+    const id  = `pix_char_mock_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date();
+    const c   = {
+      id,
+      amount:       body.amount,
+      status:       'PENDING',
+      description:  body.description || '',
+      metadata:     body.metadata || {},
+      customer:     body.customer || null,
+      brCode:       `00020101021226MOCK${id}5204000053039865406${(body.amount / 100).toFixed(2)}6304MOCK`,
+      brCodeBase64: qrPlaceholder(id),
+      createdAt:    now.toISOString(),
+      updatedAt:    now.toISOString(),
+      expiresAt:    new Date(now.getTime() + (body.expiresIn || PIX_TTL_S) * 1000).toISOString(),
+    };
+    charges.set(id, c);
+    log(`PIX criado ${id} (${c.amount} centavos) externalId=${c.metadata.externalId || '—'}`);
+    return ok(res, publicCharge(c));
+  }
+
+  if (path === '/v1/pixQrCode/check' && req.method === 'GET') {
+    const c = charges.get(url.searchParams.get('id') || '');
+    if (!c) return fail(res, 404, 'Cobrança não encontrada');
+    refreshExpiry(c);
+    const status = c.status === 'PAID' && c.mode === 'unconfirmed' ? 'PENDING' : c.status;
+    return ok(res, {
+      status,
+      expiresAt: c.expiresAt,
+      ...(c.status === 'PAID' ? { amount: c.paidAmount } : {}),
+    });
+  }
+
+  if (path === '/v1/pixQrCode/simulate-payment' && req.method === 'POST') {
+    const c = charges.get(url.searchParams.get('id') || '');
+    if (!c) return fail(res, 404, 'Cobrança não encontrada');
+    refreshExpiry(c);
+    if (c.status !== 'PENDING') return fail(res, 409, `Cobrança ${c.status}`);
+    const mode = resolveMode(url.searchParams);
+    if (!mode) return fail(res, 400, `Modo inválido. Use: ${MODES.join(', ')}`);
+    const webhook = await pay(c, mode);
+    return ok(res, { ...publicCharge(c), webhook });
+  }
+
+  return fail(res, 404, 'Rota não encontrada');
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(err => {
+    log('erro:', err.message);
+    fail(res, 500, 'Erro interno do mock');
+  });
+});
+
+server.listen(PORT, () => {
+  log(`ouvindo em http://localhost:${PORT}/v1 — webhook → ${WEBHOOK_URL} — modo padrão ${DEFAULT_MODE}`);
+  if (!SECRET) log('AVISO: ABACATEPAY_WEBHOOK_SECRET vazia — webhooks saem sem assinatura válida');
+});
@@ -0,0 +1,166 @@
+/**
+ * sw.js — service worker do app (PWA)
+ *
+ * - Pré-cache do shell (index.html, CSS, assets), de todos os js/*.js e dos
+ *   fragmentos pages/*.html, mais o Firebase SDK (versão fixa no index.html).
+ * - Cache versionado: SW_VERSION entra no nome do cache. A cada deploy que
+ *   altere arquivos do app, SUBA SW_VERSION (e inclua arquivos novos em
+ *   PRECACHE_URLS) — o navegador instala a nova versão em segundo plano e o
+ *   app mostra o aviso "Nova versão disponível" (js/pwa.js).
+ * - A versão nova só assume após o usuário aceitar (mensagem SKIP_WAITING);
+ *   no activate os caches de versões antigas são apagados.
+ * - Estratégias:
+ *     navegação       → rede primeiro, fallback para o index.html em cache
+ *     arquivos do app → cache primeiro (ignora o ?v= do router)
+ *     /api/*          → nunca passa pelo cache
+ *     demais origens  → rede direta (Firestore, Auth, AbacatePay...)
+ */
+
+const SW_VERSION   = 'v20';
+const CACHE_PREFIX = 'featym-shell-';
+const CACHE_NAME   = CACHE_PREFIX + SW_VERSION;
+
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+
+  '/css/style.css',
+  '/css/components.css',
+  '/css/mobile-responsive-fixes.css',
+  '/css/page-create-workout.css',
+  '/css/student-details.css',
+
+  '/assets/branca_icone.png',
+  '/assets/branca_larga.png',
+  '/assets/preta_icone.png',
+  '/assets/preta_larga.png',
+
+  '/js/config.js',
+  '/js/auth.js',
+  '/js/db.js',
+  '/js/sanitize.js',
+  '/js/domain/feedbacks/isoWeek.js',
+  '/js/domain/feedbacks/feedbackModel.js',
+  '/js/domain/feedbacks/feedbackAnalytics.js',
+  '/js/domain/feedbacks/feedbackReplyModel.js',
+  '/js/domain/feedbacks/progressionRules.js',
+  '/js/domain/workoutLogs/workoutLogModel.js',
+  '/js/domain/workoutSessions/workoutSessionModel.js',
+  '/js/domain/workouts/workoutVersionModel.js',
+  '/js/domain/workouts/mesocycleModel.js',
+  '/js/domain/workouts/workoutTemplateModel.js',
+  '/js/domain/groups/groupModel.js',
+  '/js/domain/adherence/adherenceModel.js',
+  '/js/domain/injuries/injuryModel.js',
+  '/js/subscriptionGuard.js',
+  '/js/notificationCenter.js',
+  '/js/restTimer.js',
+  '/js/painBodyMap.js',
+  '/js/offlineSync.js',
+  '/js/pwa.js',
+  '/js/router.js',
+
+  '/js/pages/login.js',
+  '/js/pages/signup.js',
+  '/js/pages/primeiro-acesso.js',
+  '/js/pages/recuperar-senha.js',
+  '/js/pages/personal/billing.js',
+  '/js/pages/personal/create-workout.js',
+  '/js/pages/personal/dashboard.js',
+  '/js/pages/personal/exercises.js',
+  '/js/pages/personal/feedbacks.js',
+  '/js/pages/personal/student-details.js',
+  '/js/pages/personal/volume-analysis.js',
+  '/js/pages/student/dashboard.js',
+  '/js/pages/student/view-workout.js',
+
+  '/pages/login.html',
+  '/pages/signup.html',
+  '/pages/primeiro-acesso.html',
+  '/pages/recuperar-senha.html',
+  '/pages/personal/billing.html',
+  '/pages/personal/create-workout.html',
+  '/pages/personal/dashboard.html',
+  '/pages/personal/exercises.html',
+  '/pages/personal/feedbacks.html',
+  '/pages/personal/student-details.html',
+  '/pages/personal/volume-analysis.html',
+  '/pages/student/dashboard.html',
+  '/pages/student/view-workout.html',
+];
+
+// Firebase SDK (compat) — mesma versão fixada no index.html
+const FIREBASE_SDK_URLS = [
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-app-compat.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-auth-compat.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore-compat.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-app-check-compat.js',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // cache: 'reload' ignora o cache HTTP (js/ tem max-age de 1h no vercel.json)
+    await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+    await Promise.all(FIREBASE_SDK_URLS.map(url =>
+      cache.add(new Request(url, { mode: 'cors' })).catch(() => { /* não crítico: volta a tentar em runtime */ })
+    ));
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+  if (event.data?.type === 'GET_VERSION') event.source?.postMessage({ type: 'VERSION', version: SW_VERSION });
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    if (request.mode === 'navigate') { event.respondWith(networkFirstShell(request)); return; }
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (FIREBASE_SDK_URLS.includes(url.href)) event.respondWith(cacheFirst(request));
+});
+
+// ── Estratégias ─────────────────────────────────────────────────────
+
+async function networkFirstShell(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.match('/index.html')) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cache  = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Arquivos do app fora da lista (ex.: esquecidos no PRECACHE_URLS) também ficam offline
+  if (response.ok && (response.type === 'basic' || response.type === 'cors')) {
+    const url = new URL(request.url);
+    cache.put(url.origin + url.pathname, response.clone());
+  }
+  return response;
+}